@@ -0,0 +1,122 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Backtests always execute against the offline paper account, and only the
+// openai provider needs an OpenAI key.
+process.env.BINANCE_MODE = 'paper';
+
+const USAGE = [
+  'Usage: node scripts/backtest.js --symbols BTCUSDT,ETHUSDT --start 2024-05-01 --end 2024-05-02 [options]',
+  '',
+  'Options:',
+  '  --interval 1m               Kline interval (default 1m)',
+  '  --provider rules            Decision provider: rules | recorded | local | openai',
+  '  --records FILE              Decision records for --provider recorded (JSON array or NDJSON)',
+  '  --model NAME                Local model name for --provider local (LOCAL_MODEL_NAME)',
+  '  --model-url URL             OpenAI-compatible base URL (LOCAL_MODEL_URL)',
+  '  --every N                   Evaluate every N bars (default 1)',
+  '  --warmup N                  Bars of history per snapshot (default 150)',
+  '  --max-candles N             Candles per symbol (default 5000)',
+  '  --risk N --leverage N --allocation N',
+  '  --balance N --taker-fee N --maker-fee N --slippage-bps N',
+  '  --out FILE                  Write the JSON report to FILE instead of stdout',
+].join('\n');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (!token.startsWith('--')) continue;
+    const key = token.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i += 1;
+    }
+  }
+  return args;
+}
+
+const optionalNumber = (value) => (value === undefined ? undefined : Number(value));
+
+const parseTime = (value) => {
+  if (value === undefined) return undefined;
+  const numeric = Number(value);
+  const time = Number.isFinite(numeric) ? numeric : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return time;
+};
+
+async function loadRecords(file) {
+  const contents = await fs.readFile(path.resolve(file), 'utf8');
+  const trimmed = contents.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+  return trimmed
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || typeof args.symbols !== 'string') {
+    console.error(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const provider = typeof args.provider === 'string' ? args.provider : 'rules';
+  if (provider !== 'openai') {
+    process.env.OPENAI_API_KEY ||= 'unused-in-backtest';
+  }
+  if (provider === 'recorded' && typeof args.records !== 'string') {
+    throw new Error('--provider recorded requires --records FILE');
+  }
+
+  const { runBacktest } = await import('../src/services/backtestRunner.js');
+  const report = await runBacktest({
+    symbols: args.symbols.split(',').map((symbol) => symbol.trim()).filter(Boolean),
+    interval: typeof args.interval === 'string' ? args.interval : '1m',
+    startTime: parseTime(args.start),
+    endTime: parseTime(args.end),
+    maxCandles: optionalNumber(args['max-candles']) ?? 5000,
+    warmupBars: optionalNumber(args.warmup),
+    decisionEveryBars: optionalNumber(args.every),
+    provider,
+    providerOptions: {
+      records: provider === 'recorded' ? await loadRecords(args.records) : undefined,
+      model: typeof args.model === 'string' ? args.model : undefined,
+      url: typeof args['model-url'] === 'string' ? args['model-url'] : undefined,
+    },
+    riskLevel: optionalNumber(args.risk),
+    leverage: optionalNumber(args.leverage),
+    allocationPercent: optionalNumber(args.allocation),
+    paper: Object.fromEntries(
+      Object.entries({
+        initialBalance: optionalNumber(args.balance),
+        takerFeeRate: optionalNumber(args['taker-fee']),
+        makerFeeRate: optionalNumber(args['maker-fee']),
+        slippageBps: optionalNumber(args['slippage-bps']),
+      }).filter(([, value]) => value !== undefined)
+    ),
+  });
+
+  const output = JSON.stringify(report, null, 2);
+  if (typeof args.out === 'string') {
+    await fs.writeFile(path.resolve(args.out), `${output}\n`, 'utf8');
+    console.log(JSON.stringify(report.summary, null, 2));
+  } else {
+    console.log(output);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { BinanceClient } = await import('../clients/binanceClient.js');
+const { config } = await import('../config.js');
+
+const order = (fields = {}) => ({
+  orderId: 42,
+  clientOrderId: 'zenith-1',
+  symbol: 'BTCUSDT',
+  status: 'NEW',
+  side: 'BUY',
+  type: 'LIMIT',
+  price: '100.5',
+  origQty: '2',
+  executedQty: '0',
+  ...fields,
+});
+
+const timestampRejection = () =>
+  new Response(JSON.stringify({ code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' }), {
+    status: 400,
+  });
+
+// Captures every request the client sends and answers with `respond(url)`,
+// either a Response or a JSON body served with 200.
+function createClient(t, respond = () => order()) {
+  const client = new BinanceClient();
+  client.timeSync.lastSync = Date.now();
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init = {}) => {
+    const parsed = new URL(url);
+    requests.push({ method: init.method ?? 'GET', path: parsed.pathname, params: Object.fromEntries(parsed.searchParams) });
+    const answer = respond(parsed);
+    return answer instanceof Response ? answer : new Response(JSON.stringify(answer), { status: 200 });
+  });
+  return { client, requests };
+}
+
+const orderParams = ({ params }) => {
+  const { timestamp, recvWindow, signature, ...rest } = params;
+  assert.ok(timestamp && recvWindow && signature);
+  return rest;
+};
+
+test('orders are fetched and cancelled by orderId or by client order id', async (t) => {
+  const { client, requests } = createClient(t);
+
+  const fetched = await client.fetchOrder('BTCUSDT', { orderId: 42, clientOrderId: 'ignored' });
+  assert.equal(fetched.orderId, '42');
+  assert.equal(fetched.price, 100.5);
+  await client.fetchOrder('BTCUSDT', { clientOrderId: 'zenith-1' });
+  await client.cancelOrder('BTCUSDT', { orderId: '42' });
+  await client.cancelOrder('BTCUSDT', { clientOrderId: 'zenith-1' });
+  await client.cancelAllOrders('BTCUSDT');
+
+  assert.deepEqual(
+    requests.map((request) => [request.method, request.path, orderParams(request)]),
+    [
+      ['GET', '/fapi/v1/order', { symbol: 'BTCUSDT', orderId: '42' }],
+      ['GET', '/fapi/v1/order', { symbol: 'BTCUSDT', origClientOrderId: 'zenith-1' }],
+      ['DELETE', '/fapi/v1/order', { symbol: 'BTCUSDT', orderId: '42' }],
+      ['DELETE', '/fapi/v1/order', { symbol: 'BTCUSDT', origClientOrderId: 'zenith-1' }],
+      ['DELETE', '/fapi/v1/allOpenOrders', { symbol: 'BTCUSDT' }],
+    ]
+  );
+
+  await assert.rejects(client.cancelOrder('BTCUSDT', {}), /orderId or clientOrderId is required/);
+  assert.equal(requests.length, 5);
+});
+
+test('amending an order sends the new price and quantity with PUT', async (t) => {
+  const { client, requests } = createClient(t, () => order({ price: '101', origQty: '1.5' }));
+
+  const amended = await client.modifyOrder('BTCUSDT', { orderId: 42 }, { side: 'BUY', quantity: '1.5', price: '101' });
+  assert.equal(amended.price, 101);
+  assert.equal(amended.origQty, 1.5);
+  await client.modifyOrder('BTCUSDT', { clientOrderId: 'zenith-1' }, { side: 'SELL', quantity: 3, price: 99 });
+
+  assert.deepEqual(
+    requests.map((request) => [request.method, request.path, orderParams(request)]),
+    [
+      ['PUT', '/fapi/v1/order', { symbol: 'BTCUSDT', orderId: '42', side: 'BUY', quantity: '1.5', price: '101' }],
+      ['PUT', '/fapi/v1/order', { symbol: 'BTCUSDT', origClientOrderId: 'zenith-1', side: 'SELL', quantity: '3', price: '99' }],
+    ]
+  );
+});
+
+test('signed params carry the server-adjusted timestamp, recvWindow and signature', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_700_000_000_000 });
+  const client = new BinanceClient();
+  client.timeSync.offsetMs = -2_500;
+
+  const query = new URLSearchParams(client.signParams({ symbol: 'BTCUSDT' }));
+  assert.equal(query.get('timestamp'), String(1_700_000_000_000 - 2_500));
+  assert.equal(query.get('recvWindow'), String(config.binance.recvWindow));
+  const signature = query.get('signature');
+  query.delete('signature');
+  assert.equal(signature, crypto.createHmac('sha256', config.binance.apiSecret).update(query.toString()).digest('hex'));
+
+  const custom = new URLSearchParams(client.signParams({ symbol: 'BTCUSDT', recvWindow: 1_000 }));
+  assert.equal(custom.get('recvWindow'), '1000');
+});
+
+test('a timestamp rejection re-syncs server time and retries the request once', async (t) => {
+  let orderCalls = 0;
+  const { client, requests } = createClient(t, ({ pathname }) => {
+    if (pathname === '/fapi/v1/time') {
+      return { serverTime: Date.now() + 60_000 };
+    }
+    orderCalls += 1;
+    return orderCalls === 1 ? timestampRejection() : order();
+  });
+
+  const fetched = await client.fetchOrder('BTCUSDT', { orderId: 42 });
+  assert.equal(fetched.orderId, '42');
+  assert.deepEqual(
+    requests.map((request) => request.path),
+    ['/fapi/v1/order', '/fapi/v1/time', '/fapi/v1/order']
+  );
+  assert.ok(Math.abs(client.getTimeOffset() - 60_000) < 1_000);
+  const [first, , retried] = requests;
+  assert.ok(Number(retried.params.timestamp) - Number(first.params.timestamp) >= 59_000);
+});
+
+test('a second timestamp rejection after the re-sync is not retried again', async (t) => {
+  const { client, requests } = createClient(t, ({ pathname }) =>
+    pathname === '/fapi/v1/time' ? { serverTime: Date.now() } : timestampRejection()
+  );
+
+  await assert.rejects(client.request('POST', '/fapi/v1/order', { symbol: 'BTCUSDT' }), /400 \(Timestamp for this request/);
+  assert.deepEqual(
+    requests.map((request) => request.path),
+    ['/fapi/v1/order', '/fapi/v1/time', '/fapi/v1/order']
+  );
+});
+
+test('a failed re-sync after a timestamp rejection surfaces the original -1021 error', async (t) => {
+  const { client, requests } = createClient(t, ({ pathname }) =>
+    pathname === '/fapi/v1/time' ? new Response('unavailable', { status: 503 }) : timestampRejection()
+  );
+
+  await assert.rejects(client.request('POST', '/fapi/v1/order', { symbol: 'BTCUSDT' }), /400 \(Timestamp for this request/);
+  assert.deepEqual(
+    requests.map((request) => request.path),
+    ['/fapi/v1/order', '/fapi/v1/time']
+  );
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { BinanceRateLimiter } from '../clients/binanceRateLimiter.js';
+
+const fakeResponse = (status, headers = {}) => ({
+  status,
+  headers: new Headers(headers),
+});
+
+function createClock(start = 1_700_000_000_000) {
+  const clock = { now: start };
+  return {
+    clock,
+    now: () => clock.now,
+  };
+}
+
+test('rate limiter tracks used weight from Binance headers', async () => {
+  const { now } = createClock();
+  const limiter = new BinanceRateLimiter({ weightLimit: 100, now });
+
+  await limiter.schedule({ weight: 5 }, async () => fakeResponse(200, { 'x-mbx-used-weight-1m': '42' }));
+
+  const usage = limiter.getUsage();
+  assert.equal(usage.usedWeight, 42);
+  assert.equal(usage.usedWeightPct, 42);
+  assert.equal(usage.requests, 1);
+  assert.equal(usage.backoffUntil, null);
+});
+
+test('rate limiter defers market data beyond its share but lets orders through', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { clock, now } = createClock(1_700_000_000_000 - (1_700_000_000_000 % 60_000));
+  const limiter = new BinanceRateLimiter({ weightLimit: 100, marketDataShare: 0.5, now });
+
+  await limiter.schedule({ weight: 50, priority: 'market' }, async () => fakeResponse(200));
+
+  let marketDone = false;
+  const market = limiter
+    .schedule({ weight: 10, priority: 'market' }, async () => fakeResponse(200))
+    .then(() => {
+      marketDone = true;
+    });
+  await limiter.schedule({ weight: 1, priority: 'order' }, async () => fakeResponse(200));
+
+  await Promise.resolve();
+  assert.equal(marketDone, false);
+  assert.equal(limiter.getUsage().queued, 1);
+
+  clock.now += 60_000;
+  t.mock.timers.tick(60_100);
+  await market;
+  assert.equal(marketDone, true);
+  assert.equal(limiter.getUsage().delayed, 1);
+});
+
+test('rate limiter pauses every request for Retry-After after a 429', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { clock, now } = createClock();
+  const limiter = new BinanceRateLimiter({ weightLimit: 1000, now });
+
+  const limited = await limiter.schedule({ weight: 1 }, async () => fakeResponse(429, { 'retry-after': '5' }));
+  assert.equal(limited.status, 429);
+  assert.ok(limiter.getUsage().backoffUntil);
+  assert.equal(limiter.getUsage().rateLimited, 1);
+
+  let orderDone = false;
+  const order = limiter
+    .schedule({ weight: 1, priority: 'order' }, async () => fakeResponse(200))
+    .then(() => {
+      orderDone = true;
+    });
+
+  await Promise.resolve();
+  assert.equal(orderDone, false);
+
+  clock.now += 5_000;
+  t.mock.timers.tick(5_100);
+  await order;
+  assert.equal(orderDone, true);
+  assert.equal(limiter.getUsage().backoffUntil, null);
+});
+
+test('signed requests are timestamped after the limiter releases them', async (t) => {
+  process.env.BINANCE_MODE = 'paper';
+  const { BinanceClient, binanceRateLimiter } = await import('../clients/binanceClient.js');
+  const client = new BinanceClient();
+  client.timeSync.lastSync = Date.now();
+  const urls = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    urls.push(new URL(url));
+    return new Response('{}', { status: 200 });
+  });
+
+  const releasedAt = Date.now() + 150;
+  binanceRateLimiter.bannedUntil = releasedAt;
+  try {
+    await client.request('GET', '/fapi/v2/account', { recvWindow: 5000 });
+  } finally {
+    binanceRateLimiter.bannedUntil = 0;
+  }
+
+  assert.equal(urls.length, 1);
+  assert.ok(Number(urls[0].searchParams.get('timestamp')) >= releasedAt);
+  assert.ok(urls[0].searchParams.get('signature'));
+});
@@ -0,0 +1,307 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { BinanceRealtimeFeed, BinanceUserDataStream, parseAccountUpdate } = await import('../clients/binanceClient.js');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const nextEvent = (emitter, event) =>
+  new Promise((resolve) => {
+    const handler = (payload) => {
+      emitter.off(event, handler);
+      resolve(payload);
+    };
+    emitter.on(event, handler);
+  });
+
+function encodeFrame(text) {
+  const payload = Buffer.from(text);
+  const header =
+    payload.length < 126
+      ? Buffer.from([0x81, payload.length])
+      : Buffer.from([0x81, 126, payload.length >> 8, payload.length & 0xff]);
+  return Buffer.concat([header, payload]);
+}
+
+// Reads the masked text frames a client sends; enough of RFC 6455 for the
+// small subscription requests the streams send.
+function decodeFrames(buffer, onText) {
+  let offset = 0;
+  while (buffer.length - offset >= 6) {
+    const opcode = buffer[offset] & 0x0f;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    }
+    if (buffer.length < cursor + 4 + length) {
+      break;
+    }
+    const mask = buffer.subarray(cursor, cursor + 4);
+    const payload = Buffer.from(buffer.subarray(cursor + 4, cursor + 4 + length));
+    for (let index = 0; index < payload.length; index += 1) {
+      payload[index] ^= mask[index % 4];
+    }
+    if (opcode === 0x1) {
+      onText(payload.toString('utf8'));
+    }
+    offset = cursor + 4 + length;
+  }
+  return buffer.subarray(offset);
+}
+
+async function createStreamServer() {
+  const server = createServer();
+  const connections = [];
+  server.on('upgrade', (req, socket) => {
+    const accept = crypto
+      .createHash('sha1')
+      .update(`${req.headers['sec-websocket-key']}${WEBSOCKET_GUID}`)
+      .digest('base64');
+    socket.write(
+      ['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n')
+    );
+    const connection = { url: req.url, socket, requests: [], send: (data) => socket.write(encodeFrame(JSON.stringify(data))) };
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      pending = decodeFrames(Buffer.concat([pending, chunk]), (text) => {
+        connection.requests.push(JSON.parse(text));
+        server.emit('request', connection);
+      });
+    });
+    socket.on('error', () => {});
+    connections.push(connection);
+    server.emit('connection:ws', connection);
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    connections,
+    nextConnection: () => once(server, 'connection:ws').then(([connection]) => connection),
+    nextRequest: () => once(server, 'request').then(([connection]) => connection.requests.at(-1)),
+    async close() {
+      for (const connection of connections) {
+        connection.socket.destroy();
+      }
+      server.close();
+      await once(server, 'close');
+    },
+  };
+}
+
+test('market feed subscribes over the combined stream and resubscribes after a reconnect', async () => {
+  const server = await createStreamServer();
+  const feed = new BinanceRealtimeFeed({ mode: 'websocket', url: `${server.url}/stream`, pollIntervalMs: 60_000 });
+  try {
+    const connected = server.nextConnection();
+    const subscribed = server.nextRequest();
+    feed.start(['BTCUSDT']);
+    const connection = await connected;
+    assert.equal(connection.url, '/stream');
+    const request = await subscribed;
+    assert.equal(request.method, 'SUBSCRIBE');
+    assert.deepEqual(request.params, ['btcusdt@markPrice@1s', 'btcusdt@bookTicker', 'btcusdt@aggTrade']);
+
+    const ticked = nextEvent(feed, 'tick');
+    connection.send({ stream: 'btcusdt@aggTrade', data: { e: 'aggTrade', s: 'BTCUSDT', p: '100.5', E: 1_714_550_400_000 } });
+    const tick = await ticked;
+    assert.equal(tick.price, 100.5);
+    assert.equal(tick.source, 'websocket');
+    assert.equal(tick.exchangeTime, 1_714_550_400_000);
+
+    const added = server.nextRequest();
+    feed.updateSymbols(['BTCUSDT', 'ETHUSDT']);
+    assert.deepEqual((await added).params, ['ethusdt@markPrice@1s', 'ethusdt@bookTicker', 'ethusdt@aggTrade']);
+
+    const marked = nextEvent(feed, 'tick');
+    connection.send({ stream: 'btcusdt@markPrice@1s', data: { e: 'markPriceUpdate', s: 'BTCUSDT', p: '100.4', E: 1_714_550_401_000 } });
+    connection.send({ stream: 'btcusdt@aggTrade', data: { e: 'aggTrade', s: 'BTCUSDT', p: '100.6', E: 1_714_550_401_000 } });
+    assert.equal((await marked).markPrice, 100.4);
+
+    const removed = server.nextRequest();
+    feed.updateSymbols(['ETHUSDT']);
+    const unsubscribe = await removed;
+    assert.equal(unsubscribe.method, 'UNSUBSCRIBE');
+    assert.deepEqual(unsubscribe.params, ['btcusdt@markPrice@1s', 'btcusdt@bookTicker', 'btcusdt@aggTrade']);
+
+    const reconnected = server.nextConnection();
+    const resubscribed = server.nextRequest();
+    connection.socket.destroy();
+    await reconnected;
+    assert.deepEqual((await resubscribed).params, ['ethusdt@markPrice@1s', 'ethusdt@bookTicker', 'ethusdt@aggTrade']);
+  } finally {
+    feed.stop();
+    await server.close();
+  }
+});
+
+test('user data stream connects with the listenKey and emits order updates', async () => {
+  const server = await createStreamServer();
+  const client = {
+    createListenKey: async () => 'listen-key-1',
+    keepAliveListenKey: async () => {},
+    closeListenKey: async () => {},
+  };
+  const stream = new BinanceUserDataStream(client, { enabled: true, baseUrl: `${server.url}/ws` });
+  try {
+    const connection = server.nextConnection();
+    const connected = nextEvent(stream, 'connected');
+    await stream.start();
+    assert.equal((await connection).url, '/ws/listen-key-1');
+    await connected;
+    assert.equal(stream.isConnected(), true);
+
+    const updated = nextEvent(stream, 'orderUpdate');
+    (await connection).send({
+      e: 'ORDER_TRADE_UPDATE',
+      T: 1_714_550_400_000,
+      o: { s: 'BTCUSDT', i: 42, S: 'SELL', o: 'LIMIT', X: 'FILLED', x: 'TRADE', q: '0.5', z: '0.5', l: '0.5', L: '101', ap: '101', R: true },
+    });
+    const update = await updated;
+    assert.equal(update.orderId, '42');
+    assert.equal(update.status, 'FILLED');
+    assert.equal(update.cumulativeQty, 0.5);
+    assert.equal(update.reduceOnly, true);
+  } finally {
+    stream.stop();
+    await server.close();
+  }
+});
+
+function createListenKeyClient() {
+  const client = {
+    issued: 0,
+    keepAlives: 0,
+    keepAliveError: null,
+    createListenKey: async () => `listen-key-${(client.issued += 1)}`,
+    keepAliveListenKey: async () => {
+      client.keepAlives += 1;
+      if (client.keepAliveError) throw client.keepAliveError;
+    },
+    closeListenKey: async () => {},
+  };
+  return client;
+}
+
+test('user data stream reconnects with a fresh listenKey once the old one expires', async () => {
+  const server = await createStreamServer();
+  const client = createListenKeyClient();
+  const stream = new BinanceUserDataStream(client, { enabled: true, baseUrl: `${server.url}/ws` });
+  try {
+    const first = server.nextConnection();
+    const connected = nextEvent(stream, 'connected');
+    await stream.start();
+    await connected;
+
+    const disconnected = nextEvent(stream, 'disconnected');
+    const second = server.nextConnection();
+    const reconnected = nextEvent(stream, 'connected');
+    (await first).send({ e: 'listenKeyExpired', E: 1_714_550_400_000 });
+    assert.equal(await disconnected, 'listenKey expired');
+    assert.equal((await second).url, '/ws/listen-key-2');
+    await reconnected;
+    assert.equal(stream.isConnected(), true);
+  } finally {
+    stream.stop();
+    await server.close();
+  }
+});
+
+test('user data stream keeps the listenKey alive and reconnects when keepalive fails', async () => {
+  const server = await createStreamServer();
+  const client = createListenKeyClient();
+  const stream = new BinanceUserDataStream(client, { enabled: true, baseUrl: `${server.url}/ws` });
+  stream.keepAliveMs = 20;
+  try {
+    const connected = nextEvent(stream, 'connected');
+    await stream.start();
+    await connected;
+    await new Promise((resolve) => setTimeout(resolve, 70));
+    assert.ok(client.keepAlives >= 1);
+    assert.equal(client.issued, 1);
+
+    const disconnected = nextEvent(stream, 'disconnected');
+    const reconnected = server.nextConnection();
+    client.keepAliveError = new Error('listenKey does not exist');
+    assert.equal(await disconnected, 'keepalive failed');
+    client.keepAliveError = null;
+    assert.equal((await reconnected).url, '/ws/listen-key-2');
+  } finally {
+    stream.stop();
+    await server.close();
+  }
+});
+
+async function createStreamedEngine(recorder = {}) {
+  const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+  const { TradingEngine } = await import('../services/tradingEngine.js');
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  return new TradingEngine(['BTCUSDT', 'ETHUSDT'], { binance: paper, stateStore: null, strategyMode: 'llm', recorder });
+}
+
+test('account updates merge streamed legs into the cached positions', async () => {
+  const engine = await createStreamedEngine();
+  engine.positionCache = {
+    timestamp: Date.now(),
+    map: new Map([
+      ['BTCUSDT', { symbol: 'BTCUSDT', positionSide: 'BOTH', positionAmt: 1, entryPrice: 100 }],
+      ['SOLUSDT', { symbol: 'SOLUSDT', positionSide: 'BOTH', positionAmt: -3, entryPrice: 20 }],
+    ]),
+  };
+  engine.balanceCache = { timestamp: Date.now(), available: 500, balance: 1_000 };
+
+  engine.userStream.emit(
+    'accountUpdate',
+    parseAccountUpdate({
+      e: 'ACCOUNT_UPDATE',
+      E: 1_714_550_400_000,
+      a: {
+        m: 'ORDER',
+        B: [{ a: 'USDT', wb: '990', cw: '990', bc: '0' }],
+        P: [
+          { s: 'BTCUSDT', pa: '0', ep: '0', up: '0', mt: 'cross', ps: 'BOTH' },
+          { s: 'ETHUSDT', pa: '2', ep: '10', up: '0', mt: 'cross', ps: 'LONG' },
+        ],
+      },
+    })
+  );
+
+  assert.equal(await engine.getPosition('BTCUSDT'), null);
+  const eth = await engine.getPosition('ETHUSDT');
+  assert.equal(eth.side, 'long');
+  assert.equal(eth.positionSide, 'LONG');
+  assert.equal(eth.quantity, 2);
+  assert.equal((await engine.getPosition('SOLUSDT')).side, 'short');
+  assert.equal(engine.balanceCache.timestamp, 0);
+});
+
+test('streamed fills of tracked orders book only the quantity not yet recorded', async () => {
+  const executions = [];
+  const engine = await createStreamedEngine({ recordExecution: async (result, decision) => executions.push([result, decision]) });
+  engine.trackOrder(7, { symbol: 'BTCUSDT', bias: 'long', action: 'entry' }, 1);
+  const update = (fields) =>
+    engine.handleOrderUpdate({ orderId: '7', symbol: 'BTCUSDT', side: 'SELL', executionType: 'TRADE', lastFilledPrice: 101, ...fields });
+
+  await update({ status: 'PARTIALLY_FILLED', cumulativeQty: 1 });
+  await update({ status: 'PARTIALLY_FILLED', cumulativeQty: 2.5 });
+  await update({ status: 'PARTIALLY_FILLED', cumulativeQty: 2.5 });
+  await update({ status: 'FILLED', cumulativeQty: 3 });
+  assert.equal(engine.trackedOrders.has('7'), false);
+  await update({ status: 'FILLED', cumulativeQty: 3.5 });
+  await engine.handleOrderUpdate({ orderId: '8', symbol: 'BTCUSDT', side: 'BUY', executionType: 'TRADE', status: 'FILLED', cumulativeQty: 1 });
+
+  assert.deepEqual(
+    executions.map(([result, decision]) => [result.orderId, result.status, result.filledQty, result.avgPrice, decision.bias]),
+    [
+      ['7', 'PARTIALLY_FILLED', 1.5, 101, 'short'],
+      ['7', 'FILLED', 0.5, 101, 'short'],
+    ]
+  );
+});
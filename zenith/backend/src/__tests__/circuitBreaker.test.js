@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { CircuitBreaker } from '../services/circuitBreaker.js';
+
+const DAY_MS = 86_400_000;
+
+function createBreaker(overrides = {}) {
+  let now = Date.parse('2024-05-01T08:00:00Z');
+  const breaker = new CircuitBreaker({
+    dailyRealizedLossPct: 5,
+    dailyUnrealizedLossPct: 4,
+    maxDrawdownPct: 10,
+    now: () => now,
+    ...overrides,
+  });
+  return {
+    breaker,
+    advance: (ms) => {
+      now += ms;
+    },
+  };
+}
+
+test('circuit breaker trips on daily realized loss and holds until the next UTC day', () => {
+  const { breaker, advance } = createBreaker();
+  assert.equal(breaker.update({ balance: 10_000, equity: 10_000 }), null);
+  assert.equal(breaker.update({ balance: 9_700, equity: 9_700 }), null);
+
+  const trip = breaker.update({ balance: 9_480, equity: 9_480 });
+  assert.equal(trip.reason, 'daily_realized_loss');
+  assert.equal(trip.value, 5.2);
+  assert.equal(breaker.isTripped(), true);
+
+  assert.equal(breaker.update({ balance: 9_800, equity: 9_800 }), null);
+  assert.equal(breaker.isTripped(), true);
+
+  advance(DAY_MS);
+  assert.equal(breaker.isTripped(), false);
+  assert.equal(breaker.getState().dayStartEquity, 9_800);
+});
+
+test('circuit breaker tracks open loss and drawdown from the peak', () => {
+  const { breaker } = createBreaker();
+  breaker.update({ balance: 10_000, equity: 10_000 });
+  assert.equal(breaker.update({ balance: 10_000, equity: 9_650 }), null);
+  assert.equal(breaker.update({ balance: 10_000, equity: 9_580 }).reason, 'daily_unrealized_loss');
+
+  const drawdown = createBreaker({ dailyRealizedLossPct: 0, dailyUnrealizedLossPct: 0 }).breaker;
+  drawdown.update({ balance: 10_000, equity: 10_000 });
+  drawdown.update({ balance: 12_000, equity: 12_000 });
+  assert.equal(drawdown.update({ balance: 10_700, equity: 10_700 }).reason, 'max_drawdown');
+  assert.equal(drawdown.getState().peakEquity, 12_000);
+});
+
+test('manual reset clears the trip and rebases the day and peak', () => {
+  const { breaker } = createBreaker();
+  breaker.update({ balance: 10_000, equity: 10_000 });
+  breaker.update({ balance: 9_000, equity: 9_000 });
+  assert.equal(breaker.isTripped(), true);
+
+  breaker.reset();
+  const state = breaker.getState();
+  assert.equal(state.tripped, false);
+  assert.equal(state.dayStartEquity, 9_000);
+  assert.equal(state.peakEquity, 9_000);
+  assert.equal(breaker.update({ balance: 8_900, equity: 8_900 }), null);
+});
@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { AnalyticsStore } = await import('../store/analyticsStore.js');
+const { searchArchivedSignals } = await import('../store/analyticsPersistence.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+const promptContext = {
+  symbol: 'BTCUSDT',
+  price: 100,
+  change_5m_pct: 0.4,
+  rsi_14: 58,
+  atr_pct: 0.5,
+  edge_score: 0.5,
+  local_signal: { bias: 'long', confidence: 0.7, edgeScore: 0.5, reasoning: 'Momentum up' },
+};
+
+const snapshot = {
+  promptContext: JSON.stringify(promptContext),
+  metrics: {
+    lastPrice: 100,
+    localSignal: promptContext.local_signal,
+    atrPct: 0.5,
+    change5mPct: 0.4,
+    rsi14: 58,
+    volumeRatio: 1.2,
+    mfi14: 55,
+  },
+};
+
+function createEngine(journal) {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.updateMarketPrice('BTCUSDT', { price: 100 });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity: Number(quantity.toFixed(3)) });
+  const engine = new TradingEngine(['BTCUSDT'], {
+    binance: paper,
+    stateStore: null,
+    strategyMode: 'llm',
+    dryRun: false,
+    clock: () => Date.parse('2024-05-01T00:00:00Z'),
+    decisionProvider: async () => ({ bias: 'long', confidence: 0.66, reasoning: 'Trend intact', model: 'gpt-test' }),
+    recorder: {
+      recordStrategy: async (_decision, _riskLevel, options) => journal.push(options.journal),
+      recordExecution: async () => {},
+      recordRiskRejection: async () => {},
+      recordExecutionAlgo: async () => {},
+      recordFlatten: async () => {},
+      recordEquity: async () => {},
+    },
+  });
+  engine.latestTicks.set('BTCUSDT', { price: 100, eventTime: Date.parse('2024-05-01T00:00:00Z') });
+  engine.evaluateLlmSymbol = (symbol) =>
+    engine.resolveDecision(symbol, snapshot, engine.latestTicks.get(symbol), promptContext, null);
+  return engine;
+}
+
+test('each decision is journaled with its inputs, sizing, orders and outcome', async () => {
+  const journal = [];
+  const engine = createEngine(journal);
+
+  await engine.evaluateAndExecute(['BTCUSDT'], {});
+  const [entry] = journal;
+  assert.equal(entry.id.startsWith('BTCUSDT-'), true);
+  assert.equal(entry.created_at, '2024-05-01T00:00:00.000Z');
+  assert.equal(entry.strategy, 'llm');
+  assert.equal(entry.mode, 'live');
+  assert.equal(entry.source, 'openai');
+  assert.equal(entry.model, 'gpt-test');
+  assert.equal(entry.prompt_context.symbol, 'BTCUSDT');
+  assert.deepEqual(entry.cache, { reused: false, reason: 'no_cached_decision', age_ms: undefined, price_drift_pct: undefined });
+  assert.equal(entry.context_shift, null);
+  assert.deepEqual(entry.local_override, { applied: true, confidence_before: 0.66, confidence_after: 0.7 });
+  assert.ok(entry.sizing.quantity > 0);
+  assert.equal(entry.sizing.reference_price, 100);
+  assert.equal(entry.orders.length, 1);
+  assert.equal(entry.orders[0].side, 'BUY');
+  assert.deepEqual(entry.outcome, { status: 'executed', reason: undefined });
+  assert.equal(entry.decision.usage, undefined);
+
+  await engine.evaluateAndExecute(['BTCUSDT'], {});
+  const reused = journal[1];
+  assert.equal(reused.source, 'cache');
+  assert.equal(reused.model, 'gpt-test');
+  assert.equal(reused.cache.reused, true);
+  assert.equal(reused.cache.reason, 'Maintaining stance');
+  assert.equal(reused.context_shift, 0);
+  assert.deepEqual(reused.orders, []);
+  assert.deepEqual(reused.outcome, { status: 'skipped', reason: 'position_already_open' });
+});
+
+test('decisions that outlive the evaluation deadline are closed as timed out', async () => {
+  const journal = [];
+  const engine = createEngine(journal);
+  engine.symbolEvaluationTimeoutMs = 20;
+  let finishEvaluation;
+  const evaluated = new Promise((resolve) => {
+    finishEvaluation = resolve;
+  });
+  const evaluateLlmSymbol = engine.evaluateLlmSymbol;
+  engine.evaluateLlmSymbol = async (symbol) => {
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    const decision = await evaluateLlmSymbol(symbol);
+    setImmediate(finishEvaluation);
+    return decision;
+  };
+
+  const stats = {};
+  await engine.evaluateAndExecute(['BTCUSDT'], stats);
+  assert.equal(stats.timedOut, 1);
+  assert.equal(stats.executed, 0);
+  await evaluated;
+
+  const [entry] = journal;
+  assert.equal(journal.length, 1);
+  assert.deepEqual(entry.outcome, { status: 'timed_out', reason: 'evaluation_exceeded_20ms' });
+  assert.deepEqual(entry.orders, []);
+  assert.equal(entry.source, 'openai');
+  assert.equal(await engine.getPosition('BTCUSDT', { forceRefresh: true }), null);
+});
+
+test('signal records can be looked up by id and filtered by symbol and time', () => {
+  const store = new AnalyticsStore();
+  const journal = (id, createdAt) => ({ journal: { id, created_at: createdAt, outcome: { status: 'skipped' } } });
+  store.addSignal({ symbol: 'BTCUSDT', bias: 'long', confidence: 0.7 }, 3, { ...journal('a', '2024-05-01T00:00:00.000Z'), persist: false });
+  store.addSignal({ symbol: 'ETHUSDT', bias: 'short', confidence: 0.6 }, 3, { ...journal('b', '2024-05-01T00:05:00.000Z'), persist: false });
+  store.addSignal({ symbol: 'BTCUSDT', bias: 'flat', confidence: 0.5 }, 3, { ...journal('c', '2024-05-01T00:10:00.000Z'), persist: false });
+
+  assert.equal(store.getSignal('b').symbol, 'ETHUSDT');
+  assert.equal(store.getSignal('missing'), null);
+  assert.deepEqual(store.querySignals({ symbol: 'BTCUSDT' }).map((signal) => signal.id), ['c', 'a']);
+  assert.deepEqual(
+    store
+      .querySignals({ from: Date.parse('2024-05-01T00:05:00Z'), to: Date.parse('2024-05-01T00:10:00Z') })
+      .map((signal) => signal.id),
+    ['c', 'b']
+  );
+  assert.deepEqual(store.querySignals({ limit: 1 }).map((signal) => signal.id), ['c']);
+});
+
+test('signal lookups reach archived records that left the in-memory ring', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zenith-signals-'));
+  const file = path.join(dir, 'analytics-history.ndjson');
+  const signal = (id, symbol, createdAt) => ({ id, symbol, created_at: createdAt, outcome: { status: 'skipped' } });
+  const lines = [
+    { type: 'signal', data: signal('old-btc', 'BTCUSDT', '2024-05-01T00:00:00.000Z') },
+    { type: 'equity', data: { balance: 1, equity: 1 } },
+    { type: 'signal', data: signal('old-eth', 'ETHUSDT', '2024-05-01T00:05:00.000Z') },
+    { type: 'signal', data: signal('mid-btc', 'BTCUSDT', '2024-05-01T00:10:00.000Z') },
+  ];
+  await fs.writeFile(file, `${lines.map((line) => JSON.stringify(line)).join('\n')}\nnot json\n`, 'utf8');
+
+  const store = new AnalyticsStore({ searchArchive: (query) => searchArchivedSignals(query, { file }) });
+  store.addSignal({ symbol: 'BTCUSDT', bias: 'long', confidence: 0.7 }, 3, {
+    journal: { id: 'new-btc', created_at: '2024-05-01T00:15:00.000Z' },
+    persist: false,
+  });
+
+  assert.equal((await store.findSignal('old-eth')).symbol, 'ETHUSDT');
+  assert.equal((await store.findSignal('new-btc')).symbol, 'BTCUSDT');
+  assert.equal(await store.findSignal('missing'), null);
+  assert.deepEqual((await store.searchSignals({ symbol: 'BTCUSDT' })).map((entry) => entry.id), ['new-btc', 'mid-btc', 'old-btc']);
+  assert.deepEqual(
+    (await store.searchSignals({ to: Date.parse('2024-05-01T00:10:00Z'), limit: 2 })).map((entry) => entry.id),
+    ['mid-btc', 'old-eth']
+  );
+  assert.deepEqual(await searchArchivedSignals({}, { file: path.join(dir, 'missing.ndjson') }), []);
+});
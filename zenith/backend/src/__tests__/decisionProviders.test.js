@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+process.env.OPENAI_API_KEY ||= 'test-key';
+
+const { createRecordedDecisionProvider, createRuleDecisionProvider } = await import(
+  '../services/decisionProviders.js'
+);
+
+test('recorded provider replays the latest decision at or before the clock', async () => {
+  let now = Date.parse('2024-05-01T00:05:00Z');
+  const provider = createRecordedDecisionProvider(
+    [
+      { symbol: 'BTCUSDT', bias: 'long', confidence: 0.8, timestamp: '2024-05-01T00:00:00Z' },
+      { type: 'signal', data: { symbol: 'btcusdt', bias: 'short', confidence: 0.7, created_at: '2024-05-01T00:10:00Z' } },
+      { type: 'equity', data: { equity: 1_000 } },
+    ],
+    { clock: () => now }
+  );
+
+  const first = await provider('BTCUSDT');
+  assert.equal(first.bias, 'long');
+  assert.equal(first.model, 'recorded');
+
+  now = Date.parse('2024-05-01T00:12:00Z');
+  assert.equal((await provider('BTCUSDT')).bias, 'short');
+
+  now = Date.parse('2024-04-30T23:00:00Z');
+  await assert.rejects(provider('BTCUSDT'), /No recorded decision/);
+});
+
+test('rule provider follows the local signal above the confidence floor', async () => {
+  const provider = createRuleDecisionProvider({ minConfidence: 0.6 });
+
+  const strong = await provider('ETHUSDT', JSON.stringify({ local_signal: { bias: 'short', confidence: 0.75 } }));
+  assert.equal(strong.bias, 'short');
+  assert.equal(strong.confidence, 0.75);
+
+  const weak = await provider('ETHUSDT', { local_signal: { bias: 'long', confidence: 0.4 } });
+  assert.equal(weak.bias, 'flat');
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { AnalyticsStore, DRY_RUN_NAMESPACE } = await import('../store/analyticsStore.js');
+const { DryRunBook } = await import('../services/dryRunBook.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+test('virtual fills track positions and PnL in the dry_run namespace only', () => {
+  const store = new AnalyticsStore();
+  const book = new DryRunBook({ store, now: () => Date.parse('2024-05-01T00:00:00Z') });
+
+  book.fill({ symbol: 'BTCUSDT', side: 'BUY', quantity: 2, price: 100, reason: 'entry' });
+  assert.equal(book.getPosition('BTCUSDT').side, 'long');
+  assert.deepEqual(book.getRawPositions(), [{ symbol: 'BTCUSDT', positionSide: 'BOTH', positionAmt: 2, entryPrice: 100 }]);
+
+  book.setProtection('BTCUSDT', { stopPrice: 95, takeProfitPrice: 110 });
+  assert.deepEqual(book.checkProtection(new Map([['BTCUSDT', 100]])), []);
+  const [trigger] = book.checkProtection(new Map([['BTCUSDT', 111]]));
+  assert.deepEqual(trigger, { symbol: 'BTCUSDT', side: 'SELL', quantity: 2, price: 111, reason: 'take_profit' });
+
+  const exit = book.fill(trigger);
+  assert.equal(exit.order.realized_pnl, 22);
+  assert.equal(book.getPosition('BTCUSDT'), null);
+  assert.equal(book.protection.size, 0);
+
+  const summary = book.getSummary();
+  assert.equal(summary.realizedPnl, 22);
+  assert.equal(summary.wins, 1);
+  assert.deepEqual(summary.recentOrders.map((order) => order.reason), ['take_profit', 'entry']);
+  assert.equal(store.symbolStats.size, 0);
+  assert.equal(store.getRealizedPnl(DRY_RUN_NAMESPACE), 22);
+});
+
+test('dry-run decisions fill the virtual book and never reach the exchange', async () => {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.updateMarketPrice('BTCUSDT', { price: 100 });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity });
+  const store = new AnalyticsStore();
+  const engine = new TradingEngine(['BTCUSDT'], {
+    binance: paper,
+    stateStore: null,
+    strategyMode: 'llm',
+    dryRun: true,
+    dryRunBook: new DryRunBook({ store }),
+  });
+  engine.latestTicks.set('BTCUSDT', { price: 100 });
+
+  await engine.executeDecision({
+    symbol: 'BTCUSDT',
+    bias: 'long',
+    action: 'entry',
+    confidence: 0.9,
+    localEdge: 0.8,
+    localConfidence: 0.8,
+    entryPrice: 100,
+  });
+  assert.deepEqual(await paper.fetchPositions(), []);
+  assert.deepEqual(await paper.fetchOpenOrders('BTCUSDT'), []);
+  const position = await engine.getDecisionPosition('BTCUSDT');
+  assert.equal(position.side, 'long');
+  assert.ok(engine.dryRunBook.protection.get('BTCUSDT').stopPrice < 100);
+
+  engine.latestTicks.set('BTCUSDT', { price: 90 });
+  await engine.executeDecision({ symbol: 'BTCUSDT', bias: 'flat', action: 'exit', confidence: 0.7 });
+  assert.equal(engine.dryRunBook.getPosition('BTCUSDT'), null);
+  assert.equal(engine.getDryRunSummary().losses, 1);
+  assert.ok(engine.getDryRunSummary().realizedPnl < 0);
+
+  const modes = [];
+  engine.on('modeChanged', (mode) => modes.push(mode));
+  assert.equal(engine.setMode('live'), 'live');
+  assert.equal(engine.setMode('dry-run'), 'dry_run');
+  assert.throws(() => engine.setMode('paper'), /Mode must be one of/);
+  assert.deepEqual(modes, ['live', 'dry_run']);
+  assert.equal(engine.snapshotState().mode, 'dry_run');
+});
+
+test('a dry-run flatten closes only the virtual book, also when the circuit breaker trips', async () => {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity });
+  paper.updateMarketPrice('BTCUSDT', { price: 100 });
+  await paper.placeMarketOrder('BTCUSDT', 'BUY', 1);
+  await paper.placeLimitOrder('BTCUSDT', 'BUY', 1, 90);
+  const flattens = [];
+  const engine = new TradingEngine(['BTCUSDT'], {
+    binance: paper,
+    stateStore: null,
+    strategyMode: 'llm',
+    dryRun: true,
+    dryRunBook: new DryRunBook({ store: new AnalyticsStore() }),
+    recorder: { recordFlatten: async (report) => flattens.push(report) },
+  });
+  engine.dryRunBook.fill({ symbol: 'BTCUSDT', side: 'SELL', quantity: 2, price: 100, reason: 'entry' });
+  engine.latestTicks.set('BTCUSDT', { price: 95 });
+  engine.circuitBreaker.flattenOnTrip = true;
+
+  await engine.handleCircuitBreakerTrip({ reason: 'daily_realized_loss' });
+  const [report] = flattens;
+  assert.equal(report.namespace, DRY_RUN_NAMESPACE);
+  assert.deepEqual(report.cancelledOrders, []);
+  assert.deepEqual(report.summary, { closed: 1, partial: 0, failed: 0, cancelledOrders: 0, realizedPnl: 10 });
+  assert.equal(report.positions[0].side, 'BUY');
+  assert.equal(engine.dryRunBook.getPosition('BTCUSDT'), null);
+
+  assert.equal((await paper.fetchPositions())[0].positionAmt, 1);
+  assert.equal((await paper.fetchOpenOrders('BTCUSDT')).length, 1);
+});
@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+const { EngineStateFile, ENGINE_STATE_VERSION } = await import('../store/engineStatePersistence.js');
+
+async function createStateFile() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zenith-engine-state-'));
+  return new EngineStateFile(path.join(dir, 'engine-state.json'));
+}
+
+function createEngine(stateStore, now = Date.now()) {
+  const paper = new PaperBinanceClient({ stateFile: null, livePrices: false });
+  return new TradingEngine(['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], {
+    binance: paper,
+    stateStore,
+    strategyMode: 'llm',
+    clock: () => now,
+  });
+}
+
+test('engine controls, blocked symbols and fresh decisions survive a restart', async () => {
+  const store = await createStateFile();
+  const now = Date.parse('2024-05-01T08:00:00Z');
+  const first = createEngine(store, now);
+  first.setRiskLevel(5);
+  first.setUserLeverage(first.leverageRange.min);
+  first.setRiskPerTradePercent(first.riskPerTradeRange.max);
+  first.blockSymbol('SOLUSDT');
+  first.cacheDecision('BTCUSDT', { decision: { symbol: 'BTCUSDT', bias: 'long' }, price: 100, timestamp: now - 1_000 });
+  first.cacheDecision('ETHUSDT', { decision: { symbol: 'ETHUSDT', bias: 'short' }, price: 50, timestamp: now - 3_600_000 });
+  await store.writeChain;
+
+  const saved = JSON.parse(await fs.readFile(store.file, 'utf8'));
+  assert.equal(saved.version, ENGINE_STATE_VERSION);
+
+  const second = createEngine(store, now);
+  assert.equal(await second.restoreState(), true);
+  assert.equal(second.getRiskLevel(), 5);
+  assert.equal(second.getUserLeverage(), second.leverageRange.min);
+  assert.equal(second.getRiskPerTradePercent(), second.riskPerTradeRange.max);
+  assert.deepEqual(second.getBlockedSymbols(), ['SOLUSDT']);
+  assert.deepEqual(second.getActiveSymbols(), ['BTCUSDT', 'ETHUSDT']);
+  assert.deepEqual(Array.from(second.decisionCache.keys()), ['BTCUSDT']);
+});
+
+test('state reset restores defaults and removes the state file', async () => {
+  const store = await createStateFile();
+  const engine = createEngine(store);
+  const defaults = { riskLevel: engine.getRiskLevel(), allocationPct: engine.getAllocationPercent() };
+  engine.setRiskLevel(1);
+  engine.setAllocationPercent(engine.allocationRange.min);
+  engine.blockSymbol('ETHUSDT');
+  await store.writeChain;
+
+  await engine.resetState();
+  assert.equal(engine.getRiskLevel(), defaults.riskLevel);
+  assert.equal(engine.getAllocationPercent(), defaults.allocationPct);
+  assert.deepEqual(engine.getBlockedSymbols(), []);
+  assert.deepEqual(engine.baseSymbols, ['BTCUSDT', 'ETHUSDT', 'SOLUSDT']);
+  await assert.rejects(fs.access(store.file), { code: 'ENOENT' });
+});
+
+test('state files from an unknown schema version are ignored', async () => {
+  const store = await createStateFile();
+  await fs.writeFile(store.file, JSON.stringify({ version: ENGINE_STATE_VERSION + 1, riskLevel: 1 }), 'utf8');
+
+  const engine = createEngine(store);
+  assert.equal(await engine.restoreState(), false);
+  assert.equal(engine.getRiskLevel(), 3);
+});
+
+test('symbol blocks expire and pinned symbols stay active across restarts', async () => {
+  const store = await createStateFile();
+  let now = Date.parse('2024-05-01T08:00:00Z');
+  const paper = new PaperBinanceClient({ stateFile: null, livePrices: false });
+  const options = { binance: paper, stateStore: store, strategyMode: 'llm', clock: () => now };
+  const first = new TradingEngine(['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], options);
+  const block = first.setSymbolBlock('ethusdt', { reason: 'news', ttlMinutes: 30 });
+  assert.deepEqual(block, {
+    symbol: 'ETHUSDT',
+    reason: 'news',
+    blockedAt: '2024-05-01T08:00:00.000Z',
+    expiresAt: '2024-05-01T08:30:00.000Z',
+  });
+  assert.throws(() => first.setSymbolBlock('SOLUSDT', { expiresAt: now - 1 }), /future/);
+  first.pinSymbol('DOGEUSDT');
+  first._updateActiveSymbols(['BTCUSDT']);
+  assert.deepEqual(first.getActiveSymbols(), ['DOGEUSDT', 'BTCUSDT']);
+  await store.writeChain;
+
+  const second = new TradingEngine(['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], options);
+  assert.equal(await second.restoreState(), true);
+  assert.deepEqual(second.getSymbolBlocks(), [block]);
+  assert.deepEqual(second.getPinnedSymbols(), ['DOGEUSDT']);
+  assert.deepEqual(second.getActiveSymbols(), ['DOGEUSDT', 'BTCUSDT']);
+  assert.deepEqual(second.baseSymbols, ['BTCUSDT', 'SOLUSDT']);
+
+  now += 30 * 60_000;
+  assert.deepEqual(second.getBlockedSymbols(), []);
+  assert.deepEqual(second.baseSymbols, ['BTCUSDT', 'SOLUSDT', 'ETHUSDT']);
+
+  second.blockSymbol('DOGEUSDT');
+  assert.deepEqual(second.getPinnedSymbols(), []);
+  assert.deepEqual(second.getActiveSymbols(), ['BTCUSDT']);
+  assert.equal(second.getSymbolBlock('DOGEUSDT').reason, 'not_tradable');
+  second.pinSymbol('DOGEUSDT');
+  assert.deepEqual(second.getBlockedSymbols(), []);
+});
+
+test('a tripped circuit breaker and its day baseline survive a restart', async () => {
+  const store = await createStateFile();
+  let now = Date.parse('2024-05-01T08:00:00Z');
+  const paper = new PaperBinanceClient({ stateFile: null, livePrices: false });
+  const options = {
+    binance: paper,
+    stateStore: store,
+    strategyMode: 'llm',
+    clock: () => now,
+    circuitBreaker: { dailyRealizedLossPct: 5, dailyUnrealizedLossPct: 5, maxDrawdownPct: 15 },
+  };
+  const first = new TradingEngine(['BTCUSDT'], options);
+  first.circuitBreaker.update({ balance: 10_000, equity: 10_000 });
+  const trip = first.circuitBreaker.update({ balance: 9_400, equity: 9_400 });
+  await first.handleCircuitBreakerTrip(trip);
+  await store.writeChain;
+
+  const second = new TradingEngine(['BTCUSDT'], options);
+  await assert.rejects(second.start(), { name: 'CircuitBreakerTrippedError' });
+  assert.equal(second.getCircuitBreakerState().trip.reason, 'daily_realized_loss');
+  assert.equal(second.getCircuitBreakerState().dayStartEquity, 10_000);
+
+  await second.resetState();
+  assert.equal(second.getCircuitBreakerState().tripped, true);
+  second.resetCircuitBreaker();
+  await second.stateStore.writeChain;
+
+  const third = new TradingEngine(['BTCUSDT'], options);
+  assert.equal(await third.restoreState(), true);
+  assert.equal(third.getCircuitBreakerState().tripped, false);
+  assert.equal(third.getCircuitBreakerState().dayStartEquity, 9_400);
+
+  now += 86_400_000;
+  const nextDay = new TradingEngine(['BTCUSDT'], options);
+  nextDay.circuitBreaker.restore(first.circuitBreaker.snapshot());
+  assert.equal(nextDay.circuitBreaker.isTripped(), false);
+});
+
+test('blocking a symbol with an open position keeps it active for exits until it is flat', async () => {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity });
+  paper.normalizePrice = async (_symbol, price) => price;
+  paper.updateMarketPrice('BTCUSDT', { price: 100 });
+  paper.updateMarketPrice('ETHUSDT', { price: 10 });
+  await paper.placeMarketOrder('BTCUSDT', 'BUY', 1);
+  const engine = new TradingEngine(['BTCUSDT', 'ETHUSDT'], { binance: paper, stateStore: null, strategyMode: 'llm' });
+  await engine.runReconciliation('startup');
+
+  const evaluated = [];
+  engine.strategies.register('exits', {
+    localSignalGate: false,
+    evaluate: async (symbol) => {
+      evaluated.push(symbol);
+      return { bias: 'flat', confidence: 0.9, exitPrice: 100 };
+    },
+  });
+  engine.setStrategy('exits');
+  engine.setSymbolBlock('BTCUSDT', { reason: 'news' });
+  engine.setSymbolBlock('ETHUSDT', { reason: 'news' });
+  assert.deepEqual(engine.getActiveSymbols(), ['BTCUSDT']);
+  assert.deepEqual(engine.getBlockedSymbols(), ['BTCUSDT', 'ETHUSDT']);
+  await assert.rejects(
+    engine.guardScalpEntries({ place: async () => ({}) }).place({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }),
+    /symbol is blocked/
+  );
+
+  engine.refreshSymbolUniverse = async () => {};
+  engine.captureEquitySnapshot = async () => {};
+  engine.scheduleNextLoop = () => {};
+  engine.running = true;
+  await engine.executeLoop();
+  assert.deepEqual(evaluated, ['BTCUSDT']);
+  assert.equal(await engine.getPosition('BTCUSDT', { forceRefresh: true }), null);
+
+  await engine.runReconciliation('periodic');
+  assert.deepEqual(engine.getActiveSymbols(), []);
+});
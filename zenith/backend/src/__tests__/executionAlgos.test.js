@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { SlicedExecution, adverseMoveBps, planSlicedExecution } = await import('../services/executionAlgos.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+const settings = {
+  enabled: true,
+  algo: 'twap',
+  volumeParticipationPct: 10,
+  maxSlices: 5,
+  postOnly: false,
+  maxChases: 2,
+  maxSlippageBps: 50,
+};
+
+function createPaper() {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity: Number(quantity.toFixed(3)) });
+  paper.normalizePrice = async (_symbol, price) => price;
+  return paper;
+}
+
+test('slicing kicks in above the volume participation threshold', () => {
+  assert.equal(planSlicedExecution({ notional: 900, barQuoteVolume: 10_000, settings }), null);
+  assert.equal(planSlicedExecution({ notional: 5_000, barQuoteVolume: 10_000, settings: { ...settings, enabled: false } }), null);
+  assert.deepEqual(planSlicedExecution({ notional: 2_500, barQuoteVolume: 10_000, settings }), {
+    algo: 'twap',
+    slices: 3,
+    threshold: 1_000,
+  });
+  assert.equal(planSlicedExecution({ notional: 50_000, barQuoteVolume: 10_000, settings }).slices, 5);
+  assert.equal(adverseMoveBps('SELL', 100, 99), 100);
+});
+
+test('twap works the parent in spaced market slices and reports slippage versus arrival', async () => {
+  const paper = createPaper();
+  let price = 100;
+  paper.updateMarketPrice('BTCUSDT', { price });
+  const sleeps = [];
+  const slicer = new SlicedExecution(paper, {
+    settings: { ...settings, sliceIntervalMs: 5_000 },
+    quote: () => ({ price, bid: price, ask: price }),
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      price += 0.1;
+      paper.updateMarketPrice('BTCUSDT', { price });
+    },
+  });
+
+  const report = await slicer.run({ symbol: 'BTCUSDT', side: 'BUY', quantity: 3, arrivalPrice: 100, slices: 3 });
+  assert.equal(report.status, 'completed');
+  assert.equal(report.filledQty, 3);
+  assert.deepEqual(sleeps, [5_000, 5_000]);
+  assert.deepEqual(report.children.map((child) => child.type), ['MARKET', 'MARKET', 'MARKET']);
+  assert.ok(Math.abs(report.avgPrice - 100.1) < 1e-9);
+  assert.equal(report.slippageBps, 10);
+});
+
+test('post-only clips rest at the touch, chase, and the slippage guard halts the parent', async () => {
+  const paper = createPaper();
+  let price = 100;
+  paper.updateMarketPrice('ETHUSDT', { price });
+  const slicer = new SlicedExecution(paper, {
+    settings: { ...settings, algo: 'iceberg', postOnly: true, maxSlippageBps: 20 },
+    quote: () => ({ price, bid: price - 0.05, ask: price + 0.05 }),
+    sleep: async () => {
+      // Resting buy at the bid fills on the first clip, then the market runs away.
+      price = price === 100 ? 99.9 : price + 0.2;
+      paper.updateMarketPrice('ETHUSDT', { price });
+    },
+  });
+
+  const report = await slicer.run({ symbol: 'ETHUSDT', side: 'BUY', quantity: 4, arrivalPrice: 100, algo: 'iceberg', slices: 2 });
+  assert.equal(report.status, 'halted');
+  assert.equal(report.haltReason, 'max_slippage');
+  assert.equal(report.children[0].type, 'LIMIT');
+  assert.equal(report.children[0].filledQty, 2);
+  assert.equal(report.filledQty, 2);
+  assert.equal(report.remainingQty, 2);
+  assert.deepEqual(await paper.fetchOpenOrders('ETHUSDT'), []);
+});
+
+test('the engine books, tracks and journals sliced fills per child order', async () => {
+  const paper = createPaper();
+  paper.updateMarketPrice('BTCUSDT', { price: 100, bid: 100, ask: 100 });
+  const executions = [];
+  const engine = new TradingEngine(['BTCUSDT'], {
+    binance: paper,
+    stateStore: null,
+    strategyMode: 'llm',
+    execution: { ...settings, sliceIntervalSeconds: 0 },
+    recorder: {
+      recordExecution: async (result) => executions.push(result),
+      recordExecutionAlgo: async () => {},
+      recordRiskRejection: async () => {},
+    },
+  });
+  engine.protectiveOrdersEnabled = false;
+  engine.latestTicks.set('BTCUSDT', { price: 100, bid: 100, ask: 100 });
+  const decision = {
+    symbol: 'BTCUSDT',
+    bias: 'long',
+    action: 'entry',
+    confidence: 0.9,
+    localEdge: 0.6,
+    localConfidence: 0.8,
+    entryPrice: 100,
+    barQuoteVolume: 100,
+  };
+  decision.decisionId = engine.journal.open(decision, { strategy: 'llm', mode: 'live', riskLevel: 3, settings: {} });
+
+  await engine.executeDecision(decision);
+  const { orders } = engine.journal.get(decision.decisionId);
+  assert.ok(orders.length > 1);
+  for (const order of orders) {
+    assert.equal(order.algo, 'twap');
+    assert.equal(order.type, 'MARKET');
+    assert.ok(order.algo_id.startsWith('twap-BTCUSDT-'));
+    assert.notEqual(order.order_id, order.algo_id);
+    assert.equal((await paper.fetchOrder('BTCUSDT', { orderId: order.order_id })).status, 'FILLED');
+    assert.ok(engine.trackedOrders.has(order.order_id));
+  }
+  assert.deepEqual(
+    executions.map((execution) => execution.orderId),
+    orders.map((order) => order.order_id)
+  );
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+async function createLongPosition(symbol, recorder = undefined) {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity });
+  paper.normalizePrice = async (_symbol, price) => Number(price.toFixed(1));
+  paper.updateMarketPrice(symbol, { price: 100, bid: 99.9, ask: 100.1 });
+  await paper.placeMarketOrder(symbol, 'BUY', 1);
+
+  const engine = new TradingEngine([symbol], { binance: paper, stateStore: null, strategyMode: 'llm', recorder });
+  engine.protectiveOrdersEnabled = true;
+  await engine.placeProtectiveOrders({ symbol, atrPct: 1 }, 'BUY', 100);
+  return { paper, engine };
+}
+
+const openTypes = async (paper, symbol) => (await paper.fetchOpenOrders(symbol)).map((order) => order.type).sort();
+
+test('protective orders stay in place until the limit exit fills', async () => {
+  const { paper, engine } = await createLongPosition('BTCUSDT');
+  await engine.executeExit({ symbol: 'BTCUSDT', bias: 'flat', action: 'exit', exitPrice: 100.5 });
+
+  assert.deepEqual(await openTypes(paper, 'BTCUSDT'), ['LIMIT', 'STOP_MARKET', 'TAKE_PROFIT_MARKET']);
+  assert.equal(engine.protectiveOrders.size, 1);
+  const pending = engine.pendingExits.get('BTCUSDT');
+
+  paper.updateMarketPrice('BTCUSDT', { price: 100.6, bid: 100.5, ask: 100.7 });
+  const filled = await paper.fetchOrder('BTCUSDT', { orderId: pending.orderId });
+  assert.equal(filled.status, 'FILLED');
+  await engine.handleOrderUpdate({
+    orderId: pending.orderId,
+    symbol: 'BTCUSDT',
+    side: 'SELL',
+    status: 'FILLED',
+    executionType: 'TRADE',
+    positionSide: 'BOTH',
+    cumulativeQty: 1,
+    lastFilledPrice: 100.5,
+  });
+
+  assert.equal(engine.protectiveOrders.size, 0);
+  assert.deepEqual(await openTypes(paper, 'BTCUSDT'), []);
+});
+
+test('protective orders are cancelled once a stale exit falls back to market', async () => {
+  const { paper, engine } = await createLongPosition('ETHUSDT');
+  let now = Date.now();
+  engine.clock = () => now;
+  engine.exitOrderMaxReprices = 0;
+  await engine.executeExit({ symbol: 'ETHUSDT', bias: 'flat', action: 'exit', exitPrice: 101 });
+  assert.equal(engine.protectiveOrders.size, 1);
+
+  now += engine.exitOrderTimeoutMs;
+  await engine.managePendingExits();
+
+  assert.equal(engine.pendingExits.size, 0);
+  assert.equal(engine.protectiveOrders.size, 0);
+  assert.deepEqual(await openTypes(paper, 'ETHUSDT'), []);
+  assert.deepEqual(await paper.fetchPositions().then((positions) => positions.filter((position) => position.positionAmt !== 0)), []);
+});
+
+test('a triggered stop is booked as an exit and the take-profit leg is cancelled', async () => {
+  const executions = [];
+  const { paper, engine } = await createLongPosition('SOLUSDT', {
+    recordExecution: async (result, decision) => executions.push({ result, decision }),
+  });
+  const { stopLoss, takeProfit } = engine.protectiveOrders.get('SOLUSDT');
+  assert.equal(engine.trackedOrders.has(String(stopLoss.orderId)), true);
+
+  paper.updateMarketPrice('SOLUSDT', { price: stopLoss.stopPrice - 0.5 });
+  const update = { symbol: 'SOLUSDT', side: 'SELL', executionType: 'TRADE', positionSide: 'BOTH' };
+  await engine.handleOrderUpdate({
+    ...update,
+    orderId: String(stopLoss.orderId),
+    status: 'FILLED',
+    cumulativeQty: 1,
+    lastFilledPrice: stopLoss.stopPrice - 0.5,
+  });
+
+  assert.equal(executions.length, 1);
+  assert.equal(executions[0].result.filledQty, 1);
+  assert.equal(executions[0].result.avgPrice, stopLoss.stopPrice - 0.5);
+  assert.equal(executions[0].decision.action, 'exit');
+  assert.equal(executions[0].decision.bias, 'short');
+  assert.equal(executions[0].decision.entryPrice, 100);
+  assert.equal(engine.protectiveOrders.size, 0);
+  assert.equal(engine.trackedOrders.has(String(takeProfit.orderId)), false);
+  assert.deepEqual(await openTypes(paper, 'SOLUSDT'), []);
+});
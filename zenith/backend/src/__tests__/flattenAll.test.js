@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+function createRecorder() {
+  return {
+    executions: [],
+    flattens: [],
+    async recordStrategy() {},
+    async recordExecution(result) {
+      this.executions.push(result);
+    },
+    async recordRiskRejection() {},
+    async recordFlatten(report) {
+      this.flattens.push(report);
+    },
+    async recordEquity() {},
+  };
+}
+
+test('flattenAll cancels open orders, closes every leg and records the report', async () => {
+  const paper = new PaperBinanceClient({
+    initialBalance: 10_000,
+    takerFeeRate: 0,
+    slippageBps: 0,
+    stateFile: null,
+    livePrices: false,
+  });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity });
+  paper.updateMarketPrice('BTCUSDT', { price: 100 });
+  paper.updateMarketPrice('ETHUSDT', { price: 50 });
+  await paper.placeMarketOrder('BTCUSDT', 'BUY', 2);
+  await paper.placeMarketOrder('ETHUSDT', 'SELL', 4);
+  await paper.placeLimitOrder('BTCUSDT', 'BUY', 1, 90);
+  paper.updateMarketPrice('BTCUSDT', { price: 110 });
+  paper.updateMarketPrice('ETHUSDT', { price: 45 });
+
+  const recorder = createRecorder();
+  const engine = new TradingEngine(['BTCUSDT', 'ETHUSDT'], { binance: paper, recorder, stateStore: null, strategyMode: 'llm' });
+  const report = await engine.flattenAll('test');
+
+  assert.deepEqual(await paper.fetchPositions(), []);
+  assert.deepEqual(await paper.fetchOpenOrders(), []);
+  assert.deepEqual(report.cancelledOrders, [{ symbol: 'BTCUSDT', orders: 1, status: 'cancelled' }]);
+  assert.equal(report.summary.closed, 2);
+  assert.equal(report.summary.failed, 0);
+  assert.equal(report.summary.realizedPnl, 40);
+  assert.equal(recorder.executions.length, 2);
+  assert.equal(recorder.flattens[0], report);
+});
+
+test('flatten re-sends the remainder of partially filled legs and reports legs it could not finish', async () => {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity });
+  paper.updateMarketPrice('BTCUSDT', { price: 100 });
+  paper.updateMarketPrice('ETHUSDT', { price: 50 });
+  await paper.placeMarketOrder('BTCUSDT', 'BUY', 2);
+  await paper.placeMarketOrder('ETHUSDT', 'BUY', 4);
+  paper.updateMarketPrice('BTCUSDT', { price: 110 });
+
+  // BTCUSDT liquidity fills half of the first order; ETHUSDT only ever fills one contract.
+  const placeMarketOrder = paper.placeMarketOrder.bind(paper);
+  const ordered = [];
+  paper.placeMarketOrder = async (symbol, side, quantity, options) => {
+    ordered.push([symbol, Number(quantity)]);
+    const fillable = symbol === 'ETHUSDT' ? 1 : ordered.length === 1 ? Number(quantity) / 2 : Number(quantity);
+    const result = await placeMarketOrder(symbol, side, fillable, options);
+    return fillable < Number(quantity) ? { ...result, status: 'EXPIRED' } : result;
+  };
+
+  const recorder = createRecorder();
+  const engine = new TradingEngine(['BTCUSDT', 'ETHUSDT'], { binance: paper, recorder, stateStore: null, strategyMode: 'llm' });
+  const report = await engine.flattenAll('test');
+  const [btc, eth] = report.positions;
+
+  assert.deepEqual(ordered, [['BTCUSDT', 2], ['BTCUSDT', 1], ['ETHUSDT', 4], ['ETHUSDT', 3], ['ETHUSDT', 2]]);
+  assert.deepEqual([btc.status, btc.filledQty, btc.remainingQty, btc.orderIds.length], ['closed', 2, 0, 2]);
+  assert.equal(btc.realizedPnl, 20);
+  assert.deepEqual([eth.status, eth.filledQty, eth.remainingQty], ['partial', 3, 1]);
+  assert.deepEqual([report.summary.closed, report.summary.partial, report.summary.failed], [1, 1, 0]);
+  assert.equal(report.summary.realizedPnl, 20);
+});
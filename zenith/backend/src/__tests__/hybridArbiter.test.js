@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { HybridArbiter } = await import('../services/hybridArbiter.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+const { EngineStateFile } = await import('../store/engineStatePersistence.js');
+
+const context = {
+  baseSymbols: ['BTCUSDT', 'ETHUSDT'],
+  hotlist: ['PEPEUSDT'],
+  movers: ['SOLUSDT', 'DOGEUSDT', 'XRPUSDT'],
+};
+
+test('symbols are routed by rule and stay with the engine that holds them', () => {
+  const arbiter = new HybridArbiter({ moverEngine: 'scalp', moverTopN: 2 });
+  const assignments = arbiter.assign(['BTCUSDT', 'PEPEUSDT', 'DOGEUSDT', 'XRPUSDT'], context);
+  assert.deepEqual(Object.fromEntries(assignments), {
+    BTCUSDT: 'scalp',
+    PEPEUSDT: 'llm',
+    DOGEUSDT: 'scalp',
+    XRPUSDT: 'llm',
+  });
+
+  arbiter.recordFill({ engine: 'llm', symbol: 'XRPUSDT', side: 'BUY', quantity: 10, price: 1 });
+  arbiter.assign(['XRPUSDT'], { ...context, movers: ['XRPUSDT'] });
+  assert.equal(arbiter.engineOf('XRPUSDT'), 'llm');
+  assert.deepEqual(arbiter.claim('scalp', 'XRPUSDT'), { allowed: false, owner: 'llm' });
+
+  assert.deepEqual(arbiter.settleFlat(new Set(), new Map([['XRPUSDT', 1.2]])), ['XRPUSDT']);
+  assert.equal(arbiter.ownerOf('XRPUSDT'), null);
+  assert.ok(Math.abs(arbiter.getAttribution().engines.llm.realizedPnl - 2) < 1e-9);
+});
+
+test('the wrapped scalp exchange cannot open against llm exposure and books its own PnL', async () => {
+  const arbiter = new HybridArbiter();
+  const placed = [];
+  const exchange = arbiter.wrapExchange(
+    {
+      place: async (params) => {
+        placed.push(params);
+        return { orderId: String(placed.length), price: params.price, origQty: params.quantity, executedQty: params.quantity, avgPrice: params.price };
+      },
+    },
+    'scalp'
+  );
+
+  arbiter.recordFill({ engine: 'llm', symbol: 'SOLUSDT', side: 'SELL', quantity: 2, price: 20 });
+  await assert.rejects(
+    exchange.place({ symbol: 'SOLUSDT', side: 'BUY', type: 'MARKET', quantity: 1, price: 19 }),
+    /held by the llm engine/
+  );
+  assert.equal(placed.length, 0);
+
+  await exchange.place({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1, price: 100 });
+  await exchange.place({ symbol: 'BTCUSDT', side: 'SELL', type: 'LIMIT', quantity: 1, price: 103, reduceOnly: true });
+  arbiter.recordFill({ engine: 'llm', symbol: 'SOLUSDT', side: 'BUY', quantity: 2, price: 21 });
+
+  const { engines } = arbiter.getAttribution();
+  assert.equal(engines.scalp.realizedPnl, 3);
+  assert.equal(engines.scalp.fills, 2);
+  assert.equal(engines.llm.realizedPnl, -2);
+  assert.deepEqual(engines.llm.openSymbols, []);
+});
+
+test('the llm engine skips decisions on symbols the scalp engine holds', async () => {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.updateMarketPrice('BTCUSDT', { price: 100 });
+  const engine = new TradingEngine(['BTCUSDT'], { binance: paper, stateStore: null, strategyMode: 'hybrid' });
+  engine.hybrid.recordFill({ engine: 'scalp', symbol: 'BTCUSDT', side: 'BUY', quantity: 1, price: 100 });
+
+  assert.equal(engine.resolveSymbolSettings('BTCUSDT').strategyMode, 'scalp');
+  await engine.executeDecision({ symbol: 'BTCUSDT', bias: 'short', action: 'exit', confidence: 0.9 });
+  assert.deepEqual(await paper.fetchOpenOrders('BTCUSDT'), []);
+  assert.equal(engine.getStrategyAttribution().engines.scalp.openSymbols[0], 'BTCUSDT');
+});
+
+test('the ledger adopts unknown account exposure and round-trips through a snapshot', () => {
+  const arbiter = new HybridArbiter();
+  arbiter.recordFill({ engine: 'llm', symbol: 'SOLUSDT', side: 'SELL', quantity: 2, price: 20 });
+  const adopted = arbiter.adopt(
+    [
+      { symbol: 'SOLUSDT', positionAmt: -2, entryPrice: 20 },
+      { symbol: 'BTCUSDT', positionAmt: 0.5, entryPrice: 60_000 },
+      { symbol: 'PEPEUSDT', positionAmt: 0, entryPrice: 0 },
+    ],
+    context
+  );
+  assert.deepEqual(adopted, [{ symbol: 'BTCUSDT', engine: 'scalp' }]);
+  assert.deepEqual(arbiter.claim('llm', 'BTCUSDT'), { allowed: false, owner: 'scalp' });
+
+  const restored = new HybridArbiter();
+  restored.restore(JSON.parse(JSON.stringify(arbiter.snapshot())));
+  assert.equal(restored.ownerOf('SOLUSDT'), 'llm');
+  assert.equal(restored.ownerOf('BTCUSDT'), 'scalp');
+  assert.equal(restored.getAttribution().engines.llm.fills, 1);
+});
+
+test('hybrid ownership survives a restart and covers positions the ledger never saw', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zenith-hybrid-'));
+  const store = new EngineStateFile(path.join(dir, 'engine-state.json'));
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.updateMarketPrice('ETHUSDT', { price: 2_000 });
+  paper.updateMarketPrice('SOLUSDT', { price: 20 });
+  const options = { binance: paper, stateStore: store, strategyMode: 'hybrid' };
+
+  const first = new TradingEngine(['BTCUSDT', 'ETHUSDT'], options);
+  first.hybrid.recordFill({ engine: 'scalp', symbol: 'ETHUSDT', side: 'BUY', quantity: 1, price: 2_000 });
+  await paper.placeMarketOrder('ETHUSDT', 'BUY', 1);
+  await store.writeChain;
+
+  const second = new TradingEngine(['BTCUSDT', 'ETHUSDT'], options);
+  assert.equal(await second.restoreState(), true);
+  assert.equal(second.hybrid.ownerOf('ETHUSDT'), 'scalp');
+
+  // A position opened outside the engines is owned by its routed engine.
+  await paper.placeMarketOrder('SOLUSDT', 'SELL', 3);
+  await second.prepareHybridLoop(['BTCUSDT', 'ETHUSDT', 'SOLUSDT']);
+  assert.equal(second.hybrid.ownerOf('ETHUSDT'), 'scalp');
+  assert.equal(second.hybrid.ownerOf('SOLUSDT'), 'llm');
+  assert.deepEqual(second.hybrid.claim('scalp', 'SOLUSDT'), { allowed: false, owner: 'llm' });
+});
+
+test('the hybrid ledger survives strategy switches, resets and restarts outside hybrid mode', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zenith-hybrid-'));
+  const store = new EngineStateFile(path.join(dir, 'engine-state.json'));
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  const options = { binance: paper, stateStore: store, strategyMode: 'hybrid', decisionProvider: async () => null };
+
+  const first = new TradingEngine(['BTCUSDT'], options);
+  first.hybrid.recordFill({ engine: 'scalp', symbol: 'BTCUSDT', side: 'BUY', quantity: 1, price: 100 });
+  first.hybrid.recordFill({ engine: 'scalp', symbol: 'BTCUSDT', side: 'SELL', quantity: 1, price: 104 });
+  first.hybrid.recordFill({ engine: 'llm', symbol: 'ETHUSDT', side: 'BUY', quantity: 1, price: 50 });
+  first.setStrategy('llm');
+  assert.equal(first.hybrid, null);
+  assert.equal(first.getStrategyAttribution().engines.scalp.realizedPnl, 4);
+  await first.resetState();
+  await store.writeChain;
+
+  const second = new TradingEngine(['BTCUSDT'], { ...options, strategyMode: 'llm' });
+  assert.equal(await second.restoreState(), true);
+  assert.equal(second.hybridArbiter.ownerOf('ETHUSDT'), 'llm');
+  second.setStrategy('hybrid');
+  assert.equal(second.hybrid, second.hybridArbiter);
+  const { engines } = second.getStrategyAttribution();
+  assert.equal(engines.scalp.realizedPnl, 4);
+  assert.equal(engines.scalp.closedTrades, 1);
+  assert.deepEqual(engines.llm.openSymbols, ['ETHUSDT']);
+});
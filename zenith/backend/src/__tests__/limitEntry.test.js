@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { executeLimitEntry } = await import('../services/limitEntry.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+function createPaper() {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.fetchSymbolFilters = async () => ({ tickSize: 0.1 });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity: Number(quantity.toFixed(3)) });
+  paper.normalizePrice = async (_symbol, price) => Number(price.toFixed(1));
+  return paper;
+}
+
+const settings = { maxReprices: 2, offsetTicks: 1, repriceMs: 3_000, deadlineMs: 15_000 };
+
+test('post-only entries rest behind the touch and fill once the book trades through', async () => {
+  const paper = createPaper();
+  let book = { price: 100, bid: 99.9, ask: 100.1 };
+  paper.updateMarketPrice('BTCUSDT', book);
+  const outcome = await executeLimitEntry(
+    paper,
+    { symbol: 'BTCUSDT', side: 'BUY', quantity: 2, style: 'POST_ONLY', referencePrice: 100 },
+    {
+      settings,
+      quote: () => book,
+      sleep: async () => {
+        book = { price: 99.7, bid: 99.6, ask: 99.8 };
+        paper.updateMarketPrice('BTCUSDT', book);
+      },
+    }
+  );
+
+  assert.equal(outcome.filledQty, 2);
+  assert.equal(outcome.remainingQty, 0);
+  assert.equal(outcome.children.length, 1);
+  assert.equal(outcome.children[0].price, 99.8);
+  assert.equal(outcome.children[0].status, 'FILLED');
+});
+
+test('unfilled entries are repriced, cancelled at the deadline and leave nothing resting', async () => {
+  const paper = createPaper();
+  let now = 0;
+  let book = { price: 100, bid: 99.9, ask: 100.1 };
+  paper.updateMarketPrice('ETHUSDT', book);
+  const outcome = await executeLimitEntry(
+    paper,
+    { symbol: 'ETHUSDT', side: 'BUY', quantity: 1, style: 'LIMIT', referencePrice: 100 },
+    {
+      settings: { ...settings, maxReprices: 5, offsetTicks: 0, deadlineMs: 6_000 },
+      quote: () => book,
+      now: () => now,
+      sleep: async (ms) => {
+        now += ms;
+        book = { price: book.price + 0.5, bid: book.bid + 0.5, ask: book.ask + 0.5 };
+        paper.updateMarketPrice('ETHUSDT', book);
+      },
+    }
+  );
+
+  assert.equal(outcome.filledQty, 0);
+  assert.equal(outcome.remainingQty, 1);
+  assert.equal(outcome.deadlineReached, true);
+  assert.deepEqual(
+    outcome.children.map((child) => [child.price, child.status]),
+    [
+      [99.9, 'CANCELED'],
+      [100.4, 'CANCELED'],
+    ]
+  );
+  assert.deepEqual(await paper.fetchOpenOrders('ETHUSDT'), []);
+});
+
+test('the engine takes the remainder at market only while the signal still holds', async () => {
+  const paper = createPaper();
+  const book = { price: 100, bid: 99.9, ask: 100.1 };
+  paper.updateMarketPrice('SOLUSDT', book);
+  const engine = new TradingEngine(['SOLUSDT'], {
+    binance: paper,
+    stateStore: null,
+    strategyMode: 'llm',
+    entryOrders: { style: 'POST_ONLY', maxReprices: 0, repriceSeconds: 0, deadlineSeconds: 10 },
+  });
+  engine.latestTicks.set('SOLUSDT', book);
+  const decision = { symbol: 'SOLUSDT', bias: 'long' };
+
+  const filled = await engine.placeLimitEntry(decision, 'BUY', { quantity: 3 }, 100);
+  assert.equal(filled.result.executedQty, 3);
+  assert.ok(Math.abs(filled.result.avgPrice - 100.1) < 1e-9);
+  assert.deepEqual(await paper.fetchOpenOrders('SOLUSDT'), []);
+
+  engine.cacheDecision('SOLUSDT', { decision: { symbol: 'SOLUSDT', bias: 'short' }, price: 100, timestamp: Date.now() });
+  assert.equal(await engine.placeLimitEntry(decision, 'BUY', { quantity: 3 }, 100), null);
+
+  assert.throws(() => engine.setEntryStyle('twap'), /Entry style/);
+  assert.equal(engine.setEntryStyle('post-only'), 'POST_ONLY');
+});
+
+test('the engine books, tracks and journals each limit child and the market fallback', async () => {
+  const paper = createPaper();
+  const book = { price: 100, bid: 99.9, ask: 100.1 };
+  paper.updateMarketPrice('SOLUSDT', book);
+  const executions = [];
+  const engine = new TradingEngine(['SOLUSDT'], {
+    binance: paper,
+    stateStore: null,
+    strategyMode: 'llm',
+    entryOrders: { style: 'POST_ONLY', maxReprices: 1, repriceSeconds: 0, deadlineSeconds: 10 },
+    recorder: {
+      recordExecution: async (result) => executions.push(result),
+      recordRiskRejection: async () => {},
+    },
+  });
+  engine.protectiveOrdersEnabled = false;
+  engine.latestTicks.set('SOLUSDT', book);
+  const decision = {
+    symbol: 'SOLUSDT',
+    bias: 'long',
+    action: 'entry',
+    confidence: 0.9,
+    localEdge: 0.6,
+    localConfidence: 0.8,
+    entryPrice: 100,
+  };
+  decision.decisionId = engine.journal.open(decision, { strategy: 'llm', mode: 'live', riskLevel: 3, settings: {} });
+
+  await engine.executeDecision(decision);
+  const { orders } = engine.journal.get(decision.decisionId);
+  assert.deepEqual(
+    orders.map((order) => [order.type, order.status]),
+    [
+      ['POST_ONLY', 'CANCELED'],
+      ['POST_ONLY', 'CANCELED'],
+      ['MARKET', 'FILLED'],
+    ]
+  );
+  assert.equal(new Set(orders.map((order) => order.order_id)).size, 3);
+  for (const order of orders) {
+    assert.equal((await paper.fetchOrder('SOLUSDT', { orderId: order.order_id })).status, order.status);
+    assert.ok(engine.trackedOrders.has(order.order_id));
+  }
+  assert.deepEqual(
+    executions.map((execution) => [execution.orderId, execution.filledQty]),
+    orders.map((order) => [order.order_id, order.filled_qty])
+  );
+  assert.equal((await paper.fetchPositions())[0].positionAmt, orders.at(-1).filled_qty);
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { MarginProfileManager } from '../services/marginProfiles.js';
+
+function createBinance(overrides = {}) {
+  const calls = [];
+  return {
+    calls,
+    async setMarginType(symbol, marginType) {
+      calls.push(['marginType', symbol, marginType]);
+      if (overrides.setMarginType) {
+        await overrides.setMarginType(symbol, marginType);
+      }
+    },
+    async setLeverage(symbol, leverage) {
+      calls.push(['leverage', symbol, leverage]);
+    },
+  };
+}
+
+const options = {
+  majors: ['BTCUSDT'],
+  tiers: {
+    major: { marginType: 'CROSSED', leverage: 10 },
+    discovery: { marginType: 'ISOLATED' },
+  },
+  overrides: { SOLUSDT: { marginType: 'ISOLATED', leverage: 4 } },
+  minLeverage: 1,
+  maxLeverage: 20,
+};
+
+test('margin profiles resolve tier, override and fallback leverage', () => {
+  const manager = new MarginProfileManager(createBinance(), options);
+
+  assert.deepEqual(manager.resolve('BTCUSDT', 3), {
+    symbol: 'BTCUSDT',
+    tier: 'major',
+    marginType: 'CROSSED',
+    leverage: 10,
+  });
+  assert.deepEqual(manager.resolve('PEPEUSDT', 3), {
+    symbol: 'PEPEUSDT',
+    tier: 'discovery',
+    marginType: 'ISOLATED',
+    leverage: 3,
+  });
+  assert.equal(manager.resolve('SOLUSDT', 3).leverage, 4);
+  assert.equal(manager.resolve('PEPEUSDT', 80).leverage, 20);
+});
+
+test('margin profiles apply settings once and re-apply only on change', async () => {
+  const binance = createBinance();
+  const manager = new MarginProfileManager(binance, options);
+
+  await manager.ensure('PEPEUSDT', 3);
+  await manager.ensure('PEPEUSDT', 3);
+  assert.deepEqual(binance.calls, [
+    ['marginType', 'PEPEUSDT', 'ISOLATED'],
+    ['leverage', 'PEPEUSDT', 3],
+  ]);
+
+  await manager.ensure('PEPEUSDT', 5);
+  assert.deepEqual(binance.calls.at(-1), ['leverage', 'PEPEUSDT', 5]);
+  assert.equal(binance.calls.length, 3);
+
+  const [settings] = manager.getSettings();
+  assert.equal(settings.marginType, 'ISOLATED');
+  assert.equal(settings.leverage, 5);
+});
+
+test('margin profiles keep trading when margin type is locked by a position', async () => {
+  const binance = createBinance({
+    setMarginType: async () => {
+      throw new Error('Binance request failed: 400 (Margin type cannot be changed if there exists position.)');
+    },
+  });
+  const manager = new MarginProfileManager(binance, options);
+
+  const profile = await manager.ensure('PEPEUSDT', 3);
+  assert.equal(profile.leverage, 3);
+
+  const [settings] = manager.getSettings();
+  assert.equal(settings.marginType, null);
+  assert.match(settings.marginError, /exists position/);
+
+  await manager.ensure('PEPEUSDT', 3);
+  assert.equal(binance.calls.filter(([kind]) => kind === 'marginType').length, 1);
+});
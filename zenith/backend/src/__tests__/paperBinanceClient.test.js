@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { BinanceClient } = await import('../clients/binanceClient.js');
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+
+function createClient(overrides = {}) {
+  return new PaperBinanceClient({
+    initialBalance: 1_000,
+    takerFeeRate: 0.001,
+    makerFeeRate: 0,
+    slippageBps: 0,
+    defaultLeverage: 10,
+    stateFile: null,
+    livePrices: false,
+    ...overrides,
+  });
+}
+
+test('paper client fills market orders and realises PnL net of fees', async () => {
+  const client = createClient();
+  client.updateMarketPrice('BTCUSDT', { price: 100, bid: 99.5, ask: 100.5 });
+
+  const entry = await client.placeMarketOrder('BTCUSDT', 'BUY', 2);
+  assert.equal(entry.status, 'FILLED');
+  assert.equal(entry.avgPrice, 100.5);
+
+  client.updateMarketPrice('BTCUSDT', { price: 110, bid: 109.5, ask: 110.5 });
+  const [position] = await client.fetchPositions();
+  assert.equal(position.positionAmt, 2);
+  assert.equal(position.unrealizedProfit, 19);
+
+  await client.placeMarketOrder('BTCUSDT', 'SELL', 2, { reduceOnly: true });
+  assert.deepEqual(await client.fetchPositions(), []);
+
+  const [balance] = await client.fetchAccountBalance();
+  const fees = 2 * 100.5 * 0.001 + 2 * 109.5 * 0.001;
+  assert.ok(Math.abs(balance.balance - (1_000 + 18 - fees)) < 1e-9);
+});
+
+test('paper client rests limit orders and fills them when price crosses', async () => {
+  const client = createClient();
+  client.updateMarketPrice('ETHUSDT', { price: 50, bid: 50, ask: 50 });
+
+  const order = await client.placeLimitOrder('ETHUSDT', 'BUY', 1, 45);
+  assert.equal(order.status, 'NEW');
+  assert.equal((await client.fetchOpenOrders('ETHUSDT')).length, 1);
+
+  client.updateMarketPrice('ETHUSDT', { price: 44, bid: 44, ask: 44 });
+  const filled = await client.fetchOrder('ETHUSDT', { orderId: order.orderId });
+  assert.equal(filled.status, 'FILLED');
+  assert.equal(filled.avgPrice, 45);
+  assert.equal((await client.fetchPositions())[0].entryPrice, 45);
+});
+
+test('paper client triggers closePosition stops and rejects unsafe orders', async () => {
+  const client = createClient();
+  client.updateMarketPrice('SOLUSDT', { price: 20 });
+
+  await assert.rejects(
+    client.placeMarketOrder('SOLUSDT', 'SELL', 1, { reduceOnly: true }),
+    /ReduceOnly Order is rejected/
+  );
+  await assert.rejects(client.placeMarketOrder('SOLUSDT', 'BUY', 1_000), /Margin is insufficient/);
+
+  await client.placeMarketOrder('SOLUSDT', 'BUY', 10);
+  const stop = await client.placeConditionalOrder('SOLUSDT', 'SELL', 'STOP_MARKET', 18, { closePosition: true });
+  assert.equal(stop.status, 'NEW');
+
+  client.updateMarketPrice('SOLUSDT', { price: 17.5 });
+  assert.equal((await client.fetchOrder('SOLUSDT', { orderId: stop.orderId })).status, 'FILLED');
+  assert.deepEqual(await client.fetchPositions(), []);
+});
+
+test('paper client matches resting limits on engine ticks without being fetched', async () => {
+  const { TradingEngine } = await import('../services/tradingEngine.js');
+  const client = createClient();
+  const engine = new TradingEngine(['ETHUSDT'], { binance: client, stateStore: null, strategyMode: 'llm' });
+  const unfollow = client.followTicks(engine);
+  client.updateMarketPrice('ETHUSDT', { price: 50, bid: 50, ask: 50 });
+  const order = await client.placeLimitOrder('ETHUSDT', 'SELL', 1, 55, { reduceOnly: false });
+
+  engine.stream.emit('tick', { symbol: 'ETHUSDT', price: 54, bid: 53.9, ask: 54.1, eventTime: Date.now() });
+  assert.equal(client.account.orders.get(String(order.orderId)).status, 'NEW');
+  engine.stream.emit('tick', { symbol: 'ETHUSDT', price: 55.2, bid: 55.1, ask: 55.3, eventTime: Date.now() });
+  assert.equal(client.account.orders.get(String(order.orderId)).status, 'FILLED');
+  assert.equal(client.account.orders.get(String(order.orderId)).avgPrice, 55);
+
+  unfollow();
+  const next = await client.placeLimitOrder('ETHUSDT', 'BUY', 1, 50);
+  engine.stream.emit('tick', { symbol: 'ETHUSDT', price: 49, bid: 48.9, ask: 49.1, eventTime: Date.now() });
+  assert.equal(client.account.orders.get(String(next.orderId)).status, 'NEW');
+});
+
+test('hedge-mode orders name their leg and drop reduceOnly', async () => {
+  assert.equal(BinanceClient.positionSideFor('BUY'), 'LONG');
+  assert.equal(BinanceClient.positionSideFor('SELL'), 'SHORT');
+  assert.equal(BinanceClient.positionSideFor('SELL', true), 'LONG');
+  assert.equal(BinanceClient.positionSideFor('BUY', true), 'SHORT');
+  assert.deepEqual(BinanceClient.applyPositionSide({ side: 'SELL', reduceOnly: 'true' }, 'LONG'), {
+    side: 'SELL',
+    positionSide: 'LONG',
+  });
+  assert.deepEqual(BinanceClient.applyPositionSide({ side: 'SELL', reduceOnly: 'true' }, undefined), {
+    side: 'SELL',
+    reduceOnly: 'true',
+  });
+
+  assert.equal(await createClient().fetchPositionMode(), false);
+  const client = createClient({ takerFeeRate: 0, dualSide: true });
+  assert.equal(client.isHedgeMode(), true);
+  assert.equal(await client.fetchPositionMode(), true);
+  client.updateMarketPrice('BTCUSDT', { price: 100 });
+
+  await client.placeMarketOrder('BTCUSDT', 'BUY', 2, { positionSide: 'LONG' });
+  await client.placeMarketOrder('BTCUSDT', 'SELL', 1, { positionSide: 'SHORT' });
+  const legs = async () =>
+    (await client.fetchPositions()).map((position) => [position.positionSide, position.positionAmt]).sort();
+  assert.deepEqual(await legs(), [
+    ['LONG', 2],
+    ['SHORT', -1],
+  ]);
+
+  await client.placeMarketOrder('BTCUSDT', 'SELL', 5, { positionSide: 'LONG' });
+  assert.deepEqual(await legs(), [['SHORT', -1]]);
+  await assert.rejects(client.placeMarketOrder('BTCUSDT', 'SELL', 1, { positionSide: 'LONG' }), /ReduceOnly Order is rejected/);
+
+  const stop = await client.placeConditionalOrder('BTCUSDT', 'BUY', 'STOP_MARKET', 105, {
+    closePosition: true,
+    positionSide: 'SHORT',
+  });
+  await client.placeMarketOrder('BTCUSDT', 'BUY', 1, { positionSide: 'LONG' });
+  client.updateMarketPrice('BTCUSDT', { price: 106 });
+  assert.equal((await client.fetchOrder('BTCUSDT', { orderId: stop.orderId })).status, 'FILLED');
+  assert.deepEqual(await legs(), [['LONG', 1]]);
+});
+
+test('the engine hedges into the opposite leg and protects each leg separately', async () => {
+  const { TradingEngine } = await import('../services/tradingEngine.js');
+  const client = createClient({ takerFeeRate: 0, initialBalance: 10_000, dualSide: true });
+  client.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity: Number(quantity.toFixed(3)) });
+  client.normalizePrice = async (_symbol, price) => Number(price.toFixed(1));
+  client.updateMarketPrice('BTCUSDT', { price: 100, bid: 100, ask: 100 });
+  const engine = new TradingEngine(['BTCUSDT'], {
+    binance: client,
+    stateStore: null,
+    strategyMode: 'llm',
+    recorder: { recordExecution: async () => {}, recordRiskRejection: async () => {} },
+  });
+  engine.protectiveOrdersEnabled = true;
+  engine.oppositeSignalAction = 'hedge';
+  assert.equal(engine.canHedge(), true);
+  assert.equal(engine.entryPositionSide('SELL'), 'SHORT');
+  const decision = (bias) => ({
+    symbol: 'BTCUSDT',
+    bias,
+    action: 'entry',
+    confidence: 0.9,
+    localEdge: 0.6,
+    localConfidence: 0.8,
+    entryPrice: 100,
+    atrPct: 1,
+  });
+
+  await engine.executeDecision(decision('long'));
+  await engine.executeDecision(decision('short'));
+  const position = await engine.getPosition('BTCUSDT', { forceRefresh: true });
+  assert.deepEqual(position.legs.map((leg) => [leg.side, leg.positionSide]).sort(), [
+    ['long', 'LONG'],
+    ['short', 'SHORT'],
+  ]);
+  assert.equal((await engine.getPosition('BTCUSDT', { side: 'short' })).positionSide, 'SHORT');
+  assert.deepEqual([...engine.protectiveOrders.keys()].sort(), ['BTCUSDT:LONG', 'BTCUSDT:SHORT']);
+  const protectedLegs = async () =>
+    (await client.fetchOpenOrders('BTCUSDT')).map((order) => `${order.positionSide}:${order.type}`).sort();
+  assert.deepEqual(await protectedLegs(), [
+    'LONG:STOP_MARKET',
+    'LONG:TAKE_PROFIT_MARKET',
+    'SHORT:STOP_MARKET',
+    'SHORT:TAKE_PROFIT_MARKET',
+  ]);
+
+  await engine.cancelProtectiveOrders('BTCUSDT', 'test', 'SHORT');
+  assert.deepEqual([...engine.protectiveOrders.keys()], ['BTCUSDT:LONG']);
+  assert.deepEqual(await protectedLegs(), ['LONG:STOP_MARKET', 'LONG:TAKE_PROFIT_MARKET']);
+});
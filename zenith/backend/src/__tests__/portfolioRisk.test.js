@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PortfolioRiskManager } = await import('../services/portfolioRisk.js');
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+const positions = [
+  { symbol: 'BTCUSDT', positionAmt: 0.1, entryPrice: 50_000 },
+  { symbol: 'ETHUSDT', positionAmt: -2, entryPrice: 2_000 },
+];
+
+test('portfolio risk summarises gross and net exposure at latest prices', () => {
+  const manager = new PortfolioRiskManager();
+  const exposure = manager.summarize(positions, new Map([['BTCUSDT', 60_000]]));
+
+  assert.equal(exposure.gross, 10_000);
+  assert.equal(exposure.net, 2_000);
+  assert.equal(exposure.positions, 2);
+  assert.equal(exposure.bySymbol.get('BTCUSDT'), 6_000);
+});
+
+test('portfolio risk clips entries to the tightest headroom', () => {
+  const manager = new PortfolioRiskManager({ maxGrossNotional: 12_000, maxNetLeverage: 1 });
+
+  const gross = manager.evaluate({ symbol: 'SOLUSDT', side: 'SELL', notional: 5_000, equity: 10_000, positions });
+  assert.equal(gross.allowed, true);
+  assert.equal(gross.notional, 3_000);
+  assert.equal(gross.reason, 'gross_exposure');
+
+  const net = manager.evaluate({ symbol: 'SOLUSDT', side: 'BUY', notional: 2_500, equity: 2_500, positions });
+  assert.equal(net.notional, 1_500);
+  assert.equal(net.reason, 'net_exposure');
+});
+
+test('portfolio risk rejects on position count and exhausted symbol caps', () => {
+  const manager = new PortfolioRiskManager({
+    maxPositions: 2,
+    maxSymbolNotional: 10_000,
+    symbolCaps: { BTCUSDT: 5_000 },
+    maxPositionEquityPct: 50,
+  });
+
+  const crowded = manager.evaluate({ symbol: 'SOLUSDT', side: 'BUY', notional: 100, equity: 100_000, positions });
+  assert.deepEqual([crowded.allowed, crowded.reason, crowded.limit], [false, 'max_positions', 2]);
+
+  const capped = manager.evaluate({ symbol: 'BTCUSDT', side: 'BUY', notional: 1_000, equity: 100_000, positions });
+  assert.deepEqual([capped.allowed, capped.reason], [false, 'symbol_notional']);
+
+  const share = manager.evaluate({ symbol: 'ETHUSDT', side: 'SELL', notional: 3_000, equity: 10_000, positions });
+  assert.deepEqual([share.allowed, share.notional, share.reason], [true, 1_000, 'equity_share']);
+});
+
+test('portfolio risk rejects when an equity-based limit cannot be checked', () => {
+  const manager = new PortfolioRiskManager({ maxPositionEquityPct: 50 });
+  const blind = manager.evaluate({ symbol: 'SOLUSDT', side: 'BUY', notional: 100, equity: undefined, positions });
+  assert.deepEqual([blind.allowed, blind.reason], [false, 'equity_unavailable']);
+
+  const notionalOnly = new PortfolioRiskManager({ maxGrossNotional: 50_000 });
+  assert.equal(notionalOnly.evaluate({ symbol: 'SOLUSDT', side: 'BUY', notional: 100, positions }).allowed, true);
+});
+
+test('scalp entries pass the portfolio limits in the exchange adapter', async () => {
+  const paper = new PaperBinanceClient({ stateFile: null, livePrices: false });
+  const rejections = [];
+  const engine = new TradingEngine(['BTCUSDT', 'ETHUSDT'], {
+    binance: paper,
+    stateStore: null,
+    strategyMode: 'llm',
+    recorder: { recordRiskRejection: async (rejection) => rejections.push(rejection) },
+  });
+  engine.portfolioRisk = new PortfolioRiskManager({ maxPositions: 1, maxSymbolNotional: 6_000, maxPositionEquityPct: 100 });
+  engine.positionCache.map.set('BTCUSDT', { symbol: 'BTCUSDT', positionAmt: 0.1, entryPrice: 50_000 });
+  engine.latestTicks.set('ETHUSDT', { price: 2_000 });
+  const placed = [];
+  const exchange = engine.guardScalpEntries({ place: async (params) => placed.push(params) });
+
+  await assert.rejects(exchange.place({ symbol: 'ETHUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }), /max_positions/);
+  await assert.rejects(
+    exchange.place({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', price: 50_000, quantity: 0.05 }),
+    /symbol_notional/
+  );
+  assert.ok(Number.isFinite(engine.balanceCache.balance));
+  await exchange.place({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', price: 50_000, quantity: 0.01 });
+  await exchange.place({ symbol: 'ETHUSDT', side: 'SELL', type: 'MARKET', quantity: 1, reduceOnly: true });
+  assert.deepEqual(placed.map((params) => params.symbol), ['BTCUSDT', 'ETHUSDT']);
+  assert.deepEqual(rejections.map((rejection) => rejection.reason), ['max_positions', 'symbol_notional']);
+});
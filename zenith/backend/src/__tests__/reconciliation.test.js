@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+test('reconciliation pins exposed symbols into the universe until they are flat', async () => {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity });
+  paper.updateMarketPrice('SOLUSDT', { price: 20 });
+  paper.updateMarketPrice('XRPUSDT', { price: 1 });
+  await paper.placeMarketOrder('SOLUSDT', 'BUY', 5);
+  await paper.placeLimitOrder('XRPUSDT', 'BUY', 10, 0.5);
+
+  const engine = new TradingEngine(['BTCUSDT'], { binance: paper, stateStore: null, strategyMode: 'llm' });
+  const report = await engine.reconcileAccount('startup');
+
+  assert.deepEqual(report.adopted.sort(), ['SOLUSDT', 'XRPUSDT']);
+  assert.deepEqual(report.untracked, ['SOLUSDT']);
+  assert.deepEqual(engine.getActiveSymbols().sort(), ['BTCUSDT', 'SOLUSDT', 'XRPUSDT']);
+
+  // Discovery output that omits the exposed symbols cannot drop them.
+  engine._updateActiveSymbols(['ETHUSDT']);
+  assert.deepEqual(engine.getActiveSymbols().sort(), ['ETHUSDT', 'SOLUSDT', 'XRPUSDT']);
+
+  await paper.placeMarketOrder('SOLUSDT', 'SELL', 5, { reduceOnly: true });
+  await paper.cancelAllOrders('XRPUSDT');
+  const flat = await engine.reconcileAccount('scheduled');
+  assert.deepEqual(flat.released.sort(), ['SOLUSDT', 'XRPUSDT']);
+  assert.deepEqual(engine.getProtectedSymbols(), []);
+
+  engine._updateActiveSymbols(['ETHUSDT']);
+  assert.deepEqual(engine.getActiveSymbols(), ['ETHUSDT']);
+});
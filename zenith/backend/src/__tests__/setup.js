@@ -0,0 +1,10 @@
+import { mkdtempSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Preloaded by `npm test` (--import) so no test file can append to the real
+// analytics archive or overwrite the paper account and engine state files.
+const dir = mkdtempSync(path.join(os.tmpdir(), 'zenith-test-data-'));
+process.env.ANALYTICS_ARCHIVE_FILE = path.join(dir, 'analytics-history.ndjson');
+process.env.PAPER_STATE_FILE = path.join(dir, 'paper-account.json');
+process.env.ENGINE_STATE_FILE = path.join(dir, 'engine-state.json');
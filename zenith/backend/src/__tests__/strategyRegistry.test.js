@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { config } = await import('../config.js');
+const { StrategyRegistry, normalizeStrategyDecision } = await import('../services/strategyRegistry.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+async function createPluginDirectory() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zenith-strategies-'));
+  await fs.writeFile(
+    path.join(dir, 'breakout.mjs'),
+    [
+      "export const description = 'Test breakout';",
+      'export const localSignalGate = false;',
+      'export async function evaluate(symbol, context) {',
+      "  return { bias: 'LONG', confidence: 1.4, entryPrice: context.tick?.price, leverage: context.settings.leverage };",
+      '}',
+    ].join('\n'),
+    'utf8'
+  );
+  await fs.writeFile(path.join(dir, 'broken.js'), 'export const description = "no evaluate";\n', 'utf8');
+  await fs.writeFile(path.join(dir, 'notes.txt'), 'not a plugin', 'utf8');
+  return dir;
+}
+
+test('plugins are loaded by file name and broken modules are skipped', async () => {
+  const registry = new StrategyRegistry();
+  const dir = await createPluginDirectory();
+  assert.deepEqual(await registry.loadDirectory(dir), ['breakout']);
+  assert.deepEqual(registry.list(), [
+    { name: 'breakout', description: 'Test breakout', source: 'plugin', selfExecuting: false, localSignalGate: false, requiresOpenAi: false },
+  ]);
+  assert.deepEqual(await registry.loadDirectory(dir), []);
+  assert.deepEqual(await registry.loadDirectory(path.join(dir, 'missing')), []);
+  assert.throws(() => registry.register('breakout', { evaluate: () => null }), /already registered/);
+});
+
+test('strategy output is normalized for executeDecision', () => {
+  assert.equal(normalizeStrategyDecision('BTCUSDT', null, 'x'), null);
+  assert.deepEqual(normalizeStrategyDecision('BTCUSDT', { symbol: 'ETHUSDT', bias: 'Flat' }, 'x'), {
+    symbol: 'BTCUSDT',
+    bias: 'flat',
+    confidence: 0,
+    action: 'exit',
+    reasoning: 'x decision',
+    strategy: 'x',
+    localSignalGate: true,
+  });
+  assert.throws(() => normalizeStrategyDecision('BTCUSDT', { bias: 'up' }, 'x'), /invalid bias/);
+});
+
+test('the engine switches to a plugin strategy at runtime', async () => {
+  const paper = new PaperBinanceClient({ stateFile: null, livePrices: false });
+  const engine = new TradingEngine(['BTCUSDT'], {
+    binance: paper,
+    stateStore: null,
+    strategyMode: 'llm',
+    strategyDirectory: await createPluginDirectory(),
+  });
+  await engine.loadStrategies();
+  assert.deepEqual(
+    engine.getStrategies().map(({ name, source, active }) => [name, source, active]),
+    [
+      ['llm', 'builtin', true],
+      ['scalp', 'builtin', false],
+      ['hybrid', 'builtin', false],
+      ['breakout', 'plugin', false],
+    ]
+  );
+
+  const changes = [];
+  engine.on('strategyChanged', (name) => changes.push(name));
+  assert.equal(engine.setStrategy('Breakout'), 'breakout');
+  assert.deepEqual(changes, ['breakout']);
+  assert.throws(() => engine.setStrategy('grid'), /Unknown strategy/);
+
+  engine.latestTicks.set('BTCUSDT', { price: 100 });
+  const decision = await engine.evaluateSymbol('BTCUSDT');
+  assert.equal(decision.symbol, 'BTCUSDT');
+  assert.equal(decision.bias, 'long');
+  assert.equal(decision.confidence, 1);
+  assert.equal(decision.entryPrice, 100);
+  assert.equal(decision.strategy, 'breakout');
+  assert.equal(decision.leverage, engine.getUserLeverage());
+  assert.equal(decision.localSignalGate, false);
+  assert.equal(engine.hasStrongConviction(decision), true);
+
+  // Without the opt-out a plugin decision has to carry passing local values.
+  let local = {};
+  engine.strategies.register('plain', { evaluate: async () => ({ bias: 'long', confidence: 0.9, ...local }) });
+  engine.setSymbolOverride('BTCUSDT', { strategyMode: 'plain' });
+  const ungated = await engine.evaluateSymbol('BTCUSDT');
+  assert.equal(ungated.localEdge, undefined);
+  assert.equal(engine.hasStrongConviction(ungated), false);
+  local = { localEdge: 0.5, localConfidence: 0.7 };
+  assert.equal(engine.hasStrongConviction(await engine.evaluateSymbol('BTCUSDT')), true);
+
+  engine.setSymbolOverride('BTCUSDT', { strategyMode: 'disabled' });
+  assert.equal(await engine.evaluateSymbol('BTCUSDT'), null);
+  assert.throws(() => engine.setSymbolOverride('BTCUSDT', { strategyMode: 'hybrid' }), /Strategy mode/);
+});
+
+test('strategies that call OpenAI cannot be activated without an API key', (t) => {
+  const apiKey = config.openAi.apiKey;
+  config.openAi.apiKey = '';
+  t.after(() => {
+    config.openAi.apiKey = apiKey;
+  });
+  const paper = new PaperBinanceClient({ stateFile: null, livePrices: false });
+  const engine = new TradingEngine(['BTCUSDT'], { binance: paper, stateStore: null, strategyMode: 'scalp' });
+  assert.equal(engine.strategies.get('llm').requiresOpenAi, true);
+  assert.equal(engine.strategies.get('scalp').requiresOpenAi, false);
+  assert.throws(() => engine.setStrategy('llm'), /needs OPENAI_API_KEY/);
+  assert.throws(() => engine.setStrategy('hybrid'), /needs OPENAI_API_KEY/);
+  assert.throws(() => engine.setSymbolOverride('BTCUSDT', { strategyMode: 'llm' }), /needs OPENAI_API_KEY/);
+  assert.equal(engine.getStrategy(), 'scalp');
+  assert.equal(engine.getSymbolOverride('BTCUSDT'), null);
+
+  const provided = new TradingEngine(['BTCUSDT'], {
+    binance: paper,
+    stateStore: null,
+    strategyMode: 'scalp',
+    decisionProvider: async () => null,
+  });
+  assert.equal(provided.setStrategy('llm'), 'llm');
+});
+
+test('self-executing strategies run one symbol at a time outside the evaluation deadline', async () => {
+  const paper = new PaperBinanceClient({ stateFile: null, livePrices: false });
+  const engine = new TradingEngine(['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], { binance: paper, stateStore: null, strategyMode: 'llm' });
+  let running = 0;
+  let peak = 0;
+  const ran = [];
+  engine.strategies.register('orders', {
+    selfExecuting: true,
+    evaluate: async (symbol) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      running -= 1;
+      ran.push(symbol);
+      return { bias: 'long', confidence: 1 };
+    },
+  });
+  engine.setStrategy('orders');
+  engine.symbolEvaluationTimeoutMs = 10;
+  engine.evaluationConcurrency = 3;
+  engine.refreshSymbolUniverse = async () => {};
+  engine.captureEquitySnapshot = async () => {};
+  engine.scheduleNextLoop = () => {};
+  engine.running = true;
+
+  await engine.executeLoop();
+  assert.deepEqual(ran, ['BTCUSDT', 'ETHUSDT', 'SOLUSDT']);
+  assert.equal(peak, 1);
+  const stats = engine.getLoopStats();
+  assert.equal(stats.selfExecuting, 3);
+  assert.equal(stats.timedOut, undefined);
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+const { EngineStateFile } = await import('../store/engineStatePersistence.js');
+const { normalizeSymbolOverride } = await import('../services/symbolOverrides.js');
+
+function createEngine(stateStore = null) {
+  const paper = new PaperBinanceClient({ takerFeeRate: 0, slippageBps: 0, stateFile: null, livePrices: false });
+  paper.ensureTradableQuantity = async (_symbol, quantity) => ({ quantity });
+  return new TradingEngine(['BTCUSDT', 'ETHUSDT'], { binance: paper, stateStore, strategyMode: 'llm' });
+}
+
+test('override bodies are validated and clamped to the global control ranges', () => {
+  const ranges = { leverageRange: { min: 1, max: 20 }, allocationRange: { min: 1, max: 50 } };
+  assert.deepEqual(
+    normalizeSymbolOverride(
+      { leverage: 40, allocationPct: '5', maxNotional: 250, strategyMode: 'SCALP', entryStyle: 'post-only' },
+      ranges
+    ),
+    { leverage: 20, allocationPct: 5, maxNotional: 250, strategyMode: 'scalp', entryStyle: 'POST_ONLY' }
+  );
+  assert.deepEqual(normalizeSymbolOverride({ leverage: null }, ranges), {});
+  assert.throws(() => normalizeSymbolOverride({ maxNotional: -1 }, ranges), /Max notional/);
+  assert.throws(() => normalizeSymbolOverride({ strategyMode: 'grid' }, ranges), /Strategy mode/);
+  assert.throws(() => normalizeSymbolOverride([], ranges), /JSON object/);
+});
+
+test('symbol overrides drive sizing and evaluation while other symbols keep the globals', async () => {
+  const engine = createEngine();
+  engine.setAllocationPercent(engine.allocationRange.max);
+  engine.setSymbolOverride('ethusdt', { allocationPct: engine.allocationRange.min, maxNotional: 100 });
+  engine.setSymbolOverride('BTCUSDT', { strategyMode: 'disabled', leverage: engine.leverageRange.min });
+
+  const globalQty = engine.calculateOrderSize('SOLUSDT', 5, 1, 10, 10_000);
+  const ethQty = engine.calculateOrderSize('ETHUSDT', 5, 1, 10, 10_000);
+  assert.ok(globalQty > ethQty);
+  assert.equal(ethQty, 10);
+
+  assert.equal(engine.resolveSymbolSettings('BTCUSDT').leverage, engine.leverageRange.min);
+  assert.equal(engine.resolveSymbolSettings('SOLUSDT').strategyMode, 'llm');
+  assert.equal(await engine.evaluateSymbol('BTCUSDT'), null);
+
+  assert.equal(engine.setSymbolOverride('BTCUSDT', {}), null);
+  assert.equal(engine.getSymbolOverride('BTCUSDT'), null);
+  assert.throws(() => engine.setSymbolOverride('BTC-USDT', { leverage: 2 }), /valid Binance/);
+});
+
+test('disabled symbols keep taking strategy exits while they hold a position', async () => {
+  const engine = createEngine();
+  const paper = engine.binance;
+  paper.normalizePrice = async (_symbol, price) => price;
+  paper.updateMarketPrice('BTCUSDT', { price: 100 });
+  paper.updateMarketPrice('ETHUSDT', { price: 10 });
+  await paper.placeMarketOrder('BTCUSDT', 'BUY', 1);
+  const evaluated = [];
+  engine.strategies.register('exits', {
+    localSignalGate: false,
+    evaluate: async (symbol) => {
+      evaluated.push(symbol);
+      return symbol === 'BTCUSDT' ? { bias: 'flat', confidence: 0.9, exitPrice: 100 } : { bias: 'long', confidence: 0.9 };
+    },
+  });
+  engine.setStrategy('exits');
+  engine.setSymbolOverride('BTCUSDT', { strategyMode: 'disabled' });
+  engine.setSymbolOverride('ETHUSDT', { strategyMode: 'disabled' });
+  engine.refreshSymbolUniverse = async () => {};
+  engine.captureEquitySnapshot = async () => {};
+  engine.scheduleNextLoop = () => {};
+  engine.running = true;
+
+  await engine.executeLoop();
+  assert.deepEqual(evaluated, ['BTCUSDT']);
+  assert.equal(engine.getLoopStats().disabled, 1);
+  await assert.rejects(
+    engine.guardScalpEntries({ place: async () => ({}) }).place({ symbol: 'ETHUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }),
+    /disabled by override/
+  );
+
+  assert.equal(await engine.getPosition('BTCUSDT', { forceRefresh: true }), null);
+  assert.equal(await engine.getPosition('ETHUSDT', { forceRefresh: true }), null);
+});
+
+test('symbol overrides are persisted with the engine state', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zenith-symbol-overrides-'));
+  const store = new EngineStateFile(path.join(dir, 'engine-state.json'));
+  const first = createEngine(store);
+  first.setSymbolOverride('ETHUSDT', { strategyMode: 'scalp', entryStyle: 'LIMIT' });
+  await store.writeChain;
+
+  const second = createEngine(store);
+  assert.equal(await second.restoreState(), true);
+  assert.deepEqual(second.getSymbolOverrides(), { ETHUSDT: { strategyMode: 'scalp', entryStyle: 'LIMIT' } });
+
+  await second.resetState();
+  assert.deepEqual(second.getSymbolOverrides(), {});
+});
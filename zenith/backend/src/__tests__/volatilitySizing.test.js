@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+process.env.BINANCE_MODE = 'paper';
+
+const { PaperBinanceClient } = await import('../clients/paperBinanceClient.js');
+const { TradingEngine } = await import('../services/tradingEngine.js');
+
+function createEngine() {
+  const paper = new PaperBinanceClient({ initialBalance: 10_000, stateFile: null, livePrices: false });
+  const engine = new TradingEngine(['BTCUSDT'], { binance: paper, stateStore: null, strategyMode: 'llm' });
+  engine.sizingMode = 'volatility';
+  engine.sizingStopAtrMultiple = undefined;
+  engine.balanceCache = { timestamp: 0, available: 8_000, balance: 10_000 };
+  return engine;
+}
+
+test('volatility sizing risks a fixed share of equity at the ATR stop distance', () => {
+  const engine = createEngine();
+  engine.setRiskPerTradePercent(0.5);
+  engine.setRiskLevel(3);
+
+  // 0.5% of 10k equity over a 1.5 x 1% ATR stop
+  const quantity = engine.calculateOrderSize('BTCUSDT', 10, 0.8, 100, 8_000, 1);
+  assert.equal(quantity, 33.333333);
+
+  engine.positionCache.map.set('BTCUSDT', { symbol: 'BTCUSDT', positionAmt: 1, unrealizedProfit: -2_000 });
+  assert.equal(engine.calculateOrderSize('BTCUSDT', 10, 0.8, 100, 8_000, 1), 26.666667);
+});
+
+test('volatility sizing floors the stop distance and falls back without ATR', () => {
+  const engine = createEngine();
+  engine.setRiskPerTradePercent(0.3);
+  engine.sizingStopAtrMultiple = 2;
+
+  // 2 x 0.05% ATR is below the 0.15% protective minimum
+  assert.equal(engine.calculateOrderSize('BTCUSDT', 10, 0.8, 100, 8_000, 0.05), 200);
+
+  engine.sizingMode = 'allocation';
+  const allocation = engine.calculateOrderSize('BTCUSDT', 10, 0.8, 100, 8_000);
+  engine.sizingMode = 'volatility';
+  assert.equal(engine.calculateOrderSize('BTCUSDT', 10, 0.8, 100, 8_000, undefined), allocation);
+});
+
+test('risk per trade percent is clamped to the configured range', () => {
+  const engine = createEngine();
+  const changes = [];
+  engine.on('riskPerTradeChanged', (value) => changes.push(value));
+
+  assert.equal(engine.setRiskPerTradePercent(100), engine.riskPerTradeRange.max);
+  assert.equal(engine.setRiskPerTradePercent(0), engine.riskPerTradeRange.min);
+  assert.throws(() => engine.setRiskPerTradePercent('abc'), /numeric/);
+  assert.deepEqual(changes, [engine.riskPerTradeRange.max, engine.riskPerTradeRange.min]);
+});
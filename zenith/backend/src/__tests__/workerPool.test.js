@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DeadlineExceededError, runWithConcurrency, withDeadline } from '../utils/workerPool.js';
+
+const delay = (ms, value) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+test('worker pool caps in-flight work and keeps input order', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await runWithConcurrency([30, 5, 20, 10, 1], 2, async (ms, index) => {
+    inFlight += 1;
+    peak = Math.max(peak, inFlight);
+    await delay(ms);
+    inFlight -= 1;
+    if (index === 3) {
+      throw new Error('boom');
+    }
+    return ms;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(
+    results.map((result) => result.status),
+    ['fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'fulfilled']
+  );
+  assert.deepEqual(results.filter((r) => r.status === 'fulfilled').map((r) => r.value), [30, 5, 20, 1]);
+  assert.match(results[3].reason.message, /boom/);
+});
+
+test('deadline rejects slow work and passes fast work through', async () => {
+  assert.equal(await withDeadline(delay(5, 'fast'), 100, 'fast task'), 'fast');
+  await assert.rejects(withDeadline(delay(100, 'slow'), 10, 'slow task'), (error) => {
+    assert.ok(error instanceof DeadlineExceededError);
+    assert.match(error.message, /slow task exceeded 10ms deadline/);
+    return true;
+  });
+});
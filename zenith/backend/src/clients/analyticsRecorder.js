@@ -12,6 +12,18 @@ export class AnalyticsRecorder {
     analyticsStore.addExecution(result, decision);
   }
 
+  async recordRiskRejection(rejection) {
+    analyticsStore.addRiskRejection(rejection);
+  }
+
+  async recordExecutionAlgo(report) {
+    analyticsStore.addExecutionAlgo(report);
+  }
+
+  async recordFlatten(report) {
+    analyticsStore.addFlattenReport(report);
+  }
+
   async recordEquity(snapshot) {
     analyticsStore.addEquity(snapshot);
   }
@@ -2,37 +2,367 @@ import crypto from 'node:crypto';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
 import { TypedEventEmitter } from '../utils/eventEmitter.js';
+import { BinanceRateLimiter } from './binanceRateLimiter.js';
 
 const REST_BASE_URL = config.binance.useTestnet
   ? 'https://testnet.binancefuture.com'
   : 'https://fapi.binance.com';
 
+const WS_BASE_URL = config.binance.useTestnet
+  ? 'wss://stream.binancefuture.com'
+  : 'wss://fstream.binance.com';
+
+const MAX_STREAM_PARAMS_PER_MESSAGE = 200;
+
+const TIMESTAMP_ERROR_CODE = -1021;
+const NO_CHANGE_REGEX = /no need to change/i;
+const ORDER_PATHS = new Set(['/fapi/v1/order', '/fapi/v1/batchOrders', '/fapi/v1/allOpenOrders']);
+
+export const binanceRateLimiter = new BinanceRateLimiter(config.binance.rateLimit);
+
+// `url` may be a function, called once the limiter grants the slot, so signed
+// requests are timestamped when they are sent rather than when they queued.
+const rateLimitedFetch = (url, init, options = {}) =>
+  binanceRateLimiter.schedule(options, () => fetch(typeof url === 'function' ? url() : url, init));
+
+const klinesWeight = (limit) => {
+  if (limit < 100) return 1;
+  if (limit < 500) return 2;
+  if (limit <= 1000) return 5;
+  return 10;
+};
+
+// Node 20 only exposes WebSocket behind --experimental-websocket, which the
+// start scripts pass; Node 22 ships it by default.
+export function resolveWebSocket() {
+  if (typeof globalThis.WebSocket !== 'function') {
+    throw new Error(
+      'WebSocket is not available in this Node.js runtime: run Node 20 with --experimental-websocket, use Node 22+, or set BINANCE_STREAM_MODE=polling and BINANCE_USER_STREAM_ENABLED=false'
+    );
+  }
+  return globalThis.WebSocket;
+}
+
+const toPositiveNumber = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : undefined;
+};
+
 export class BinanceRealtimeFeed extends TypedEventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
+    const streamConfig = config.binance.stream ?? {};
+    this.mode = options.mode ?? streamConfig.mode ?? 'websocket';
+    this.WebSocket = options.WebSocket;
+    this.url = options.url ?? `${WS_BASE_URL}/stream`;
+    this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+    this.reconnectBaseMs = Math.max(250, Number(streamConfig.reconnectBaseMs ?? 1_000));
+    this.reconnectMaxMs = Math.max(this.reconnectBaseMs, Number(streamConfig.reconnectMaxMs ?? 30_000));
+    this.staleAfterMs = Math.max(5_000, Number(streamConfig.staleAfterMs ?? 15_000));
     this.pollTimer = undefined;
     this.symbols = [];
+    this.symbolSet = new Set();
+    this.active = false;
+    this.socket = undefined;
+    this.socketOpen = false;
+    this.subscribedStreams = new Set();
+    this.quotes = new Map();
+    this.reconnectTimer = undefined;
+    this.reconnectAttempts = 0;
+    this.heartbeatTimer = undefined;
+    this.lastMessageAt = 0;
+    this.requestId = 0;
   }
 
   start(symbols) {
+    if (this._websocketEnabled()) {
+      this.WebSocket ??= resolveWebSocket();
+    }
     this.stop();
-    this.symbols = Array.from(new Set(Array.isArray(symbols) ? symbols : []));
+    this._setSymbols(symbols);
+    if (this.symbols.length === 0) {
+      return;
+    }
+    this.active = true;
+    this._startPolling();
+    if (this._websocketEnabled()) {
+      this._connect();
+    }
+  }
+
+  updateSymbols(symbols) {
+    if (!this.active) {
+      this.start(symbols);
+      return;
+    }
+    this._setSymbols(symbols);
     if (this.symbols.length === 0) {
+      this.stop();
+      return;
+    }
+    for (const key of Array.from(this.quotes.keys())) {
+      if (!this.symbolSet.has(key)) {
+        this.quotes.delete(key);
+      }
+    }
+    if (this.socketOpen) {
+      this._syncSubscriptions();
+    }
+  }
+
+  stop() {
+    this.active = false;
+    this._stopPolling();
+    this._stopHeartbeat();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = undefined;
+    }
+    const socket = this.socket;
+    this.socket = undefined;
+    this.socketOpen = false;
+    if (socket) {
+      try {
+        socket.close();
+      } catch (error) {
+        logger.debug({ error }, 'Failed to close Binance market stream socket');
+      }
+    }
+    this.subscribedStreams.clear();
+    this.quotes.clear();
+    this.reconnectAttempts = 0;
+    this.symbols = [];
+    this.symbolSet = new Set();
+  }
+
+  _setSymbols(symbols) {
+    this.symbols = Array.from(
+      new Set(
+        (Array.isArray(symbols) ? symbols : [])
+          .filter((symbol) => typeof symbol === 'string' && symbol.length > 0)
+          .map((symbol) => symbol.toUpperCase())
+      )
+    );
+    this.symbolSet = new Set(this.symbols);
+  }
+
+  _websocketEnabled() {
+    return this.mode === 'websocket';
+  }
+
+  _startPolling() {
+    if (this.pollTimer) {
       return;
     }
     const poll = () => {
       void this._pollPrices(this.symbols);
     };
     poll();
-    this.pollTimer = setInterval(poll, 1000);
+    this.pollTimer = setInterval(poll, this.pollIntervalMs);
   }
 
-  stop() {
+  _stopPolling() {
     if (this.pollTimer) {
       clearInterval(this.pollTimer);
       this.pollTimer = undefined;
     }
-    this.symbols = [];
+  }
+
+  _connect() {
+    if (!this.active) {
+      return;
+    }
+
+    let socket;
+    try {
+      socket = new this.WebSocket(this.url);
+    } catch (error) {
+      logger.error({ error }, 'Failed to open Binance market stream');
+      this._scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      if (this.socket !== socket) return;
+      this.socketOpen = true;
+      this.reconnectAttempts = 0;
+      this.lastMessageAt = Date.now();
+      this.subscribedStreams.clear();
+      this._syncSubscriptions();
+      this._stopPolling();
+      this._startHeartbeat();
+      logger.info({ symbols: this.symbols.length }, 'Binance market stream connected');
+    });
+
+    socket.addEventListener('message', (event) => {
+      if (this.socket !== socket) return;
+      this.lastMessageAt = Date.now();
+      this._handleMessage(event.data);
+    });
+
+    socket.addEventListener('error', (event) => {
+      if (this.socket !== socket) return;
+      logger.warn({ error: event?.error ?? event?.message }, 'Binance market stream error');
+    });
+
+    socket.addEventListener('close', (event) => {
+      if (this.socket !== socket) return;
+      this._handleDisconnect(`closed (${event?.code ?? 'unknown'})`);
+    });
+  }
+
+  _handleDisconnect(reason) {
+    const socket = this.socket;
+    this.socket = undefined;
+    this.socketOpen = false;
+    this.subscribedStreams.clear();
+    this._stopHeartbeat();
+    if (socket) {
+      try {
+        socket.close();
+      } catch (_error) {
+        // socket already closed
+      }
+    }
+    if (!this.active) {
+      return;
+    }
+    logger.warn({ reason }, 'Binance market stream disconnected, falling back to REST polling');
+    this._startPolling();
+    this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    if (!this.active || this.reconnectTimer) {
+      return;
+    }
+    const delay = Math.min(this.reconnectBaseMs * 2 ** this.reconnectAttempts, this.reconnectMaxMs);
+    this.reconnectAttempts += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = undefined;
+      this._connect();
+    }, delay);
+  }
+
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    const interval = Math.max(1_000, Math.floor(this.staleAfterMs / 3));
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.socketOpen) return;
+      const silentFor = Date.now() - this.lastMessageAt;
+      if (silentFor > this.staleAfterMs) {
+        this._handleDisconnect(`no messages for ${silentFor}ms`);
+      }
+    }, interval);
+  }
+
+  _stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = undefined;
+    }
+  }
+
+  // Mark prices are subscribed per active symbol; the all-market array
+  // stream would push every contract each second only to be dropped.
+  _streamsFor(symbols) {
+    const streams = [];
+    for (const symbol of symbols) {
+      const key = symbol.toLowerCase();
+      streams.push(`${key}@markPrice@1s`, `${key}@bookTicker`, `${key}@aggTrade`);
+    }
+    return streams;
+  }
+
+  _syncSubscriptions() {
+    const desired = new Set(this._streamsFor(this.symbols));
+    const toRemove = Array.from(this.subscribedStreams).filter((stream) => !desired.has(stream));
+    const toAdd = Array.from(desired).filter((stream) => !this.subscribedStreams.has(stream));
+    this._sendStreamRequest('UNSUBSCRIBE', toRemove);
+    this._sendStreamRequest('SUBSCRIBE', toAdd);
+    this.subscribedStreams = desired;
+  }
+
+  _sendStreamRequest(method, streams) {
+    if (!this.socket || streams.length === 0) {
+      return;
+    }
+    for (let index = 0; index < streams.length; index += MAX_STREAM_PARAMS_PER_MESSAGE) {
+      const params = streams.slice(index, index + MAX_STREAM_PARAMS_PER_MESSAGE);
+      this.requestId += 1;
+      try {
+        this.socket.send(JSON.stringify({ method, params, id: this.requestId }));
+      } catch (error) {
+        logger.warn({ error, method, streams: params.length }, 'Failed to send Binance stream request');
+      }
+    }
+  }
+
+  _handleMessage(raw) {
+    let payload;
+    try {
+      payload = JSON.parse(typeof raw === 'string' ? raw : String(raw));
+    } catch (error) {
+      logger.debug({ error }, 'Unable to parse Binance market stream message');
+      return;
+    }
+
+    if (payload?.error) {
+      logger.warn({ error: payload.error, id: payload.id }, 'Binance market stream rejected request');
+      return;
+    }
+    if (payload?.id !== undefined && 'result' in payload) {
+      return;
+    }
+
+    this._handleEvent(payload?.data ?? payload);
+  }
+
+  _handleEvent(event) {
+    const symbol = typeof event?.s === 'string' ? event.s.toUpperCase() : undefined;
+    if (!symbol || !this.symbolSet.has(symbol)) {
+      return;
+    }
+
+    const quote = this.quotes.get(symbol) ?? {};
+    const exchangeTime = toPositiveNumber(event.E ?? event.T);
+    if (event.e === 'markPriceUpdate') {
+      quote.markPrice = toPositiveNumber(event.p) ?? quote.markPrice;
+      this.quotes.set(symbol, quote);
+      return;
+    }
+    if (event.e === 'bookTicker') {
+      quote.bid = toPositiveNumber(event.b) ?? quote.bid;
+      quote.ask = toPositiveNumber(event.a) ?? quote.ask;
+      quote.bidQty = Number(event.B);
+      quote.askQty = Number(event.A);
+    } else if (event.e === 'aggTrade') {
+      quote.lastPrice = toPositiveNumber(event.p) ?? quote.lastPrice;
+    } else {
+      return;
+    }
+    quote.exchangeTime = exchangeTime ?? quote.exchangeTime;
+    this.quotes.set(symbol, quote);
+
+    const mid = quote.bid && quote.ask ? (quote.bid + quote.ask) / 2 : undefined;
+    const price = quote.lastPrice ?? mid ?? quote.markPrice;
+    if (!price) {
+      return;
+    }
+
+    this.emit('tick', {
+      symbol,
+      price,
+      bid: quote.bid,
+      ask: quote.ask,
+      bidQty: Number.isFinite(quote.bidQty) ? quote.bidQty : undefined,
+      askQty: Number.isFinite(quote.askQty) ? quote.askQty : undefined,
+      markPrice: quote.markPrice,
+      exchangeTime: quote.exchangeTime,
+      eventTime: Date.now(),
+      source: 'websocket',
+    });
   }
 
   async _pollPrices(symbols) {
@@ -47,7 +377,7 @@ export class BinanceRealtimeFeed extends TypedEventEmitter {
 
     for (const symbol of symbols) {
       try {
-        const response = await fetch(
+        const response = await rateLimitedFetch(
           `${REST_BASE_URL}/fapi/v1/ticker/price?symbol=${encodeURIComponent(symbol)}`
         );
         if (!response.ok) {
@@ -61,7 +391,9 @@ export class BinanceRealtimeFeed extends TypedEventEmitter {
         this.emit('tick', {
           symbol: payload.symbol ?? symbol,
           price,
+          exchangeTime: toPositiveNumber(payload.time),
           eventTime: Date.now(),
+          source: 'polling',
         });
       } catch (error) {
         logger.error({ error, symbol }, 'Failed to fetch Binance ticker price');
@@ -71,7 +403,7 @@ export class BinanceRealtimeFeed extends TypedEventEmitter {
 
   async _pollBulkPrices(symbols) {
     try {
-      const response = await fetch(`${REST_BASE_URL}/fapi/v1/ticker/price`);
+      const response = await rateLimitedFetch(`${REST_BASE_URL}/fapi/v1/ticker/price`, undefined, { weight: 2 });
       if (!response.ok) {
         throw new Error(`Binance bulk price request failed: ${response.status}`);
       }
@@ -89,7 +421,9 @@ export class BinanceRealtimeFeed extends TypedEventEmitter {
         this.emit('tick', {
           symbol,
           price,
+          exchangeTime: toPositiveNumber(entry.time),
           eventTime: now,
+          source: 'polling',
         });
       }
     } catch (error) {
@@ -98,6 +432,246 @@ export class BinanceRealtimeFeed extends TypedEventEmitter {
   }
 }
 
+const toFiniteNumber = (value, fallback = 0) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+export function parseOrderTradeUpdate(payload) {
+  const order = payload?.o ?? {};
+  return {
+    symbol: typeof order.s === 'string' ? order.s.toUpperCase() : undefined,
+    orderId: order.i !== undefined ? String(order.i) : undefined,
+    clientOrderId: order.c,
+    side: order.S,
+    type: order.o,
+    origType: order.ot,
+    timeInForce: order.f,
+    status: order.X,
+    executionType: order.x,
+    price: toFiniteNumber(order.p),
+    avgPrice: toFiniteNumber(order.ap),
+    stopPrice: toFiniteNumber(order.sp),
+    origQty: toFiniteNumber(order.q),
+    lastFilledQty: toFiniteNumber(order.l),
+    lastFilledPrice: toFiniteNumber(order.L),
+    cumulativeQty: toFiniteNumber(order.z),
+    commission: toFiniteNumber(order.n),
+    commissionAsset: order.N,
+    realizedProfit: toFiniteNumber(order.rp),
+    reduceOnly: order.R === true,
+    closePosition: order.cp === true,
+    positionSide: order.ps,
+    tradeTime: toFiniteNumber(order.T ?? payload?.T),
+    eventTime: toFiniteNumber(payload?.E),
+  };
+}
+
+export function parseAccountUpdate(payload) {
+  const account = payload?.a ?? {};
+  return {
+    reason: account.m,
+    eventTime: toFiniteNumber(payload?.E),
+    balances: (Array.isArray(account.B) ? account.B : []).map((entry) => ({
+      asset: entry.a,
+      balance: toFiniteNumber(entry.wb),
+      crossWalletBalance: toFiniteNumber(entry.cw),
+      balanceChange: toFiniteNumber(entry.bc),
+    })),
+    positions: (Array.isArray(account.P) ? account.P : [])
+      .filter((entry) => typeof entry?.s === 'string')
+      .map((entry) => ({
+        symbol: entry.s.toUpperCase(),
+        positionAmt: toFiniteNumber(entry.pa),
+        entryPrice: toFiniteNumber(entry.ep),
+        unrealizedProfit: toFiniteNumber(entry.up),
+        marginType: entry.mt,
+        positionSide: entry.ps,
+      })),
+  };
+}
+
+export class BinanceUserDataStream extends TypedEventEmitter {
+  constructor(client, options = {}) {
+    super();
+    const userStreamConfig = config.binance.userStream ?? {};
+    const streamConfig = config.binance.stream ?? {};
+    this.client = client;
+    this.enabled = options.enabled ?? userStreamConfig.enabled !== false;
+    this.WebSocket = options.WebSocket;
+    this.baseUrl = options.baseUrl ?? `${WS_BASE_URL}/ws`;
+    this.keepAliveMs = Math.max(60_000, Number(userStreamConfig.keepAliveMinutes ?? 30) * 60_000);
+    this.reconnectBaseMs = Math.max(250, Number(streamConfig.reconnectBaseMs ?? 1_000));
+    this.reconnectMaxMs = Math.max(this.reconnectBaseMs, Number(streamConfig.reconnectMaxMs ?? 30_000));
+    this.active = false;
+    this.listenKey = undefined;
+    this.socket = undefined;
+    this.socketOpen = false;
+    this.keepAliveTimer = undefined;
+    this.reconnectTimer = undefined;
+    this.reconnectAttempts = 0;
+  }
+
+  isConnected() {
+    return this.socketOpen;
+  }
+
+  async start() {
+    if (this.active || !this.enabled) {
+      return;
+    }
+    this.WebSocket ??= resolveWebSocket();
+    this.active = true;
+    await this._open();
+  }
+
+  stop() {
+    this.active = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = undefined;
+    }
+    this._closeSocket();
+    this.reconnectAttempts = 0;
+    if (this.listenKey) {
+      this.listenKey = undefined;
+      void this.client.closeListenKey().catch((error) => {
+        logger.debug({ error }, 'Failed to close Binance listenKey');
+      });
+    }
+  }
+
+  async _open() {
+    try {
+      this.listenKey = await this.client.createListenKey();
+    } catch (error) {
+      logger.error({ error }, 'Failed to create Binance listenKey');
+      this._scheduleReconnect();
+      return;
+    }
+    if (!this.active) {
+      return;
+    }
+
+    let socket;
+    try {
+      socket = new this.WebSocket(`${this.baseUrl}/${this.listenKey}`);
+    } catch (error) {
+      logger.error({ error }, 'Failed to open Binance user data stream');
+      this._scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      if (this.socket !== socket) return;
+      this.socketOpen = true;
+      this.reconnectAttempts = 0;
+      this._startKeepAlive();
+      logger.info('Binance user data stream connected');
+      this.emit('connected');
+    });
+
+    socket.addEventListener('message', (event) => {
+      if (this.socket !== socket) return;
+      this._handleMessage(event.data);
+    });
+
+    socket.addEventListener('error', (event) => {
+      if (this.socket !== socket) return;
+      logger.warn({ error: event?.error ?? event?.message }, 'Binance user data stream error');
+    });
+
+    socket.addEventListener('close', (event) => {
+      if (this.socket !== socket) return;
+      this._handleDisconnect(`closed (${event?.code ?? 'unknown'})`);
+    });
+  }
+
+  _closeSocket() {
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = undefined;
+    }
+    const socket = this.socket;
+    this.socket = undefined;
+    this.socketOpen = false;
+    if (socket) {
+      try {
+        socket.close();
+      } catch (_error) {
+        // socket already closed
+      }
+    }
+  }
+
+  _handleDisconnect(reason) {
+    const wasOpen = this.socketOpen;
+    this._closeSocket();
+    if (!this.active) {
+      return;
+    }
+    logger.warn({ reason }, 'Binance user data stream disconnected');
+    if (wasOpen) {
+      this.emit('disconnected', reason);
+    }
+    this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    if (!this.active || this.reconnectTimer) {
+      return;
+    }
+    const delay = Math.min(this.reconnectBaseMs * 2 ** this.reconnectAttempts, this.reconnectMaxMs);
+    this.reconnectAttempts += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = undefined;
+      void this._open();
+    }, delay);
+  }
+
+  _startKeepAlive() {
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+    }
+    this.keepAliveTimer = setInterval(() => {
+      void this.client.keepAliveListenKey().catch((error) => {
+        logger.warn({ error }, 'Failed to keep Binance listenKey alive');
+        this._handleDisconnect('keepalive failed');
+      });
+    }, this.keepAliveMs);
+  }
+
+  _handleMessage(raw) {
+    let payload;
+    try {
+      payload = JSON.parse(typeof raw === 'string' ? raw : String(raw));
+    } catch (error) {
+      logger.debug({ error }, 'Unable to parse Binance user data message');
+      return;
+    }
+
+    switch (payload?.e) {
+      case 'ORDER_TRADE_UPDATE':
+        this.emit('orderUpdate', parseOrderTradeUpdate(payload));
+        break;
+      case 'ACCOUNT_UPDATE':
+        this.emit('accountUpdate', parseAccountUpdate(payload));
+        break;
+      case 'MARGIN_CALL':
+        logger.warn({ positions: payload.p }, 'Binance margin call received');
+        this.emit('marginCall', payload);
+        break;
+      case 'listenKeyExpired':
+        this.listenKey = undefined;
+        this._handleDisconnect('listenKey expired');
+        break;
+      default:
+        break;
+    }
+  }
+}
+
 export class BinanceClient {
   constructor() {
     this.baseUrl = REST_BASE_URL;
@@ -108,6 +682,13 @@ export class BinanceClient {
       ttl: 60 * 1000,
       bySymbol: new Map(),
     };
+    this.timeSync = {
+      offsetMs: 0,
+      lastSync: 0,
+      intervalMs: Math.max(60, Number(config.binance.timeSyncIntervalSeconds ?? 900)) * 1000,
+      inFlight: null,
+    };
+    this.positionMode = { dualSide: false, lastChecked: 0 };
   }
 
   async loadExchangeInfo(options = {}) {
@@ -118,7 +699,7 @@ export class BinanceClient {
       return this.exchangeInfoCache;
     }
 
-    const response = await fetch(`${this.baseUrl}/fapi/v1/exchangeInfo`);
+    const response = await rateLimitedFetch(`${this.baseUrl}/fapi/v1/exchangeInfo`);
     if (!response.ok) {
       throw new Error(`Binance exchange info request failed: ${response.status}`);
     }
@@ -216,12 +797,17 @@ export class BinanceClient {
   }
 
   async fetchKlines(symbol, interval = '1m', limit = 120) {
+    const safeLimit = Math.max(1, Math.min(limit, 500));
     const params = new URLSearchParams({
       symbol,
       interval,
-      limit: String(Math.max(1, Math.min(limit, 500))),
+      limit: String(safeLimit),
     });
-    const response = await fetch(`${this.baseUrl}/fapi/v1/klines?${params.toString()}`);
+    const response = await rateLimitedFetch(
+      `${this.baseUrl}/fapi/v1/klines?${params.toString()}`,
+      undefined,
+      { weight: klinesWeight(safeLimit) }
+    );
     if (!response.ok) {
       throw new Error(`Binance klines request failed: ${response.status}`);
     }
@@ -261,7 +847,11 @@ export class BinanceClient {
         params.set('endTime', String(endTime));
       }
 
-      const response = await fetch(`${this.baseUrl}/fapi/v1/klines?${params.toString()}`);
+      const response = await rateLimitedFetch(
+        `${this.baseUrl}/fapi/v1/klines?${params.toString()}`,
+        undefined,
+        { weight: klinesWeight(batchLimit) }
+      );
       if (!response.ok) {
         throw new Error(`Binance klines request failed: ${response.status}`);
       }
@@ -308,7 +898,7 @@ export class BinanceClient {
 
   async fetch24hTicker(symbol) {
     try {
-      const response = await fetch(
+      const response = await rateLimitedFetch(
         `${this.baseUrl}/fapi/v1/ticker/24hr?symbol=${encodeURIComponent(symbol)}`
       );
       if (!response.ok) {
@@ -333,7 +923,7 @@ export class BinanceClient {
 
   async fetchFundingRate(symbol) {
     try {
-      const response = await fetch(
+      const response = await rateLimitedFetch(
         `${this.baseUrl}/fapi/v1/premiumIndex?symbol=${encodeURIComponent(symbol)}`
       );
       if (!response.ok) {
@@ -353,9 +943,34 @@ export class BinanceClient {
     }
   }
 
+  async fetchBookTicker(symbol) {
+    try {
+      const response = await rateLimitedFetch(
+        `${this.baseUrl}/fapi/v1/ticker/bookTicker?symbol=${encodeURIComponent(symbol)}`,
+        undefined,
+        { weight: 2 }
+      );
+      if (!response.ok) {
+        throw new Error(`Binance book ticker request failed: ${response.status}`);
+      }
+      const payload = await response.json();
+      return {
+        symbol: payload.symbol ?? symbol,
+        bid: Number(payload.bidPrice ?? 0),
+        ask: Number(payload.askPrice ?? 0),
+        bidQty: Number(payload.bidQty ?? 0),
+        askQty: Number(payload.askQty ?? 0),
+        time: Number(payload.time ?? Date.now()),
+      };
+    } catch (error) {
+      logger.error({ error, symbol }, 'Failed to fetch Binance book ticker');
+      throw error;
+    }
+  }
+
   async fetchOpenInterest(symbol) {
     try {
-      const response = await fetch(
+      const response = await rateLimitedFetch(
         `${this.baseUrl}/fapi/v1/openInterest?symbol=${encodeURIComponent(symbol)}`
       );
       if (!response.ok) {
@@ -379,7 +994,7 @@ export class BinanceClient {
         period,
         limit: String(Math.max(1, Math.min(limit, 500))),
       });
-      const response = await fetch(
+      const response = await rateLimitedFetch(
         `${this.baseUrl}/futures/data/takerlongshortRatio?${params.toString()}`
       );
       if (!response.ok) {
@@ -412,28 +1027,95 @@ export class BinanceClient {
     }
   }
 
+  async syncServerTime() {
+    if (this.timeSync.inFlight) {
+      return this.timeSync.inFlight;
+    }
+    this.timeSync.inFlight = (async () => {
+      let sentAt;
+      const response = await rateLimitedFetch(() => {
+        sentAt = Date.now();
+        return `${this.baseUrl}/fapi/v1/time`;
+      });
+      if (!response.ok) {
+        throw new Error(`Binance server time request failed: ${response.status}`);
+      }
+      const payload = await response.json();
+      const receivedAt = Date.now();
+      const serverTime = Number(payload?.serverTime);
+      if (!Number.isFinite(serverTime)) {
+        throw new Error('Binance server time payload was invalid');
+      }
+      const offsetMs = Math.round(serverTime - (sentAt + receivedAt) / 2);
+      this.timeSync.offsetMs = offsetMs;
+      this.timeSync.lastSync = receivedAt;
+      if (Math.abs(offsetMs) >= 1000) {
+        logger.warn({ offsetMs, roundTripMs: receivedAt - sentAt }, 'Local clock drifts from Binance server time');
+      }
+      return offsetMs;
+    })();
+    try {
+      return await this.timeSync.inFlight;
+    } finally {
+      this.timeSync.inFlight = null;
+    }
+  }
+
+  async ensureTimeSync() {
+    if (Date.now() - this.timeSync.lastSync < this.timeSync.intervalMs) {
+      return;
+    }
+    try {
+      await this.syncServerTime();
+    } catch (error) {
+      logger.warn({ error }, 'Unable to sync Binance server time, keeping previous offset');
+      this.timeSync.lastSync = Date.now();
+    }
+  }
+
+  getTimeOffset() {
+    return this.timeSync.offsetMs;
+  }
+
   signParams(params) {
-    const timestamp = Date.now();
-    const query = new URLSearchParams({ ...params, timestamp: String(timestamp) });
+    const timestamp = Date.now() + this.timeSync.offsetMs;
+    const signedParams = { ...params, timestamp: String(timestamp) };
+    if (signedParams.recvWindow === undefined && Number.isFinite(config.binance.recvWindow)) {
+      signedParams.recvWindow = String(config.binance.recvWindow);
+    }
+    const query = new URLSearchParams(signedParams);
     const hmac = crypto.createHmac('sha256', config.binance.apiSecret);
     hmac.update(query.toString());
     query.append('signature', hmac.digest('hex'));
     return query.toString();
   }
 
-  async request(method, path, params = {}) {
-    const query = this.signParams(params);
-    const url = `${this.baseUrl}${path}?${query}`;
-    const response = await fetch(url, {
-      method,
-      headers: { 'X-MBX-APIKEY': config.binance.apiKey },
-    });
+  async request(method, path, params = {}, options = {}) {
+    const signed = options.signed !== false;
+    if (signed) {
+      await this.ensureTimeSync();
+    }
+    const buildUrl = () => {
+      const query = signed ? this.signParams(params) : new URLSearchParams(params).toString();
+      return query ? `${this.baseUrl}${path}?${query}` : `${this.baseUrl}${path}`;
+    };
+    const priority = options.priority ?? (method !== 'GET' && ORDER_PATHS.has(path) ? 'order' : 'account');
+    const response = await rateLimitedFetch(
+      buildUrl,
+      {
+        method,
+        headers: { 'X-MBX-APIKEY': config.binance.apiKey },
+      },
+      { weight: options.weight ?? 1, priority }
+    );
     const text = await response.text();
     if (!response.ok) {
       let details = '';
+      let code;
       if (text) {
         try {
           const payload = JSON.parse(text);
+          code = Number(payload?.code);
           if (payload?.msg) {
             details = ` (${payload.msg})`;
           }
@@ -441,7 +1123,19 @@ export class BinanceClient {
           details = ` (${text})`;
         }
       }
-      throw new Error(`Binance request failed: ${response.status}${details}`);
+      const error = new Error(`Binance request failed: ${response.status}${details}`);
+      if (signed && code === TIMESTAMP_ERROR_CODE && !options.timestampRetried) {
+        logger.warn({ path, method, offsetMs: this.timeSync.offsetMs }, 'Binance rejected request timestamp, re-syncing server time');
+        try {
+          await this.syncServerTime();
+        } catch (syncError) {
+          // The caller needs the -1021 rejection, not the failed re-sync.
+          logger.error({ error: syncError, path, method }, 'Unable to re-sync Binance server time after timestamp rejection');
+          throw error;
+        }
+        return this.request(method, path, params, { ...options, timestampRetried: true });
+      }
+      throw error;
     }
     if (!text) {
       return {};
@@ -454,6 +1148,22 @@ export class BinanceClient {
     }
   }
 
+  async createListenKey() {
+    const data = await this.request('POST', '/fapi/v1/listenKey', {}, { signed: false });
+    if (!data?.listenKey) {
+      throw new Error('Binance listenKey response did not include a key');
+    }
+    return String(data.listenKey);
+  }
+
+  async keepAliveListenKey() {
+    await this.request('PUT', '/fapi/v1/listenKey', {}, { signed: false });
+  }
+
+  async closeListenKey() {
+    await this.request('DELETE', '/fapi/v1/listenKey', {}, { signed: false });
+  }
+
   async fetchSymbolFilters(symbol) {
     const key = symbol.toUpperCase();
     if (this.symbolFilters.has(key)) {
@@ -482,6 +1192,7 @@ export class BinanceClient {
       return trimmed.length;
     };
 
+    const priceFilter = findFilter('PRICE_FILTER');
     const marketLotFilter = findFilter('MARKET_LOT_SIZE');
     const lotFilter = findFilter('LOT_SIZE');
     const effectiveLotFilter = marketLotFilter ?? lotFilter;
@@ -513,6 +1224,7 @@ export class BinanceClient {
       maxNotional: toNumber(notionalFilter?.maxNotional, Number.POSITIVE_INFINITY),
       quantityPrecision,
       stepSizePrecision,
+      tickSize: toNumber(priceFilter?.tickSize, 0),
     };
 
     this.symbolFilters.set(key, filters);
@@ -599,6 +1311,30 @@ export class BinanceClient {
     return Number(quantized.toFixed(precision));
   }
 
+  static roundToTick(price, tickSize) {
+    if (!Number.isFinite(price) || price <= 0) return 0;
+    if (!Number.isFinite(tickSize) || tickSize <= 0) {
+      return price;
+    }
+    const precision = Math.min(8, Math.max(0, Math.round(-Math.log10(tickSize))));
+    const ticks = Math.round(price / tickSize);
+    return Number((ticks * tickSize).toFixed(precision));
+  }
+
+  async normalizePrice(symbol, price) {
+    const numeric = Number(price);
+    if (!Number.isFinite(numeric) || numeric <= 0) {
+      return undefined;
+    }
+    try {
+      const filters = await this.fetchSymbolFilters(symbol);
+      return BinanceClient.roundToTick(numeric, filters.tickSize);
+    } catch (error) {
+      logger.warn({ error, symbol, price }, 'Unable to round price to Binance tick size');
+      return numeric;
+    }
+  }
+
   async ensureTradableQuantity(symbol, desiredQty, referencePrice) {
     if (!Number.isFinite(desiredQty) || desiredQty <= 0) {
       return { quantity: 0, quantityText: undefined, filters: undefined };
@@ -717,7 +1453,7 @@ export class BinanceClient {
 
   async fetchAccountBalance() {
     try {
-      const data = await this.request('GET', '/fapi/v2/account');
+      const data = await this.request('GET', '/fapi/v2/account', {}, { weight: 5 });
       return (data.assets ?? []).map((asset) => ({
         asset: asset.asset,
         balance: Number(asset.walletBalance),
@@ -729,14 +1465,51 @@ export class BinanceClient {
     }
   }
 
+  async fetchPositionMode() {
+    try {
+      const data = await this.request('GET', '/fapi/v1/positionSide/dual', {}, { weight: 30 });
+      const dualSide = data?.dualSidePosition === true || data?.dualSidePosition === 'true';
+      if (dualSide !== this.positionMode.dualSide) {
+        logger.info({ dualSide }, 'Detected Binance position mode');
+      }
+      this.positionMode = { dualSide, lastChecked: Date.now() };
+      return dualSide;
+    } catch (error) {
+      logger.error({ error }, 'Unable to fetch Binance position mode');
+      throw error;
+    }
+  }
+
+  isHedgeMode() {
+    return this.positionMode.dualSide === true;
+  }
+
+  // In hedge mode an order must name the leg it opens or closes: entries use
+  // the leg matching the order side, reduce-only orders the opposite one.
+  static positionSideFor(side, reduceOnly = false) {
+    const buy = side === 'BUY';
+    return buy !== (reduceOnly === true) ? 'LONG' : 'SHORT';
+  }
+
+  static applyPositionSide(payload, positionSide) {
+    if (positionSide === 'LONG' || positionSide === 'SHORT') {
+      payload.positionSide = positionSide;
+      // Binance rejects reduceOnly in hedge mode; the positionSide already
+      // determines whether the order opens or closes the leg.
+      delete payload.reduceOnly;
+    }
+    return payload;
+  }
+
   async fetchPositions() {
     try {
-      const data = await this.request('GET', '/fapi/v2/positionRisk');
+      const data = await this.request('GET', '/fapi/v2/positionRisk', {}, { weight: 5 });
       return (data ?? []).map((position) => ({
         symbol: position.symbol,
         positionAmt: Number(position.positionAmt),
         entryPrice: Number(position.entryPrice),
         unrealizedProfit: Number(position.unRealizedProfit ?? position.unrealizedProfit ?? 0),
+        positionSide: position.positionSide ?? 'BOTH',
       }));
     } catch (error) {
       logger.error({ error }, 'Unable to fetch Binance positions');
@@ -748,11 +1521,27 @@ export class BinanceClient {
     try {
       await this.request('POST', '/fapi/v1/leverage', { symbol, leverage });
     } catch (error) {
+      if (NO_CHANGE_REGEX.test(error instanceof Error ? error.message : '')) {
+        return;
+      }
       logger.error({ error, symbol, leverage }, 'Failed to set Binance leverage');
       throw error;
     }
   }
 
+  async setMarginType(symbol, marginType) {
+    try {
+      await this.request('POST', '/fapi/v1/marginType', { symbol, marginType });
+    } catch (error) {
+      // -4046 "No need to change margin type." means the symbol already uses it.
+      if (NO_CHANGE_REGEX.test(error instanceof Error ? error.message : '')) {
+        return;
+      }
+      logger.error({ error, symbol, marginType }, 'Failed to set Binance margin type');
+      throw error;
+    }
+  }
+
   async placeMarketOrder(symbol, side, quantity, options = {}) {
     try {
       const payload = {
@@ -766,6 +1555,7 @@ export class BinanceClient {
       if (options.reduceOnly === true) {
         payload.reduceOnly = true;
       }
+      BinanceClient.applyPositionSide(payload, options.positionSide);
 
       const data = await this.request('POST', '/fapi/v1/order', payload);
       return {
@@ -795,6 +1585,7 @@ export class BinanceClient {
       if (options.reduceOnly === true) {
         payload.reduceOnly = true;
       }
+      BinanceClient.applyPositionSide(payload, options.positionSide);
 
       const data = await this.request('POST', '/fapi/v1/order', payload);
       return {
@@ -809,6 +1600,132 @@ export class BinanceClient {
     }
   }
 
+  async placeConditionalOrder(symbol, side, type, stopPrice, options = {}) {
+    try {
+      const payload = {
+        symbol,
+        side,
+        type,
+        stopPrice,
+        workingType: options.workingType ?? 'MARK_PRICE',
+        newOrderRespType: options.responseType ?? 'RESULT',
+      };
+
+      if (options.closePosition === true) {
+        payload.closePosition = true;
+      } else {
+        payload.quantity = options.quantity;
+        if (options.reduceOnly === true) {
+          payload.reduceOnly = true;
+        }
+      }
+      if (options.priceProtect === true) {
+        payload.priceProtect = true;
+      }
+      BinanceClient.applyPositionSide(payload, options.positionSide);
+
+      const data = await this.request('POST', '/fapi/v1/order', payload);
+      return BinanceClient.normalizeOrder(data);
+    } catch (error) {
+      logger.error({ error, symbol, side, type, stopPrice }, 'Failed to place Binance conditional order');
+      throw error;
+    }
+  }
+
+  static normalizeOrder(data) {
+    return {
+      orderId: String(data?.orderId),
+      clientOrderId: data?.clientOrderId,
+      symbol: data?.symbol,
+      status: data?.status,
+      side: data?.side,
+      type: data?.type,
+      origType: data?.origType,
+      timeInForce: data?.timeInForce,
+      price: Number(data?.price ?? 0),
+      avgPrice: Number(data?.avgPrice ?? 0),
+      stopPrice: Number(data?.stopPrice ?? 0),
+      origQty: Number(data?.origQty ?? 0),
+      executedQty: Number(data?.executedQty ?? 0),
+      reduceOnly: data?.reduceOnly === true,
+      closePosition: data?.closePosition === true,
+      positionSide: data?.positionSide,
+      updateTime: Number(data?.updateTime ?? data?.time ?? 0),
+    };
+  }
+
+  static orderReference(reference = {}) {
+    if (reference.orderId !== undefined && reference.orderId !== null) {
+      return { orderId: String(reference.orderId) };
+    }
+    if (reference.clientOrderId) {
+      return { origClientOrderId: String(reference.clientOrderId) };
+    }
+    throw new Error('An orderId or clientOrderId is required');
+  }
+
+  async fetchOrder(symbol, reference) {
+    try {
+      const data = await this.request('GET', '/fapi/v1/order', {
+        symbol,
+        ...BinanceClient.orderReference(reference),
+      });
+      return BinanceClient.normalizeOrder(data);
+    } catch (error) {
+      logger.error({ error, symbol, reference }, 'Failed to fetch Binance order');
+      throw error;
+    }
+  }
+
+  async fetchOpenOrders(symbol = undefined) {
+    try {
+      const params = symbol ? { symbol } : {};
+      const data = await this.request('GET', '/fapi/v1/openOrders', params, { weight: symbol ? 1 : 40 });
+      return (Array.isArray(data) ? data : []).map((entry) => BinanceClient.normalizeOrder(entry));
+    } catch (error) {
+      logger.error({ error, symbol }, 'Failed to fetch Binance open orders');
+      throw error;
+    }
+  }
+
+  async cancelOrder(symbol, reference) {
+    try {
+      const data = await this.request('DELETE', '/fapi/v1/order', {
+        symbol,
+        ...BinanceClient.orderReference(reference),
+      });
+      return BinanceClient.normalizeOrder(data);
+    } catch (error) {
+      logger.error({ error, symbol, reference }, 'Failed to cancel Binance order');
+      throw error;
+    }
+  }
+
+  async cancelAllOrders(symbol) {
+    try {
+      await this.request('DELETE', '/fapi/v1/allOpenOrders', { symbol });
+    } catch (error) {
+      logger.error({ error, symbol }, 'Failed to cancel Binance open orders');
+      throw error;
+    }
+  }
+
+  async modifyOrder(symbol, reference, changes) {
+    try {
+      const data = await this.request('PUT', '/fapi/v1/order', {
+        symbol,
+        ...BinanceClient.orderReference(reference),
+        side: changes.side,
+        quantity: changes.quantity,
+        price: changes.price,
+      });
+      return BinanceClient.normalizeOrder(data);
+    } catch (error) {
+      logger.error({ error, symbol, reference, changes }, 'Failed to modify Binance order');
+      throw error;
+    }
+  }
+
   async fetchTopMovers(options = {}) {
     const limit = Number.isFinite(options.limit) ? Number(options.limit) : 50;
     const minQuoteVolume = Number.isFinite(options.minQuoteVolume)
@@ -818,7 +1735,7 @@ export class BinanceClient {
       ? options.quoteAssets.map((asset) => asset.toUpperCase())
       : ['USDT'];
 
-    const response = await fetch(`${this.baseUrl}/fapi/v1/ticker/24hr`);
+    const response = await rateLimitedFetch(`${this.baseUrl}/fapi/v1/ticker/24hr`, undefined, { weight: 40 });
     if (!response.ok) {
       throw new Error(`Binance 24hr ticker request failed: ${response.status}`);
     }
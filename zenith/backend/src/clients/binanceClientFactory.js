@@ -0,0 +1,12 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { BinanceClient } from './binanceClient.js';
+import { PaperBinanceClient } from './paperBinanceClient.js';
+
+export function createBinanceClient() {
+  if (config.binance.mode === 'paper') {
+    logger.info({ stateFile: config.paper.stateFile }, 'Using paper trading Binance client');
+    return new PaperBinanceClient(config.paper);
+  }
+  return new BinanceClient();
+}
@@ -0,0 +1,194 @@
+import { logger } from '../utils/logger.js';
+
+const PRIORITY_ORDER = ['order', 'account', 'market'];
+const WINDOW_1M_MS = 60_000;
+const WINDOW_10S_MS = 10_000;
+const DEFAULT_BACKOFF_SECONDS = { 418: 120, 429: 60 };
+
+const toCount = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? numeric : undefined;
+};
+
+const readHeader = (response, name) => {
+  if (!response?.headers || typeof response.headers.get !== 'function') {
+    return undefined;
+  }
+  return response.headers.get(name) ?? undefined;
+};
+
+export class BinanceRateLimiter {
+  constructor(options = {}) {
+    this.weightLimit = Math.max(1, Number(options.weightLimit ?? 2400));
+    this.orderLimit10s = Math.max(1, Number(options.orderLimit10s ?? 300));
+    this.orderLimit1m = Math.max(1, Number(options.orderLimit1m ?? 1200));
+    const marketShare = Math.min(Math.max(Number(options.marketDataShare ?? 0.8), 0.1), 1);
+    this.budgetShare = {
+      order: 1,
+      account: marketShare + (1 - marketShare) / 2,
+      market: marketShare,
+    };
+    this.now = typeof options.now === 'function' ? options.now : () => Date.now();
+    this.usedWeight = 0;
+    this.orderCount10s = 0;
+    this.orderCount1m = 0;
+    this.window1m = 0;
+    this.window10s = 0;
+    this.bannedUntil = 0;
+    this.queue = [];
+    this.drainTimer = undefined;
+    this.stats = { requests: 0, delayed: 0, rateLimited: 0, banned: 0 };
+  }
+
+  async schedule(options, task) {
+    const weight = Math.max(0, Number(options?.weight ?? 1));
+    const priority = PRIORITY_ORDER.includes(options?.priority) ? options.priority : 'market';
+    await this._acquire(weight, priority);
+    const response = await task();
+    this.observe(response, priority);
+    return response;
+  }
+
+  observe(response, priority = 'market') {
+    if (!response) return;
+    const now = this.now();
+    this._rollWindows(now);
+
+    const usedWeight = toCount(readHeader(response, 'x-mbx-used-weight-1m'));
+    if (usedWeight !== undefined) {
+      this.usedWeight = Math.max(this.usedWeight, usedWeight);
+    }
+    if (priority === 'order') {
+      const count10s = toCount(readHeader(response, 'x-mbx-order-count-10s'));
+      const count1m = toCount(readHeader(response, 'x-mbx-order-count-1m'));
+      if (count10s !== undefined) this.orderCount10s = Math.max(this.orderCount10s, count10s);
+      if (count1m !== undefined) this.orderCount1m = Math.max(this.orderCount1m, count1m);
+    }
+
+    if (response.status === 429 || response.status === 418) {
+      const retryAfter = toCount(readHeader(response, 'retry-after'));
+      const backoffSeconds = retryAfter ?? DEFAULT_BACKOFF_SECONDS[response.status];
+      this.bannedUntil = Math.max(this.bannedUntil, now + backoffSeconds * 1000);
+      if (response.status === 418) {
+        this.stats.banned += 1;
+      } else {
+        this.stats.rateLimited += 1;
+      }
+      logger.warn(
+        { status: response.status, retryAfterSeconds: backoffSeconds, usedWeight: this.usedWeight },
+        'Binance rate limit hit, pausing requests'
+      );
+      this._scheduleDrain();
+    }
+  }
+
+  getUsage() {
+    const now = this.now();
+    this._rollWindows(now);
+    return {
+      usedWeight: this.usedWeight,
+      weightLimit: this.weightLimit,
+      usedWeightPct: Number(((this.usedWeight / this.weightLimit) * 100).toFixed(2)),
+      orderCount10s: this.orderCount10s,
+      orderLimit10s: this.orderLimit10s,
+      orderCount1m: this.orderCount1m,
+      orderLimit1m: this.orderLimit1m,
+      queued: this.queue.length,
+      backoffUntil: this.bannedUntil > now ? new Date(this.bannedUntil).toISOString() : null,
+      ...this.stats,
+    };
+  }
+
+  _acquire(weight, priority) {
+    return new Promise((resolve) => {
+      this.queue.push({ weight, priority, resolve, deferred: false });
+      this._drain();
+    });
+  }
+
+  _rollWindows(now) {
+    const window1m = Math.floor(now / WINDOW_1M_MS) * WINDOW_1M_MS;
+    if (window1m !== this.window1m) {
+      this.window1m = window1m;
+      this.usedWeight = 0;
+      this.orderCount1m = 0;
+    }
+    const window10s = Math.floor(now / WINDOW_10S_MS) * WINDOW_10S_MS;
+    if (window10s !== this.window10s) {
+      this.window10s = window10s;
+      this.orderCount10s = 0;
+    }
+  }
+
+  _waitTime(item, now) {
+    if (this.bannedUntil > now) {
+      return this.bannedUntil - now;
+    }
+    const untilNextMinute = this.window1m + WINDOW_1M_MS - now;
+    const budget = this.weightLimit * this.budgetShare[item.priority];
+    if (this.usedWeight + item.weight > budget && this.usedWeight > 0) {
+      return untilNextMinute;
+    }
+    if (item.priority === 'order') {
+      if (this.orderCount1m >= this.orderLimit1m) {
+        return untilNextMinute;
+      }
+      if (this.orderCount10s >= this.orderLimit10s) {
+        return this.window10s + WINDOW_10S_MS - now;
+      }
+    }
+    return 0;
+  }
+
+  _drain() {
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = undefined;
+    }
+    const now = this.now();
+    this._rollWindows(now);
+
+    let shortestWait = Infinity;
+    for (const priority of PRIORITY_ORDER) {
+      const pending = this.queue.filter((item) => item.priority === priority);
+      for (const item of pending) {
+        const waitMs = this._waitTime(item, now);
+        if (waitMs > 0) {
+          shortestWait = Math.min(shortestWait, waitMs);
+          break;
+        }
+        this.queue.splice(this.queue.indexOf(item), 1);
+        this.usedWeight += item.weight;
+        if (priority === 'order') {
+          this.orderCount10s += 1;
+          this.orderCount1m += 1;
+        }
+        this.stats.requests += 1;
+        if (item.deferred) {
+          this.stats.delayed += 1;
+        }
+        item.resolve();
+      }
+    }
+
+    if (this.queue.length > 0 && Number.isFinite(shortestWait)) {
+      for (const item of this.queue) {
+        item.deferred = true;
+      }
+      this._scheduleDrain(shortestWait);
+    }
+  }
+
+  _scheduleDrain(delayMs) {
+    if (this.queue.length === 0) return;
+    const now = this.now();
+    const wait = Number.isFinite(delayMs) ? delayMs : Math.max(this.bannedUntil - now, 0);
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+    }
+    this.drainTimer = setTimeout(() => {
+      this.drainTimer = undefined;
+      this._drain();
+    }, Math.max(wait, 0) + 25);
+  }
+}
@@ -559,3 +559,74 @@ export async function requestStrategy(symbol, marketContext, riskContext = {}) {
 }
 
 
+
+// Local/self-hosted models (Ollama, vLLM, llama.cpp server) that expose an
+// OpenAI-compatible chat completions endpoint. Used by the backtest runner so
+// long replays do not have to be billed against the OpenAI API.
+export async function requestLocalModelStrategy(symbol, marketContext, options = {}) {
+  const baseUrl = String(options.url ?? config.openAi.localModel.url).replace(/\/+$/, '');
+  const model = options.model ?? config.openAi.localModel.model;
+  if (!model) {
+    throw new Error('Local model name is not configured (LOCAL_MODEL_NAME)');
+  }
+  const apiKey = options.apiKey ?? config.openAi.localModel.apiKey;
+  const timeoutMs = Number(options.timeoutMs ?? REQUEST_TIMEOUT_MS * 3);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: STRATEGY_SYSTEM_PROMPT },
+          { role: 'user', content: buildPrompt(symbol, marketContext) },
+        ],
+        temperature: 0,
+      }),
+      signal: controller.signal,
+    });
+    const raw = await response.text();
+    if (!response.ok) {
+      const error = new Error(`Local model responded with status ${response.status}`);
+      error.body = raw;
+      error.status = response.status;
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      const parseError = new Error('Failed to parse local model response payload');
+      parseError.cause = error;
+      parseError.body = raw;
+      throw parseError;
+    }
+
+    const payload = extractPayload(data);
+    if (payload === undefined) {
+      const error = new Error('Local model response did not include strategy content');
+      error.body = data;
+      throw error;
+    }
+
+    const strategy = parseStrategyPayload(payload, symbol);
+    strategy.model = model;
+    return strategy;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      const timeoutError = new Error(`Local model request timed out after ${timeoutMs}ms`);
+      timeoutError.cause = error;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
@@ -0,0 +1,616 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { BinanceClient } from './binanceClient.js';
+import { logger } from '../utils/logger.js';
+
+const POSITION_EPSILON = 1e-9;
+const MARK_TTL_MS = 1_000;
+const MAX_CLOSED_ORDERS = 500;
+const OPEN_STATUSES = new Set(['NEW', 'PARTIALLY_FILLED']);
+
+const positionKey = (symbol, positionSide) =>
+  positionSide === 'LONG' || positionSide === 'SHORT' ? `${symbol}:${positionSide}` : symbol;
+
+// Mirrors the "Binance request failed: <status> (<msg>)" errors thrown by
+// BinanceClient.request so callers can keep matching on the message.
+const rejection = (message) => new Error(`Binance request failed: 400 (${message})`);
+
+const toQuantity = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : 0;
+};
+
+/**
+ * Simulated USDⓈ-M futures account that stands in for BinanceClient.
+ * Market data (klines, tickers, exchange filters) still comes from the public
+ * REST endpoints; orders, positions and balances never leave the process.
+ */
+export class PaperBinanceClient extends BinanceClient {
+  constructor(options = {}) {
+    super();
+    this.initialBalance = Number(options.initialBalance ?? 10_000);
+    this.takerFeeRate = Math.max(0, Number(options.takerFeeRate ?? 0.0004));
+    this.makerFeeRate = Math.max(0, Number(options.makerFeeRate ?? 0.0002));
+    this.slippage = Math.max(0, Number(options.slippageBps ?? 0)) / 10_000;
+    this.defaultLeverage = Math.max(1, Number(options.defaultLeverage ?? 20));
+    this.stateFile = options.stateFile ?? null;
+    this.livePrices = options.livePrices !== false;
+    // Hedge mode keeps a LONG and a SHORT leg per symbol, like an account
+    // with dualSidePosition enabled.
+    this.positionMode = { dualSide: options.dualSide === true, lastChecked: 0 };
+    this.now = typeof options.now === 'function' ? options.now : () => Date.now();
+    // Optional in-memory fill log for backtests; it is not persisted.
+    this.fills = options.recordFills ? [] : null;
+    this.marks = new Map();
+    this.account = this._emptyAccount();
+    this.loaded = null;
+    this.persistChain = Promise.resolve();
+  }
+
+  _emptyAccount() {
+    return {
+      balance: this.initialBalance,
+      positions: new Map(),
+      orders: new Map(),
+      leverage: new Map(),
+      marginTypes: new Map(),
+      nextOrderId: 1,
+      stats: { realizedPnl: 0, fees: 0, fills: 0 },
+    };
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = this._load();
+    }
+    return this.loaded;
+  }
+
+  async _load() {
+    if (!this.stateFile) return;
+    try {
+      const contents = await fs.readFile(this.stateFile, 'utf8');
+      const state = JSON.parse(contents);
+      this.account = {
+        balance: Number(state.balance ?? this.initialBalance),
+        positions: new Map((state.positions ?? []).map((entry) => [positionKey(entry.symbol, entry.positionSide), entry])),
+        orders: new Map((state.orders ?? []).map((entry) => [String(entry.orderId), entry])),
+        leverage: new Map(Object.entries(state.leverage ?? {})),
+        marginTypes: new Map(Object.entries(state.marginTypes ?? {})),
+        nextOrderId: Number(state.nextOrderId ?? 1),
+        stats: { realizedPnl: 0, fees: 0, fills: 0, ...state.stats },
+      };
+      logger.info(
+        { stateFile: this.stateFile, balance: this.account.balance, positions: this.account.positions.size },
+        'Loaded paper trading account'
+      );
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, stateFile: this.stateFile }, 'Failed to load paper trading account, starting fresh');
+      }
+    }
+  }
+
+  _persist() {
+    if (!this.stateFile) return this.persistChain;
+    const snapshot = {
+      balance: this.account.balance,
+      positions: Array.from(this.account.positions.values()),
+      orders: Array.from(this.account.orders.values()),
+      leverage: Object.fromEntries(this.account.leverage),
+      marginTypes: Object.fromEntries(this.account.marginTypes),
+      nextOrderId: this.account.nextOrderId,
+      stats: this.account.stats,
+      updatedAt: new Date(this.now()).toISOString(),
+    };
+    const target = this.stateFile;
+    this.persistChain = this.persistChain
+      .then(async () => {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        const tempFile = `${target}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(snapshot, null, 2), 'utf8');
+        await fs.rename(tempFile, target);
+      })
+      .catch((error) => {
+        logger.error({ error, stateFile: target }, 'Failed to persist paper trading account');
+      });
+    return this.persistChain;
+  }
+
+  async reset() {
+    await this.ensureLoaded();
+    this.account = this._emptyAccount();
+    await this._persist();
+  }
+
+  // Signed endpoints must never be reached from paper mode.
+  async request(method, requestPath) {
+    throw new Error(`Paper trading client cannot call signed endpoint ${method} ${requestPath}`);
+  }
+
+  async createListenKey() {
+    throw new Error('User data stream is not available in paper trading mode');
+  }
+
+  async loadLeverageBrackets() {
+    return { timestamp: this.now(), ttl: this.leverageBracketsCache.ttl, bySymbol: new Map() };
+  }
+
+  updateMarketPrice(symbol, quote = {}) {
+    const price = Number(quote.price ?? quote.markPrice);
+    const bid = Number(quote.bid ?? price);
+    const ask = Number(quote.ask ?? price);
+    const mark = Number.isFinite(price) && price > 0 ? price : (bid + ask) / 2;
+    if (!Number.isFinite(mark) || mark <= 0) return;
+    this.marks.set(symbol, {
+      price: mark,
+      bid: Number.isFinite(bid) && bid > 0 ? bid : mark,
+      ask: Number.isFinite(ask) && ask > 0 ? ask : mark,
+      time: Number(quote.time ?? this.now()),
+    });
+    const changed = this._matchOrders(symbol);
+    if (changed) {
+      void this._persist();
+    }
+  }
+
+  async refreshMarket(symbol) {
+    const current = this.marks.get(symbol);
+    if (current && (!this.livePrices || this.now() - current.time < MARK_TTL_MS)) {
+      return current;
+    }
+    if (!this.livePrices) {
+      throw new Error(`No recorded price available for ${symbol}`);
+    }
+    const ticker = await this.fetchBookTicker(symbol);
+    this.updateMarketPrice(symbol, {
+      bid: ticker.bid,
+      ask: ticker.ask,
+      price: (ticker.bid + ticker.ask) / 2,
+      time: this.now(),
+    });
+    return this.marks.get(symbol);
+  }
+
+  // Matches resting orders against a live tick source (the engine's `tick`
+  // events) instead of waiting for the next fetch, so a limit that the market
+  // trades through fills even when nothing polls it. Returns the unsubscribe.
+  followTicks(source) {
+    const listener = (tick) => {
+      this.updateMarketPrice(tick.symbol, {
+        price: tick.price,
+        bid: tick.bid,
+        ask: tick.ask,
+        time: tick.eventTime ?? this.now(),
+      });
+    };
+    source.on('tick', listener);
+    return () => source.off('tick', listener);
+  }
+
+  async _refreshTrackedMarkets() {
+    const symbols = new Set();
+    for (const position of this.account.positions.values()) symbols.add(position.symbol);
+    for (const order of this.account.orders.values()) {
+      if (OPEN_STATUSES.has(order.status)) symbols.add(order.symbol);
+    }
+    for (const symbol of symbols) {
+      try {
+        await this.refreshMarket(symbol);
+      } catch (error) {
+        logger.warn({ error, symbol }, 'Unable to refresh paper trading price');
+      }
+    }
+  }
+
+  _leverageFor(symbol) {
+    return Number(this.account.leverage.get(symbol) ?? this.defaultLeverage);
+  }
+
+  _unrealized(position) {
+    const mark = this.marks.get(position.symbol)?.price ?? position.entryPrice;
+    return (mark - position.entryPrice) * position.positionAmt;
+  }
+
+  _marginSummary() {
+    let unrealized = 0;
+    let positionMargin = 0;
+    for (const position of this.account.positions.values()) {
+      unrealized += this._unrealized(position);
+      positionMargin += (Math.abs(position.positionAmt) * position.entryPrice) / this._leverageFor(position.symbol);
+    }
+    let orderMargin = 0;
+    for (const order of this.account.orders.values()) {
+      if (!OPEN_STATUSES.has(order.status) || order.reduceOnly || order.closePosition || order.type !== 'LIMIT') continue;
+      orderMargin += (toQuantity(order.origQty) * Number(order.price)) / this._leverageFor(order.symbol);
+    }
+    const available = this.account.balance + Math.min(unrealized, 0) - positionMargin - orderMargin;
+    return { unrealized, positionMargin, orderMargin, available };
+  }
+
+  _position(order) {
+    return this.account.positions.get(positionKey(order.symbol, order.positionSide));
+  }
+
+  // Hedge-mode orders close a leg when they trade against it; one-way orders
+  // only reduce when flagged reduceOnly or closePosition.
+  _isReducing(order) {
+    if (order.reduceOnly || order.closePosition) return true;
+    return (order.positionSide === 'LONG' && order.side === 'SELL') || (order.positionSide === 'SHORT' && order.side === 'BUY');
+  }
+
+  // Reducing orders may only shrink the leg they target.
+  _closableQuantity(order, requested) {
+    const position = this._position(order);
+    const amount = position?.positionAmt ?? 0;
+    const closesLong = order.side === 'SELL' && amount > POSITION_EPSILON;
+    const closesShort = order.side === 'BUY' && amount < -POSITION_EPSILON;
+    if (!closesLong && !closesShort) return 0;
+    return order.closePosition ? Math.abs(amount) : Math.min(Math.abs(amount), requested);
+  }
+
+  _opensExposure(order) {
+    if (this._isReducing(order)) return false;
+    const amount = this._position(order)?.positionAmt ?? 0;
+    const signed = order.side === 'BUY' ? 1 : -1;
+    return Math.abs(amount) < POSITION_EPSILON || Math.sign(amount) === signed || Number(order.origQty) > Math.abs(amount);
+  }
+
+  _assertMargin(order, price) {
+    if (!this._opensExposure(order)) return;
+    const notional = toQuantity(order.origQty) * price;
+    const required = notional / this._leverageFor(order.symbol) + notional * this.takerFeeRate;
+    if (required > this._marginSummary().available) {
+      throw rejection('Margin is insufficient.');
+    }
+  }
+
+  _fill(order, fillPrice, requestedQty, liquidity) {
+    const quantity = this._isReducing(order) ? this._closableQuantity(order, requestedQty) : requestedQty;
+    if (quantity <= POSITION_EPSILON) {
+      order.status = 'EXPIRED';
+      order.updateTime = this.now();
+      return order;
+    }
+
+    const key = positionKey(order.symbol, order.positionSide);
+    const position = this.account.positions.get(key) ?? {
+      symbol: order.symbol,
+      positionSide: order.positionSide ?? 'BOTH',
+      positionAmt: 0,
+      entryPrice: 0,
+    };
+    const signedQty = order.side === 'BUY' ? quantity : -quantity;
+    const amount = position.positionAmt;
+    let realized = 0;
+    if (Math.abs(amount) < POSITION_EPSILON || Math.sign(amount) === Math.sign(signedQty)) {
+      const nextAmount = amount + signedQty;
+      position.entryPrice = (Math.abs(amount) * position.entryPrice + quantity * fillPrice) / Math.abs(nextAmount);
+      position.positionAmt = nextAmount;
+    } else {
+      const closing = Math.min(Math.abs(amount), quantity);
+      realized = closing * (fillPrice - position.entryPrice) * Math.sign(amount);
+      const nextAmount = amount + signedQty;
+      if (Math.abs(nextAmount) < POSITION_EPSILON) {
+        position.positionAmt = 0;
+      } else {
+        if (Math.sign(nextAmount) !== Math.sign(amount)) {
+          position.entryPrice = fillPrice;
+        }
+        position.positionAmt = nextAmount;
+      }
+    }
+
+    const fee = quantity * fillPrice * (liquidity === 'maker' ? this.makerFeeRate : this.takerFeeRate);
+    this.account.balance += realized - fee;
+    this.account.stats.realizedPnl += realized;
+    this.account.stats.fees += fee;
+    this.account.stats.fills += 1;
+    this.fills?.push({
+      time: this.now(),
+      symbol: order.symbol,
+      orderId: order.orderId,
+      side: order.side,
+      positionSide: order.positionSide ?? 'BOTH',
+      type: order.type,
+      quantity,
+      price: fillPrice,
+      fee,
+      realizedPnl: realized,
+      liquidity,
+    });
+    if (position.positionAmt === 0) {
+      this.account.positions.delete(key);
+    } else {
+      this.account.positions.set(key, position);
+    }
+
+    order.status = 'FILLED';
+    order.executedQty = quantity;
+    order.avgPrice = fillPrice;
+    order.updateTime = this.now();
+    return order;
+  }
+
+  _marketPrice(side, mark) {
+    return side === 'BUY' ? mark.ask * (1 + this.slippage) : mark.bid * (1 - this.slippage);
+  }
+
+  _isTriggered(order, mark) {
+    const price = mark.price;
+    const stopPrice = Number(order.stopPrice);
+    if (order.type === 'STOP_MARKET') {
+      return order.side === 'SELL' ? price <= stopPrice : price >= stopPrice;
+    }
+    if (order.type === 'TAKE_PROFIT_MARKET') {
+      return order.side === 'SELL' ? price >= stopPrice : price <= stopPrice;
+    }
+    return false;
+  }
+
+  _matchOrders(symbol) {
+    const mark = this.marks.get(symbol);
+    if (!mark) return false;
+    let changed = false;
+    for (const order of this.account.orders.values()) {
+      if (order.symbol !== symbol || !OPEN_STATUSES.has(order.status)) continue;
+      if (order.type === 'LIMIT') {
+        const price = Number(order.price);
+        const crossed = order.side === 'BUY' ? mark.ask <= price : mark.bid >= price;
+        if (crossed) {
+          this._fill(order, price, toQuantity(order.origQty), 'maker');
+          changed = true;
+        }
+      } else if (this._isTriggered(order, mark)) {
+        this._fill(order, this._marketPrice(order.side, mark), toQuantity(order.origQty), 'taker');
+        changed = true;
+      }
+    }
+    if (changed) {
+      this._pruneOrders();
+    }
+    return changed;
+  }
+
+  _pruneOrders() {
+    const closed = Array.from(this.account.orders.values()).filter((order) => !OPEN_STATUSES.has(order.status));
+    const excess = closed.length - MAX_CLOSED_ORDERS;
+    for (let index = 0; index < excess; index += 1) {
+      this.account.orders.delete(String(closed[index].orderId));
+    }
+  }
+
+  _createOrder(symbol, side, type, fields = {}) {
+    const orderId = String(this.account.nextOrderId);
+    this.account.nextOrderId += 1;
+    return {
+      orderId,
+      clientOrderId: `paper_${orderId}`,
+      symbol,
+      status: 'NEW',
+      side,
+      type,
+      origType: type,
+      timeInForce: fields.timeInForce ?? (type === 'LIMIT' ? 'GTC' : undefined),
+      price: Number(fields.price ?? 0),
+      avgPrice: 0,
+      stopPrice: Number(fields.stopPrice ?? 0),
+      origQty: toQuantity(fields.quantity),
+      executedQty: 0,
+      reduceOnly: fields.reduceOnly === true,
+      closePosition: fields.closePosition === true,
+      positionSide: fields.positionSide ?? 'BOTH',
+      workingType: fields.workingType,
+      updateTime: this.now(),
+    };
+  }
+
+  _store(order) {
+    this.account.orders.set(order.orderId, order);
+    this._pruneOrders();
+  }
+
+  _findOrder(reference = {}) {
+    if (reference.orderId !== undefined && reference.orderId !== null) {
+      return this.account.orders.get(String(reference.orderId));
+    }
+    if (reference.clientOrderId) {
+      return Array.from(this.account.orders.values()).find((order) => order.clientOrderId === reference.clientOrderId);
+    }
+    throw new Error('An orderId or clientOrderId is required');
+  }
+
+  _ensureOrderable(order) {
+    if (order.origQty <= 0 && !order.closePosition) {
+      throw rejection('Quantity less than or equal to zero.');
+    }
+    if (this._isReducing(order) && this._closableQuantity(order, order.origQty || Infinity) <= 0) {
+      throw rejection('ReduceOnly Order is rejected.');
+    }
+  }
+
+  async fetchAccountBalance() {
+    await this.ensureLoaded();
+    await this._refreshTrackedMarkets();
+    const { available } = this._marginSummary();
+    return [
+      {
+        asset: 'USDT',
+        balance: this.account.balance,
+        available: Math.max(0, available),
+      },
+    ];
+  }
+
+  async fetchPositionMode() {
+    this.positionMode = { dualSide: this.positionMode.dualSide, lastChecked: this.now() };
+    return this.positionMode.dualSide;
+  }
+
+  async fetchPositions() {
+    await this.ensureLoaded();
+    await this._refreshTrackedMarkets();
+    return Array.from(this.account.positions.values()).map((position) => ({
+      symbol: position.symbol,
+      positionAmt: position.positionAmt,
+      entryPrice: position.entryPrice,
+      unrealizedProfit: this._unrealized(position),
+      positionSide: position.positionSide ?? 'BOTH',
+    }));
+  }
+
+  async setLeverage(symbol, leverage) {
+    await this.ensureLoaded();
+    this.account.leverage.set(symbol, Math.max(1, Math.floor(Number(leverage) || 1)));
+    await this._persist();
+  }
+
+  async setMarginType(symbol, marginType) {
+    await this.ensureLoaded();
+    this.account.marginTypes.set(symbol, marginType);
+    await this._persist();
+  }
+
+  async placeMarketOrder(symbol, side, quantity, options = {}) {
+    await this.ensureLoaded();
+    const mark = await this.refreshMarket(symbol);
+    const order = this._createOrder(symbol, side, 'MARKET', {
+      quantity,
+      reduceOnly: options.reduceOnly,
+      positionSide: options.positionSide,
+    });
+    this._ensureOrderable(order);
+    const fillPrice = this._marketPrice(side, mark);
+    this._assertMargin(order, fillPrice);
+    this._fill(order, fillPrice, order.origQty, 'taker');
+    this._store(order);
+    await this._persist();
+    return {
+      orderId: order.orderId,
+      status: order.status,
+      avgPrice: order.avgPrice,
+      executedQty: order.executedQty,
+    };
+  }
+
+  async placeLimitOrder(symbol, side, quantity, price, options = {}) {
+    await this.ensureLoaded();
+    const mark = await this.refreshMarket(symbol);
+    const order = this._createOrder(symbol, side, 'LIMIT', {
+      quantity,
+      price,
+      timeInForce: options.timeInForce,
+      reduceOnly: options.reduceOnly,
+      positionSide: options.positionSide,
+    });
+    this._ensureOrderable(order);
+    this._assertMargin(order, order.price);
+    const marketable = side === 'BUY' ? mark.ask <= order.price : mark.bid >= order.price;
+    if (marketable && order.timeInForce === 'GTX') {
+      // Post-only orders are expired instead of taking liquidity.
+      order.status = 'EXPIRED';
+    } else if (marketable) {
+      this._fill(order, side === 'BUY' ? mark.ask : mark.bid, order.origQty, 'taker');
+    } else if (order.timeInForce === 'IOC' || order.timeInForce === 'FOK') {
+      order.status = 'EXPIRED';
+    }
+    this._store(order);
+    await this._persist();
+    return {
+      orderId: order.orderId,
+      status: order.status,
+      avgPrice: order.avgPrice || order.price,
+      executedQty: order.executedQty,
+    };
+  }
+
+  async placeConditionalOrder(symbol, side, type, stopPrice, options = {}) {
+    await this.ensureLoaded();
+    const mark = await this.refreshMarket(symbol);
+    const order = this._createOrder(symbol, side, type, {
+      stopPrice,
+      quantity: options.quantity,
+      reduceOnly: options.reduceOnly,
+      closePosition: options.closePosition,
+      positionSide: options.positionSide,
+      workingType: options.workingType ?? 'MARK_PRICE',
+    });
+    if (this._isTriggered(order, mark)) {
+      throw rejection('Order would immediately trigger.');
+    }
+    this._store(order);
+    await this._persist();
+    return BinanceClient.normalizeOrder(order);
+  }
+
+  async fetchOrder(symbol, reference) {
+    await this.ensureLoaded();
+    await this._refreshTrackedMarkets();
+    const order = this._findOrder(reference);
+    if (!order || order.symbol !== symbol) {
+      throw rejection('Order does not exist.');
+    }
+    return BinanceClient.normalizeOrder(order);
+  }
+
+  async fetchOpenOrders(symbol = undefined) {
+    await this.ensureLoaded();
+    await this._refreshTrackedMarkets();
+    return Array.from(this.account.orders.values())
+      .filter((order) => OPEN_STATUSES.has(order.status) && (!symbol || order.symbol === symbol))
+      .map((order) => BinanceClient.normalizeOrder(order));
+  }
+
+  async cancelOrder(symbol, reference) {
+    await this.ensureLoaded();
+    const order = this._findOrder(reference);
+    if (!order || order.symbol !== symbol || !OPEN_STATUSES.has(order.status)) {
+      throw rejection('Unknown order sent.');
+    }
+    order.status = 'CANCELED';
+    order.updateTime = this.now();
+    await this._persist();
+    return BinanceClient.normalizeOrder(order);
+  }
+
+  async cancelAllOrders(symbol) {
+    await this.ensureLoaded();
+    for (const order of this.account.orders.values()) {
+      if (order.symbol === symbol && OPEN_STATUSES.has(order.status)) {
+        order.status = 'CANCELED';
+        order.updateTime = this.now();
+      }
+    }
+    await this._persist();
+  }
+
+  async modifyOrder(symbol, reference, changes) {
+    await this.ensureLoaded();
+    const order = this._findOrder(reference);
+    if (!order || order.symbol !== symbol || !OPEN_STATUSES.has(order.status) || order.type !== 'LIMIT') {
+      throw rejection('Unknown order sent.');
+    }
+    order.price = Number(changes.price ?? order.price);
+    order.origQty = toQuantity(changes.quantity ?? order.origQty);
+    order.updateTime = this.now();
+    this._matchOrders(symbol);
+    await this._persist();
+    return BinanceClient.normalizeOrder(order);
+  }
+
+  getAccountSummary() {
+    const { unrealized, positionMargin, orderMargin, available } = this._marginSummary();
+    return {
+      balance: this.account.balance,
+      equity: this.account.balance + unrealized,
+      unrealizedPnl: unrealized,
+      positionMargin,
+      orderMargin,
+      available,
+      realizedPnl: this.account.stats.realizedPnl,
+      fees: this.account.stats.fees,
+      fills: this.account.stats.fills,
+      openPositions: this.account.positions.size,
+    };
+  }
+}
@@ -4,14 +4,80 @@ import { loadEnvFile } from './utils/env.js';
 
 loadEnvFile();
 
+// Built-in strategies are scalp, llm and hybrid; any other name must match a
+// plugin in STRATEGY_PLUGIN_DIR (the engine falls back to llm if it does not).
 const parseStrategyMode = (value) => {
-  const normalized = (value ?? 'scalp').toLowerCase();
-  if (normalized === 'scalp' || normalized === 'llm') {
+  const normalized = (value ?? 'scalp').trim().toLowerCase();
+  if (/^[a-z][a-z0-9_-]*$/.test(normalized)) {
     return normalized;
   }
   return 'scalp';
 };
 
+const parseHybridEngine = (value, fallback) => {
+  const normalized = (value ?? fallback).toLowerCase();
+  if (normalized === 'scalp' || normalized === 'llm') {
+    return normalized;
+  }
+  return fallback;
+};
+
+const parseBinanceMode = (value) => {
+  const normalized = (value ?? 'live').toLowerCase();
+  if (normalized === 'live' || normalized === 'paper') {
+    return normalized;
+  }
+  return 'live';
+};
+
+const parseStreamMode = (value) => {
+  const normalized = (value ?? 'websocket').toLowerCase();
+  if (normalized === 'websocket' || normalized === 'polling') {
+    return normalized;
+  }
+  return 'websocket';
+};
+
+const parseWorkingType = (value) => {
+  const normalized = (value ?? 'MARK_PRICE').toUpperCase();
+  if (normalized === 'MARK_PRICE' || normalized === 'CONTRACT_PRICE') {
+    return normalized;
+  }
+  return 'MARK_PRICE';
+};
+
+const parseSizingMode = (value) => {
+  const normalized = (value ?? 'allocation').toLowerCase();
+  if (normalized === 'allocation' || normalized === 'volatility') {
+    return normalized;
+  }
+  return 'allocation';
+};
+
+const parseExecutionAlgo = (value) => {
+  const normalized = (value ?? 'twap').toLowerCase();
+  if (normalized === 'twap' || normalized === 'iceberg') {
+    return normalized;
+  }
+  return 'twap';
+};
+
+const parseEntryStyle = (value) => {
+  const normalized = (value ?? 'MARKET').toUpperCase().replace('-', '_');
+  if (normalized === 'MARKET' || normalized === 'LIMIT' || normalized === 'POST_ONLY') {
+    return normalized;
+  }
+  return 'MARKET';
+};
+
+const parseOppositeSignalAction = (value) => {
+  const normalized = (value ?? 'flip').toLowerCase();
+  if (normalized === 'flip' || normalized === 'hedge') {
+    return normalized;
+  }
+  return 'flip';
+};
+
 const requireEnv = (name) => {
   const value = process.env[name];
   if (!value || value.trim().length === 0) {
@@ -50,7 +116,45 @@ const parseList = (value, fallback) => {
     .filter((entry) => entry.length > 0);
 };
 
+const parseOptionalNumber = (value) => {
+  if (value === undefined || value.trim().length === 0) return undefined;
+  return parseNumber(value);
+};
+
+// MARGIN_PROFILE_OVERRIDES="SOLUSDT=ISOLATED:5,DOGEUSDT=ISOLATED"
+const parseMarginOverrides = (value) => {
+  const overrides = {};
+  if (!value || value.trim().length === 0) return overrides;
+  for (const entry of value.split(',')) {
+    const [rawSymbol, rawProfile = ''] = entry.split('=');
+    const symbol = rawSymbol?.trim().toUpperCase();
+    if (!symbol) continue;
+    const [marginType, leverage] = rawProfile.split(':').map((part) => part.trim());
+    overrides[symbol] = {
+      marginType: marginType ? marginType.toUpperCase() : undefined,
+      leverage: leverage ? parseNumber(leverage) : undefined,
+    };
+  }
+  return overrides;
+};
+
+// RISK_SYMBOL_NOTIONAL_CAPS="BTCUSDT=20000,DOGEUSDT=500"
+const parseSymbolNumbers = (value) => {
+  const entries = {};
+  if (!value || value.trim().length === 0) return entries;
+  for (const entry of value.split(',')) {
+    const [rawSymbol, rawValue] = entry.split('=');
+    const symbol = rawSymbol?.trim().toUpperCase();
+    const numeric = parseOptionalNumber(rawValue);
+    if (symbol && numeric !== undefined) {
+      entries[symbol] = numeric;
+    }
+  }
+  return entries;
+};
+
 const strategyMode = parseStrategyMode(process.env.STRATEGY_MODE);
+const binanceMode = parseBinanceMode(process.env.BINANCE_MODE);
 
 const moduleDir = path.dirname(fileURLToPath(import.meta.url));
 const repoRoot = path.resolve(moduleDir, '../../..');
@@ -73,10 +177,29 @@ export const config = {
   nodeEnv: process.env.NODE_ENV ?? 'development',
   port: parseNumber(process.env.PORT, 8080),
   binance: {
-    apiKey: requireEnv('BINANCE_API_KEY'),
-    apiSecret: requireEnv('BINANCE_API_SECRET'),
+    mode: binanceMode,
+    apiKey: binanceMode === 'paper' ? process.env.BINANCE_API_KEY ?? '' : requireEnv('BINANCE_API_KEY'),
+    apiSecret: binanceMode === 'paper' ? process.env.BINANCE_API_SECRET ?? '' : requireEnv('BINANCE_API_SECRET'),
     useTestnet: (process.env.BINANCE_USE_TESTNET ?? 'true') === 'true',
     symbols: parseSymbols(process.env.BINANCE_SYMBOLS),
+    recvWindow: clamp(parseNumber(process.env.BINANCE_RECV_WINDOW, 5_000), 1, 60_000),
+    timeSyncIntervalSeconds: parseNumber(process.env.BINANCE_TIME_SYNC_SECONDS, 900),
+    stream: {
+      mode: parseStreamMode(process.env.BINANCE_STREAM_MODE),
+      reconnectBaseMs: parseNumber(process.env.BINANCE_STREAM_RECONNECT_BASE_MS, 1_000),
+      reconnectMaxMs: parseNumber(process.env.BINANCE_STREAM_RECONNECT_MAX_MS, 30_000),
+      staleAfterMs: parseNumber(process.env.BINANCE_STREAM_STALE_MS, 15_000),
+    },
+    rateLimit: {
+      weightLimit: parseNumber(process.env.BINANCE_WEIGHT_LIMIT_1M, 2400),
+      orderLimit10s: parseNumber(process.env.BINANCE_ORDER_LIMIT_10S, 300),
+      orderLimit1m: parseNumber(process.env.BINANCE_ORDER_LIMIT_1M, 1200),
+      marketDataShare: clamp(parseNumber(process.env.BINANCE_MARKET_DATA_WEIGHT_SHARE, 0.8), 0.1, 1),
+    },
+    userStream: {
+      enabled: binanceMode !== 'paper' && (process.env.BINANCE_USER_STREAM_ENABLED ?? 'true') === 'true',
+      keepAliveMinutes: parseNumber(process.env.BINANCE_USER_STREAM_KEEPALIVE_MINUTES, 30),
+    },
     symbolDiscovery: {
       enabled: (process.env.SYMBOL_DISCOVERY_ENABLED ?? 'true') === 'true',
       refreshIntervalSeconds: parseNumber(process.env.SYMBOL_DISCOVERY_REFRESH_SECONDS, 180),
@@ -87,14 +210,123 @@ export const config = {
       routeLimit: parseNumber(process.env.SYMBOL_DISCOVERY_ROUTE_LIMIT, 10),
     },
   },
+  paper: {
+    initialBalance: parseNumber(process.env.PAPER_INITIAL_BALANCE, 10_000),
+    takerFeeRate: parseNumber(process.env.PAPER_TAKER_FEE_RATE, 0.0004),
+    makerFeeRate: parseNumber(process.env.PAPER_MAKER_FEE_RATE, 0.0002),
+    slippageBps: parseNumber(process.env.PAPER_SLIPPAGE_BPS, 2),
+    defaultLeverage: parseNumber(process.env.PAPER_DEFAULT_LEVERAGE, 20),
+    dualSide: (process.env.PAPER_DUAL_SIDE ?? 'false') === 'true',
+    stateFile: resolvePath(
+      process.env.PAPER_STATE_FILE,
+      path.resolve(moduleDir, '../data/paper-account.json')
+    ),
+  },
+  analytics: {
+    archiveFile: resolvePath(
+      process.env.ANALYTICS_ARCHIVE_FILE,
+      path.resolve(moduleDir, '../data/analytics-history.ndjson')
+    ),
+  },
   openAi: {
     apiKey: strategyMode === 'scalp' ? process.env.OPENAI_API_KEY ?? '' : requireEnv('OPENAI_API_KEY'),
+    localModel: {
+      url: process.env.LOCAL_MODEL_URL ?? 'http://127.0.0.1:11434/v1',
+      model: process.env.LOCAL_MODEL_NAME ?? '',
+      apiKey: process.env.LOCAL_MODEL_API_KEY ?? '',
+    },
   },
   trading: {
     strategyMode,
+    // Evaluate and record decisions against a virtual book instead of trading.
+    dryRun: (process.env.DRY_RUN ?? 'false') === 'true',
     initialBalance: parseNumber(process.env.INITIAL_BALANCE, 100_000),
     loopIntervalSeconds: parseNumber(process.env.LOOP_INTERVAL_SECONDS, 30),
     maxPositionLeverage: parseNumber(process.env.MAX_POSITION_LEVERAGE, 5),
+    oppositeSignalAction: parseOppositeSignalAction(process.env.OPPOSITE_SIGNAL_ACTION),
+    stateFile: resolvePath(
+      process.env.ENGINE_STATE_FILE,
+      path.resolve(moduleDir, '../data/engine-state.json')
+    ),
+    marginProfiles: {
+      majors: parseList(process.env.MARGIN_MAJOR_SYMBOLS, 'BTCUSDT,ETHUSDT'),
+      tiers: {
+        major: {
+          marginType: process.env.MARGIN_TYPE_MAJOR ?? 'CROSSED',
+          leverage: parseOptionalNumber(process.env.LEVERAGE_MAJOR),
+        },
+        discovery: {
+          marginType: process.env.MARGIN_TYPE_DISCOVERY ?? 'CROSSED',
+          leverage: parseOptionalNumber(process.env.LEVERAGE_DISCOVERY),
+        },
+      },
+      overrides: parseMarginOverrides(process.env.MARGIN_PROFILE_OVERRIDES),
+    },
+    sizing: {
+      mode: parseSizingMode(process.env.SIZING_MODE),
+      stopAtrMultiple: parseOptionalNumber(process.env.SIZING_STOP_ATR_MULTIPLE),
+    },
+    portfolioRisk: {
+      maxGrossNotional: parseNumber(process.env.RISK_MAX_GROSS_NOTIONAL, 0),
+      maxNetNotional: parseNumber(process.env.RISK_MAX_NET_NOTIONAL, 0),
+      maxGrossLeverage: parseNumber(process.env.RISK_MAX_GROSS_LEVERAGE, 0),
+      maxNetLeverage: parseNumber(process.env.RISK_MAX_NET_LEVERAGE, 0),
+      maxPositions: parseNumber(process.env.RISK_MAX_POSITIONS, 0),
+      maxSymbolNotional: parseNumber(process.env.RISK_MAX_SYMBOL_NOTIONAL, 0),
+      symbolCaps: parseSymbolNumbers(process.env.RISK_SYMBOL_NOTIONAL_CAPS),
+      maxPositionEquityPct: parseNumber(process.env.RISK_MAX_POSITION_EQUITY_PCT, 0),
+    },
+    circuitBreaker: {
+      dailyRealizedLossPct: parseNumber(process.env.CIRCUIT_DAILY_REALIZED_LOSS_PCT, 0),
+      dailyUnrealizedLossPct: parseNumber(process.env.CIRCUIT_DAILY_UNREALIZED_LOSS_PCT, 0),
+      maxDrawdownPct: parseNumber(process.env.CIRCUIT_MAX_DRAWDOWN_PCT, 0),
+      flattenOnTrip: (process.env.CIRCUIT_FLATTEN_ON_TRIP ?? 'false') === 'true',
+    },
+    evaluation: {
+      concurrency: clamp(parseNumber(process.env.EVALUATION_CONCURRENCY, 4), 1, 16),
+      symbolTimeoutSeconds: parseNumber(process.env.SYMBOL_EVALUATION_TIMEOUT_SECONDS, 45),
+    },
+    strategies: {
+      directory: resolvePath(process.env.STRATEGY_PLUGIN_DIR, path.resolve(moduleDir, '../strategies')),
+    },
+    hybrid: {
+      baseEngine: parseHybridEngine(process.env.HYBRID_BASE_ENGINE, 'scalp'),
+      hotlistEngine: parseHybridEngine(process.env.HYBRID_HOTLIST_ENGINE, 'llm'),
+      moverEngine: parseHybridEngine(process.env.HYBRID_MOVER_ENGINE, 'llm'),
+      moverTopN: Math.max(0, parseNumber(process.env.HYBRID_MOVER_TOP_N, 10)),
+      defaultEngine: parseHybridEngine(process.env.HYBRID_DEFAULT_ENGINE, 'llm'),
+    },
+    reconciliation: {
+      intervalSeconds: Math.max(0, parseNumber(process.env.RECONCILE_INTERVAL_SECONDS, 300)),
+    },
+    exitOrders: {
+      timeoutSeconds: parseNumber(process.env.EXIT_ORDER_TIMEOUT_SECONDS, 45),
+      maxReprices: parseNumber(process.env.EXIT_ORDER_MAX_REPRICES, 2),
+    },
+    entryOrders: {
+      style: parseEntryStyle(process.env.ENTRY_ORDER_STYLE),
+      maxReprices: Math.max(0, parseNumber(process.env.ENTRY_ORDER_MAX_REPRICES, 3)),
+      offsetTicks: Math.max(0, parseNumber(process.env.ENTRY_ORDER_OFFSET_TICKS, 0)),
+      repriceSeconds: Math.max(0, parseNumber(process.env.ENTRY_ORDER_REPRICE_SECONDS, 3)),
+      deadlineSeconds: Math.max(0, parseNumber(process.env.ENTRY_ORDER_DEADLINE_SECONDS, 15)),
+      marketFallback: (process.env.ENTRY_ORDER_MARKET_FALLBACK ?? 'true') === 'true',
+      fallbackMaxDriftBps: Math.max(0, parseNumber(process.env.ENTRY_ORDER_FALLBACK_MAX_DRIFT_BPS, 20)),
+    },
+    execution: {
+      enabled: (process.env.EXECUTION_ALGO_ENABLED ?? 'false') === 'true',
+      algo: parseExecutionAlgo(process.env.EXECUTION_ALGO),
+      volumeParticipationPct: parseNumber(process.env.EXECUTION_ALGO_VOLUME_PCT, 10),
+      maxSlices: clamp(parseNumber(process.env.EXECUTION_ALGO_MAX_SLICES, 8), 2, 50),
+      sliceIntervalSeconds: Math.max(0, parseNumber(process.env.EXECUTION_TWAP_INTERVAL_SECONDS, 5)),
+      postOnly: (process.env.EXECUTION_POST_ONLY ?? 'true') === 'true',
+      chaseTimeoutSeconds: Math.max(0, parseNumber(process.env.EXECUTION_CHASE_TIMEOUT_SECONDS, 3)),
+      maxChases: Math.max(1, parseNumber(process.env.EXECUTION_MAX_CHASES, 2)),
+      maxSlippageBps: parseNumber(process.env.EXECUTION_MAX_SLIPPAGE_BPS, 30),
+    },
+    protectiveOrders: {
+      enabled: (process.env.PROTECTIVE_ORDERS_ENABLED ?? 'true') === 'true',
+      workingType: parseWorkingType(process.env.PROTECTIVE_ORDER_WORKING_TYPE),
+    },
     userControls: (() => {
       const minLeverage = clamp(parseNumber(process.env.USER_CONTROL_MIN_LEVERAGE, 1), 1, 50);
       const maxLeverage = clamp(
@@ -120,6 +352,18 @@ export const config = {
         maxAllocation
       );
 
+      const minRiskPerTrade = clamp(parseNumber(process.env.USER_CONTROL_MIN_RISK_PER_TRADE_PCT, 0.1), 0.01, 10);
+      const maxRiskPerTrade = clamp(
+        parseNumber(process.env.USER_CONTROL_MAX_RISK_PER_TRADE_PCT, 3),
+        minRiskPerTrade,
+        10
+      );
+      const defaultRiskPerTrade = clamp(
+        parseNumber(process.env.USER_CONTROL_DEFAULT_RISK_PER_TRADE_PCT, 0.5),
+        minRiskPerTrade,
+        maxRiskPerTrade
+      );
+
       return {
         minLeverage,
         maxLeverage,
@@ -127,6 +371,9 @@ export const config = {
         minAllocationPct: minAllocation,
         maxAllocationPct: maxAllocation,
         defaultAllocationPct: defaultAllocation,
+        minRiskPerTradePct: minRiskPerTrade,
+        maxRiskPerTradePct: maxRiskPerTrade,
+        defaultRiskPerTradePct: defaultRiskPerTrade,
       };
     })(),
   },
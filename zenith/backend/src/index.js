@@ -9,16 +9,25 @@ import { createMoversRouter } from './routes/movers.js';
 import { createSignalsRouter } from './routes/signals.js';
 import { createChartsRouter } from './routes/charts.js';
 import { TradingEngine } from './services/tradingEngine.js';
-import { BinanceClient } from './clients/binanceClient.js';
+import { createBinanceClient } from './clients/binanceClientFactory.js';
+import { resolveWebSocket } from './clients/binanceClient.js';
 import { analyticsStore } from './store/analyticsStore.js';
 import { loadAnalyticsArchive } from './store/analyticsPersistence.js';
 import { logger } from './utils/logger.js';
 
 export function startOrchestrator(port = config.port) {
-  const engine = new TradingEngine(config.binance.symbols);
-  const binance = new BinanceClient();
+  // Refuse to boot rather than silently degrade to REST polling.
+  if (config.binance.stream.mode === 'websocket' || config.binance.userStream.enabled) {
+    resolveWebSocket();
+  }
+  const binance = createBinanceClient();
+  const engine = new TradingEngine(config.binance.symbols, { binance });
+  // Paper resting orders match on every streamed tick, not only when fetched.
+  const unfollowTicks = typeof binance.followTicks === 'function' ? binance.followTicks(engine) : () => {};
   const app = createApp();
 
+  void engine.restoreState();
+
   void loadAnalyticsArchive().then((events) => {
     if (events.length > 0) {
       analyticsStore.rehydrate(events);
@@ -30,7 +39,7 @@ export function startOrchestrator(port = config.port) {
 
   app.use('/control', createControlRouter(engine));
   app.use('/run', createRunRouter(engine));
-  app.use('/fapi', createFapiRouter(binance));
+  app.use('/fapi', createFapiRouter(binance, engine));
   app.use('/health', createHealthRouter(engine));
   app.use('/metrics', createMetricsRouter(engine, binance));
   app.use('/movers', createMoversRouter(engine));
@@ -50,6 +59,7 @@ export function startOrchestrator(port = config.port) {
 
   const shutdown = async () => {
     engine.stop();
+    unfollowTicks();
     await new Promise((resolve) => {
       server.close(() => resolve());
     });
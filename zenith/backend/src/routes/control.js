@@ -1,4 +1,5 @@
 import { Router } from '../http/router.js';
+import { CircuitBreakerTrippedError } from '../services/circuitBreaker.js';
 
 const VALID_RISK_LEVELS = [1, 2, 3, 4, 5];
 
@@ -6,7 +7,15 @@ export function createControlRouter(engine) {
   const router = new Router();
 
   router.post('/start', async (_req, res) => {
-    await engine.start();
+    try {
+      await engine.start();
+    } catch (error) {
+      if (error instanceof CircuitBreakerTrippedError) {
+        res.status(409).json({ error: error.message, circuitBreaker: engine.getCircuitBreakerState() });
+        return;
+      }
+      throw error;
+    }
     res.status(200).json({ status: 'started' });
   });
 
@@ -15,6 +24,11 @@ export function createControlRouter(engine) {
     res.status(200).json({ status: 'stopped' });
   });
 
+  router.post('/flatten', async (_req, res) => {
+    const report = await engine.flattenAll('manual flatten via /control/flatten');
+    res.status(200).json(report);
+  });
+
   router.post('/risk/:level', (req, res) => {
     const level = Number(req.params.level);
     if (!VALID_RISK_LEVELS.includes(level)) {
@@ -59,13 +73,168 @@ export function createControlRouter(engine) {
     }
   });
 
+  router.post('/risk-per-trade/:percent', (req, res) => {
+    const value = Number(req.params.percent);
+    if (!Number.isFinite(value)) {
+      res.status(400).json({ error: 'Risk per trade percent must be numeric' });
+      return;
+    }
+    try {
+      const riskPerTradePct = engine.setRiskPerTradePercent(value);
+      res.status(200).json({
+        riskPerTradePct,
+        sizingMode: engine.getSizingMode(),
+        leverage: engine.getUserLeverage(),
+        allocationPct: engine.getAllocationPercent(),
+      });
+    } catch (error) {
+      res
+        .status(400)
+        .json({ error: error instanceof Error ? error.message : 'Failed to set risk per trade percent' });
+    }
+  });
+
+  router.post('/entry-style/:style', (req, res) => {
+    try {
+      const entryStyle = engine.setEntryStyle(req.params.style);
+      res.status(200).json({ entryStyle });
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Failed to set entry style' });
+    }
+  });
+
+  router.get('/strategy', (_req, res) => {
+    res.json({ active: engine.getStrategy(), strategies: engine.getStrategies() });
+  });
+
+  router.post('/strategy/reload', async (_req, res) => {
+    const loaded = await engine.reloadStrategies();
+    res.status(200).json({ loaded, active: engine.getStrategy(), strategies: engine.getStrategies() });
+  });
+
+  router.post('/strategy/:name', async (req, res) => {
+    await engine.loadStrategies();
+    try {
+      const active = engine.setStrategy(req.params.name);
+      res.status(200).json({ active, strategies: engine.getStrategies() });
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Failed to switch strategy' });
+    }
+  });
+
+  router.get('/mode', (_req, res) => {
+    res.json({ mode: engine.getMode(), dryRun: engine.getDryRunSummary() });
+  });
+
+  router.post('/mode/:mode', (req, res) => {
+    try {
+      const mode = engine.setMode(req.params.mode);
+      res.status(200).json({ mode, dryRun: engine.getDryRunSummary() });
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Failed to set mode' });
+    }
+  });
+
+  // Registered ahead of /symbols/:symbol so the list names are not read as symbols.
+  router.get('/symbols/blocked', (_req, res) => {
+    res.json({ blocked: engine.getSymbolBlocks() });
+  });
+
+  router.post('/symbols/blocked', (req, res) => {
+    const { symbol, reason, expiresAt, ttlMinutes } = req.body ?? {};
+    try {
+      const block = engine.setSymbolBlock(symbol, { reason, expiresAt, ttlMinutes });
+      res.status(200).json({ block, blocked: engine.getSymbolBlocks() });
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Failed to block symbol' });
+    }
+  });
+
+  router.delete('/symbols/blocked/:symbol', (req, res) => {
+    if (!engine.unblockSymbol(req.params.symbol)) {
+      res.status(404).json({ error: 'Symbol is not blocked' });
+      return;
+    }
+    res.status(200).json({ blocked: engine.getSymbolBlocks() });
+  });
+
+  router.get('/symbols/pinned', (_req, res) => {
+    res.json({ pinned: engine.getPinnedSymbols(), activeSymbols: engine.getActiveSymbols() });
+  });
+
+  router.post('/symbols/pinned', (req, res) => {
+    try {
+      engine.pinSymbol(req.body?.symbol);
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Failed to pin symbol' });
+      return;
+    }
+    res.status(200).json({ pinned: engine.getPinnedSymbols(), activeSymbols: engine.getActiveSymbols() });
+  });
+
+  router.delete('/symbols/pinned/:symbol', (req, res) => {
+    if (!engine.unpinSymbol(req.params.symbol)) {
+      res.status(404).json({ error: 'Symbol is not pinned' });
+      return;
+    }
+    res.status(200).json({ pinned: engine.getPinnedSymbols(), activeSymbols: engine.getActiveSymbols() });
+  });
+
+  const describeSymbol = (symbol) => ({
+    symbol,
+    override: engine.getSymbolOverride(symbol),
+    effective: engine.resolveSymbolSettings(symbol),
+  });
+
+  router.get('/symbols/:symbol', (req, res) => {
+    res.json(describeSymbol(req.params.symbol.toUpperCase()));
+  });
+
+  router.put('/symbols/:symbol', (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    try {
+      engine.setSymbolOverride(symbol, req.body);
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Failed to set symbol override' });
+      return;
+    }
+    res.status(200).json(describeSymbol(symbol));
+  });
+
+  const describeState = () => ({
+    running: engine.isRunning(),
+    riskLevel: engine.getRiskLevel(),
+    leverage: engine.getUserLeverage(),
+    allocationPct: engine.getAllocationPercent(),
+    riskPerTradePct: engine.getRiskPerTradePercent(),
+    sizingMode: engine.getSizingMode(),
+    entryStyle: engine.getEntryStyle(),
+    strategy: engine.getStrategy(),
+    mode: engine.getMode(),
+    symbolOverrides: engine.getSymbolOverrides(),
+    blockedSymbols: engine.getBlockedSymbols(),
+    pinnedSymbols: engine.getPinnedSymbols(),
+    protectedSymbols: engine.getProtectedSymbols(),
+    reconciliation: engine.getLastReconciliation(),
+    circuitBreaker: engine.getCircuitBreakerState(),
+  });
+
   router.get('/state', (_req, res) => {
-    res.json({
-      running: engine.isRunning(),
-      riskLevel: engine.getRiskLevel(),
-      leverage: engine.getUserLeverage(),
-      allocationPct: engine.getAllocationPercent(),
-    });
+    res.json(describeState());
+  });
+
+  router.post('/state/reset', async (_req, res) => {
+    await engine.resetState();
+    res.status(200).json(describeState());
+  });
+
+  router.post('/reconcile', async (_req, res) => {
+    const reconciliation = await engine.reconcileAccount('manual');
+    res.status(200).json({ reconciliation, activeSymbols: engine.getActiveSymbols() });
+  });
+
+  router.post('/circuit-breaker/reset', (_req, res) => {
+    res.status(200).json({ circuitBreaker: engine.resetCircuitBreaker() });
   });
 
   return router;
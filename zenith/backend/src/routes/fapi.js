@@ -1,7 +1,7 @@
 import { Router } from '../http/router.js';
 import { BinanceClient } from '../clients/binanceClient.js';
 
-export function createFapiRouter(binance) {
+export function createFapiRouter(binance, engine) {
   const router = new Router();
 
   router.get('/account', async (_req, res) => {
@@ -14,5 +14,9 @@ export function createFapiRouter(binance) {
     res.json({ positions });
   });
 
+  router.get('/settings', (_req, res) => {
+    res.json({ settings: engine.getMarginSettings() });
+  });
+
   return router;
 }
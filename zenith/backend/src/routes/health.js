@@ -1,4 +1,5 @@
 import { Router } from '../http/router.js';
+import { binanceRateLimiter } from '../clients/binanceClient.js';
 
 export function createHealthRouter(engine) {
   const router = new Router();
@@ -10,6 +11,14 @@ export function createHealthRouter(engine) {
       riskLevel: engine.getRiskLevel(),
       leverage: engine.getUserLeverage(),
       allocationPct: engine.getAllocationPercent(),
+      riskPerTradePct: engine.getRiskPerTradePercent(),
+      sizingMode: engine.getSizingMode(),
+      entryStyle: engine.getEntryStyle(),
+      strategy: engine.getStrategy(),
+      mode: engine.getMode(),
+      rateLimit: binanceRateLimiter.getUsage(),
+      loop: engine.getLoopStats(),
+      circuitBreaker: engine.getCircuitBreakerState(),
     });
   });
 
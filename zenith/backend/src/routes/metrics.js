@@ -21,6 +21,7 @@ function mergePerformanceWithPositions(performance, positions) {
     });
   }
 
+  const positioned = new Set();
   for (const position of positions ?? []) {
     if (!position || typeof position !== 'object') continue;
     const symbol = position.symbol;
@@ -44,9 +45,12 @@ function mergePerformanceWithPositions(performance, positions) {
       win_rate: 0,
     };
 
+    // Hedge-mode accounts report a long and a short leg for the same symbol.
+    const netContracts = positioned.has(symbol) ? existing.net_contracts + positionAmt : positionAmt;
+    positioned.add(symbol);
     merged.set(symbol, {
       ...existing,
-      net_contracts: Number(positionAmt.toFixed(4)),
+      net_contracts: Number(netContracts.toFixed(4)),
       avg_entry_price: Number.isFinite(entryPrice) ? round(entryPrice) : existing.avg_entry_price,
       unrealized_pnl: round((existing.unrealized_pnl ?? 0) + unrealized),
     });
@@ -98,6 +102,10 @@ export function createMetricsRouter(engine, binance) {
         losses: winStats.losses,
         breakeven: winStats.breakeven,
         trades: winStats.trades,
+        riskRejections: analyticsStore.getRecentRiskRejections(),
+        executionAlgos: analyticsStore.getRecentExecutionAlgos(),
+        strategyAttribution: engine.getStrategyAttribution(),
+        dryRun: engine.getDryRunSummary(),
         performance,
       });
     } catch (error) {
@@ -133,6 +141,10 @@ export function createMetricsRouter(engine, binance) {
           losses: winStats.losses,
           breakeven: winStats.breakeven,
           trades: winStats.trades,
+          riskRejections: analyticsStore.getRecentRiskRejections(),
+          executionAlgos: analyticsStore.getRecentExecutionAlgos(),
+          strategyAttribution: engine.getStrategyAttribution(),
+          dryRun: engine.getDryRunSummary(),
           performance: mergePerformanceWithPositions(
             analyticsStore.getSymbolPerformance(),
             openPositions
@@ -1,12 +1,45 @@
 import { Router } from '../http/router.js';
 import { analyticsStore } from '../store/analyticsStore.js';
 
+const MAX_SIGNALS = 1000;
+
+// Accepts epoch milliseconds or anything Date.parse understands.
+const parseTime = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : Date.parse(value);
+};
+
 export function createSignalsRouter() {
   const router = new Router();
 
-  router.get('/', (_req, res) => {
-    const signals = analyticsStore.getRecentSignals(10);
-    res.json(signals);
+  router.get('/', async (req, res) => {
+    const { symbol, from, to, limit } = req.query;
+    const filtered = symbol !== undefined || from !== undefined || to !== undefined;
+    const query = {
+      symbol: symbol ? String(symbol).toUpperCase() : undefined,
+      from: parseTime(from),
+      to: parseTime(to),
+      limit: limit === undefined ? (filtered ? 100 : 10) : Math.min(Math.floor(Number(limit)), MAX_SIGNALS),
+    };
+    if (Number.isNaN(query.from) || Number.isNaN(query.to)) {
+      res.status(400).json({ error: 'from and to must be timestamps or ISO dates' });
+      return;
+    }
+    if (!(query.limit > 0)) {
+      res.status(400).json({ error: 'limit must be a positive number' });
+      return;
+    }
+    res.json(await analyticsStore.searchSignals(query));
+  });
+
+  router.get('/:id', async (req, res) => {
+    const signal = await analyticsStore.findSignal(req.params.id);
+    if (!signal) {
+      res.status(404).json({ error: 'Signal not found' });
+      return;
+    }
+    res.json(signal);
   });
 
   return router;
@@ -0,0 +1,289 @@
+import { config } from '../config.js';
+import { BinanceClient } from '../clients/binanceClient.js';
+import { PaperBinanceClient } from '../clients/paperBinanceClient.js';
+import { logger } from '../utils/logger.js';
+import { buildSnapshotFromCandles } from './marketIntelligence.js';
+import { createDecisionProvider } from './decisionProviders.js';
+import { TradingEngine } from './tradingEngine.js';
+
+const TERMINAL_ORDER_STATUSES = new Set(['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED']);
+const DEFAULT_WARMUP_BARS = 150;
+
+const round = (value, digits = 4) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+// Collects what the engine would normally push into the analytics store so a
+// replay never touches the live history archive.
+class BacktestRecorder {
+  constructor() {
+    this.signals = [];
+    this.executions = [];
+    this.riskRejections = [];
+  }
+
+  async recordStrategy(decision, riskLevel) {
+    if (!decision) return;
+    this.signals.push({
+      timestamp: decision.timestamp,
+      symbol: decision.symbol,
+      bias: decision.bias,
+      action: decision.action,
+      confidence: decision.confidence,
+      source: decision.source ?? 'provider',
+      riskLevel,
+    });
+  }
+
+  async recordExecution(result, decision) {
+    this.executions.push({
+      symbol: result.symbol,
+      orderId: result.orderId,
+      status: result.status,
+      bias: decision?.bias,
+      action: decision?.action,
+    });
+  }
+
+  async recordRiskRejection(rejection) {
+    this.riskRejections.push(rejection);
+  }
+
+  async recordExecutionAlgo() {}
+
+  async recordFlatten() {}
+
+  async recordEquity() {}
+}
+
+// Walks each bar through open → nearer extreme → farther extreme → close so
+// resting limit and stop orders see the intrabar range in a plausible order.
+const pricePath = (candle) =>
+  candle.close >= candle.open
+    ? [candle.open, candle.low, candle.high, candle.close]
+    : [candle.open, candle.high, candle.low, candle.close];
+
+async function loadCandles(symbols, interval, options) {
+  const client = new BinanceClient();
+  const candlesBySymbol = {};
+  for (const symbol of symbols) {
+    candlesBySymbol[symbol] = await client.fetchHistoricalKlines(symbol, interval, {
+      startTime: options.startTime,
+      endTime: options.endTime,
+      maxCandles: options.maxCandles,
+    });
+    logger.info({ symbol, interval, candles: candlesBySymbol[symbol].length }, 'Loaded historical candles for backtest');
+  }
+  return candlesBySymbol;
+}
+
+function summarizeTrades(fills) {
+  const trades = fills
+    .filter((fill) => fill.realizedPnl !== 0)
+    .map((fill) => ({
+      time: new Date(fill.time).toISOString(),
+      symbol: fill.symbol,
+      side: fill.side,
+      quantity: fill.quantity,
+      price: fill.price,
+      realizedPnl: round(fill.realizedPnl),
+      fee: round(fill.fee),
+    }));
+  const wins = trades.filter((trade) => trade.realizedPnl > 0).length;
+  const losses = trades.filter((trade) => trade.realizedPnl < 0).length;
+  return { trades, wins, losses };
+}
+
+/**
+ * Replays historical klines through the LLM decision path of TradingEngine.
+ * Orders are filled by an offline PaperBinanceClient driven by the candle
+ * prices, and time is simulated so caches and exit repricing follow the bars.
+ * Exchange filters (lot/tick size) are still read from the public REST API.
+ */
+export async function runBacktest(options = {}) {
+  const symbols = (options.symbols ?? []).map((symbol) => symbol.toUpperCase());
+  if (symbols.length === 0) {
+    throw new Error('Backtest requires at least one symbol');
+  }
+  const interval = options.interval ?? '1m';
+  const warmup = Math.max(20, Number(options.warmupBars ?? DEFAULT_WARMUP_BARS));
+  const decisionEvery = Math.max(1, Math.floor(Number(options.decisionEveryBars ?? 1)));
+
+  const candlesBySymbol = options.candles ?? (await loadCandles(symbols, interval, options));
+  const timeline = new Map();
+  for (const symbol of symbols) {
+    const candles = candlesBySymbol[symbol] ?? [];
+    candles.forEach((candle, index) => {
+      const entries = timeline.get(candle.openTime) ?? [];
+      entries.push({ symbol, index });
+      timeline.set(candle.openTime, entries);
+    });
+  }
+  const openTimes = Array.from(timeline.keys()).sort((a, b) => a - b);
+  if (openTimes.length === 0) {
+    throw new Error('No historical candles available for backtest');
+  }
+
+  let currentTime = openTimes[0];
+  const clock = () => currentTime;
+  const paper = new PaperBinanceClient({
+    ...config.paper,
+    ...options.paper,
+    stateFile: null,
+    livePrices: false,
+    recordFills: true,
+    now: clock,
+  });
+  const recorder = new BacktestRecorder();
+  const providerStats = { calls: 0, errors: 0 };
+  const provider = options.decisionProvider ?? createDecisionProvider(options.provider ?? 'rules', {
+    ...options.providerOptions,
+    clock,
+  });
+  const engine = new TradingEngine(symbols, {
+    binance: paper,
+    recorder,
+    clock,
+    stateStore: null,
+    // Bars are replayed without intrabar time, so resting (child) orders could
+    // never fill; entries go out as single market orders instead.
+    execution: { enabled: false },
+    entryOrders: { style: 'MARKET' },
+    strategyDirectory: null,
+    strategyMode: 'llm',
+    // The backtest already trades against its own paper client.
+    dryRun: false,
+    decisionProvider: async (...args) => {
+      providerStats.calls += 1;
+      try {
+        return await provider(...args);
+      } catch (error) {
+        providerStats.errors += 1;
+        throw error;
+      }
+    },
+  });
+  if (options.riskLevel !== undefined) engine.setRiskLevel(options.riskLevel);
+  if (options.leverage !== undefined) engine.setUserLeverage(options.leverage);
+  if (options.allocationPercent !== undefined) engine.setAllocationPercent(options.allocationPercent);
+
+  // Stand-in for the user data stream: surface protective order fills to the
+  // engine so the remaining leg is cancelled like it would be live.
+  const syncProtectiveOrders = async () => {
+    for (const protection of Array.from(engine.protectiveOrders.values())) {
+      for (const leg of [protection.stopLoss, protection.takeProfit]) {
+        if (!leg) continue;
+        try {
+          const order = await paper.fetchOrder(protection.symbol, { orderId: leg.orderId });
+          if (TERMINAL_ORDER_STATUSES.has(order.status)) {
+            await engine.handleProtectiveOrderUpdate({
+              symbol: protection.symbol,
+              positionSide: protection.positionSide,
+              orderId: order.orderId,
+              status: order.status,
+            });
+          }
+        } catch (error) {
+          logger.debug({ error, symbol: protection.symbol, orderId: leg.orderId }, 'Unable to sync protective order');
+        }
+      }
+    }
+  };
+
+  const equityCurve = [];
+  let peakEquity = paper.getAccountSummary().equity;
+  let maxDrawdownPct = 0;
+
+  for (const openTime of openTimes) {
+    const entries = timeline.get(openTime);
+    for (const { symbol, index } of entries) {
+      const candle = candlesBySymbol[symbol][index];
+      for (const price of pricePath(candle)) {
+        paper.updateMarketPrice(symbol, { price, time: currentTime });
+      }
+      currentTime = Math.max(currentTime, candle.closeTime);
+      engine.latestTicks.set(symbol, {
+        symbol,
+        price: candle.close,
+        bid: candle.close,
+        ask: candle.close,
+        eventTime: candle.closeTime,
+        exchangeTime: candle.closeTime,
+      });
+    }
+
+    await syncProtectiveOrders();
+    await engine.managePendingExits();
+
+    for (const { symbol, index } of entries) {
+      if (index + 1 < warmup || (index + 1 - warmup) % decisionEvery !== 0) continue;
+      const window = candlesBySymbol[symbol].slice(index + 1 - warmup, index + 1);
+      try {
+        const snapshot = buildSnapshotFromCandles(symbol, interval, window);
+        const contextSnapshot = JSON.parse(snapshot.promptContext);
+        engine.invalidatePositionCache();
+        const position = await engine.getPosition(symbol, { forceRefresh: true });
+        const decision = await engine.resolveDecision(
+          symbol,
+          snapshot,
+          engine.latestTicks.get(symbol),
+          contextSnapshot,
+          position
+        );
+        decision.timestamp = new Date(currentTime).toISOString();
+        await recorder.recordStrategy(decision, engine.getRiskLevel());
+        await engine.executeDecision(decision);
+      } catch (error) {
+        logger.error({ error, symbol, time: new Date(currentTime).toISOString() }, 'Backtest step failed');
+      }
+    }
+
+    const { equity } = paper.getAccountSummary();
+    peakEquity = Math.max(peakEquity, equity);
+    if (peakEquity > 0) {
+      maxDrawdownPct = Math.max(maxDrawdownPct, ((peakEquity - equity) / peakEquity) * 100);
+    }
+    equityCurve.push({ time: new Date(currentTime).toISOString(), equity: round(equity, 2) });
+  }
+
+  const account = paper.getAccountSummary();
+  const { trades, wins, losses } = summarizeTrades(paper.fills);
+  const startEquity = paper.initialBalance;
+
+  return {
+    config: {
+      symbols,
+      interval,
+      from: new Date(openTimes[0]).toISOString(),
+      to: new Date(currentTime).toISOString(),
+      warmupBars: warmup,
+      decisionEveryBars: decisionEvery,
+      provider: options.decisionProvider ? 'custom' : options.provider ?? 'rules',
+      riskLevel: engine.getRiskLevel(),
+      leverage: engine.getUserLeverage(),
+      allocationPercent: engine.getAllocationPercent(),
+      takerFeeRate: paper.takerFeeRate,
+      makerFeeRate: paper.makerFeeRate,
+      slippageBps: round(paper.slippage * 10_000, 2),
+    },
+    summary: {
+      startEquity,
+      endEquity: round(account.equity, 2),
+      returnPct: round(((account.equity - startEquity) / startEquity) * 100, 2),
+      maxDrawdownPct: round(maxDrawdownPct, 2),
+      realizedPnl: round(account.realizedPnl, 2),
+      fees: round(account.fees, 2),
+      fills: account.fills,
+      trades: trades.length,
+      wins,
+      losses,
+      winRate: trades.length > 0 ? round((wins / trades.length) * 100, 2) : 0,
+      decisions: recorder.signals.length,
+      executions: recorder.executions.length,
+      riskRejections: recorder.riskRejections.length,
+      providerCalls: providerStats.calls,
+      providerErrors: providerStats.errors,
+      openPositions: account.openPositions,
+    },
+    equityCurve,
+    trades,
+  };
+}
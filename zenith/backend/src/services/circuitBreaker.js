@@ -0,0 +1,165 @@
+const positiveLimit = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : undefined;
+};
+
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+const utcDay = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+export class CircuitBreakerTrippedError extends Error {
+  constructor(state) {
+    super(`Circuit breaker tripped (${state.reason}); reset it or wait for the next UTC day`);
+    this.name = 'CircuitBreakerTrippedError';
+    this.state = state;
+  }
+}
+
+/**
+ * Daily loss and drawdown breaker fed by equity snapshots.
+ *
+ * - realized loss: wallet balance drop since the UTC day started
+ * - unrealized loss: current open loss (equity below wallet balance)
+ * - drawdown: equity drop from the peak seen since the last reset
+ *
+ * Limits are percentages of the equity at the start of the UTC day (drawdown:
+ * of the peak); a limit left unset (or 0) is disabled. A trip holds until a
+ * manual reset or the next UTC day, which also rebases the day and the peak.
+ */
+export class CircuitBreaker {
+  constructor(options = {}) {
+    this.limits = {
+      dailyRealizedLossPct: positiveLimit(options.dailyRealizedLossPct),
+      dailyUnrealizedLossPct: positiveLimit(options.dailyUnrealizedLossPct),
+      maxDrawdownPct: positiveLimit(options.maxDrawdownPct),
+    };
+    this.flattenOnTrip = options.flattenOnTrip === true;
+    this.now = typeof options.now === 'function' ? options.now : () => Date.now();
+    this.day = undefined;
+    this.dayStart = undefined;
+    this.peakEquity = undefined;
+    this.last = undefined;
+    this.trip = null;
+  }
+
+  rollover() {
+    const day = utcDay(this.now());
+    if (this.day === day) return false;
+    this.day = day;
+    this.dayStart = this.last ? { ...this.last } : undefined;
+    this.peakEquity = this.last?.equity;
+    if (this.trip) {
+      this.trip = null;
+      return true;
+    }
+    return false;
+  }
+
+  metrics() {
+    if (!this.last || !this.dayStart) return {};
+    const basis = this.dayStart.equity;
+    const pct = (loss) => (basis > 0 ? (Math.max(loss, 0) / basis) * 100 : 0);
+    return {
+      realizedLossPct: pct(this.dayStart.balance - this.last.balance),
+      unrealizedLossPct: pct(this.last.balance - this.last.equity),
+      drawdownPct:
+        this.peakEquity > 0 ? (Math.max(this.peakEquity - this.last.equity, 0) / this.peakEquity) * 100 : 0,
+    };
+  }
+
+  // Returns the trip when this snapshot breached a limit, otherwise null.
+  update(snapshot) {
+    const balance = Number(snapshot?.balance);
+    const equity = Number(snapshot?.equity);
+    if (!Number.isFinite(balance) || !Number.isFinite(equity)) {
+      return null;
+    }
+    this.rollover();
+    this.last = { balance, equity };
+    this.dayStart ??= { balance, equity };
+    this.peakEquity = Math.max(this.peakEquity ?? equity, equity);
+    if (this.trip) {
+      return null;
+    }
+
+    const metrics = this.metrics();
+    const breaches = [
+      ['daily_realized_loss', metrics.realizedLossPct, this.limits.dailyRealizedLossPct],
+      ['daily_unrealized_loss', metrics.unrealizedLossPct, this.limits.dailyUnrealizedLossPct],
+      ['max_drawdown', metrics.drawdownPct, this.limits.maxDrawdownPct],
+    ];
+    const breach = breaches.find(([, value, limit]) => limit !== undefined && value >= limit);
+    if (!breach) {
+      return null;
+    }
+
+    const [reason, value, limit] = breach;
+    this.trip = {
+      reason,
+      value: round(value),
+      limit,
+      equity: round(equity),
+      trippedAt: new Date(this.now()).toISOString(),
+    };
+    return this.trip;
+  }
+
+  isTripped() {
+    this.rollover();
+    return Boolean(this.trip);
+  }
+
+  reset() {
+    this.trip = null;
+    this.dayStart = this.last ? { ...this.last } : undefined;
+    this.peakEquity = this.last?.equity;
+  }
+
+  // Raw day baseline, peak and trip, persisted with the engine state so a
+  // restart neither clears a trip nor rebases the daily loss and drawdown.
+  snapshot() {
+    return {
+      day: this.day ?? null,
+      dayStart: this.dayStart ?? null,
+      peakEquity: this.peakEquity ?? null,
+      last: this.last ?? null,
+      trip: this.trip,
+    };
+  }
+
+  restore(saved) {
+    const equityPoint = (point) =>
+      Number.isFinite(point?.balance) && Number.isFinite(point?.equity)
+        ? { balance: point.balance, equity: point.equity }
+        : undefined;
+    if (typeof saved?.day !== 'string') {
+      return false;
+    }
+    this.day = saved.day;
+    this.dayStart = equityPoint(saved.dayStart);
+    this.last = equityPoint(saved.last);
+    this.peakEquity = Number.isFinite(saved.peakEquity) ? saved.peakEquity : this.last?.equity;
+    this.trip = saved.trip && typeof saved.trip.reason === 'string' ? saved.trip : null;
+    // A snapshot from an earlier UTC day clears the trip and rebases here.
+    this.rollover();
+    return true;
+  }
+
+  getState() {
+    this.rollover();
+    const metrics = this.metrics();
+    return {
+      tripped: Boolean(this.trip),
+      trip: this.trip,
+      limits: this.limits,
+      flattenOnTrip: this.flattenOnTrip,
+      day: this.day ?? null,
+      dayStartEquity: round(this.dayStart?.equity),
+      peakEquity: round(this.peakEquity),
+      equity: round(this.last?.equity),
+      realizedLossPct: round(metrics.realizedLossPct),
+      unrealizedLossPct: round(metrics.unrealizedLossPct),
+      drawdownPct: round(metrics.drawdownPct),
+    };
+  }
+}
@@ -0,0 +1,106 @@
+// Every opened entry is closed once executed, failed or timed out; the bound
+// only keeps a caller that never closes its entries from growing the map.
+const MAX_OPEN_ENTRIES = 500;
+
+/**
+ * Collects one audit record per decision, from the inputs the strategy saw to
+ * the orders that resulted (or why none were placed).
+ *
+ * Inputs are traced per symbol while the symbol is being evaluated, because
+ * resolveDecision runs before the decision exists and its result is cached
+ * and persisted, so nothing bulky can ride on the decision itself. `open`
+ * folds the trace into an entry keyed by a decision id that travels with the
+ * decision through executeDecision; `close` hands the finished entry to the
+ * recorder, which stores it as the decision's signal record.
+ */
+export class DecisionJournal {
+  constructor({ recorder, now = () => Date.now() }) {
+    this.recorder = recorder;
+    this.now = now;
+    this.traces = new Map();
+    this.entries = new Map();
+    this.sequence = 0;
+  }
+
+  trace(symbol, fields) {
+    this.traces.set(symbol, { ...this.traces.get(symbol), ...fields });
+  }
+
+  discard(symbol) {
+    this.traces.delete(symbol);
+  }
+
+  open(decision, { strategy, mode, riskLevel, settings }) {
+    this.sequence += 1;
+    const createdAt = this.now();
+    const id = `${decision.symbol}-${createdAt}-${this.sequence}`;
+    this.entries.set(id, {
+      decision,
+      riskLevel,
+      settings,
+      fields: {
+        id,
+        created_at: new Date(createdAt).toISOString(),
+        strategy,
+        mode,
+        source: strategy,
+        ...this.traces.get(decision.symbol),
+        orders: [],
+      },
+    });
+    this.traces.delete(decision.symbol);
+    if (this.entries.size > MAX_OPEN_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return id;
+  }
+
+  get(id) {
+    return this.entries.get(id)?.fields ?? null;
+  }
+
+  // Every hook below is a no-op for decisions that were never opened (backtest
+  // replays, tests and other direct executeDecision callers).
+  annotate(id, fields) {
+    const entry = this.entries.get(id);
+    if (entry) {
+      Object.assign(entry.fields, fields);
+    }
+  }
+
+  addOrder(id, order) {
+    this.entries.get(id)?.fields.orders.push(order);
+  }
+
+  // The latest reason wins: a flip that closes the old leg and then skips the
+  // new entry reports why the entry was skipped.
+  skip(id, reason) {
+    this.annotate(id, { no_order_reason: reason });
+  }
+
+  async close(id, outcome = {}) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(id);
+    const { no_order_reason: noOrderReason, ...fields } = entry.fields;
+    const status = outcome.status ?? (fields.orders.length > 0 ? 'executed' : 'skipped');
+    const reason = outcome.reason ?? noOrderReason ?? (status === 'skipped' ? 'no_order_placed' : undefined);
+    const { usage: _usage, decisionId: _decisionId, ...decision } = entry.decision;
+    const record = {
+      ...fields,
+      action: entry.decision.action,
+      reasoning: entry.decision.reasoning,
+      decision,
+      outcome: { status, reason },
+      completed_at: new Date(this.now()).toISOString(),
+    };
+    await this.recorder.recordStrategy(entry.decision, entry.riskLevel, {
+      leverage: entry.settings?.leverage,
+      allocationPct: entry.settings?.allocationPct,
+      journal: record,
+    });
+    return record;
+  }
+}
@@ -0,0 +1,111 @@
+import { requestLocalModelStrategy, requestStrategy } from '../clients/openaiClient.js';
+
+// Decision providers share the requestStrategy signature:
+//   (symbol, marketContext, riskContext) => Promise<{ symbol, bias, confidence, reasoning, model? }>
+// so the trading engine can swap OpenAI for a replay source during backtests.
+
+const BIASES = new Set(['long', 'short', 'flat']);
+
+const parseContext = (context) => {
+  if (typeof context !== 'string') {
+    return context ?? {};
+  }
+  try {
+    return JSON.parse(context);
+  } catch {
+    return {};
+  }
+};
+
+const toTimestamp = (value) => {
+  if (Number.isFinite(value)) return Number(value);
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+// Accepts plain decisions ({ symbol, bias, confidence, timestamp }) as well as
+// analytics archive events ({ type: 'signal', data: { created_at, ... } }).
+export function normalizeDecisionRecords(records = []) {
+  const bySymbol = new Map();
+  for (const entry of records) {
+    if (entry?.type && entry.type !== 'signal') continue;
+    const record = entry?.type === 'signal' ? entry.data : entry;
+    const symbol = typeof record?.symbol === 'string' ? record.symbol.toUpperCase() : undefined;
+    const bias = typeof record?.bias === 'string' ? record.bias.toLowerCase() : undefined;
+    const time = toTimestamp(record?.timestamp ?? record?.created_at ?? entry?.timestamp);
+    if (!symbol || !BIASES.has(bias) || time === undefined) continue;
+
+    const list = bySymbol.get(symbol) ?? [];
+    list.push({
+      time,
+      symbol,
+      bias,
+      confidence: Math.max(0, Math.min(1, Number(record.confidence ?? 0))),
+      reasoning: typeof record.reasoning === 'string' ? record.reasoning : 'Recorded decision replay',
+    });
+    bySymbol.set(symbol, list);
+  }
+  for (const list of bySymbol.values()) {
+    list.sort((a, b) => a.time - b.time);
+  }
+  return bySymbol;
+}
+
+export function createRecordedDecisionProvider(records, options = {}) {
+  const bySymbol = normalizeDecisionRecords(records);
+  const clock = options.clock ?? (() => Date.now());
+  const maxAgeMs = Number(options.maxAgeMs ?? Infinity);
+
+  return async function recordedDecision(symbol) {
+    const now = clock();
+    const list = bySymbol.get(symbol) ?? [];
+    let latest;
+    for (const record of list) {
+      if (record.time > now) break;
+      latest = record;
+    }
+    if (!latest || now - latest.time > maxAgeMs) {
+      throw new Error(`No recorded decision for ${symbol} at ${new Date(now).toISOString()}`);
+    }
+    const { time: _time, ...decision } = latest;
+    return { ...decision, model: 'recorded' };
+  };
+}
+
+// Follows the deterministic local signal embedded in the prompt context. Useful
+// as a baseline and for exercising the execution path without any model.
+export function createRuleDecisionProvider(options = {}) {
+  const minConfidence = Number(options.minConfidence ?? 0.55);
+
+  return async function ruleDecision(symbol, marketContext) {
+    const local = parseContext(marketContext).local_signal ?? {};
+    const confidence = Math.max(0, Math.min(1, Number(local.confidence ?? 0)));
+    const bias = BIASES.has(local.bias) && confidence >= minConfidence ? local.bias : 'flat';
+    return {
+      symbol,
+      bias,
+      confidence,
+      reasoning: local.reasoning ?? 'Local signal baseline',
+      model: 'rules',
+    };
+  };
+}
+
+export function createLocalModelDecisionProvider(options = {}) {
+  return (symbol, marketContext) => requestLocalModelStrategy(symbol, marketContext, options);
+}
+
+export function createDecisionProvider(kind, options = {}) {
+  switch (kind) {
+    case 'openai':
+      return requestStrategy;
+    case 'local':
+      return createLocalModelDecisionProvider(options);
+    case 'recorded':
+      return createRecordedDecisionProvider(options.records ?? [], options);
+    case 'rules':
+      return createRuleDecisionProvider(options);
+    default:
+      throw new Error(`Unknown decision provider: ${kind}`);
+  }
+}
@@ -0,0 +1,167 @@
+import { DRY_RUN_NAMESPACE, analyticsStore } from '../store/analyticsStore.js';
+
+const POSITION_EPSILON = 1e-8;
+
+const round = (value, digits = 4) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : 0);
+
+/**
+ * Virtual order book for dry-run mode.
+ *
+ * Orders fill immediately and in full at the price the engine would have
+ * traded at. Positions and realized PnL are not held here: every fill goes
+ * through the analytics store's `dry_run` namespace, which already keeps a
+ * net position and average entry per symbol, so the book is archived with the
+ * rest of the analytics and comes back on restart. The stop-loss/take-profit
+ * levels the engine would have placed on the exchange are kept in memory and
+ * checked against the latest prices once per loop.
+ */
+export class DryRunBook {
+  constructor({ store = analyticsStore, now = () => Date.now() } = {}) {
+    this.store = store;
+    this.now = now;
+    this.protection = new Map();
+    this.sequence = 0;
+  }
+
+  // Same shape as TradingEngine#getPosition: a single net leg.
+  getPosition(symbol) {
+    const stats = this.store.getSymbolStats(symbol, DRY_RUN_NAMESPACE);
+    const amount = Number(stats?.netContracts);
+    if (!Number.isFinite(amount) || Math.abs(amount) < POSITION_EPSILON) {
+      return null;
+    }
+    const leg = {
+      symbol,
+      side: amount > 0 ? 'long' : 'short',
+      positionSide: 'BOTH',
+      quantity: Math.abs(amount),
+      entryPrice: stats.avgEntryPrice,
+      raw: { symbol, positionSide: 'BOTH', positionAmt: amount, entryPrice: stats.avgEntryPrice },
+    };
+    return { ...leg, legs: [leg] };
+  }
+
+  symbols() {
+    return Array.from(this.store.statsFor(DRY_RUN_NAMESPACE).keys()).filter((symbol) => this.getPosition(symbol));
+  }
+
+  // Exchange-shaped legs for the portfolio risk manager.
+  getRawPositions() {
+    return this.symbols().map((symbol) => this.getPosition(symbol).raw);
+  }
+
+  fill({ symbol, side, quantity, price, reason, decision }) {
+    const amount = Number(quantity);
+    const fillPrice = Number(price);
+    if (!(amount > 0) || !(fillPrice > 0)) {
+      throw new Error(`Dry-run ${side} ${symbol} needs a positive quantity and price`);
+    }
+
+    const realizedBefore = this.store.getSymbolStats(symbol, DRY_RUN_NAMESPACE)?.realizedPnl ?? 0;
+    this.store.addExecution(
+      { filledQty: amount, avgPrice: fillPrice },
+      { symbol, bias: side === 'BUY' ? 'long' : 'short' },
+      { namespace: DRY_RUN_NAMESPACE }
+    );
+    const realizedAfter = this.store.getSymbolStats(symbol, DRY_RUN_NAMESPACE)?.realizedPnl ?? 0;
+    if (!this.getPosition(symbol)) {
+      this.protection.delete(symbol);
+    }
+
+    this.sequence += 1;
+    const order = {
+      id: `dry-${this.now()}-${this.sequence}`,
+      created_at: new Date(this.now()).toISOString(),
+      symbol,
+      side,
+      quantity: amount,
+      price: fillPrice,
+      reason,
+      strategy: decision?.strategy,
+      confidence: Number.isFinite(Number(decision?.confidence)) ? Number(decision.confidence) : undefined,
+      realized_pnl: round(realizedAfter - realizedBefore),
+    };
+    this.store.addVirtualOrder(order);
+    return { orderId: order.id, status: 'FILLED', executedQty: amount, avgPrice: fillPrice, order };
+  }
+
+  setProtection(symbol, levels) {
+    if (levels) {
+      this.protection.set(symbol, levels);
+    }
+  }
+
+  // Closing orders for positions whose stop or take-profit level has been
+  // crossed. The caller fills them so they are recorded like any other exit.
+  checkProtection(prices) {
+    const triggers = [];
+    for (const [symbol, levels] of this.protection) {
+      const position = this.getPosition(symbol);
+      const price = Number(prices.get(symbol));
+      if (!position) {
+        this.protection.delete(symbol);
+        continue;
+      }
+      if (!Number.isFinite(price) || price <= 0) continue;
+      const direction = position.side === 'long' ? 1 : -1;
+      const reason = (price - levels.stopPrice) * direction <= 0
+        ? 'stop_loss'
+        : (price - levels.takeProfitPrice) * direction >= 0
+        ? 'take_profit'
+        : null;
+      if (reason) {
+        triggers.push({ symbol, side: direction > 0 ? 'SELL' : 'BUY', quantity: position.quantity, price, reason });
+      }
+    }
+    return triggers;
+  }
+
+  // Scalp exchange adapter (see scalpExchangeAdapter.js) backed by the book.
+  // Market orders without a price fill at the latest quote.
+  exchange(quote) {
+    return {
+      place: async (params) => {
+        const price = Number(params.price) > 0 ? Number(params.price) : Number(quote(params.symbol)?.price);
+        const ack = this.fill({
+          symbol: params.symbol,
+          side: params.side,
+          quantity: params.quantity,
+          price,
+          reason: params.reduceOnly === true ? 'scalp_exit' : 'scalp_entry',
+          decision: { strategy: 'scalp' },
+        });
+        return { orderId: ack.orderId, price, origQty: ack.executedQty, avgPrice: price, executedQty: ack.executedQty };
+      },
+    };
+  }
+
+  getSummary(prices = new Map()) {
+    const positions = this.symbols().map((symbol) => {
+      const { side, quantity, entryPrice } = this.getPosition(symbol);
+      const price = Number(prices.get(symbol));
+      const unrealizedPnl = Number.isFinite(price) && price > 0
+        ? (price - entryPrice) * quantity * (side === 'long' ? 1 : -1)
+        : 0;
+      return {
+        symbol,
+        side,
+        quantity,
+        entryPrice,
+        markPrice: Number.isFinite(price) && price > 0 ? price : undefined,
+        unrealizedPnl: round(unrealizedPnl),
+        ...this.protection.get(symbol),
+      };
+    });
+    const unrealizedPnl = positions.reduce((sum, position) => sum + position.unrealizedPnl, 0);
+    const realizedPnl = this.store.getRealizedPnl(DRY_RUN_NAMESPACE);
+    return {
+      realizedPnl,
+      unrealizedPnl: round(unrealizedPnl),
+      totalPnl: round(realizedPnl + unrealizedPnl),
+      ...this.store.getWinStats(DRY_RUN_NAMESPACE),
+      positions,
+      performance: this.store.getSymbolPerformance(DRY_RUN_NAMESPACE),
+      recentOrders: this.store.getRecentVirtualOrders(),
+    };
+  }
+}
@@ -0,0 +1,251 @@
+import { logger } from '../utils/logger.js';
+
+const QUANTITY_EPSILON = 1e-9;
+const FILLED_STATUSES = new Set(['FILLED']);
+const OPEN_STATUSES = new Set(['NEW', 'PARTIALLY_FILLED']);
+
+const round = (value, digits = 4) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Positive when the price moved against the order (higher for buys, lower for sells).
+export const adverseMoveBps = (side, arrivalPrice, price) => {
+  if (!Number.isFinite(arrivalPrice) || arrivalPrice <= 0 || !Number.isFinite(price) || price <= 0) {
+    return 0;
+  }
+  const direction = side === 'BUY' ? 1 : -1;
+  return ((price - arrivalPrice) / arrivalPrice) * 10_000 * direction;
+};
+
+/**
+ * Decides whether an order is large enough to be sliced. The threshold is a
+ * share of the average one-bar quote volume from the market snapshot; each
+ * child targets that share so no single clip dominates a bar.
+ */
+export function planSlicedExecution({ notional, barQuoteVolume, settings }) {
+  if (!settings?.enabled) return null;
+  const participation = Number(settings.volumeParticipationPct) / 100;
+  if (!Number.isFinite(notional) || notional <= 0 || !(participation > 0)) return null;
+  if (!Number.isFinite(barQuoteVolume) || barQuoteVolume <= 0) return null;
+
+  const threshold = barQuoteVolume * participation;
+  if (notional <= threshold) return null;
+  const maxSlices = Math.max(2, Math.floor(Number(settings.maxSlices ?? 10)));
+  return {
+    algo: settings.algo === 'iceberg' ? 'iceberg' : 'twap',
+    slices: Math.min(maxSlices, Math.max(2, Math.ceil(notional / threshold))),
+    threshold,
+  };
+}
+
+/**
+ * Works a parent order as a series of child orders.
+ *
+ * - twap: equal slices spaced `sliceIntervalMs` apart
+ * - iceberg: equal clips sent back to back, only one resting at a time
+ *
+ * With `postOnly` each child first rests at the touch as a GTX limit and is
+ * repriced up to `maxChases` times; whatever is left goes out at market.
+ * Before every child and reprice the touch is compared with the arrival price
+ * and the parent halts once the adverse move exceeds `maxSlippageBps`.
+ */
+export class SlicedExecution {
+  constructor(binance, options = {}) {
+    this.binance = binance;
+    this.settings = options.settings ?? {};
+    this.quote = options.quote ?? (() => null);
+    this.sleep = options.sleep ?? defaultSleep;
+    this.now = options.now ?? (() => Date.now());
+    this.sequence = 0;
+  }
+
+  async run(order) {
+    const { symbol, side, quantity, arrivalPrice, algo = 'twap', slices = 2 } = order;
+    const startedAt = this.now();
+    this.sequence += 1;
+    const report = {
+      id: `${algo}-${symbol}-${startedAt}-${this.sequence}`,
+      algo,
+      symbol,
+      side,
+      reduceOnly: order.reduceOnly === true,
+      arrivalPrice,
+      requestedQty: quantity,
+      filledQty: 0,
+      avgPrice: null,
+      slippageBps: null,
+      status: 'completed',
+      haltReason: null,
+      children: [],
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: null,
+    };
+
+    let remaining = quantity;
+    let notional = 0;
+    // Slices below the exchange minimum would be rounded up, so grow them to
+    // the smallest tradable clip and send fewer of them instead.
+    const minimumClip = await this.binance.ensureTradableQuantity(symbol, quantity / Math.max(1, slices), arrivalPrice);
+    const sliceQty = Math.max(quantity / Math.max(1, slices), Number(minimumClip?.quantity) || 0);
+    for (let index = 0; remaining > QUANTITY_EPSILON; index += 1) {
+      if (index > 0 && algo === 'twap') {
+        await this.sleep(Number(this.settings.sliceIntervalMs ?? 0));
+      }
+      const target = Math.min(sliceQty, remaining);
+      let outcome;
+      try {
+        outcome = await this.executeChild(order, target, report);
+      } catch (error) {
+        logger.error({ error, symbol, algo, slice: index + 1 }, 'Sliced execution child order failed');
+        report.status = report.filledQty > 0 ? 'halted' : 'failed';
+        report.haltReason = error instanceof Error ? error.message : 'child_order_failed';
+        break;
+      }
+      remaining -= outcome.filledQty;
+      notional += outcome.notional;
+      report.filledQty += outcome.filledQty;
+      if (outcome.halted) {
+        report.status = 'halted';
+        report.haltReason = outcome.halted;
+        break;
+      }
+      if (outcome.exhausted) {
+        break;
+      }
+      if (outcome.filledQty <= QUANTITY_EPSILON) {
+        report.status = 'halted';
+        report.haltReason = 'no_fill';
+        break;
+      }
+    }
+
+    report.filledQty = round(report.filledQty, 8);
+    report.remainingQty = round(Math.max(quantity - report.filledQty, 0), 8);
+    if (report.filledQty > 0) {
+      report.avgPrice = notional / report.filledQty;
+      report.slippageBps = round(adverseMoveBps(side, arrivalPrice, report.avgPrice), 2);
+    }
+    report.finishedAt = new Date(this.now()).toISOString();
+    return report;
+  }
+
+  checkSlippage(order, touch) {
+    const limit = Number(this.settings.maxSlippageBps);
+    if (!(limit > 0)) return null;
+    const moved = adverseMoveBps(order.side, order.arrivalPrice, touch);
+    return moved > limit ? 'max_slippage' : null;
+  }
+
+  touchPrice(order, passive) {
+    const quote = this.quote(order.symbol) ?? {};
+    const bid = Number(quote.bid);
+    const ask = Number(quote.ask);
+    const last = Number(quote.price);
+    // Passive orders join the near side of the book; aggressive ones pay the far side.
+    const preferred = order.side === 'BUY' ? (passive ? bid : ask) : passive ? ask : bid;
+    if (Number.isFinite(preferred) && preferred > 0) return preferred;
+    if (Number.isFinite(last) && last > 0) return last;
+    return order.arrivalPrice;
+  }
+
+  async executeChild(order, target, report) {
+    const { symbol, side } = order;
+    const normalized = await this.binance.ensureTradableQuantity(symbol, target, order.arrivalPrice);
+    if (!normalized || !Number.isFinite(normalized.quantity) || normalized.quantity <= 0) {
+      return { filledQty: 0, notional: 0, exhausted: true };
+    }
+    if (normalized.quantity > target + QUANTITY_EPSILON) {
+      // What is left is below the exchange minimum.
+      return { filledQty: 0, notional: 0, exhausted: true };
+    }
+
+    let filledQty = 0;
+    let notional = 0;
+    let remaining = normalized.quantity;
+    const childOptions = {
+      responseType: 'RESULT',
+      reduceOnly: order.reduceOnly === true,
+      positionSide: order.positionSide,
+    };
+
+    if (this.settings.postOnly) {
+      const maxChases = Math.max(1, Math.floor(Number(this.settings.maxChases ?? 1)));
+      for (let chase = 0; chase < maxChases && remaining > QUANTITY_EPSILON; chase += 1) {
+        const halted = this.checkSlippage(order, this.touchPrice(order, false));
+        if (halted) {
+          return { filledQty, notional, halted };
+        }
+        const touch = this.touchPrice(order, true);
+        const price = (await this.binance.normalizePrice(symbol, touch)) ?? touch;
+        const clip = await this.binance.ensureTradableQuantity(symbol, remaining, price);
+        if (!(clip?.quantity > 0) || clip.quantity > remaining + QUANTITY_EPSILON) break;
+        const placed = await this.binance.placeLimitOrder(symbol, side, clip.quantityText ?? clip.quantity, price, {
+          ...childOptions,
+          timeInForce: 'GTX',
+        });
+        const final = await this.settleLimitChild(symbol, placed);
+        const executed = Number(final.executedQty) || 0;
+        report.children.push({
+          orderId: String(placed.orderId),
+          type: 'LIMIT',
+          price,
+          quantity: clip.quantity,
+          filledQty: executed,
+          avgPrice: executed > 0 ? Number(final.avgPrice) || price : null,
+          status: final.status,
+        });
+        if (executed > 0) {
+          filledQty += executed;
+          notional += executed * (Number(final.avgPrice) || price);
+          remaining -= executed;
+        }
+      }
+    }
+
+    if (remaining > QUANTITY_EPSILON) {
+      const halted = this.checkSlippage(order, this.touchPrice(order, false));
+      if (halted) {
+        return { filledQty, notional, halted };
+      }
+      const clip = await this.binance.ensureTradableQuantity(symbol, remaining, order.arrivalPrice);
+      if (clip?.quantity > 0 && clip.quantity <= remaining + QUANTITY_EPSILON) {
+        const result = await this.binance.placeMarketOrder(symbol, side, clip.quantityText ?? clip.quantity, childOptions);
+        const executed = Number(result.executedQty) || 0;
+        const price = Number(result.avgPrice) > 0 ? Number(result.avgPrice) : this.touchPrice(order, false);
+        report.children.push({
+          orderId: String(result.orderId),
+          type: 'MARKET',
+          price: null,
+          quantity: clip.quantity,
+          filledQty: executed,
+          avgPrice: executed > 0 ? price : null,
+          status: result.status,
+        });
+        filledQty += executed;
+        notional += executed * price;
+      }
+    }
+
+    return { filledQty, notional };
+  }
+
+  // Gives a resting child `chaseTimeoutMs` to fill, then cancels it and
+  // returns its final state so partial fills are counted exactly once.
+  async settleLimitChild(symbol, placed) {
+    if (!OPEN_STATUSES.has(placed.status)) {
+      return placed;
+    }
+    await this.sleep(Number(this.settings.chaseTimeoutMs ?? 0));
+    const reference = { orderId: placed.orderId };
+    const current = await this.binance.fetchOrder(symbol, reference);
+    if (FILLED_STATUSES.has(current.status) || !OPEN_STATUSES.has(current.status)) {
+      return current;
+    }
+    try {
+      return await this.binance.cancelOrder(symbol, reference);
+    } catch (error) {
+      logger.debug({ error, symbol, orderId: placed.orderId }, 'Child order cancel raced a fill');
+      return this.binance.fetchOrder(symbol, reference);
+    }
+  }
+}
@@ -0,0 +1,246 @@
+import { logger } from '../utils/logger.js';
+
+export const HYBRID_ENGINES = ['llm', 'scalp'];
+
+const QUANTITY_EPSILON = 1e-9;
+
+const round = (value, digits = 4) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : 0);
+
+const emptyTotals = () => ({ realizedPnl: 0, fills: 0, closedTrades: 0, wins: 0 });
+
+/**
+ * Coordinates the scalp and llm engines in `hybrid` mode.
+ *
+ * Symbols are routed by rule: the base list, the interest hotlist and the top
+ * `moverTopN` movers each map to an engine and everything else goes to
+ * `defaultEngine`. A symbol with open exposure stays with the engine that
+ * opened it until it is flat, and `claim` refuses the other engine, so the two
+ * can never hold exposure, let alone opposing exposure, on the same symbol.
+ *
+ * Every fill is booked against the engine that placed it in an average-price
+ * ledger, which is what `/metrics` reports as PnL per engine. The ledger is
+ * persisted with the engine state, and exposure the account holds that the
+ * ledger does not know about is adopted by the engine the symbol routes to,
+ * so ownership survives restarts and covers positions opened elsewhere. The
+ * engine keeps one arbiter for its lifetime, so switching strategies away
+ * from hybrid and back does not lose the ledger.
+ */
+export class HybridArbiter {
+  constructor(options = {}) {
+    const engine = (value, fallback) => (HYBRID_ENGINES.includes(value) ? value : fallback);
+    this.rules = {
+      baseEngine: engine(options.baseEngine, 'scalp'),
+      hotlistEngine: engine(options.hotlistEngine, 'llm'),
+      moverEngine: engine(options.moverEngine, 'llm'),
+      moverTopN: Math.max(0, Math.floor(Number(options.moverTopN ?? 10))),
+      defaultEngine: engine(options.defaultEngine, 'llm'),
+    };
+    this.assignments = new Map();
+    this.positions = new Map();
+    this.totals = new Map(HYBRID_ENGINES.map((name) => [name, emptyTotals()]));
+    this.onChange = typeof options.onChange === 'function' ? options.onChange : () => {};
+  }
+
+  ruleFor(symbol, { baseSymbols = [], hotlist = [], movers = [] }) {
+    if (baseSymbols.includes(symbol)) return this.rules.baseEngine;
+    if (hotlist.includes(symbol)) return this.rules.hotlistEngine;
+    const rank = movers.indexOf(symbol);
+    if (rank >= 0 && rank < this.rules.moverTopN) return this.rules.moverEngine;
+    return this.rules.defaultEngine;
+  }
+
+  assign(symbols, context) {
+    this.assignments = new Map(
+      symbols.map((symbol) => [symbol, this.ownerOf(symbol) ?? this.ruleFor(symbol, context)])
+    );
+    return this.assignments;
+  }
+
+  engineOf(symbol) {
+    return this.ownerOf(symbol) ?? this.assignments.get(symbol) ?? this.rules.defaultEngine;
+  }
+
+  ownerOf(symbol) {
+    return this.positions.get(symbol)?.engine ?? null;
+  }
+
+  claim(engine, symbol) {
+    const owner = this.ownerOf(symbol);
+    return { allowed: !owner || owner === engine, owner };
+  }
+
+  // A fill without an engine (e.g. an emergency flatten) is booked against
+  // whichever engine holds the symbol.
+  recordFill({ engine, symbol, side, quantity, price }) {
+    if (!(quantity > QUANTITY_EPSILON) || !(price > 0)) return;
+    const current = this.positions.get(symbol);
+    const owner = current?.engine ?? engine;
+    if (!owner) return;
+    if (engine && current && engine !== current.engine) {
+      logger.warn({ symbol, engine, owner }, 'Fill placed against another engine\'s exposure, booking it to the owner');
+    }
+
+    const totals = this.totals.get(owner);
+    totals.fills += 1;
+    const signed = side === 'BUY' ? quantity : -quantity;
+    const amount = current?.quantity ?? 0;
+    if (Math.abs(amount) < QUANTITY_EPSILON || Math.sign(amount) === Math.sign(signed)) {
+      const nextAmount = amount + signed;
+      const entryPrice = (Math.abs(amount) * (current?.entryPrice ?? 0) + quantity * price) / Math.abs(nextAmount);
+      this.positions.set(symbol, { engine: owner, quantity: nextAmount, entryPrice });
+      this.onChange();
+      return;
+    }
+
+    const closing = Math.min(Math.abs(amount), quantity);
+    const realized = closing * (price - current.entryPrice) * Math.sign(amount);
+    totals.realizedPnl += realized;
+    totals.closedTrades += 1;
+    if (realized > 0) totals.wins += 1;
+    const nextAmount = amount + signed;
+    if (Math.abs(nextAmount) < QUANTITY_EPSILON) {
+      this.positions.delete(symbol);
+    } else {
+      const flipped = Math.sign(nextAmount) !== Math.sign(amount);
+      this.positions.set(symbol, {
+        engine: owner,
+        quantity: nextAmount,
+        entryPrice: flipped ? price : current.entryPrice,
+      });
+    }
+    this.onChange();
+  }
+
+  // Gives exposure the ledger has no owner for (a restart without state, a
+  // manual or exchange-side open) to the engine the symbol routes to, so
+  // `claim` sees every position the account actually holds. `positions` are
+  // exchange-shaped legs ({ symbol, positionAmt, entryPrice }).
+  adopt(positions, context) {
+    const exposure = new Map();
+    for (const raw of positions) {
+      const amount = Number(raw?.positionAmt);
+      if (!Number.isFinite(amount)) continue;
+      const current = exposure.get(raw.symbol) ?? { quantity: 0, cost: 0 };
+      const entryPrice = Number(raw.entryPrice);
+      exposure.set(raw.symbol, {
+        quantity: current.quantity + amount,
+        cost: current.cost + amount * (Number.isFinite(entryPrice) ? entryPrice : 0),
+      });
+    }
+    const adopted = [];
+    for (const [symbol, { quantity, cost }] of exposure) {
+      if (Math.abs(quantity) < QUANTITY_EPSILON || this.ownerOf(symbol)) continue;
+      const engine = this.ruleFor(symbol, context);
+      this.positions.set(symbol, { engine, quantity, entryPrice: cost / quantity });
+      adopted.push({ symbol, engine });
+    }
+    if (adopted.length > 0) {
+      logger.warn({ adopted }, 'Adopted account exposure missing from the hybrid ledger');
+      this.onChange();
+    }
+    return adopted;
+  }
+
+  isEmpty() {
+    return this.positions.size === 0 && Array.from(this.totals.values()).every((totals) => totals.fills === 0);
+  }
+
+  snapshot() {
+    return {
+      positions: Array.from(this.positions, ([symbol, position]) => ({ symbol, ...position })),
+      totals: Object.fromEntries(Array.from(this.totals, ([name, totals]) => [name, { ...totals }])),
+    };
+  }
+
+  restore(saved) {
+    for (const entry of Array.isArray(saved?.positions) ? saved.positions : []) {
+      if (
+        typeof entry?.symbol !== 'string' ||
+        !HYBRID_ENGINES.includes(entry.engine) ||
+        !Number.isFinite(entry.quantity) ||
+        Math.abs(entry.quantity) < QUANTITY_EPSILON ||
+        !Number.isFinite(entry.entryPrice)
+      ) {
+        continue;
+      }
+      this.positions.set(entry.symbol, { engine: entry.engine, quantity: entry.quantity, entryPrice: entry.entryPrice });
+    }
+    for (const name of HYBRID_ENGINES) {
+      const totals = saved?.totals?.[name];
+      if (!totals) continue;
+      const restored = emptyTotals();
+      for (const key of Object.keys(restored)) {
+        if (Number.isFinite(totals[key])) restored[key] = totals[key];
+      }
+      this.totals.set(name, restored);
+    }
+  }
+
+  // Closes ledger positions the account no longer holds (exchange-side stops,
+  // manual closes) at the latest price so ownership is released.
+  settleFlat(exposedSymbols, prices = new Map()) {
+    const settled = [];
+    for (const [symbol, position] of Array.from(this.positions)) {
+      if (exposedSymbols.has(symbol)) continue;
+      const price = Number(prices.get(symbol)) || position.entryPrice;
+      this.recordFill({
+        engine: position.engine,
+        symbol,
+        side: position.quantity > 0 ? 'SELL' : 'BUY',
+        quantity: Math.abs(position.quantity),
+        price,
+      });
+      settled.push(symbol);
+    }
+    if (settled.length > 0) {
+      logger.info({ symbols: settled }, 'Settled hybrid ledger positions closed outside the engines');
+    }
+    return settled;
+  }
+
+  getAttribution(prices = new Map()) {
+    const engines = {};
+    for (const [name, totals] of this.totals) {
+      const open = Array.from(this.positions).filter(([, position]) => position.engine === name);
+      const unrealizedPnl = open.reduce((sum, [symbol, position]) => {
+        const price = Number(prices.get(symbol));
+        return Number.isFinite(price) && price > 0 ? sum + (price - position.entryPrice) * position.quantity : sum;
+      }, 0);
+      engines[name] = {
+        realizedPnl: round(totals.realizedPnl),
+        unrealizedPnl: round(unrealizedPnl),
+        totalPnl: round(totals.realizedPnl + unrealizedPnl),
+        fills: totals.fills,
+        closedTrades: totals.closedTrades,
+        wins: totals.wins,
+        openSymbols: open.map(([symbol]) => symbol),
+        assignedSymbols: Array.from(this.assignments).filter(([, engine]) => engine === name).length,
+      };
+    }
+    return { rules: { ...this.rules }, engines };
+  }
+
+  // Wraps the scalp exchange adapter so its entries go through `claim` and its
+  // fills land in the ledger.
+  wrapExchange(exchange, engine) {
+    return {
+      place: async (params) => {
+        if (params.reduceOnly !== true) {
+          const { allowed, owner } = this.claim(engine, params.symbol);
+          if (!allowed) {
+            throw new Error(`${params.symbol} exposure is held by the ${owner} engine`);
+          }
+        }
+        const ack = await exchange.place(params);
+        this.recordFill({
+          engine,
+          symbol: params.symbol,
+          side: params.side,
+          quantity: Number(ack.executedQty),
+          price: Number(ack.avgPrice) > 0 ? Number(ack.avgPrice) : Number(ack.price),
+        });
+        return ack;
+      },
+    };
+  }
+}
@@ -0,0 +1,126 @@
+import { logger } from '../utils/logger.js';
+
+export const ENTRY_STYLES = ['MARKET', 'LIMIT', 'POST_ONLY'];
+
+export function normalizeEntryStyle(style) {
+  const normalized = typeof style === 'string' ? style.trim().toUpperCase().replace('-', '_') : '';
+  if (!ENTRY_STYLES.includes(normalized)) {
+    throw new Error(`Entry style must be one of ${ENTRY_STYLES.join(', ')}`);
+  }
+  return normalized;
+}
+
+const QUANTITY_EPSILON = 1e-9;
+const OPEN_STATUSES = new Set(['NEW', 'PARTIALLY_FILLED']);
+const POST_ONLY_REJECTION = /-5022|post only/i;
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function resolveTickSize(binance, symbol) {
+  try {
+    const filters = await binance.fetchSymbolFilters(symbol);
+    const tickSize = Number(filters?.tickSize);
+    return Number.isFinite(tickSize) && tickSize > 0 ? tickSize : 0;
+  } catch (error) {
+    logger.warn({ error, symbol }, 'Unable to load tick size for limit entry, joining the touch');
+    return 0;
+  }
+}
+
+/**
+ * Works an entry as a resting limit order (GTC for LIMIT, GTX for POST_ONLY)
+ * priced `offsetTicks` ticks behind the best bid/ask. Each round waits
+ * `repriceMs`, cancels what did not fill and re-quotes from the current book,
+ * up to `maxReprices` times. Nothing is left resting past `deadlineMs`; the
+ * caller decides what to do with the remainder.
+ */
+export async function executeLimitEntry(binance, order, options = {}) {
+  const { symbol, side, quantity, style } = order;
+  const settings = options.settings ?? {};
+  const sleep = options.sleep ?? defaultSleep;
+  const now = options.now ?? (() => Date.now());
+  const quote = options.quote ?? (() => null);
+
+  const deadline = now() + Math.max(0, Number(settings.deadlineMs ?? 0));
+  const rounds = Math.max(0, Math.floor(Number(settings.maxReprices ?? 0))) + 1;
+  const offsetTicks = Math.max(0, Number(settings.offsetTicks ?? 0));
+  const tickSize = await resolveTickSize(binance, symbol);
+  const waitForBook = (remainingMs) => sleep(Math.min(Math.max(0, Number(settings.repriceMs ?? 0)), remainingMs));
+
+  let filledQty = 0;
+  let notional = 0;
+  const children = [];
+  for (let round = 0; round < rounds && quantity - filledQty > QUANTITY_EPSILON; round += 1) {
+    const remainingMs = deadline - now();
+    if (remainingMs <= 0) break;
+
+    const book = quote(symbol) ?? {};
+    const touch = Number(side === 'BUY' ? book.bid : book.ask);
+    const base = Number.isFinite(touch) && touch > 0 ? touch : Number(order.referencePrice);
+    if (!Number.isFinite(base) || base <= 0) break;
+    const offset = offsetTicks * tickSize;
+    const rawPrice = side === 'BUY' ? base - offset : base + offset;
+    const price = (await binance.normalizePrice(symbol, rawPrice)) ?? rawPrice;
+
+    const clip = await binance.ensureTradableQuantity(symbol, quantity - filledQty, price);
+    if (!(clip?.quantity > 0) || clip.quantity > quantity - filledQty + QUANTITY_EPSILON) break;
+    let placed;
+    try {
+      placed = await binance.placeLimitOrder(symbol, side, clip.quantityText ?? clip.quantity, price, {
+        responseType: 'RESULT',
+        positionSide: order.positionSide,
+        timeInForce: style === 'POST_ONLY' ? 'GTX' : 'GTC',
+      });
+    } catch (error) {
+      // Binance rejects (-5022) rather than expires a GTX order that would cross.
+      if (!POST_ONLY_REJECTION.test(error instanceof Error ? error.message : '')) {
+        throw error;
+      }
+      children.push({ orderId: null, price, quantity: clip.quantity, filledQty: 0, status: 'REJECTED' });
+      await waitForBook(remainingMs);
+      continue;
+    }
+
+    let final = placed;
+    if (OPEN_STATUSES.has(placed.status)) {
+      await waitForBook(remainingMs);
+      final = await cancelRemainder(binance, symbol, placed.orderId);
+    } else if (placed.status === 'EXPIRED') {
+      await waitForBook(remainingMs);
+    }
+    const executed = Number(final.executedQty) || 0;
+    const fillPrice = Number(final.avgPrice) > 0 ? Number(final.avgPrice) : price;
+    children.push({
+      orderId: String(placed.orderId),
+      price,
+      quantity: clip.quantity,
+      filledQty: executed,
+      avgPrice: executed > 0 ? fillPrice : null,
+      status: final.status,
+    });
+    filledQty += executed;
+    notional += executed * fillPrice;
+  }
+
+  return {
+    filledQty,
+    avgPrice: filledQty > 0 ? notional / filledQty : null,
+    remainingQty: Math.max(quantity - filledQty, 0),
+    children,
+    deadlineReached: now() >= deadline,
+  };
+}
+
+async function cancelRemainder(binance, symbol, orderId) {
+  const reference = { orderId };
+  const current = await binance.fetchOrder(symbol, reference);
+  if (!OPEN_STATUSES.has(current.status)) {
+    return current;
+  }
+  try {
+    return await binance.cancelOrder(symbol, reference);
+  } catch (error) {
+    logger.debug({ error, symbol, orderId }, 'Limit entry cancel raced a fill');
+    return binance.fetchOrder(symbol, reference);
+  }
+}
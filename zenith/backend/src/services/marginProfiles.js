@@ -0,0 +1,125 @@
+import { logger } from '../utils/logger.js';
+
+const MARGIN_TYPES = new Set(['ISOLATED', 'CROSSED']);
+const MARGIN_LOCKED_REGEX = /margin type cannot be changed|open orders|exists position/i;
+const MARGIN_RETRY_MS = 60_000;
+
+const normalizeMarginType = (value) => {
+  const normalized = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  if (normalized === 'CROSS') return 'CROSSED';
+  return MARGIN_TYPES.has(normalized) ? normalized : undefined;
+};
+
+const normalizeLeverage = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 1 ? Math.floor(numeric) : undefined;
+};
+
+const getErrorMessage = (error) => (error instanceof Error ? error.message : String(error ?? ''));
+
+export class MarginProfileManager {
+  constructor(binance, options = {}) {
+    this.binance = binance;
+    this.majors = new Set((options.majors ?? []).map((symbol) => symbol.toUpperCase()));
+    this.tiers = {
+      major: {
+        marginType: normalizeMarginType(options.tiers?.major?.marginType),
+        leverage: normalizeLeverage(options.tiers?.major?.leverage),
+      },
+      discovery: {
+        marginType: normalizeMarginType(options.tiers?.discovery?.marginType),
+        leverage: normalizeLeverage(options.tiers?.discovery?.leverage),
+      },
+    };
+    this.overrides = new Map(
+      Object.entries(options.overrides ?? {}).map(([symbol, profile]) => [
+        symbol.toUpperCase(),
+        {
+          marginType: normalizeMarginType(profile?.marginType),
+          leverage: normalizeLeverage(profile?.leverage),
+        },
+      ])
+    );
+    this.leverageRange = {
+      min: Number(options.minLeverage ?? 1),
+      max: Number(options.maxLeverage ?? 125),
+    };
+    this.applied = new Map();
+  }
+
+  tierFor(symbol) {
+    if (this.overrides.has(symbol)) return 'override';
+    return this.majors.has(symbol) ? 'major' : 'discovery';
+  }
+
+  // Symbol overrides win over the tier profile; a profile without leverage
+  // follows the user-controlled leverage passed in by the engine. A runtime
+  // per-symbol leverage from the engine beats both.
+  resolve(symbol, fallbackLeverage, preferredLeverage) {
+    const tier = this.tierFor(symbol);
+    const tierProfile = this.tiers[this.majors.has(symbol) ? 'major' : 'discovery'];
+    const override = this.overrides.get(symbol);
+    const marginType = override?.marginType ?? tierProfile.marginType;
+    const rawLeverage = normalizeLeverage(preferredLeverage)
+      ?? override?.leverage
+      ?? tierProfile.leverage
+      ?? normalizeLeverage(fallbackLeverage)
+      ?? 1;
+    const leverage = Math.min(Math.max(rawLeverage, this.leverageRange.min), this.leverageRange.max);
+    return { symbol, tier, marginType, leverage };
+  }
+
+  async ensure(symbol, fallbackLeverage, preferredLeverage) {
+    const profile = this.resolve(symbol, fallbackLeverage, preferredLeverage);
+    const current = this.applied.get(symbol) ?? { symbol, marginType: undefined, leverage: undefined };
+    const next = { ...current, tier: profile.tier };
+    const now = Date.now();
+    let changed = !this.applied.has(symbol);
+
+    const marginDue = !current.marginError || now - current.marginAttemptAt >= MARGIN_RETRY_MS;
+    if (profile.marginType && profile.marginType !== current.marginType && marginDue) {
+      next.marginAttemptAt = now;
+      try {
+        await this.binance.setMarginType(symbol, profile.marginType);
+        next.marginType = profile.marginType;
+        next.marginError = undefined;
+        changed = true;
+      } catch (error) {
+        if (!MARGIN_LOCKED_REGEX.test(getErrorMessage(error))) {
+          throw error;
+        }
+        next.marginError = getErrorMessage(error);
+        changed = true;
+        logger.warn(
+          { symbol, marginType: profile.marginType, error },
+          'Margin type is locked by an open position or orders, keeping current margin type'
+        );
+      }
+    }
+
+    if (profile.leverage !== current.leverage) {
+      await this.binance.setLeverage(symbol, profile.leverage);
+      next.leverage = profile.leverage;
+      changed = true;
+    }
+
+    if (changed) {
+      next.updatedAt = now;
+      this.applied.set(symbol, next);
+    }
+    return profile;
+  }
+
+  getSettings() {
+    return Array.from(this.applied.values())
+      .map((entry) => ({
+        symbol: entry.symbol,
+        tier: entry.tier,
+        marginType: entry.marginType ?? null,
+        leverage: entry.leverage ?? null,
+        marginError: entry.marginError ?? null,
+        updatedAt: entry.updatedAt ? new Date(entry.updatedAt).toISOString() : null,
+      }))
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+}
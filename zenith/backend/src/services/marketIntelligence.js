@@ -306,6 +306,8 @@ export function buildSnapshotFromCandles(symbol, interval, candles) {
   const priorVolume = volumes[volumes.length - 2] ?? lastVolume;
   const volumeChangePct = priorVolume === 0 ? 0 : ((lastVolume - priorVolume) / priorVolume) * 100;
   const volumeAccelerationPct = volumeAcceleration(volumes);
+  // Average traded notional of one bar, used to size execution slices.
+  const avgBarQuoteVolume = avgVolumeShort * lastPrice;
   const mfi14 = moneyFlowIndex(candles, 14);
   const obvSlope = onBalanceVolumeSlope(candles, 10);
 
@@ -330,6 +332,7 @@ export function buildSnapshotFromCandles(symbol, interval, candles) {
     support,
     resistance,
     atrPct,
+    avgBarQuoteVolume,
     lastUpdated: new Date(lastCandle.closeTime).toISOString(),
   };
 
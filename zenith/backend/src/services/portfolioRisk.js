@@ -0,0 +1,147 @@
+const POSITION_EPSILON = 1e-8;
+
+const positiveLimit = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : undefined;
+};
+
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * Portfolio-level gate for new entries. Exposure is measured in USDT notional
+ * across every open leg; a limit left unset (or 0) is disabled.
+ *
+ * Sizing limits (gross, net, per-symbol, equity share) clip the order to the
+ * remaining headroom; the position-count limit rejects outright. While an
+ * equity-based limit is set, an order with no known equity is rejected
+ * rather than let through unchecked.
+ */
+export class PortfolioRiskManager {
+  constructor(options = {}) {
+    this.limits = {
+      maxGrossNotional: positiveLimit(options.maxGrossNotional),
+      maxNetNotional: positiveLimit(options.maxNetNotional),
+      maxGrossLeverage: positiveLimit(options.maxGrossLeverage),
+      maxNetLeverage: positiveLimit(options.maxNetLeverage),
+      maxPositions: positiveLimit(options.maxPositions),
+      maxSymbolNotional: positiveLimit(options.maxSymbolNotional),
+      maxPositionEquityPct: positiveLimit(options.maxPositionEquityPct),
+    };
+    this.symbolCaps = new Map(
+      Object.entries(options.symbolCaps ?? {})
+        .map(([symbol, cap]) => [symbol.toUpperCase(), positiveLimit(cap)])
+        .filter(([, cap]) => cap !== undefined)
+    );
+  }
+
+  // positions: raw exchange legs ({ symbol, positionAmt, entryPrice }); prices
+  // maps symbol → latest price and falls back to the entry price.
+  summarize(positions = [], prices = new Map()) {
+    const bySymbol = new Map();
+    let long = 0;
+    let short = 0;
+    for (const position of positions) {
+      const amount = Number(position?.positionAmt);
+      if (!position?.symbol || !Number.isFinite(amount) || Math.abs(amount) < POSITION_EPSILON) continue;
+      const livePrice = Number(prices.get(position.symbol));
+      const price = Number.isFinite(livePrice) && livePrice > 0 ? livePrice : Number(position.entryPrice);
+      if (!Number.isFinite(price) || price <= 0) continue;
+      const notional = Math.abs(amount) * price;
+      if (amount > 0) long += notional;
+      else short += notional;
+      bySymbol.set(position.symbol, (bySymbol.get(position.symbol) ?? 0) + notional);
+    }
+    return { gross: long + short, net: long - short, long, short, positions: bySymbol.size, bySymbol };
+  }
+
+  headroom(symbol, direction, exposure, equity) {
+    const { limits } = this;
+    const hasEquity = Number.isFinite(equity) && equity > 0;
+    const symbolExposure = exposure.bySymbol.get(symbol) ?? 0;
+    const grossCaps = [limits.maxGrossNotional, hasEquity && limits.maxGrossLeverage ? equity * limits.maxGrossLeverage : undefined];
+    const netCaps = [limits.maxNetNotional, hasEquity && limits.maxNetLeverage ? equity * limits.maxNetLeverage : undefined];
+    const symbolCap = this.symbolCaps.get(symbol) ?? limits.maxSymbolNotional;
+    const equityCap = hasEquity && limits.maxPositionEquityPct ? (equity * limits.maxPositionEquityPct) / 100 : undefined;
+
+    const entries = [];
+    for (const cap of grossCaps.filter(Boolean)) {
+      entries.push({ reason: 'gross_exposure', limit: cap, headroom: cap - exposure.gross });
+    }
+    for (const cap of netCaps.filter(Boolean)) {
+      entries.push({ reason: 'net_exposure', limit: cap, headroom: cap - direction * exposure.net });
+    }
+    if (symbolCap) {
+      entries.push({ reason: 'symbol_notional', limit: symbolCap, headroom: symbolCap - symbolExposure });
+    }
+    if (equityCap) {
+      entries.push({ reason: 'equity_share', limit: equityCap, headroom: equityCap - symbolExposure });
+    }
+    return entries;
+  }
+
+  /**
+   * Returns { allowed, notional, reason, limit, exposure }. `notional` is the
+   * largest order that fits every limit; `reason` names the binding limit
+   * when the order was clipped or rejected.
+   */
+  evaluate({ symbol, side, notional, equity, positions, prices }) {
+    const requested = Number(notional);
+    const exposure = this.summarize(positions, prices);
+    const summary = {
+      gross: round(exposure.gross),
+      net: round(exposure.net),
+      positions: exposure.positions,
+      symbol: round(exposure.bySymbol.get(symbol) ?? 0),
+      equity: round(equity),
+    };
+
+    if (!Number.isFinite(requested) || requested <= 0) {
+      return { allowed: false, notional: 0, reason: 'invalid_notional', exposure: summary };
+    }
+
+    if (!(Number.isFinite(equity) && equity > 0) && this.requiresEquity()) {
+      return { allowed: false, notional: 0, reason: 'equity_unavailable', exposure: summary };
+    }
+
+    if (this.limits.maxPositions && !exposure.bySymbol.has(symbol) && exposure.positions >= this.limits.maxPositions) {
+      return {
+        allowed: false,
+        notional: 0,
+        reason: 'max_positions',
+        limit: this.limits.maxPositions,
+        exposure: summary,
+      };
+    }
+
+    const direction = side === 'SELL' ? -1 : 1;
+    const binding = this.headroom(symbol, direction, exposure, equity).reduce(
+      (tightest, entry) => (!tightest || entry.headroom < tightest.headroom ? entry : tightest),
+      undefined
+    );
+    if (!binding || binding.headroom >= requested) {
+      return { allowed: true, notional: requested, exposure: summary };
+    }
+    if (binding.headroom <= 0) {
+      return { allowed: false, notional: 0, reason: binding.reason, limit: round(binding.limit), exposure: summary };
+    }
+    return {
+      allowed: true,
+      notional: binding.headroom,
+      reason: binding.reason,
+      limit: round(binding.limit),
+      exposure: summary,
+    };
+  }
+
+  requiresEquity() {
+    const { limits } = this;
+    return Boolean(limits.maxGrossLeverage || limits.maxNetLeverage || limits.maxPositionEquityPct);
+  }
+
+  getLimits() {
+    return {
+      ...this.limits,
+      symbolCaps: Object.fromEntries(this.symbolCaps),
+    };
+  }
+}
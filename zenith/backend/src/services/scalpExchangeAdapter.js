@@ -1,3 +1,5 @@
+import { BinanceClient } from '../clients/binanceClient.js';
+
 const MARKET_ORDER = 'MARKET';
 
 const toNumber = (value, fallback = 0) => {
@@ -24,10 +26,14 @@ export class BinanceExchangeAdapter {
     }
 
     const qtyParam = normalized.quantityText ?? normalized.quantity;
+    const positionSide = this.client.isHedgeMode?.()
+      ? BinanceClient.positionSideFor(side, reduceOnly === true)
+      : undefined;
 
     if (type === MARKET_ORDER) {
       const response = await this.client.placeMarketOrder(symbol, side, qtyParam, {
         reduceOnly: reduceOnly === true,
+        positionSide,
         responseType: 'RESULT',
       });
       return {
@@ -47,6 +53,7 @@ export class BinanceExchangeAdapter {
     const response = await this.client.placeLimitOrder(symbol, side, qtyParam, limitPrice, {
       timeInForce: timeInForce ?? 'GTC',
       reduceOnly: reduceOnly === true,
+      positionSide,
       responseType: 'RESULT',
     });
 
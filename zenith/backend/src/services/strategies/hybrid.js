@@ -0,0 +1,8 @@
+export const description = 'Routes each symbol to llm or scalp by the HYBRID_* rules';
+
+export const requiresOpenAi = true;
+
+export function evaluate(symbol, context) {
+  const engine = context.engine.hybrid?.engineOf(symbol) ?? 'llm';
+  return context.engine.strategies.get(engine).evaluate(symbol, context);
+}
@@ -0,0 +1,7 @@
+export const description = 'OpenAI strategy prompt blended with the local momentum/RSI signal';
+
+export const requiresOpenAi = true;
+
+export function evaluate(symbol, context) {
+  return context.engine.evaluateLlmSymbol(symbol);
+}
@@ -0,0 +1,8 @@
+export const description = 'Scalping signals module; places and manages its own orders';
+
+export const selfExecuting = true;
+
+export async function evaluate(symbol, context) {
+  await context.engine.runScalpSymbol(symbol);
+  return null;
+}
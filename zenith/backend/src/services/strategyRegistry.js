@@ -0,0 +1,131 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { logger } from '../utils/logger.js';
+
+const STRATEGY_NAME_REGEX = /^[a-z][a-z0-9_-]*$/;
+const PLUGIN_EXTENSIONS = new Set(['.js', '.mjs']);
+const BIASES = new Set(['long', 'short', 'flat']);
+
+/**
+ * Named decision sources. A strategy is any object (usually an ES module
+ * namespace) exposing `evaluate(symbol, context)` that resolves to a decision
+ * for `executeDecision`, or `null` when it has nothing to trade. `name` and
+ * `description` exports are optional; plugins are named after their file.
+ *
+ * A strategy exporting `selfExecuting = true` places and manages its own
+ * orders inside `evaluate`; the engine runs those symbols one at a time,
+ * outside the deadline-bound evaluation pool, and ignores the return value.
+ *
+ * Entries are gated on the decision's `localEdge` and `localConfidence` like
+ * `llm` decisions; a decision without them does not pass. A strategy with no
+ * local signal exports `localSignalGate = false` to be gated on its
+ * confidence alone.
+ *
+ * A strategy exporting `requiresOpenAi = true` cannot be activated while
+ * `OPENAI_API_KEY` is empty.
+ */
+export class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+    this.loadedFiles = new Set();
+  }
+
+  register(name, strategy, { source = 'plugin' } = {}) {
+    const normalized = String(name ?? '').trim().toLowerCase();
+    if (!STRATEGY_NAME_REGEX.test(normalized)) {
+      throw new Error(`Invalid strategy name "${name}"`);
+    }
+    if (typeof strategy?.evaluate !== 'function') {
+      throw new Error(`Strategy ${normalized} must export evaluate(symbol, context)`);
+    }
+    if (this.strategies.has(normalized)) {
+      throw new Error(`Strategy ${normalized} is already registered`);
+    }
+    this.strategies.set(normalized, {
+      name: normalized,
+      description: typeof strategy.description === 'string' ? strategy.description : '',
+      source,
+      selfExecuting: strategy.selfExecuting === true,
+      localSignalGate: strategy.localSignalGate !== false,
+      requiresOpenAi: strategy.requiresOpenAi === true,
+      evaluate: strategy.evaluate,
+    });
+    return normalized;
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  get(name) {
+    return this.strategies.get(name) ?? null;
+  }
+
+  names() {
+    return Array.from(this.strategies.keys());
+  }
+
+  list() {
+    return Array.from(this.strategies.values(), ({ evaluate: _evaluate, ...entry }) => entry);
+  }
+
+  // Imports every .js/.mjs file in `directory` that has not been loaded yet.
+  // A missing directory is not an error; a broken plugin is logged and skipped.
+  async loadDirectory(directory) {
+    let files;
+    try {
+      files = await fs.readdir(directory);
+    } catch (error) {
+      if (error?.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const loaded = [];
+    for (const file of files.sort()) {
+      const filePath = path.resolve(directory, file);
+      if (!PLUGIN_EXTENSIONS.has(path.extname(file)) || this.loadedFiles.has(filePath)) {
+        continue;
+      }
+      this.loadedFiles.add(filePath);
+      try {
+        const plugin = await import(pathToFileURL(filePath).href);
+        loaded.push(this.register(plugin.name ?? path.basename(file, path.extname(file)), plugin));
+      } catch (error) {
+        logger.warn({ error, file: filePath }, 'Skipping strategy plugin that failed to load');
+      }
+    }
+    if (loaded.length > 0) {
+      logger.info({ directory, strategies: loaded }, 'Loaded strategy plugins');
+    }
+    return loaded;
+  }
+}
+
+// Coerces a strategy result into the decision shape executeDecision expects.
+// Fields the engine does not know about are passed through untouched.
+export function normalizeStrategyDecision(symbol, raw, strategyName, { localSignalGate = true } = {}) {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+  if (typeof raw !== 'object') {
+    throw new Error(`Strategy ${strategyName} returned a non-object decision`);
+  }
+  const bias = typeof raw.bias === 'string' ? raw.bias.toLowerCase() : '';
+  if (!BIASES.has(bias)) {
+    throw new Error(`Strategy ${strategyName} returned an invalid bias "${raw.bias}"`);
+  }
+  const confidence = Math.max(0, Math.min(1, Number(raw.confidence) || 0));
+  return {
+    ...raw,
+    symbol,
+    bias,
+    confidence,
+    action: typeof raw.action === 'string' ? raw.action : bias === 'flat' ? 'exit' : 'entry',
+    reasoning: typeof raw.reasoning === 'string' ? raw.reasoning : `${strategyName} decision`,
+    strategy: raw.strategy ?? strategyName,
+    localSignalGate,
+  };
+}
@@ -0,0 +1,57 @@
+import { normalizeEntryStyle } from './limitEntry.js';
+
+export const SYMBOL_STRATEGY_MODES = ['llm', 'scalp', 'disabled'];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const isUnset = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validates a per-symbol override body. Unset fields fall back to the global
+ * engine controls; leverage and allocation are clamped to the same ranges the
+ * global setters use. `strategies` lists the registered strategy names a
+ * symbol may be pinned to. Throws on values that cannot be interpreted.
+ */
+export function normalizeSymbolOverride(input, { leverageRange, allocationRange, strategies }) {
+  if (input === undefined || input === null) {
+    return {};
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Symbol override must be a JSON object');
+  }
+
+  const override = {};
+  if (!isUnset(input.leverage)) {
+    const leverage = Number(input.leverage);
+    if (!Number.isFinite(leverage)) {
+      throw new Error('Leverage must be numeric');
+    }
+    override.leverage = Math.floor(clamp(leverage, leverageRange.min, leverageRange.max));
+  }
+  if (!isUnset(input.allocationPct)) {
+    const allocationPct = Number(input.allocationPct);
+    if (!Number.isFinite(allocationPct)) {
+      throw new Error('Allocation percent must be numeric');
+    }
+    override.allocationPct = clamp(allocationPct, allocationRange.min, allocationRange.max);
+  }
+  if (!isUnset(input.maxNotional)) {
+    const maxNotional = Number(input.maxNotional);
+    if (!Number.isFinite(maxNotional) || maxNotional <= 0) {
+      throw new Error('Max notional must be a positive number');
+    }
+    override.maxNotional = maxNotional;
+  }
+  if (!isUnset(input.strategyMode)) {
+    const strategyMode = String(input.strategyMode).trim().toLowerCase();
+    const allowed = strategies ? [...strategies, 'disabled'] : SYMBOL_STRATEGY_MODES;
+    if (!allowed.includes(strategyMode)) {
+      throw new Error(`Strategy mode must be one of ${allowed.join(', ')}`);
+    }
+    override.strategyMode = strategyMode;
+  }
+  if (!isUnset(input.entryStyle)) {
+    override.entryStyle = normalizeEntryStyle(input.entryStyle);
+  }
+  return override;
+}
@@ -1,12 +1,28 @@
-import { BinanceClient, BinanceRealtimeFeed } from '../clients/binanceClient.js';
+import { BinanceClient, BinanceRealtimeFeed, BinanceUserDataStream } from '../clients/binanceClient.js';
+import { createBinanceClient } from '../clients/binanceClientFactory.js';
 import { requestStrategy } from '../clients/openaiClient.js';
 import { AnalyticsRecorder } from '../clients/analyticsRecorder.js';
 import { config } from '../config.js';
-import { analyticsStore } from '../store/analyticsStore.js';
+import { DRY_RUN_NAMESPACE, analyticsStore } from '../store/analyticsStore.js';
+import { EngineStateFile } from '../store/engineStatePersistence.js';
 import { logger } from '../utils/logger.js';
 import { TypedEventEmitter } from '../utils/eventEmitter.js';
+import { DeadlineExceededError, runWithConcurrency, withDeadline } from '../utils/workerPool.js';
 import { fetchEquitySnapshot } from './equitySnapshot.js';
 import { getMarketSnapshot } from './marketIntelligence.js';
+import { MarginProfileManager } from './marginProfiles.js';
+import { PortfolioRiskManager } from './portfolioRisk.js';
+import { CircuitBreaker, CircuitBreakerTrippedError } from './circuitBreaker.js';
+import { SlicedExecution, adverseMoveBps, planSlicedExecution } from './executionAlgos.js';
+import { ENTRY_STYLES, executeLimitEntry, normalizeEntryStyle } from './limitEntry.js';
+import { normalizeSymbolOverride } from './symbolOverrides.js';
+import { HybridArbiter } from './hybridArbiter.js';
+import { DryRunBook } from './dryRunBook.js';
+import { DecisionJournal } from './decisionJournal.js';
+import { StrategyRegistry, normalizeStrategyDecision } from './strategyRegistry.js';
+import * as hybridStrategy from './strategies/hybrid.js';
+import * as llmStrategy from './strategies/llm.js';
+import * as scalpStrategy from './strategies/scalp.js';
 import { createBinanceExchangeAdapter } from './scalpExchangeAdapter.js';
 import { runScalpLoop, updateScalpInterest } from './scalpSignals.js';
 import { getInterestHotlist } from './interestHotlist.js';
@@ -21,9 +37,38 @@ const MIN_CONFIDENCE_TO_EXECUTE = 0.62;
 const MIN_LOCAL_EDGE = 0.4;
 const MIN_LOCAL_CONFIDENCE = 0.55;
 const POSITION_EPSILON = 1e-8;
+const STREAMED_POSITION_TTL_MS = 30_000;
+const MAX_TRACKED_ORDERS = 500;
+const TERMINAL_ORDER_STATUSES = new Set(['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED', 'EXPIRED_IN_MATCH']);
+const MIN_PROTECTIVE_DISTANCE_PCT = 0.15;
+const DEFAULT_RISK_LEVEL = 3;
+const PERSISTED_STATE_EVENTS = [
+  'riskChanged',
+  'leverageChanged',
+  'allocationChanged',
+  'riskPerTradeChanged',
+  'entryStyleChanged',
+  'symbolOverridesChanged',
+  'strategyChanged',
+  'modeChanged',
+  'blockedSymbolsChanged',
+  'pinnedSymbolsChanged',
+  'circuitBreaker',
+  'hybridLedgerChanged',
+  'symbolsChanged',
+];
+const ENGINE_MODES = ['live', 'dry_run'];
+const PROTECTIVE_ATR_MULTIPLES = {
+  1: { stop: 1, takeProfit: 1.5 },
+  2: { stop: 1.25, takeProfit: 2 },
+  3: { stop: 1.5, takeProfit: 2.5 },
+  4: { stop: 2, takeProfit: 3 },
+  5: { stop: 2.5, takeProfit: 4 },
+};
 const VALID_SYMBOL_REGEX = /^[A-Z0-9]+$/;
 const PERCENT_PRICE_ERROR_REGEX = /percent_price/i;
 const MAX_POSITION_ERROR_REGEX = /maximum allowable position/i;
+const SLOWEST_SYMBOLS_REPORTED = 5;
 
 const getErrorMessage = (error) => {
   if (!error) {
@@ -55,6 +100,14 @@ const clamp = (value, min, max) => {
   return Math.min(Math.max(value, min), max);
 };
 
+// Hedge-mode accounts hold a LONG and a SHORT leg per symbol; one-way accounts
+// report a single BOTH position which keeps the plain symbol as its key.
+const positionKey = (symbol, positionSide) =>
+  positionSide === 'LONG' || positionSide === 'SHORT' ? `${symbol}:${positionSide}` : symbol;
+
+const legSide = (positionSide) =>
+  positionSide === 'LONG' ? 'long' : positionSide === 'SHORT' ? 'short' : undefined;
+
 function computeContextShift(previous, next) {
   if (!previous || !next) {
     return 0;
@@ -98,7 +151,7 @@ function computeContextShift(previous, next) {
 }
 
 export class TradingEngine extends TypedEventEmitter {
-  constructor(symbols) {
+  constructor(symbols, options = {}) {
     super();
     this.baseSymbols = Array.from(
       new Set(
@@ -109,11 +162,12 @@ export class TradingEngine extends TypedEventEmitter {
           : []
       )
     );
+    this.configuredSymbols = [...this.baseSymbols];
     this.activeSymbols = [...this.baseSymbols];
     this.cachedTopMovers = [];
     this.cachedInterestHot = { updatedAt: 0, entries: [], totals: [] };
     this.lastSymbolRefresh = 0;
-    this.riskLevel = 3;
+    this.riskLevel = DEFAULT_RISK_LEVEL;
     this.leverageRange = {
       min: config.trading.userControls.minLeverage,
       max: config.trading.userControls.maxLeverage,
@@ -122,31 +176,138 @@ export class TradingEngine extends TypedEventEmitter {
       min: config.trading.userControls.minAllocationPct,
       max: config.trading.userControls.maxAllocationPct,
     };
+    this.riskPerTradeRange = {
+      min: config.trading.userControls.minRiskPerTradePct,
+      max: config.trading.userControls.maxRiskPerTradePct,
+    };
     this.userLeverage = config.trading.userControls.defaultLeverage;
     this.allocationPercent = config.trading.userControls.defaultAllocationPct;
+    this.riskPerTradePercent = config.trading.userControls.defaultRiskPerTradePct;
+    this.sizingMode = config.trading.sizing?.mode ?? 'allocation';
+    this.sizingStopAtrMultiple = config.trading.sizing?.stopAtrMultiple;
+    // Per-symbol leverage, allocation, max notional, strategy mode and entry
+    // style; anything not overridden follows the global controls above.
+    this.symbolOverrides = new Map();
     this.running = false;
     this.loopTimer = undefined;
-    this.binance = new BinanceClient();
-    this.strategyMode = config.trading.strategyMode ?? 'llm';
-    this.scalpExchange = this.strategyMode === 'scalp'
-      ? createBinanceExchangeAdapter(this.binance)
-      : null;
-    this.recorder = new AnalyticsRecorder();
+    this.binance = options.binance ?? createBinanceClient();
+    // In dry-run mode decisions are evaluated against live market data as usual
+    // but executeDecision/executeExit fill against a virtual book instead.
+    this.dryRun = options.dryRun ?? config.trading.dryRun === true;
+    this.dryRunBook = options.dryRunBook ?? new DryRunBook({ now: () => this.clock() });
+    // The active strategy is a name in the registry. Built-ins are always
+    // there; plugins come from `strategyDirectory` once loadStrategies() runs.
+    this.strategies = new StrategyRegistry();
+    this.strategies.register('llm', llmStrategy, { source: 'builtin' });
+    this.strategies.register('scalp', scalpStrategy, { source: 'builtin' });
+    this.strategies.register('hybrid', hybridStrategy, { source: 'builtin' });
+    this.strategyDirectory = options.strategyDirectory !== undefined
+      ? options.strategyDirectory
+      : config.trading.strategies?.directory ?? null;
+    this.strategyLoad = null;
+    this.strategyMode = options.strategyMode ?? config.trading.strategyMode ?? 'llm';
+    // `hybrid` runs both engines and routes each symbol to one of them. The
+    // arbiter (ownership ledger and per-engine PnL) lives as long as the
+    // engine; `hybrid` only points at it while hybrid routing is active.
+    this.hybridOptions = { ...config.trading.hybrid, ...options.hybrid };
+    this.hybridArbiter = new HybridArbiter({ ...this.hybridOptions, onChange: () => this.emit('hybridLedgerChanged') });
+    this.hybrid = this.strategyMode === 'hybrid' ? this.hybridArbiter : null;
+    this.scalpExchange = this.strategyMode === 'scalp' ? this.createScalpExchange() : null;
+    this.recorder = options.recorder ?? new AnalyticsRecorder();
+    // The decision provider and clock are injectable so the backtest runner can
+    // replay history without calling OpenAI or relying on wall-clock time.
+    this.decisionProvider = options.decisionProvider ?? requestStrategy;
+    this.clock = options.clock ?? (() => Date.now());
+    this.journal = new DecisionJournal({ recorder: this.recorder, now: () => this.clock() });
     this.stream = new BinanceRealtimeFeed();
+    this.userStream = new BinanceUserDataStream(this.binance);
+    this.trackedOrders = new Map();
+    this.pendingExits = new Map();
+    this.protectiveOrders = new Map();
+    this.exitMonitorTimer = undefined;
+    this.exitMonitorInFlight = false;
+    this.exitOrderTimeoutMs = Math.max(5, Number(config.trading.exitOrders?.timeoutSeconds ?? 45)) * 1000;
+    this.exitOrderMaxReprices = Math.max(0, Math.floor(Number(config.trading.exitOrders?.maxReprices ?? 2)));
+    this.protectiveOrdersEnabled = config.trading.protectiveOrders?.enabled !== false;
+    this.protectiveWorkingType = config.trading.protectiveOrders?.workingType ?? 'MARK_PRICE';
+    this.oppositeSignalAction = config.trading.oppositeSignalAction ?? 'flip';
+    this.marginProfiles = new MarginProfileManager(this.binance, {
+      ...config.trading.marginProfiles,
+      minLeverage: config.trading.userControls.minLeverage,
+      maxLeverage: config.trading.userControls.maxLeverage,
+    });
+    this.portfolioRisk = new PortfolioRiskManager(config.trading.portfolioRisk);
+    const execution = { ...config.trading.execution, ...options.execution };
+    this.executionSettings = {
+      ...execution,
+      sliceIntervalMs: Number(execution.sliceIntervalSeconds ?? 0) * 1000,
+      chaseTimeoutMs: Number(execution.chaseTimeoutSeconds ?? 0) * 1000,
+    };
+    const entryOrders = { ...config.trading.entryOrders, ...options.entryOrders };
+    this.entryStyle = ENTRY_STYLES.includes(entryOrders.style) ? entryOrders.style : 'MARKET';
+    this.entryOrderSettings = {
+      ...entryOrders,
+      repriceMs: Number(entryOrders.repriceSeconds ?? 0) * 1000,
+      deadlineMs: Number(entryOrders.deadlineSeconds ?? 0) * 1000,
+    };
+    this.slicedExecution = new SlicedExecution(this.binance, {
+      settings: this.executionSettings,
+      quote: (symbol) => this.latestTicks.get(symbol),
+      now: () => this.clock(),
+    });
+    this.circuitBreaker = new CircuitBreaker({
+      ...config.trading.circuitBreaker,
+      ...options.circuitBreaker,
+      now: () => this.clock(),
+    });
     this.latestTicks = new Map();
     this.decisionCache = new Map();
     this.positionCache = { timestamp: 0, map: new Map() };
-    this.balanceCache = { timestamp: 0, available: 0 };
+    this.balanceCache = { timestamp: 0, available: 0, balance: undefined };
     this.loopInFlight = false;
+    this.evaluationConcurrency = Math.max(1, Math.floor(Number(config.trading.evaluation?.concurrency ?? 4)));
+    this.symbolEvaluationTimeoutMs = Math.max(0, Number(config.trading.evaluation?.symbolTimeoutSeconds ?? 45)) * 1000;
+    this.lastLoopStats = null;
     this.aiCooldownMs = 45_000;
     this.aiRevalidationMs = 240_000;
     this.baseSymbolsValidated = false;
-    this.blockedSymbols = new Set();
-
+    // symbol -> { reason, blockedAt, expiresAt }; an expiresAt of null blocks
+    // until the symbol is unblocked.
+    this.blockedSymbols = new Map();
+    // Pinned symbols stay in the active universe whatever discovery returns.
+    this.pinnedSymbols = new Set();
+    // Symbols with an open position or resting order on the account. They stay
+    // in the active universe regardless of discovery until they are flat.
+    this.protectedSymbols = new Set();
+    this.reconcileIntervalMs = Math.max(0, Number(config.trading.reconciliation?.intervalSeconds ?? 300)) * 1000;
+    this.reconcileTimer = undefined;
+    this.reconcileInFlight = null;
+    this.lastReconciliation = null;
+    // Runtime controls survive restarts through a JSON state file; pass
+    // `stateStore: null` to keep an engine (backtests, tests) purely in memory.
+    this.stateStore = options.stateStore !== undefined
+      ? options.stateStore
+      : config.trading.stateFile
+        ? new EngineStateFile(config.trading.stateFile)
+        : null;
+    this.stateRestore = null;
+    this.restoringState = false;
+
+    for (const event of PERSISTED_STATE_EVENTS) {
+      this.on(event, () => this.persistState());
+    }
     this.stream.on('tick', (tick) => {
       this.latestTicks.set(tick.symbol, tick);
       this.emit('tick', tick);
     });
+    this.userStream.on('accountUpdate', (update) => {
+      this.handleAccountUpdate(update);
+    });
+    this.userStream.on('orderUpdate', (update) => {
+      this.handleOrderUpdate(update).catch((error) => {
+        logger.error({ error, orderId: update?.orderId }, 'Failed to process streamed order update');
+      });
+    });
   }
 
   getActiveSymbols() {
@@ -207,7 +368,7 @@ export class TradingEngine extends TypedEventEmitter {
       }
 
       this.cachedInterestHot = normalized;
-      if (this.strategyMode === 'scalp') {
+      if (this.scalpExchange) {
         try {
           await updateScalpInterest(normalized.entries ?? []);
         } catch (error) {
@@ -222,10 +383,10 @@ export class TradingEngine extends TypedEventEmitter {
   }
 
   invalidateBalanceCache() {
-    this.balanceCache = { timestamp: 0, available: 0 };
+    this.balanceCache = { timestamp: 0, available: 0, balance: undefined };
   }
 
-  blockSymbol(symbol) {
+  blockSymbol(symbol, { reason = 'not_tradable', expiresAt = null, blockedAt = this.clock() } = {}) {
     if (!symbol) {
       return false;
     }
@@ -235,7 +396,10 @@ export class TradingEngine extends TypedEventEmitter {
       return false;
     }
 
-    this.blockedSymbols.add(key);
+    this.blockedSymbols.set(key, { reason, blockedAt, expiresAt });
+    if (this.pinnedSymbols.delete(key)) {
+      this.emit('pinnedSymbolsChanged', key);
+    }
 
     const filteredBase = this.baseSymbols.filter((entry) => entry !== key);
     if (filteredBase.length !== this.baseSymbols.length) {
@@ -243,6 +407,12 @@ export class TradingEngine extends TypedEventEmitter {
       this.baseSymbolsValidated = false;
     }
 
+    // A block only stops new entries: a symbol that still holds a position
+    // stays protected in the universe so its exits keep being evaluated, and
+    // reconciliation releases it once it is flat.
+    if (this.holdsExposure(key)) {
+      this.protectedSymbols.add(key);
+    }
     const filteredActive = this.activeSymbols.filter((entry) => entry !== key);
     if (filteredActive.length !== this.activeSymbols.length) {
       this._updateActiveSymbols(filteredActive);
@@ -252,13 +422,207 @@ export class TradingEngine extends TypedEventEmitter {
       this.cachedTopMovers = this.cachedTopMovers.filter((item) => item.symbol !== key);
     }
 
-    logger.warn({ symbol: key }, 'Blocked non-tradable symbol from trading universe');
+    this.emit('blockedSymbolsChanged', key);
+    logger.warn({ symbol: key, reason, expiresAt }, 'Blocked symbol from trading universe');
+    return true;
+  }
+
+  // Blocks a symbol on request, replacing any existing block. `expiresAt`
+  // (epoch ms or ISO date) or `ttlMinutes` bound the block; without either it
+  // lasts until the symbol is unblocked.
+  setSymbolBlock(symbol, input = {}) {
+    const normalizedSymbol = typeof symbol === 'string' ? symbol.toUpperCase() : '';
+    if (!VALID_SYMBOL_REGEX.test(normalizedSymbol)) {
+      throw new Error('Symbol must be a valid Binance futures symbol');
+    }
+    const now = this.clock();
+    let expiresAt = null;
+    if (input.expiresAt !== undefined && input.expiresAt !== null) {
+      expiresAt = Number.isFinite(Number(input.expiresAt)) ? Number(input.expiresAt) : Date.parse(input.expiresAt);
+      if (!(expiresAt > now)) {
+        throw new Error('expiresAt must be a future timestamp or ISO date');
+      }
+    } else if (input.ttlMinutes !== undefined && input.ttlMinutes !== null) {
+      const ttlMinutes = Number(input.ttlMinutes);
+      if (!(ttlMinutes > 0)) {
+        throw new Error('ttlMinutes must be a positive number');
+      }
+      expiresAt = now + ttlMinutes * 60_000;
+    }
+    const reason = typeof input.reason === 'string' && input.reason.trim() ? input.reason.trim() : 'manual';
+    this.blockedSymbols.delete(normalizedSymbol);
+    this.blockSymbol(normalizedSymbol, { reason, expiresAt, blockedAt: now });
+    return this.getSymbolBlock(normalizedSymbol);
+  }
+
+  // Lifts a block; configured symbols return to the base set and are picked
+  // up again by the next universe refresh.
+  unblockSymbol(symbol) {
+    const key = String(symbol ?? '').toUpperCase();
+    if (!this.blockedSymbols.delete(key)) {
+      return false;
+    }
+    if (this.configuredSymbols.includes(key) && !this.baseSymbols.includes(key)) {
+      this.baseSymbols = [...this.baseSymbols, key];
+      this.baseSymbolsValidated = false;
+    }
+    this.lastSymbolRefresh = 0;
+    this.emit('blockedSymbolsChanged', key);
+    logger.info({ symbol: key }, 'Unblocked symbol');
+    return true;
+  }
+
+  pruneExpiredBlocks() {
+    const now = this.clock();
+    for (const [symbol, block] of Array.from(this.blockedSymbols)) {
+      if (block.expiresAt !== null && block.expiresAt <= now) {
+        logger.info({ symbol, reason: block.reason }, 'Symbol block expired');
+        this.unblockSymbol(symbol);
+      }
+    }
+  }
+
+  getSymbolBlock(symbol) {
+    const key = String(symbol).toUpperCase();
+    const block = this.blockedSymbols.get(key);
+    if (!block) {
+      return null;
+    }
+    return {
+      symbol: key,
+      reason: block.reason,
+      blockedAt: new Date(block.blockedAt).toISOString(),
+      expiresAt: block.expiresAt === null ? null : new Date(block.expiresAt).toISOString(),
+    };
+  }
+
+  getSymbolBlocks() {
+    this.pruneExpiredBlocks();
+    return Array.from(this.blockedSymbols.keys(), (symbol) => this.getSymbolBlock(symbol));
+  }
+
+  // Pinning a blocked symbol lifts the block; blocking a pinned one unpins it.
+  pinSymbol(symbol) {
+    const normalizedSymbol = typeof symbol === 'string' ? symbol.toUpperCase() : '';
+    if (!VALID_SYMBOL_REGEX.test(normalizedSymbol)) {
+      throw new Error('Symbol must be a valid Binance futures symbol');
+    }
+    if (this.pinnedSymbols.has(normalizedSymbol)) {
+      return false;
+    }
+    this.unblockSymbol(normalizedSymbol);
+    this.pinnedSymbols.add(normalizedSymbol);
+    this._updateActiveSymbols(this.activeSymbols);
+    this.emit('pinnedSymbolsChanged', normalizedSymbol);
+    return true;
+  }
+
+  // The symbol leaves the universe at the next refresh unless discovery,
+  // the base set or an open position keeps it there.
+  unpinSymbol(symbol) {
+    const key = String(symbol ?? '').toUpperCase();
+    if (!this.pinnedSymbols.delete(key)) {
+      return false;
+    }
+    this.lastSymbolRefresh = 0;
+    this.emit('pinnedSymbolsChanged', key);
     return true;
   }
 
+  getPinnedSymbols() {
+    return Array.from(this.pinnedSymbols);
+  }
+
+  handleAccountUpdate(update) {
+    const positions = Array.isArray(update?.positions) ? update.positions : [];
+    if (positions.length > 0) {
+      const map = new Map(this.positionCache.map);
+      for (const position of positions) {
+        map.set(positionKey(position.symbol, position.positionSide), position);
+      }
+      this.positionCache = { timestamp: this.positionCache.timestamp, map };
+    }
+    if (Array.isArray(update?.balances) && update.balances.length > 0) {
+      this.invalidateBalanceCache();
+    }
+    this.emit('accountUpdate', update);
+  }
+
+  trackOrder(orderId, decision, recordedQty) {
+    if (!orderId) return;
+    this.trackedOrders.set(String(orderId), {
+      decision,
+      recordedQty: Number.isFinite(recordedQty) ? recordedQty : 0,
+    });
+    if (this.trackedOrders.size > MAX_TRACKED_ORDERS) {
+      const oldest = this.trackedOrders.keys().next().value;
+      this.trackedOrders.delete(oldest);
+    }
+  }
+
+  async recordTrackedFill(order) {
+    const tracked = this.trackedOrders.get(order.orderId);
+    if (tracked) {
+      const delta = order.cumulativeQty - tracked.recordedQty;
+      if (delta > POSITION_EPSILON) {
+        tracked.recordedQty = order.cumulativeQty;
+        await this.recorder.recordExecution(
+          {
+            symbol: order.symbol,
+            orderId: order.orderId,
+            status: order.status,
+            filledQty: delta,
+            avgPrice: order.fillPrice,
+          },
+          {
+            ...tracked.decision,
+            bias: order.side === 'BUY' ? 'long' : 'short',
+          }
+        );
+        this.attributeFill(order.symbol, order.side, delta, order.fillPrice);
+        logger.info(
+          { symbol: order.symbol, orderId: order.orderId, filledQty: delta, price: order.fillPrice },
+          'Recorded delayed order fill'
+        );
+      }
+    }
+    if (TERMINAL_ORDER_STATUSES.has(order.status)) {
+      this.trackedOrders.delete(order.orderId);
+      const key = positionKey(order.symbol, order.positionSide);
+      const pending = this.pendingExits.get(key);
+      if (pending && pending.orderId === order.orderId) {
+        this.pendingExits.delete(key);
+        if (order.status === 'FILLED') {
+          await this.cancelProtectiveOrders(order.symbol, 'exit filled', pending.positionSide);
+        }
+      }
+    }
+  }
+
+  async handleOrderUpdate(update) {
+    if (!update?.orderId) return;
+    if (update.executionType === 'TRADE' || TERMINAL_ORDER_STATUSES.has(update.status)) {
+      await this.recordTrackedFill({
+        orderId: update.orderId,
+        symbol: update.symbol,
+        side: update.side,
+        status: update.status,
+        positionSide: update.positionSide,
+        cumulativeQty: update.cumulativeQty,
+        fillPrice: update.lastFilledPrice,
+      });
+    }
+    await this.handleProtectiveOrderUpdate(update);
+    if (update.executionType === 'TRADE') {
+      this.invalidateBalanceCache();
+    }
+    this.emit('orderUpdate', update);
+  }
+
   async getPosition(symbol, options = {}) {
-    const now = Date.now();
-    const ttl = Number.isFinite(options.ttl) ? Number(options.ttl) : 3_000;
+    const now = this.clock();
+    const defaultTtl = this.userStream.isConnected() ? STREAMED_POSITION_TTL_MS : 3_000;
+    const ttl = Number.isFinite(options.ttl) ? Number(options.ttl) : defaultTtl;
     const useCache = !options.forceRefresh && this.positionCache?.map && now - this.positionCache.timestamp < ttl;
 
     if (!useCache) {
@@ -266,7 +630,7 @@ export class TradingEngine extends TypedEventEmitter {
         const positions = await this.binance.fetchPositions();
         const map = new Map();
         for (const rawPosition of positions ?? []) {
-          map.set(rawPosition.symbol, rawPosition);
+          map.set(positionKey(rawPosition.symbol, rawPosition.positionSide), rawPosition);
         }
         this.positionCache = { timestamp: now, map };
       } catch (error) {
@@ -275,8 +639,18 @@ export class TradingEngine extends TypedEventEmitter {
       }
     }
 
-    const raw = this.positionCache.map.get(symbol);
-    return this.projectPosition(symbol, raw);
+    const legs = [symbol, positionKey(symbol, 'LONG'), positionKey(symbol, 'SHORT')]
+      .map((key) => this.projectPosition(symbol, this.positionCache.map.get(key)))
+      .filter(Boolean);
+    if (options.side) {
+      const leg = legs.find((entry) => entry.side === options.side);
+      return leg ? { ...leg, legs } : null;
+    }
+    if (legs.length === 0) {
+      return null;
+    }
+    const primary = legs.reduce((largest, leg) => (leg.quantity > largest.quantity ? leg : largest));
+    return { ...primary, legs };
   }
 
   projectPosition(symbol, raw) {
@@ -284,21 +658,30 @@ export class TradingEngine extends TypedEventEmitter {
       return null;
     }
 
-    const side = raw.positionAmt > 0 ? 'long' : 'short';
+    const side = legSide(raw.positionSide) ?? (raw.positionAmt > 0 ? 'long' : 'short');
     const quantity = Math.abs(raw.positionAmt);
     const entryPrice = toNumber(raw.entryPrice);
 
     return {
       symbol,
       side,
+      positionSide: raw.positionSide ?? 'BOTH',
       quantity,
       entryPrice,
       raw,
     };
   }
 
+  canHedge() {
+    return this.oppositeSignalAction === 'hedge' && this.binance.isHedgeMode();
+  }
+
+  entryPositionSide(side) {
+    return this.binance.isHedgeMode() ? BinanceClient.positionSideFor(side) : undefined;
+  }
+
   async getAvailableMargin(options = {}) {
-    const now = Date.now();
+    const now = this.clock();
     const ttl = Number.isFinite(options.ttl) ? Number(options.ttl) : 3_000;
     if (!options.forceRefresh && now - this.balanceCache.timestamp < ttl && Number.isFinite(this.balanceCache.available)) {
       return this.balanceCache.available;
@@ -311,11 +694,11 @@ export class TradingEngine extends TypedEventEmitter {
       if (!Number.isFinite(available)) {
         throw new Error('Invalid available balance for USDT');
       }
-      this.balanceCache = { timestamp: now, available };
+      this.balanceCache = { timestamp: now, available, balance: Number(usdt?.balance) };
       return available;
     } catch (error) {
       logger.error({ error }, 'Failed to refresh available Binance margin');
-      this.balanceCache = { timestamp: now, available: 0 };
+      this.balanceCache = { timestamp: now, available: 0, balance: undefined };
       return 0;
     }
   }
@@ -324,6 +707,7 @@ export class TradingEngine extends TypedEventEmitter {
     const discovery = config.binance.symbolDiscovery ?? {};
     const enabled = discovery.enabled !== false;
 
+    this.pruneExpiredBlocks();
     if (this.blockedSymbols.size > 0) {
       const filteredBase = this.baseSymbols.filter((symbol) => !this.blockedSymbols.has(symbol));
       if (filteredBase.length !== this.baseSymbols.length) {
@@ -343,7 +727,7 @@ export class TradingEngine extends TypedEventEmitter {
         const validated = await this.binance.filterTradableSymbols(baseCandidates, discovery.quoteAssets);
         if (validated.length > 0) {
           this.baseSymbols = validated;
-          this.activeSymbols = [...validated];
+          this._updateActiveSymbols(validated);
           this.baseSymbolsValidated = true;
         }
       } catch (error) {
@@ -476,10 +860,13 @@ export class TradingEngine extends TypedEventEmitter {
     }
   }
 
+  // Blocked symbols are dropped unless they are protected (still hold
+  // exposure); those stay until flat and only their entries are refused.
   _updateActiveSymbols(nextSymbols) {
     const blocked = this.blockedSymbols;
-    const unique = Array.from(new Set((nextSymbols ?? []).map((symbol) => symbol.toUpperCase()))).filter(
-      (symbol) => VALID_SYMBOL_REGEX.test(symbol) && !blocked.has(symbol)
+    const candidates = [...this.protectedSymbols, ...this.pinnedSymbols, ...(nextSymbols ?? [])];
+    const unique = Array.from(new Set(candidates.map((symbol) => symbol.toUpperCase()))).filter(
+      (symbol) => VALID_SYMBOL_REGEX.test(symbol) && (!blocked.has(symbol) || this.protectedSymbols.has(symbol))
     );
     const changed =
       unique.length !== this.activeSymbols.length ||
@@ -501,7 +888,7 @@ export class TradingEngine extends TypedEventEmitter {
       }
     }
     if (this.running) {
-      this.stream.start(this.activeSymbols);
+      this.stream.updateSymbols(this.activeSymbols);
     }
     this.emit('symbolsChanged', this.getActiveSymbols());
     return true;
@@ -519,6 +906,22 @@ export class TradingEngine extends TypedEventEmitter {
     return this.allocationPercent;
   }
 
+  getRiskPerTradePercent() {
+    return this.riskPerTradePercent;
+  }
+
+  getSizingMode() {
+    return this.sizingMode;
+  }
+
+  getEntryStyle() {
+    return this.entryStyle;
+  }
+
+  getMarginSettings() {
+    return this.marginProfiles.getSettings();
+  }
+
   isRunning() {
     return this.running;
   }
@@ -557,8 +960,362 @@ export class TradingEngine extends TypedEventEmitter {
     return this.allocationPercent;
   }
 
+  setRiskPerTradePercent(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) {
+      throw new Error('Risk per trade percent must be numeric');
+    }
+    const clamped = clamp(numeric, this.riskPerTradeRange.min, this.riskPerTradeRange.max);
+    if (this.riskPerTradePercent === clamped) {
+      return this.riskPerTradePercent;
+    }
+    this.riskPerTradePercent = clamped;
+    this.emit('riskPerTradeChanged', clamped);
+    return this.riskPerTradePercent;
+  }
+
+  setEntryStyle(style) {
+    const normalized = normalizeEntryStyle(style);
+    if (this.entryStyle === normalized) {
+      return this.entryStyle;
+    }
+    this.entryStyle = normalized;
+    this.emit('entryStyleChanged', normalized);
+    return this.entryStyle;
+  }
+
+  getSymbolOverride(symbol) {
+    return this.symbolOverrides.get(String(symbol).toUpperCase()) ?? null;
+  }
+
+  getSymbolOverrides() {
+    return Object.fromEntries(this.symbolOverrides);
+  }
+
+  // Replaces the override for one symbol; an empty override removes it.
+  setSymbolOverride(symbol, input) {
+    const normalizedSymbol = typeof symbol === 'string' ? symbol.toUpperCase() : '';
+    if (!VALID_SYMBOL_REGEX.test(normalizedSymbol)) {
+      throw new Error('Symbol must be a valid Binance futures symbol');
+    }
+    const override = normalizeSymbolOverride(input, {
+      leverageRange: this.leverageRange,
+      allocationRange: this.allocationRange,
+      strategies: this.strategies.names().filter((name) => name !== 'hybrid'),
+    });
+    if (Object.keys(override).length === 0) {
+      if (this.symbolOverrides.delete(normalizedSymbol)) {
+        this.emit('symbolOverridesChanged', normalizedSymbol);
+      }
+      return null;
+    }
+    if (override.strategyMode) {
+      this.assertStrategyUsable(override.strategyMode);
+    }
+    this.symbolOverrides.set(normalizedSymbol, override);
+    this.emit('symbolOverridesChanged', normalizedSymbol);
+    return override;
+  }
+
+  // Effective controls for a symbol: its override merged over the globals.
+  resolveSymbolSettings(symbol) {
+    const override = this.getSymbolOverride(symbol) ?? {};
+    return {
+      strategyMode: override.strategyMode ?? (this.hybrid ? this.hybrid.engineOf(symbol) : this.strategyMode),
+      leverage: override.leverage ?? this.getUserLeverage(),
+      allocationPct: override.allocationPct ?? this.getAllocationPercent(),
+      maxNotional: override.maxNotional ?? null,
+      entryStyle: override.entryStyle ?? this.entryStyle,
+    };
+  }
+
+  resolveMarginProfile(symbol) {
+    return this.marginProfiles.resolve(symbol, this.getUserLeverage(), this.getSymbolOverride(symbol)?.leverage);
+  }
+
+  loadStrategies() {
+    this.strategyLoad ??= this.loadStrategyPlugins();
+    return this.strategyLoad;
+  }
+
+  async loadStrategyPlugins() {
+    if (this.strategyDirectory) {
+      try {
+        await this.strategies.loadDirectory(this.strategyDirectory);
+      } catch (error) {
+        logger.error({ error, directory: this.strategyDirectory }, 'Failed to load strategy plugins');
+      }
+    }
+    if (!this.strategies.has(this.strategyMode)) {
+      logger.warn({ strategy: this.strategyMode }, 'Configured strategy is not registered, falling back to llm');
+      this.strategyMode = 'llm';
+    }
+  }
+
+  // Picks up plugin files added since startup; already loaded files are kept.
+  async reloadStrategies() {
+    await this.loadStrategies();
+    if (!this.strategyDirectory) {
+      return [];
+    }
+    return this.strategies.loadDirectory(this.strategyDirectory);
+  }
+
+  getStrategy() {
+    return this.strategyMode;
+  }
+
+  getStrategies() {
+    return this.strategies.list().map((entry) => ({ ...entry, active: entry.name === this.strategyMode }));
+  }
+
+  setStrategy(name) {
+    const normalized = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (!this.strategies.has(normalized)) {
+      throw new Error(`Unknown strategy "${name}". Available: ${this.strategies.names().join(', ')}`);
+    }
+    if (this.strategyMode === normalized) {
+      return this.strategyMode;
+    }
+    this.assertStrategyUsable(normalized);
+    this.strategyMode = normalized;
+    // Only the routing follows the strategy: the ledger keeps its ownership
+    // and attribution, and on the way back to hybrid settleFlat/adopt catch
+    // it up with whatever the other strategies did. The scalp adapter is
+    // rebuilt so it is wrapped (or not) to match.
+    this.hybrid = normalized === 'hybrid' ? this.hybridArbiter : null;
+    this.scalpExchange = null;
+    this.emit('strategyChanged', normalized);
+    return this.strategyMode;
+  }
+
+  // OPENAI_API_KEY is only required at boot for the configured strategy, so a
+  // runtime switch to one that calls OpenAI is refused without a key (unless
+  // the engine was given its own decision provider) instead of every
+  // evaluation failing into fallback decisions.
+  assertStrategyUsable(name) {
+    if (this.strategies.get(name)?.requiresOpenAi && this.decisionProvider === requestStrategy && !config.openAi.apiKey) {
+      throw new Error(`Strategy "${name}" needs OPENAI_API_KEY, which is not configured`);
+    }
+  }
+
+  getMode() {
+    return this.dryRun ? 'dry_run' : 'live';
+  }
+
+  setMode(mode) {
+    const normalized = typeof mode === 'string' ? mode.trim().toLowerCase().replace('-', '_') : '';
+    if (!ENGINE_MODES.includes(normalized)) {
+      throw new Error(`Mode must be one of ${ENGINE_MODES.join(', ')}`);
+    }
+    if (this.getMode() === normalized) {
+      return normalized;
+    }
+    this.dryRun = normalized === 'dry_run';
+    // Rebuilt on next use so scalp orders go to the matching book.
+    this.scalpExchange = null;
+    this.emit('modeChanged', normalized);
+    logger.info({ mode: normalized }, 'Switched engine execution mode');
+    return normalized;
+  }
+
+  getDryRunSummary() {
+    return this.dryRunBook.getSummary(this.latestPrices());
+  }
+
+  restoreState() {
+    this.stateRestore ??= this.loadPersistedState();
+    return this.stateRestore;
+  }
+
+  async loadPersistedState() {
+    // Plugins must be registered before a persisted strategy name can resolve.
+    await this.loadStrategies();
+    if (!this.stateStore) {
+      return false;
+    }
+    const state = await this.stateStore.load();
+    if (!state) {
+      return false;
+    }
+    this.restoringState = true;
+    try {
+      this.applyPersistedState(state);
+      logger.info(
+        {
+          riskLevel: this.riskLevel,
+          leverage: this.userLeverage,
+          allocationPct: this.allocationPercent,
+          blockedSymbols: this.blockedSymbols.size,
+          pinnedSymbols: this.pinnedSymbols.size,
+          symbolOverrides: this.symbolOverrides.size,
+          activeSymbols: this.activeSymbols.length,
+          cachedDecisions: this.decisionCache.size,
+        },
+        'Restored persisted engine state'
+      );
+      return true;
+    } catch (error) {
+      logger.warn({ error }, 'Failed to apply persisted engine state');
+      return false;
+    } finally {
+      this.restoringState = false;
+    }
+  }
+
+  applyPersistedState(state) {
+    const riskLevel = Number(state.riskLevel);
+    if (Number.isInteger(riskLevel) && riskLevel >= 1 && riskLevel <= 5) {
+      this.setRiskLevel(riskLevel);
+    }
+    if (Number.isFinite(Number(state.leverage))) {
+      this.setUserLeverage(state.leverage);
+    }
+    if (Number.isFinite(Number(state.allocationPct))) {
+      this.setAllocationPercent(state.allocationPct);
+    }
+    if (Number.isFinite(Number(state.riskPerTradePct))) {
+      this.setRiskPerTradePercent(state.riskPerTradePct);
+    }
+    if (ENTRY_STYLES.includes(state.entryStyle)) {
+      this.setEntryStyle(state.entryStyle);
+    }
+    if (typeof state.strategy === 'string' && this.strategies.has(state.strategy)) {
+      try {
+        this.setStrategy(state.strategy);
+      } catch (error) {
+        logger.warn({ error, strategy: state.strategy }, 'Ignoring persisted strategy that cannot run');
+      }
+    }
+    if (state.hybridLedger) {
+      this.hybridArbiter.restore(state.hybridLedger);
+    }
+    if (state.circuitBreaker) {
+      this.circuitBreaker.restore(state.circuitBreaker);
+    }
+    // A persisted live mode never overrides DRY_RUN=true.
+    if (state.mode === 'dry_run') {
+      this.setMode(state.mode);
+    }
+    for (const [symbol, override] of Object.entries(state.symbolOverrides ?? {})) {
+      try {
+        this.setSymbolOverride(symbol, override);
+      } catch (error) {
+        logger.warn({ error, symbol }, 'Ignoring invalid persisted symbol override');
+      }
+    }
+    // Older state files stored blocked symbols as bare strings.
+    const now = this.clock();
+    for (const entry of Array.isArray(state.blockedSymbols) ? state.blockedSymbols : []) {
+      const block = typeof entry === 'string' ? { symbol: entry } : entry;
+      const symbol = typeof block?.symbol === 'string' ? block.symbol.toUpperCase() : '';
+      const expiresAt = Number.isFinite(block?.expiresAt) ? block.expiresAt : null;
+      if (!VALID_SYMBOL_REGEX.test(symbol) || (expiresAt !== null && expiresAt <= now)) {
+        continue;
+      }
+      this.blockSymbol(symbol, {
+        reason: typeof block.reason === 'string' ? block.reason : undefined,
+        expiresAt,
+        blockedAt: Number.isFinite(block.blockedAt) ? block.blockedAt : undefined,
+      });
+    }
+    for (const symbol of Array.isArray(state.pinnedSymbols) ? state.pinnedSymbols : []) {
+      if (typeof symbol === 'string' && VALID_SYMBOL_REGEX.test(symbol.toUpperCase())) {
+        this.pinSymbol(symbol);
+      }
+    }
+    if (Array.isArray(state.activeSymbols) && state.activeSymbols.length > 0) {
+      this._updateActiveSymbols(state.activeSymbols.filter((symbol) => typeof symbol === 'string'));
+    }
+    // Only decisions still inside the revalidation window are worth reusing.
+    const activeSet = new Set(this.activeSymbols);
+    for (const entry of Array.isArray(state.decisionCache) ? state.decisionCache : []) {
+      const age = now - Number(entry?.timestamp);
+      if (!entry?.decision || !activeSet.has(entry.symbol) || !(age >= 0 && age < this.aiRevalidationMs)) {
+        continue;
+      }
+      const { symbol, ...cached } = entry;
+      this.decisionCache.set(symbol, cached);
+    }
+  }
+
+  snapshotState() {
+    return {
+      riskLevel: this.riskLevel,
+      leverage: this.userLeverage,
+      allocationPct: this.allocationPercent,
+      riskPerTradePct: this.riskPerTradePercent,
+      entryStyle: this.entryStyle,
+      strategy: this.strategyMode,
+      mode: this.getMode(),
+      circuitBreaker: this.circuitBreaker.snapshot(),
+      hybridLedger: this.hybridArbiter.snapshot(),
+      symbolOverrides: this.getSymbolOverrides(),
+      blockedSymbols: Array.from(this.blockedSymbols, ([symbol, block]) => ({ symbol, ...block })),
+      pinnedSymbols: this.getPinnedSymbols(),
+      activeSymbols: [...this.activeSymbols],
+      decisionCache: Array.from(this.decisionCache, ([symbol, cached]) => ({ symbol, ...cached })),
+    };
+  }
+
+  persistState() {
+    if (!this.stateStore || this.restoringState) {
+      return;
+    }
+    void this.stateStore.save(() => this.snapshotState());
+  }
+
+  cacheDecision(symbol, entry) {
+    this.decisionCache.set(symbol, entry);
+    this.persistState();
+  }
+
+  // Drops the state file and returns every runtime control to its configured
+  // default, including unblocking and unpinning symbols and restoring the
+  // configured universe. A tripped circuit breaker and the hybrid ledger, which
+  // track the account rather than settings, are kept.
+  async resetState() {
+    this.restoringState = true;
+    try {
+      this.setRiskLevel(DEFAULT_RISK_LEVEL);
+      this.setUserLeverage(config.trading.userControls.defaultLeverage);
+      this.setAllocationPercent(config.trading.userControls.defaultAllocationPct);
+      this.setRiskPerTradePercent(config.trading.userControls.defaultRiskPerTradePct);
+      this.setEntryStyle(config.trading.entryOrders?.style ?? 'MARKET');
+      this.setStrategy(this.strategies.has(config.trading.strategyMode) ? config.trading.strategyMode : 'llm');
+      this.setMode(config.trading.dryRun === true ? 'dry_run' : 'live');
+      this.symbolOverrides.clear();
+      this.blockedSymbols.clear();
+      this.pinnedSymbols.clear();
+      this.baseSymbols = [...this.configuredSymbols];
+      this.baseSymbolsValidated = false;
+      this.lastSymbolRefresh = 0;
+      this.decisionCache.clear();
+    } finally {
+      this.restoringState = false;
+    }
+    if (this.stateStore) {
+      await this.stateStore.clear();
+    }
+    // Only /control/circuit-breaker/reset (or the next UTC day) clears a trip.
+    if (this.circuitBreaker.isTripped() || !this.hybridArbiter.isEmpty()) {
+      this.persistState();
+    }
+    logger.info('Reset persisted engine state to defaults');
+  }
+
+  getBlockedSymbols() {
+    this.pruneExpiredBlocks();
+    return Array.from(this.blockedSymbols.keys());
+  }
+
   async start() {
     if (this.running) return;
+    await this.restoreState();
+    if (this.circuitBreaker.isTripped()) {
+      throw new CircuitBreakerTrippedError(this.circuitBreaker.getState().trip);
+    }
+    await this.reconcileAccount('startup');
     await this.refreshSymbolUniverse({ force: true });
     if (this.activeSymbols.length === 0) {
       throw new Error('No Binance symbols available to trade');
@@ -566,10 +1323,26 @@ export class TradingEngine extends TypedEventEmitter {
     this.stream.start(this.activeSymbols);
     try {
       await this.captureEquitySnapshot({ requireSuccess: true });
+      if (this.circuitBreaker.isTripped()) {
+        throw new CircuitBreakerTrippedError(this.circuitBreaker.getState().trip);
+      }
+      try {
+        await this.binance.fetchPositionMode();
+      } catch (error) {
+        logger.warn({ error }, 'Falling back to one-way position mode');
+      }
       this.running = true;
+      void this.userStream.start().catch((error) => {
+        logger.error({ error }, 'Failed to start Binance user data stream');
+      });
+      this.startExitMonitor();
+      this.startReconcileTimer();
       this.scheduleNextLoop(0);
       this.emit('started');
-      logger.info({ symbols: this.getActiveSymbols(), mode: this.strategyMode }, 'Trading engine started');
+      logger.info(
+        { symbols: this.getActiveSymbols(), mode: this.strategyMode, dryRun: this.dryRun },
+        'Trading engine started'
+      );
     } catch (error) {
       this.stream.stop();
       throw error;
@@ -584,6 +1357,9 @@ export class TradingEngine extends TypedEventEmitter {
       this.loopTimer = undefined;
     }
     this.stream.stop();
+    this.userStream.stop();
+    this.stopExitMonitor();
+    this.stopReconcileTimer();
     this.emit('stopped');
     logger.info('Trading engine stopped');
   }
@@ -612,58 +1388,351 @@ export class TradingEngine extends TypedEventEmitter {
     }
     if (!this.running) return;
     this.loopInFlight = true;
+    const loopStartedAt = Date.now();
+    const stats = {
+      startedAt: new Date(loopStartedAt).toISOString(),
+      mode: this.strategyMode,
+      dryRun: this.dryRun,
+      symbols: 0,
+      concurrency: this.evaluationConcurrency,
+    };
     try {
+      let phaseStartedAt = Date.now();
       await this.refreshSymbolUniverse();
+      stats.universeMs = Date.now() - phaseStartedAt;
       const symbols = this.getActiveSymbols();
+      stats.symbols = symbols.length;
       if (symbols.length === 0) {
         logger.warn('No active symbols available, skipping evaluation loop');
         await this.captureEquitySnapshot();
         return;
       }
-      if (this.strategyMode === 'scalp') {
-        if (!this.scalpExchange) {
-          throw new Error('Scalping mode active but exchange adapter was not initialised');
-        }
-        for (const symbol of symbols) {
-          try {
-            await runScalpLoop(this.scalpExchange, symbol);
-          } catch (error) {
-            logger.error({ error, symbol }, 'Failed to run scalping loop');
-          }
-        }
-      } else {
-        for (const symbol of symbols) {
-          try {
-            const decision = await this.evaluateSymbol(symbol);
-            await this.executeDecision(decision);
-          } catch (error) {
-            logger.error({ error, symbol }, 'Failed to execute trading decision');
-          }
-        }
+      if (this.hybrid) {
+        await this.prepareHybridLoop(symbols);
+      }
+      if (this.dryRun) {
+        this.triggerDryRunProtection();
       }
+      if (symbols.some((symbol) => this.resolveSymbolSettings(symbol).strategyMode === 'disabled')) {
+        // Refreshes the position cache that decides which disabled symbols still need exits.
+        await this.fetchExposedSymbols(symbols[0]);
+      }
+      const enabled = symbols.filter((symbol) => this.strategies.has(this.evaluationStrategyMode(symbol)));
+      stats.disabled = symbols.length - enabled.length;
+      const selfExecuting = enabled.filter((symbol) => this.symbolStrategy(symbol).selfExecuting);
+      if (selfExecuting.length > 0) {
+        await this.runSelfExecutingSymbols(selfExecuting, stats);
+      }
+      const evaluated = enabled.filter((symbol) => !selfExecuting.includes(symbol));
+      if (evaluated.length > 0) {
+        await this.evaluateAndExecute(evaluated, stats);
+      }
+      phaseStartedAt = Date.now();
       await this.captureEquitySnapshot();
+      stats.equityMs = Date.now() - phaseStartedAt;
     } finally {
+      stats.durationMs = Date.now() - loopStartedAt;
+      stats.finishedAt = new Date().toISOString();
+      this.lastLoopStats = stats;
       this.loopInFlight = false;
+      logger.info(stats, 'Completed evaluation loop');
     }
     this.scheduleNextLoop();
   }
 
-  async evaluateSymbol(symbol) {
-    let tradable = false;
-    try {
-      tradable = await this.binance.isSymbolTradable(symbol, config.binance.symbolDiscovery?.quoteAssets);
-    } catch (error) {
-      logger.error({ error, symbol }, 'Unable to validate Binance symbol before evaluation');
-      return null;
+  // Under hybrid routing the settings already name the routed engine.
+  symbolStrategy(symbol) {
+    return this.strategies.get(this.evaluationStrategyMode(symbol));
+  }
+
+  // `disabled` only blocks new entries: while the symbol still holds a
+  // position it is evaluated by the strategy it would otherwise use, so that
+  // strategy's exits are still taken, and executeDecision (or the scalp
+  // adapter) refuses anything that would open exposure.
+  evaluationStrategyMode(symbol) {
+    const { strategyMode } = this.resolveSymbolSettings(symbol);
+    if (strategyMode !== 'disabled' || !this.holdsExposure(symbol)) {
+      return strategyMode;
     }
+    return this.hybrid ? this.hybrid.engineOf(symbol) : this.strategyMode;
+  }
 
-    if (!tradable) {
-      this.blockSymbol(symbol);
-      return null;
+  // Reads the cached book; callers refresh it first when it matters.
+  holdsExposure(symbol) {
+    if (this.dryRun) {
+      return Boolean(this.dryRunBook.getPosition(symbol));
     }
+    return [symbol, positionKey(symbol, 'LONG'), positionKey(symbol, 'SHORT')].some(
+      (key) => Math.abs(Number(this.positionCache.map.get(key)?.positionAmt) || 0) >= POSITION_EPSILON
+    );
+  }
 
-    const tick = this.latestTicks.get(symbol);
-    let snapshot;
+  // Strategies that place their own orders run sequentially and without the
+  // evaluation deadline, so their orders keep the one-at-a-time guarantee and
+  // a slow loop is never reported as timed out while it keeps trading.
+  async runSelfExecutingSymbols(symbols, stats) {
+    const phaseStartedAt = Date.now();
+    stats.selfExecuting = symbols.length;
+    for (const symbol of symbols) {
+      const strategy = this.symbolStrategy(symbol);
+      try {
+        await strategy.evaluate(symbol, this.strategyContext(symbol));
+      } catch (error) {
+        logger.error({ error, symbol, strategy: strategy.name }, 'Failed to run self-executing strategy');
+      }
+    }
+    stats.selfExecutingMs = Date.now() - phaseStartedAt;
+  }
+
+  // Hybrid routing, per-symbol overrides and runtime strategy switches can all
+  // hand scalp symbols to an engine that did not start in scalp mode.
+  async runScalpSymbol(symbol) {
+    this.scalpExchange ??= this.createScalpExchange();
+    await runScalpLoop(this.scalpExchange, symbol);
+  }
+
+  createScalpExchange() {
+    const adapter = this.guardScalpEntries(
+      this.dryRun
+        ? this.dryRunBook.exchange((symbol) => this.latestTicks.get(symbol))
+        : createBinanceExchangeAdapter(this.binance)
+    );
+    return this.hybrid ? this.hybrid.wrapExchange(adapter, 'scalp') : adapter;
+  }
+
+  // Scalp entries reach the exchange through the adapter instead of
+  // executeDecision, so `disabled` overrides and the portfolio limits are
+  // enforced on its place(). A clipped order would read as a partial fill and
+  // be repriced, so scalp entries that do not fit whole are rejected.
+  guardScalpEntries(exchange) {
+    return {
+      place: async (params) => {
+        if (params.reduceOnly !== true) {
+          if (this.resolveSymbolSettings(params.symbol).strategyMode === 'disabled') {
+            throw new Error(`${params.symbol} entry rejected: symbol disabled by override`);
+          }
+          if (this.blockedSymbols.has(params.symbol)) {
+            throw new Error(`${params.symbol} entry rejected: symbol is blocked`);
+          }
+          const price = Number(params.price) > 0 ? Number(params.price) : Number(this.latestTicks.get(params.symbol)?.price);
+          const riskCheck = await this.enforcePortfolioRisk(
+            { symbol: params.symbol },
+            params.side,
+            price,
+            { quantity: Number(params.quantity) },
+            { clip: false }
+          );
+          if (!riskCheck.allowed) {
+            throw new Error(`${params.symbol} entry rejected by portfolio risk (${riskCheck.reason})`);
+          }
+        }
+        return exchange.place(params);
+      },
+    };
+  }
+
+  // Syncs the ledger with the exposure actually held (releasing closed
+  // positions, adopting unknown ones), then routes every active symbol to an
+  // engine for this loop.
+  async prepareHybridLoop(symbols) {
+    const exposed = await this.fetchExposedPositions(symbols[0]);
+    const context = {
+      baseSymbols: this.baseSymbols,
+      hotlist: (this.cachedInterestHot?.entries ?? []).map((entry) => String(entry?.tradingSymbol ?? '').toUpperCase()),
+      movers: this.cachedTopMovers.map((item) => item.symbol),
+    };
+    this.hybrid.settleFlat(new Set(exposed.map((raw) => raw.symbol)), this.latestPrices());
+    this.hybrid.adopt(exposed, context);
+    this.hybrid.assign(symbols, context);
+  }
+
+  // Exchange-shaped legs held in whichever book decisions execute against:
+  // the account when live, the virtual book in dry-run mode.
+  async fetchExposedPositions(symbol) {
+    if (this.dryRun) {
+      return this.dryRunBook.getRawPositions();
+    }
+    // One forced refresh fills the shared position cache for every symbol.
+    await this.getPosition(symbol, { forceRefresh: true });
+    return Array.from(this.positionCache.map.values()).filter(
+      (raw) => Number.isFinite(raw?.positionAmt) && Math.abs(raw.positionAmt) >= POSITION_EPSILON
+    );
+  }
+
+  async fetchExposedSymbols(symbol) {
+    return new Set((await this.fetchExposedPositions(symbol)).map((raw) => raw.symbol));
+  }
+
+  getDecisionPosition(symbol, options = {}) {
+    return this.dryRun ? this.dryRunBook.getPosition(symbol) : this.getPosition(symbol, options);
+  }
+
+  latestPrices() {
+    return new Map(Array.from(this.latestTicks.entries()).map(([symbol, tick]) => [symbol, tick?.price]));
+  }
+
+  // Books an llm fill against its engine in hybrid mode; `engine = null`
+  // attributes it to whichever engine holds the symbol.
+  attributeFill(symbol, side, quantity, price, engine = 'llm') {
+    this.hybrid?.recordFill({ engine, symbol, side, quantity: Number(quantity), price: Number(price) });
+  }
+
+  // Attribution stays visible after switching away from hybrid.
+  getStrategyAttribution() {
+    return this.hybrid || !this.hybridArbiter.isEmpty() ? this.hybridArbiter.getAttribution(this.latestPrices()) : null;
+  }
+
+  // Evaluations (snapshot + LLM call) run through a bounded worker pool with a
+  // per-symbol deadline. Orders are then placed one at a time so margin checks
+  // see the balance left by earlier fills: exits first, then symbols that hold
+  // a position, then new entries by confidence.
+  async evaluateAndExecute(symbols, stats) {
+    let phaseStartedAt = Date.now();
+    const holding = await this.fetchExposedSymbols(symbols[0]);
+    const ordered = [
+      ...symbols.filter((symbol) => holding.has(symbol)),
+      ...symbols.filter((symbol) => !holding.has(symbol)),
+    ];
+
+    const timings = [];
+    const results = await runWithConcurrency(ordered, this.evaluationConcurrency, async (symbol) => {
+      const startedAt = Date.now();
+      const evaluation = this.evaluateSymbol(symbol);
+      try {
+        return await withDeadline(evaluation, this.symbolEvaluationTimeoutMs, `Evaluation of ${symbol}`);
+      } catch (error) {
+        if (error instanceof DeadlineExceededError) {
+          void this.closeTimedOutEvaluation(symbol, evaluation);
+        }
+        throw error;
+      } finally {
+        timings.push({ symbol, ms: Date.now() - startedAt });
+      }
+    });
+    stats.evaluationMs = Date.now() - phaseStartedAt;
+    stats.evaluated = 0;
+    stats.timedOut = 0;
+    stats.failed = 0;
+
+    const decisions = [];
+    results.forEach((result, index) => {
+      const symbol = ordered[index];
+      if (result.status === 'fulfilled') {
+        stats.evaluated += 1;
+        if (result.value) {
+          decisions.push(result.value);
+        }
+      } else if (result.reason instanceof DeadlineExceededError) {
+        stats.timedOut += 1;
+        logger.warn({ symbol, timeoutMs: this.symbolEvaluationTimeoutMs }, 'Symbol evaluation timed out, skipping this loop');
+      } else {
+        stats.failed += 1;
+        logger.error({ error: result.reason, symbol }, 'Failed to evaluate trading decision');
+      }
+    });
+    stats.slowest = timings.sort((a, b) => b.ms - a.ms).slice(0, SLOWEST_SYMBOLS_REPORTED);
+
+    const priority = (decision) => {
+      if (decision.action === 'exit' || decision.bias === 'flat') return 0;
+      return holding.has(decision.symbol) ? 1 : 2;
+    };
+    decisions.sort(
+      (a, b) => priority(a) - priority(b) || Number(b.confidence ?? 0) - Number(a.confidence ?? 0)
+    );
+
+    phaseStartedAt = Date.now();
+    for (const decision of decisions) {
+      try {
+        await this.executeDecision(decision);
+        await this.journal.close(decision.decisionId);
+      } catch (error) {
+        logger.error({ error, symbol: decision.symbol }, 'Failed to execute trading decision');
+        await this.journal.close(decision.decisionId, { status: 'failed', reason: getErrorMessage(error) });
+      }
+    }
+    stats.executed = decisions.length;
+    stats.executionMs = Date.now() - phaseStartedAt;
+  }
+
+  // A timed-out evaluation keeps running; the decision it eventually opens is
+  // never executed, so its journal entry is closed as timed out here.
+  async closeTimedOutEvaluation(symbol, evaluation) {
+    try {
+      const decision = await evaluation;
+      if (decision) {
+        await this.journal.close(decision.decisionId, {
+          status: 'timed_out',
+          reason: `evaluation_exceeded_${this.symbolEvaluationTimeoutMs}ms`,
+        });
+      }
+    } catch (error) {
+      logger.debug({ error, symbol }, 'Timed-out evaluation failed after its deadline');
+    }
+  }
+
+  getLoopStats() {
+    return this.lastLoopStats;
+  }
+
+  // Runs the symbol's strategy and normalizes its decision for executeDecision.
+  async evaluateSymbol(symbol) {
+    const strategyMode = this.evaluationStrategyMode(symbol);
+    const strategy = this.strategies.get(strategyMode);
+    if (!strategy) {
+      logger.debug({ symbol, strategyMode }, 'No strategy assigned to symbol, skipping evaluation');
+      return null;
+    }
+    try {
+      const decision = normalizeStrategyDecision(
+        symbol,
+        await strategy.evaluate(symbol, this.strategyContext(symbol)),
+        strategy.name,
+        { localSignalGate: strategy.localSignalGate }
+      );
+      if (decision) {
+        decision.decisionId = this.journal.open(decision, {
+          strategy: strategy.name,
+          mode: this.getMode(),
+          riskLevel: this.riskLevel,
+          settings: this.resolveSymbolSettings(symbol),
+        });
+      }
+      return decision;
+    } finally {
+      this.journal.discard(symbol);
+    }
+  }
+
+  strategyContext(symbol) {
+    return {
+      engine: this,
+      binance: this.binance,
+      logger,
+      now: this.clock(),
+      riskLevel: this.riskLevel,
+      settings: this.resolveSymbolSettings(symbol),
+      tick: this.latestTicks.get(symbol) ?? null,
+      getPosition: () => this.getDecisionPosition(symbol),
+      getMarketSnapshot: (options = {}) => getMarketSnapshot(this.binance, symbol, { interval: '1m', limit: 150, ...options }),
+    };
+  }
+
+  async evaluateLlmSymbol(symbol) {
+    let tradable = false;
+    try {
+      tradable = await this.binance.isSymbolTradable(symbol, config.binance.symbolDiscovery?.quoteAssets);
+    } catch (error) {
+      logger.error({ error, symbol }, 'Unable to validate Binance symbol before evaluation');
+      return null;
+    }
+
+    if (!tradable) {
+      this.blockSymbol(symbol);
+      return null;
+    }
+
+    const tick = this.latestTicks.get(symbol);
+    let snapshot;
     try {
       snapshot = await getMarketSnapshot(this.binance, symbol, {
         interval: '1m',
@@ -674,15 +1743,16 @@ export class TradingEngine extends TypedEventEmitter {
       const cached = this.decisionCache.get(symbol);
       if (cached) {
         const { usage: _usage, ...rest } = cached.decision;
-        const fallback = {
+        this.journal.trace(symbol, {
+          source: 'cache',
+          model: cached.model,
+          cache: { reused: true, reason: 'snapshot_unavailable', age_ms: this.clock() - cached.timestamp },
+          error: getErrorMessage(error),
+        });
+        return {
           ...rest,
           reasoning: `${rest.reasoning} · Snapshot unavailable, maintaining prior stance`,
         };
-        await this.recorder.recordStrategy(fallback, this.riskLevel, {
-          leverage: this.getUserLeverage(),
-          allocationPct: this.getAllocationPercent(),
-        });
-        return fallback;
       }
       throw error;
     }
@@ -696,13 +1766,8 @@ export class TradingEngine extends TypedEventEmitter {
       }
     }
 
-    const position = await this.getPosition(symbol);
-    const decision = await this.resolveDecision(symbol, snapshot, tick, contextSnapshot, position);
-    await this.recorder.recordStrategy(decision, this.riskLevel, {
-      leverage: this.getUserLeverage(),
-      allocationPct: this.getAllocationPercent(),
-    });
-    return decision;
+    const position = await this.getDecisionPosition(symbol);
+    return this.resolveDecision(symbol, snapshot, tick, contextSnapshot, position);
   }
 
   async resolveDecision(symbol, snapshot, tick, contextSnapshot, position) {
@@ -842,7 +1907,7 @@ export class TradingEngine extends TypedEventEmitter {
         logger.warn({ error, symbol }, 'Failed to parse prompt context for cache heuristics');
       }
     }
-    const now = Date.now();
+    const now = this.clock();
     const cached = this.decisionCache.get(symbol);
     const priceDrift = cached?.price
       ? Math.abs((priceReference - cached.price) / cached.price)
@@ -911,10 +1976,15 @@ export class TradingEngine extends TypedEventEmitter {
         if (!/Closing/i.test(reasoning)) {
           annotated.reasoning = `${reasoning} · Closing ${livePosition.side} exposure`.trim();
         }
-      } else if (annotated.bias === livePosition.side) {
+      } else if ((livePosition.legs ?? [livePosition]).some((leg) => leg.side === annotated.bias)) {
         annotated.action = 'hold';
         if (!/Maintaining/i.test(reasoning)) {
-          annotated.reasoning = `${reasoning} · Maintaining ${livePosition.side} position`.trim();
+          annotated.reasoning = `${reasoning} · Maintaining ${annotated.bias} position`.trim();
+        }
+      } else if (this.canHedge()) {
+        annotated.action = 'hedge';
+        if (!/Hedge/i.test(reasoning)) {
+          annotated.reasoning = `${reasoning} · Hedge ${livePosition.side} with ${annotated.bias}`.trim();
         }
       } else {
         annotated.action = 'flip';
@@ -950,6 +2020,25 @@ export class TradingEngine extends TypedEventEmitter {
       }
     }
 
+    const cacheMissReason = () => {
+      if (!cached) return 'no_cached_decision';
+      if (cached.source !== 'openai') return 'cached_fallback';
+      if (!contextStable) return 'context_shift';
+      if (localBiasChanged) return 'local_bias_changed';
+      return 'stale';
+    };
+    this.journal.trace(symbol, {
+      price: priceReference,
+      context_shift: hasContextSnapshots && Number.isFinite(contextShift) ? Number(contextShift.toFixed(3)) : null,
+      local_signal: { bias: localSignal.bias, confidence: localConfidence, edge: localEdge },
+      cache: {
+        reused: Boolean(reuseReason && cached),
+        reason: reuseReason ?? cacheMissReason(),
+        age_ms: Number.isFinite(ageMs) ? ageMs : undefined,
+        price_drift_pct: Number.isFinite(priceDrift) ? round(priceDrift * 100, 4) : undefined,
+      },
+    });
+
     if (reuseReason && cached) {
       const driftPct = priceDrift * 100;
       const contextShiftValue = Number.isFinite(contextShift) ? Number(contextShift.toFixed(3)) : null;
@@ -961,9 +2050,11 @@ export class TradingEngine extends TypedEventEmitter {
         localConfidence,
         localBias: localSignal.bias,
         entryPrice: priceReference,
+        atrPct: snapshot.metrics.atrPct,
+        barQuoteVolume: snapshot.metrics.avgBarQuoteVolume,
         confidence: clampConfidence(rest.confidence, localConfidence),
       });
-      this.decisionCache.set(symbol, {
+      this.cacheDecision(symbol, {
         ...cached,
         decision: reused,
         price: priceReference,
@@ -971,25 +2062,33 @@ export class TradingEngine extends TypedEventEmitter {
         contextSnapshot: promptSnapshot ?? cached.contextSnapshot ?? null,
       });
       logger.debug({ symbol, driftPct: round(driftPct, 3), contextShift: contextShiftValue }, 'Reusing cached OpenAI decision');
+      this.journal.trace(symbol, { source: 'cache', model: cached.model });
       return reused;
     }
 
-    const leveragePreset = this.getUserLeverage();
-    const estimatedNotional = this.estimateTargetNotional(
+    const symbolSettings = this.resolveSymbolSettings(symbol);
+    const leveragePreset = symbolSettings.leverage;
+    let estimatedNotional = this.estimateTargetNotional(
       leveragePreset,
       DEFAULT_CONFIDENCE_GUESS,
-      this.getCachedAvailableMargin()
+      this.getCachedAvailableMargin(),
+      symbolSettings.allocationPct
     );
+    if (symbolSettings.maxNotional !== null) {
+      estimatedNotional = Math.min(estimatedNotional, symbolSettings.maxNotional);
+    }
+    this.journal.trace(symbol, { prompt_context: contextForAi, estimated_notional: round(estimatedNotional, 2) });
     let llmDecision;
     try {
-      llmDecision = await requestStrategy(symbol, contextForAi, {
+      llmDecision = await this.decisionProvider(symbol, contextForAi, {
         riskLevel: this.riskLevel,
         leverage: leveragePreset,
-        allocationPercent: this.getAllocationPercent(),
+        allocationPercent: symbolSettings.allocationPct,
         estimatedNotional,
       });
     } catch (error) {
       logger.error({ error, symbol }, 'Failed to request OpenAI decision, applying fallback');
+      this.journal.trace(symbol, { source: 'fallback', error: getErrorMessage(error) });
 
       const fallbackBase = position
         ? {
@@ -1001,7 +2100,7 @@ export class TradingEngine extends TypedEventEmitter {
             reasoning: 'LLM decision unavailable — flattening via limit exit',
             entryPrice: Number.isFinite(position?.entryPrice) ? position.entryPrice : undefined,
             referencePrice: priceReference,
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(now).toISOString(),
             source: 'fallback',
           }
         : {
@@ -1011,18 +2110,19 @@ export class TradingEngine extends TypedEventEmitter {
             confidence: clampConfidence(localConfidence, 0.2),
             reasoning: 'LLM decision unavailable — standing aside',
             referencePrice: priceReference,
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(now).toISOString(),
             source: 'fallback',
           };
 
       const fallbackDecision = applyPositionContext({
         ...fallbackBase,
+        barQuoteVolume: snapshot.metrics.avgBarQuoteVolume,
         localEdge,
         localConfidence,
         localBias: localSignal.bias,
       });
 
-      this.decisionCache.set(symbol, {
+      this.cacheDecision(symbol, {
         decision: fallbackDecision,
         price: priceReference,
         timestamp: now,
@@ -1044,6 +2144,8 @@ export class TradingEngine extends TypedEventEmitter {
       localConfidence,
       localBias: localSignal.bias,
       entryPrice: priceReference,
+      atrPct: snapshot.metrics.atrPct,
+      barQuoteVolume: snapshot.metrics.avgBarQuoteVolume,
       promptContextSize:
         typeof contextForAi === 'string'
           ? contextForAi.length
@@ -1053,6 +2155,7 @@ export class TradingEngine extends TypedEventEmitter {
       enhanced.action = 'entry';
     }
 
+    const confidenceBeforeLocal = enhanced.confidence;
     if (strongLocalSignal) {
       const localSnippet = trimReasoning(localSignal.reasoning, 12);
       const edgePercent = Number.isFinite(localEdge) ? Math.round(localEdge * 100) : undefined;
@@ -1067,14 +2170,23 @@ export class TradingEngine extends TypedEventEmitter {
       enhanced.reasoning = `${enhanced.reasoning} · Local confirms: ${localAnnotationParts.join(' · ')}`;
       enhanced.confidence = clampConfidence(Math.max(enhanced.confidence, localConfidence));
     }
+    this.journal.trace(symbol, {
+      source: 'openai',
+      model: enhanced.model ?? llmDecision.model ?? null,
+      local_override: {
+        applied: strongLocalSignal,
+        confidence_before: confidenceBeforeLocal,
+        confidence_after: enhanced.confidence,
+      },
+    });
 
     if (tick) {
-      enhanced.marketTime = new Date(tick.eventTime).toISOString();
+      enhanced.marketTime = new Date(tick.exchangeTime ?? tick.eventTime).toISOString();
     }
 
     const positionedDecision = applyPositionContext(enhanced);
 
-    this.decisionCache.set(symbol, {
+    this.cacheDecision(symbol, {
       decision: positionedDecision,
       price: priceReference,
       timestamp: now,
@@ -1091,19 +2203,32 @@ export class TradingEngine extends TypedEventEmitter {
       return;
     }
 
-    const livePosition = await this.getPosition(decision.symbol);
+    if (this.hybrid) {
+      const { allowed, owner } = this.hybrid.claim('llm', decision.symbol);
+      if (!allowed) {
+        logger.info({ symbol: decision.symbol, owner }, 'Skipping llm decision on a symbol held by another engine');
+        this.journal.skip(decision.decisionId, `held_by_${owner}_engine`);
+        return;
+      }
+    }
+
+    const livePosition = await this.getDecisionPosition(decision.symbol);
 
     if (decision.action === 'exit' || decision.bias === 'flat') {
       await this.executeExit(decision);
       return;
     }
 
-    if (livePosition && decision.bias === livePosition.side) {
+    const liveLegs = livePosition?.legs ?? (livePosition ? [livePosition] : []);
+    if (liveLegs.some((leg) => leg.side === decision.bias)) {
       logger.info({ decision }, 'Maintaining existing position aligned with bias');
+      this.journal.skip(decision.decisionId, 'position_already_open');
       return;
     }
 
-    if (livePosition && decision.bias && decision.bias !== livePosition.side) {
+    if (livePosition && decision.bias && !this.dryRun && this.canHedge()) {
+      logger.info({ decision, livePosition }, 'Opening opposite leg to hedge existing position');
+    } else if (livePosition && decision.bias) {
       await this.executeExit({
         ...decision,
         action: 'exit',
@@ -1114,10 +2239,30 @@ export class TradingEngine extends TypedEventEmitter {
 
     if (!this.hasStrongConviction(decision)) {
       logger.info({ decision }, 'Skipping execution due to insufficient conviction');
+      this.journal.skip(decision.decisionId, 'insufficient_conviction');
       return;
     }
 
-    const leverage = this.getUserLeverage();
+    if (this.circuitBreaker.isTripped()) {
+      logger.warn({ decision, breaker: this.circuitBreaker.getState().trip }, 'Skipping entry while circuit breaker is tripped');
+      this.journal.skip(decision.decisionId, 'circuit_breaker_tripped');
+      return;
+    }
+
+    const symbolSettings = this.resolveSymbolSettings(decision.symbol);
+    if (symbolSettings.strategyMode === 'disabled') {
+      logger.info({ symbol: decision.symbol }, 'Skipping entry for symbol disabled by override');
+      this.journal.skip(decision.decisionId, 'symbol_disabled');
+      return;
+    }
+
+    if (this.blockedSymbols.has(decision.symbol)) {
+      logger.info({ symbol: decision.symbol }, 'Skipping entry for blocked symbol');
+      this.journal.skip(decision.decisionId, 'symbol_blocked');
+      return;
+    }
+
+    const { leverage } = this.resolveMarginProfile(decision.symbol);
     const side = decision.bias === 'long' ? 'BUY' : 'SELL';
     const confidence = Number(decision.confidence ?? 0);
 
@@ -1135,13 +2280,27 @@ export class TradingEngine extends TypedEventEmitter {
       leverage,
       confidence,
       referencePrice,
-      availableMargin
+      availableMargin,
+      toNumber(decision.atrPct)
     );
     let normalized = await this.binance.ensureTradableQuantity(decision.symbol, rawQuantity, referencePrice);
     let quantity = normalized?.quantity ?? 0;
+    // Journaled by reference, so later adjustments land in the entry as well.
+    const sizing = {
+      mode: this.sizingMode,
+      reference_price: referencePrice,
+      available_margin: availableMargin,
+      leverage,
+      allocation_pct: symbolSettings.allocationPct,
+      max_notional: symbolSettings.maxNotional,
+      raw_quantity: rawQuantity,
+      quantity,
+    };
+    this.journal.annotate(decision.decisionId, { sizing });
 
     if (!Number.isFinite(quantity) || quantity <= 0) {
       logger.warn({ decision, referencePrice, rawQuantity, normalized }, 'Normalized order size invalid, skipping execution');
+      this.journal.skip(decision.decisionId, 'invalid_order_size');
       return;
     }
 
@@ -1155,6 +2314,7 @@ export class TradingEngine extends TypedEventEmitter {
     );
     if (!marginCheck.allowed) {
       logger.warn({ decision, referencePrice, rawQuantity, normalized }, 'Skipping execution due to margin constraints');
+      this.journal.skip(decision.decisionId, 'margin_limit');
       return;
     }
 
@@ -1165,63 +2325,380 @@ export class TradingEngine extends TypedEventEmitter {
 
     if (!Number.isFinite(quantity) || quantity <= 0) {
       logger.warn({ decision, referencePrice, rawQuantity, normalized }, 'Margin-adjusted quantity invalid, skipping execution');
+      this.journal.skip(decision.decisionId, 'invalid_order_size');
+      return;
+    }
+
+    sizing.margin_adjusted = Boolean(marginCheck.normalized);
+    const riskCheck = await this.enforcePortfolioRisk(decision, side, referencePrice, normalized);
+    if (!riskCheck.allowed) {
+      this.journal.skip(decision.decisionId, `portfolio_risk:${riskCheck.reason}`);
       return;
     }
+    sizing.risk_adjusted = riskCheck.normalized !== normalized;
+    normalized = riskCheck.normalized;
+    quantity = normalized?.quantity ?? quantity;
+    sizing.quantity = quantity;
+    sizing.notional = quantity * referencePrice;
 
     if (Math.abs(quantity - rawQuantity) > Math.max(1e-8, rawQuantity * 0.05)) {
       logger.debug({ decision, rawQuantity, quantity }, 'Adjusted quantity after filters/margin checks');
     }
 
-    await this.binance.setLeverage(decision.symbol, leverage);
+    if (this.dryRun) {
+      this.executeDryRunEntry(decision, side, quantity, referencePrice, symbolSettings);
+      return;
+    }
+
+    await this.marginProfiles.ensure(
+      decision.symbol,
+      this.getUserLeverage(),
+      this.getSymbolOverride(decision.symbol)?.leverage
+    );
+
+    const slicePlan = planSlicedExecution({
+      notional: quantity * referencePrice,
+      barQuoteVolume: toNumber(decision.barQuoteVolume),
+      settings: this.executionSettings,
+    });
 
     let result;
+    let slicedReport = null;
+    let childOrders = null;
     try {
-      const attempt = await this.placeMarketOrderWithRetries(
-        decision,
-        side,
-        normalized,
-        referencePrice,
-        rawQuantity
-      );
+      let attempt;
+      if (slicePlan) {
+        attempt = await this.executeSlicedOrder(decision, {
+          side,
+          quantity,
+          arrivalPrice: referencePrice,
+          positionSide: this.entryPositionSide(side),
+          plan: slicePlan,
+        });
+      } else if (symbolSettings.entryStyle !== 'MARKET') {
+        attempt = await this.placeLimitEntry(decision, side, normalized, referencePrice, symbolSettings.entryStyle);
+      } else {
+        attempt = await this.placeMarketOrderWithRetries(
+          decision,
+          side,
+          normalized,
+          referencePrice,
+          rawQuantity
+        );
+      }
       if (!attempt) {
-        logger.warn({ decision, normalized }, 'Market order aborted after retry attempts');
+        logger.warn({ decision, normalized, entryStyle: symbolSettings.entryStyle }, 'Entry order aborted without fills');
+        this.journal.skip(decision.decisionId, 'entry_not_filled');
         return;
       }
       result = attempt.result;
+      slicedReport = attempt.report ?? null;
+      childOrders = attempt.children ?? null;
       normalized = attempt.normalized ?? normalized;
       quantity = normalized?.quantity ?? quantity;
     } catch (error) {
       this.invalidateBalanceCache();
       if (error instanceof Error && /margin is insufficient/i.test(error.message)) {
         logger.error({ decision, error }, 'Binance rejected order due to insufficient margin after guard');
+        this.journal.skip(decision.decisionId, 'exchange_rejected:insufficient_margin');
         return;
       }
       if (isPercentPriceError(error)) {
         logger.error({ decision, error }, 'Binance rejected order due to percent price filter after retries');
+        this.journal.skip(decision.decisionId, 'exchange_rejected:percent_price');
         return;
       }
       if (isMaxPositionError(error)) {
         logger.error({ decision, error }, 'Binance rejected order due to leverage bracket after retries');
+        this.journal.skip(decision.decisionId, 'exchange_rejected:max_position');
         return;
       }
       throw error;
     }
-    await this.recorder.recordExecution(
+    if (slicedReport) {
+      await this.recordSlicedChildren({ ...decision, referencePrice }, side, slicedReport);
+    } else if (childOrders) {
+      await this.recordChildOrders({ ...decision, referencePrice }, side, childOrders);
+    } else {
+      await this.recorder.recordExecution(
+        {
+          symbol: decision.symbol,
+          orderId: String(result.orderId),
+          status: result.status,
+          filledQty: result.executedQty,
+          avgPrice: result.avgPrice,
+        },
+        {
+          ...decision,
+          referencePrice,
+        }
+      );
+      this.trackOrder(result.orderId, { ...decision, referencePrice }, result.executedQty);
+      this.journal.addOrder(decision.decisionId, {
+        order_id: String(result.orderId),
+        side,
+        type: symbolSettings.entryStyle,
+        status: result.status,
+        filled_qty: result.executedQty,
+        avg_price: result.avgPrice,
+      });
+    }
+    this.attributeFill(decision.symbol, side, result.executedQty, result.avgPrice > 0 ? result.avgPrice : referencePrice);
+    this.invalidatePositionCache();
+    this.invalidateBalanceCache();
+    logger.info({ decision, result }, 'Executed market order');
+
+    if (symbolSettings.strategyMode !== 'scalp') {
+      const entryPrice = result.avgPrice > 0 ? result.avgPrice : referencePrice;
+      await this.placeProtectiveOrders(decision, side, entryPrice);
+    }
+  }
+
+  // Dry-run entries fill in full at the reference price; the stop and target
+  // the exchange would have held are checked by triggerDryRunProtection.
+  executeDryRunEntry(decision, side, quantity, referencePrice, symbolSettings) {
+    const result = this.dryRunBook.fill({
+      symbol: decision.symbol,
+      side,
+      quantity,
+      price: referencePrice,
+      reason: 'entry',
+      decision,
+    });
+    this.attributeFill(decision.symbol, side, result.executedQty, result.avgPrice);
+    this.journalDryRunOrder(decision, result);
+    if (this.protectiveOrdersEnabled && symbolSettings.strategyMode !== 'scalp') {
+      this.dryRunBook.setProtection(
+        decision.symbol,
+        this.computeProtectiveLevels(side, result.avgPrice, toNumber(decision.atrPct))
+      );
+    }
+    logger.info({ decision, order: result.order }, 'Recorded dry-run entry');
+  }
+
+  executeDryRunExit(decision) {
+    const position = this.dryRunBook.getPosition(decision.symbol);
+    if (!position) {
+      logger.info({ decision }, 'Skipping dry-run exit because no virtual position was found');
+      this.journal.skip(decision.decisionId, 'no_position');
+      return;
+    }
+    const tick = this.latestTicks.get(decision.symbol);
+    const price = [decision.exitPrice, decision.referencePrice, tick?.price, position.entryPrice]
+      .map((value) => toNumber(value))
+      .find((value) => Number.isFinite(value) && value > 0);
+    const side = position.side === 'long' ? 'SELL' : 'BUY';
+    const result = this.dryRunBook.fill({
+      symbol: decision.symbol,
+      side,
+      quantity: position.quantity,
+      price,
+      reason: 'exit',
+      decision,
+    });
+    this.attributeFill(decision.symbol, side, result.executedQty, result.avgPrice);
+    this.journalDryRunOrder(decision, result);
+    logger.info({ decision, order: result.order }, 'Recorded dry-run exit');
+  }
+
+  journalDryRunOrder(decision, { order }) {
+    this.journal.addOrder(decision.decisionId, {
+      order_id: order.id,
+      side: order.side,
+      type: 'DRY_RUN',
+      status: 'FILLED',
+      filled_qty: order.quantity,
+      avg_price: order.price,
+      reduce_only: order.reason !== 'entry',
+    });
+  }
+
+  triggerDryRunProtection() {
+    for (const trigger of this.dryRunBook.checkProtection(this.latestPrices())) {
+      const result = this.dryRunBook.fill(trigger);
+      this.attributeFill(trigger.symbol, trigger.side, result.executedQty, result.avgPrice, null);
+      logger.info({ order: result.order }, 'Dry-run protective level reached, closed virtual position');
+    }
+  }
+
+  // LIMIT / POST_ONLY entries: rest at the touch and chase it until the
+  // deadline, then take whatever is left at market if the signal still holds.
+  // Every child order (limit rounds and the market fallback) is returned so
+  // the caller books each one under its real exchange id.
+  async placeLimitEntry(decision, side, normalized, referencePrice, style = this.entryStyle) {
+    const quantity = normalized.quantity;
+    const outcome = await executeLimitEntry(
+      this.binance,
       {
         symbol: decision.symbol,
-        orderId: String(result.orderId),
-        status: result.status,
-        filledQty: result.executedQty,
-        avgPrice: result.avgPrice,
+        side,
+        quantity,
+        referencePrice,
+        positionSide: this.entryPositionSide(side),
+        style,
       },
       {
-        ...decision,
-        referencePrice,
+        settings: this.entryOrderSettings,
+        quote: (symbol) => this.latestTicks.get(symbol),
+        now: () => this.clock(),
       }
     );
-    this.invalidatePositionCache();
-    this.invalidateBalanceCache();
-    logger.info({ decision, result }, 'Executed market order');
+
+    let filledQty = outcome.filledQty;
+    let notional = filledQty * (outcome.avgPrice ?? 0);
+    const children = outcome.children.filter((child) => child.orderId).map((child) => ({ ...child, type: style }));
+    let marketFallback = false;
+
+    const remaining = quantity - filledQty;
+    if (remaining > POSITION_EPSILON && this.entryOrderSettings.marketFallback) {
+      const rest = await this.binance.ensureTradableQuantity(decision.symbol, remaining, referencePrice);
+      if (rest?.quantity > 0 && rest.quantity <= remaining + POSITION_EPSILON) {
+        if (this.isEntrySignalValid(decision, side, referencePrice)) {
+          const attempt = await this.placeMarketOrderWithRetries(decision, side, rest, referencePrice, remaining);
+          const executed = Number(attempt?.result.executedQty) || 0;
+          if (executed > 0) {
+            const price = Number(attempt.result.avgPrice) > 0 ? Number(attempt.result.avgPrice) : referencePrice;
+            filledQty += executed;
+            notional += executed * price;
+            children.push({
+              orderId: String(attempt.result.orderId),
+              type: 'MARKET',
+              status: attempt.result.status,
+              filledQty: executed,
+              avgPrice: price,
+            });
+            marketFallback = true;
+          }
+        } else {
+          logger.info({ symbol: decision.symbol, remaining }, 'Dropping unfilled limit entry remainder, signal no longer valid');
+        }
+      }
+    }
+
+    logger.info(
+      {
+        symbol: decision.symbol,
+        style,
+        orders: outcome.children.length,
+        limitFilled: outcome.filledQty,
+        filledQty,
+        requestedQty: quantity,
+        marketFallback,
+      },
+      'Completed limit entry'
+    );
+    if (!(filledQty > 0)) {
+      return null;
+    }
+    return {
+      result: {
+        orderId: children.filter((child) => child.filledQty > 0).at(-1).orderId,
+        status: filledQty + POSITION_EPSILON < quantity ? 'PARTIALLY_FILLED' : 'FILLED',
+        executedQty: filledQty,
+        avgPrice: notional / filledQty,
+      },
+      normalized: { quantity: filledQty },
+      children,
+    };
+  }
+
+  // A limit entry only falls back to market while nothing has invalidated it:
+  // the breaker is armed, the latest decision keeps the same bias and the far
+  // touch has not run more than `fallbackMaxDriftBps` from the reference.
+  isEntrySignalValid(decision, side, referencePrice) {
+    if (this.circuitBreaker.isTripped()) {
+      return false;
+    }
+    const latest = this.decisionCache.get(decision.symbol)?.decision;
+    if (latest && latest.bias !== decision.bias) {
+      return false;
+    }
+    const tick = this.latestTicks.get(decision.symbol);
+    const touch = Number(side === 'BUY' ? tick?.ask : tick?.bid) || Number(tick?.price);
+    const maxDrift = Number(this.entryOrderSettings.fallbackMaxDriftBps);
+    return !(maxDrift > 0) || adverseMoveBps(side, referencePrice, touch) <= maxDrift;
+  }
+
+  // Runs an order through the TWAP/iceberg slicer and reports it like a single
+  // fill (average price, total quantity). Returns null when nothing filled.
+  async executeSlicedOrder(decision, { side, quantity, arrivalPrice, positionSide, reduceOnly = false, plan }) {
+    const report = await this.slicedExecution.run({
+      symbol: decision.symbol,
+      side,
+      quantity,
+      arrivalPrice,
+      positionSide,
+      reduceOnly,
+      algo: plan.algo,
+      slices: plan.slices,
+    });
+    await this.recorder.recordExecutionAlgo({
+      ...report,
+      thresholdNotional: plan.threshold,
+      decisionAction: decision.action,
+    });
+    logger.info(
+      {
+        symbol: decision.symbol,
+        algo: report.algo,
+        status: report.status,
+        haltReason: report.haltReason,
+        children: report.children.length,
+        filledQty: report.filledQty,
+        requestedQty: report.requestedQty,
+        slippageBps: report.slippageBps,
+      },
+      'Completed sliced execution'
+    );
+    if (!(report.filledQty > 0)) {
+      return null;
+    }
+    return {
+      result: {
+        orderId: report.id,
+        status: report.remainingQty > 0 ? 'PARTIALLY_FILLED' : 'FILLED',
+        executedQty: report.filledQty,
+        avgPrice: report.avgPrice,
+      },
+      normalized: { quantity: report.filledQty },
+      report,
+    };
+  }
+
+  // The report id is the engine's own label; fills are booked, tracked and
+  // journaled per child order so late user-stream updates match real ids.
+  async recordSlicedChildren(decision, side, report) {
+    await this.recordChildOrders(decision, side, report.children, {
+      algo: report.algo,
+      algo_id: report.id,
+      reduce_only: report.reduceOnly,
+    });
+  }
+
+  async recordChildOrders(decision, side, children, journalFields = {}) {
+    for (const child of children) {
+      await this.recorder.recordExecution(
+        {
+          symbol: decision.symbol,
+          orderId: child.orderId,
+          status: child.status,
+          filledQty: child.filledQty,
+          avgPrice: child.avgPrice,
+        },
+        decision
+      );
+      this.trackOrder(child.orderId, decision, child.filledQty);
+      this.journal.addOrder(decision.decisionId, {
+        order_id: child.orderId,
+        side,
+        type: child.type,
+        ...journalFields,
+        status: child.status,
+        filled_qty: child.filledQty,
+        avg_price: child.avgPrice,
+        price: child.price,
+      });
+    }
   }
 
   async placeMarketOrderWithRetries(decision, side, initialNormalized, referencePrice, rawQuantity) {
@@ -1240,6 +2717,7 @@ export class TradingEngine extends TypedEventEmitter {
       try {
         const result = await this.binance.placeMarketOrder(decision.symbol, side, quantityParam, {
           responseType: 'RESULT',
+          positionSide: this.entryPositionSide(side),
         });
         if (attempt > 0) {
           logger.debug(
@@ -1313,13 +2791,25 @@ export class TradingEngine extends TypedEventEmitter {
       logger.warn({ decision }, 'Cannot execute exit without symbol');
       return;
     }
+    if (this.dryRun) {
+      this.executeDryRunExit(decision);
+      return;
+    }
 
     const position = await this.getPosition(decision.symbol, { forceRefresh: true });
     if (!position) {
+      await this.cancelProtectiveOrders(decision.symbol, 'no active position');
       logger.info({ decision }, 'Skipping exit because no active position was found');
+      this.journal.skip(decision.decisionId, 'no_position');
       return;
     }
 
+    for (const leg of position.legs ?? [position]) {
+      await this.exitPositionLeg(decision, leg);
+    }
+  }
+
+  async exitPositionLeg(decision, position) {
     if (decision.closeBias && decision.closeBias !== position.side) {
       logger.debug({ decision, position }, 'Exit bias differs from live position side');
     }
@@ -1328,6 +2818,7 @@ export class TradingEngine extends TypedEventEmitter {
     const quantity = Math.abs(position.quantity);
     if (!Number.isFinite(quantity) || quantity <= POSITION_EPSILON) {
       logger.info({ decision, position }, 'Skipping exit due to negligible position size');
+      this.journal.skip(decision.decisionId, 'negligible_position');
       return;
     }
 
@@ -1357,10 +2848,11 @@ export class TradingEngine extends TypedEventEmitter {
     let exitQuantity = normalized?.quantity ?? quantity;
     if (!Number.isFinite(exitQuantity) || exitQuantity <= 0) {
       logger.warn({ decision, position, normalized }, 'Unable to normalize exit quantity, skipping close');
+      this.journal.skip(decision.decisionId, 'invalid_order_size');
       return;
     }
 
-    const quantityParam = normalized?.quantityText ?? Number(exitQuantity.toFixed(6));
+    let quantityParam = normalized?.quantityText ?? Number(exitQuantity.toFixed(6));
     const exitPrice = Number.isFinite(explicitExitPrice)
       ? explicitExitPrice
       : Number.isFinite(referencePrice)
@@ -1373,14 +2865,14 @@ export class TradingEngine extends TypedEventEmitter {
 
     if (!Number.isFinite(exitPrice) || exitPrice <= 0) {
       logger.warn({ decision, referencePrice, position }, 'Skipping exit due to missing price reference');
+      this.journal.skip(decision.decisionId, 'missing_exit_price');
       return;
     }
 
-    const result = await this.binance.placeLimitOrder(decision.symbol, orderSide, quantityParam, exitPrice, {
-      responseType: 'RESULT',
-      reduceOnly: true,
-      timeInForce: 'GTC',
-    });
+    // Protective orders stay in place until the exit has actually filled (or
+    // the market fallback is sent), so a resting limit never leaves the leg
+    // unprotected.
+    await this.cancelPendingExit(decision.symbol, 'superseded by new exit', position.positionSide);
     const exitEntryPrice = Number.isFinite(decision.entryPrice)
       ? decision.entryPrice
       : Number.isFinite(position.entryPrice)
@@ -1397,6 +2889,49 @@ export class TradingEngine extends TypedEventEmitter {
       ? position.entryPrice
       : undefined;
 
+    const slicePlan = planSlicedExecution({
+      notional: exitQuantity * exitPrice,
+      barQuoteVolume: toNumber(decision.barQuoteVolume),
+      settings: this.executionSettings,
+    });
+    if (slicePlan) {
+      // Work the bulk of a large exit through the slicer; anything it leaves
+      // behind (slippage halt, dust) takes the regular limit-exit lifecycle.
+      const sliced = await this.executeSlicedOrder(recorderDecision, {
+        side: orderSide,
+        quantity: exitQuantity,
+        arrivalPrice: Number.isFinite(tick?.price) ? tick.price : exitPrice,
+        positionSide: position.positionSide,
+        reduceOnly: true,
+        plan: slicePlan,
+      });
+      if (sliced) {
+        await this.recordSlicedChildren({ ...recorderDecision, referencePrice: exitReferencePrice }, orderSide, sliced.report);
+        this.attributeFill(decision.symbol, orderSide, sliced.result.executedQty, sliced.result.avgPrice);
+      }
+      this.invalidatePositionCache();
+      this.invalidateBalanceCache();
+      const remaining = exitQuantity - (sliced?.normalized.quantity ?? 0);
+      const leftover = remaining > POSITION_EPSILON
+        ? await this.binance.ensureTradableQuantity(decision.symbol, remaining, referencePrice)
+        : null;
+      if (!leftover?.quantity || leftover.quantity > remaining + POSITION_EPSILON) {
+        await this.cancelProtectiveOrders(decision.symbol, 'strategy exit', position.positionSide);
+        logger.info({ decision, report: sliced?.report.id }, 'Closed position via sliced strategy exit');
+        return;
+      }
+      exitQuantity = leftover.quantity;
+      quantityParam = leftover.quantityText ?? Number(exitQuantity.toFixed(6));
+    }
+
+    const limitPrice = (await this.binance.normalizePrice(decision.symbol, exitPrice)) ?? exitPrice;
+    const result = await this.binance.placeLimitOrder(decision.symbol, orderSide, quantityParam, limitPrice, {
+      responseType: 'RESULT',
+      reduceOnly: true,
+      positionSide: position.positionSide,
+      timeInForce: 'GTC',
+    });
+
     await this.recorder.recordExecution(
       {
         symbol: decision.symbol,
@@ -1410,17 +2945,404 @@ export class TradingEngine extends TypedEventEmitter {
         referencePrice: exitReferencePrice,
       }
     );
+    this.trackOrder(
+      result.orderId,
+      { ...recorderDecision, referencePrice: exitReferencePrice },
+      result.executedQty
+    );
+    this.attributeFill(decision.symbol, orderSide, result.executedQty, result.avgPrice);
+    this.journal.addOrder(decision.decisionId, {
+      order_id: String(result.orderId),
+      side: orderSide,
+      type: 'LIMIT',
+      status: result.status,
+      filled_qty: result.executedQty,
+      avg_price: result.avgPrice,
+      price: limitPrice,
+      reduce_only: true,
+    });
+    if (result.status === 'FILLED') {
+      await this.cancelProtectiveOrders(decision.symbol, 'strategy exit', position.positionSide);
+    } else if (!TERMINAL_ORDER_STATUSES.has(result.status)) {
+      this.pendingExits.set(positionKey(decision.symbol, position.positionSide), {
+        symbol: decision.symbol,
+        positionSide: position.positionSide,
+        orderId: String(result.orderId),
+        side: orderSide,
+        quantity: quantityParam,
+        price: limitPrice,
+        reprices: 0,
+        updatedAt: this.clock(),
+        decision: { ...recorderDecision, referencePrice: exitReferencePrice },
+      });
+    }
+    this.invalidatePositionCache();
+    this.invalidateBalanceCache();
+    logger.info({ decision, result, exitPrice: limitPrice }, 'Closed position via strategy exit');
+  }
+
+  computeProtectiveLevels(entrySide, entryPrice, atrPct) {
+    if (!Number.isFinite(entryPrice) || entryPrice <= 0) {
+      return null;
+    }
+    const multiples = PROTECTIVE_ATR_MULTIPLES[this.riskLevel] ?? PROTECTIVE_ATR_MULTIPLES[3];
+    const atrDistance = Number.isFinite(atrPct) && atrPct > 0 ? (entryPrice * atrPct) / 100 : 0;
+    const minDistance = (entryPrice * MIN_PROTECTIVE_DISTANCE_PCT) / 100;
+    const stopDistance = Math.max(atrDistance * multiples.stop, minDistance);
+    const takeProfitDistance = Math.max(atrDistance * multiples.takeProfit, minDistance);
+    const direction = entrySide === 'BUY' ? 1 : -1;
+    return {
+      stopPrice: entryPrice - direction * stopDistance,
+      takeProfitPrice: entryPrice + direction * takeProfitDistance,
+    };
+  }
+
+  async placeProtectiveOrders(decision, entrySide, entryPrice) {
+    if (!this.protectiveOrdersEnabled) {
+      return;
+    }
+    const symbol = decision.symbol;
+    const positionSide = this.entryPositionSide(entrySide);
+    await this.cancelProtectiveOrders(symbol, 'replaced by new entry', positionSide);
+
+    let atrPct = toNumber(decision.atrPct);
+    if (!Number.isFinite(atrPct)) {
+      try {
+        const snapshot = await getMarketSnapshot(this.binance, symbol, { interval: '1m', limit: 150 });
+        atrPct = snapshot.metrics.atrPct;
+      } catch (error) {
+        logger.warn({ error, symbol }, 'Unable to load ATR for protective orders, using minimum distance');
+      }
+    }
+
+    const levels = this.computeProtectiveLevels(entrySide, entryPrice, atrPct);
+    if (!levels) {
+      logger.warn({ symbol, entryPrice }, 'Skipping protective orders without an entry price');
+      return;
+    }
+
+    const exitSide = entrySide === 'BUY' ? 'SELL' : 'BUY';
+    const protection = { symbol, positionSide, side: exitSide, stopLoss: null, takeProfit: null };
+    // Legs are tracked like exit orders so a stop-out or take-profit fill
+    // pushed by the user stream is booked as an exit (realized PnL, stats).
+    const exitDecision = {
+      ...decision,
+      action: 'exit',
+      bias: exitSide === 'BUY' ? 'long' : 'short',
+      entryPrice,
+      referencePrice: entryPrice,
+    };
+    const legs = [
+      ['stopLoss', 'STOP_MARKET', levels.stopPrice],
+      ['takeProfit', 'TAKE_PROFIT_MARKET', levels.takeProfitPrice],
+    ];
+    for (const [leg, type, rawPrice] of legs) {
+      const stopPrice = (await this.binance.normalizePrice(symbol, rawPrice)) ?? rawPrice;
+      try {
+        const order = await this.binance.placeConditionalOrder(symbol, exitSide, type, stopPrice, {
+          closePosition: true,
+          positionSide,
+          workingType: this.protectiveWorkingType,
+        });
+        protection[leg] = { orderId: order.orderId, type, stopPrice };
+        this.trackOrder(order.orderId, { ...exitDecision, reasoning: `${type} protective exit` }, 0);
+      } catch (error) {
+        logger.error({ error, symbol, type, stopPrice }, 'Failed to place protective order');
+      }
+    }
+
+    if (protection.stopLoss || protection.takeProfit) {
+      this.protectiveOrders.set(positionKey(symbol, positionSide), protection);
+      logger.info(
+        {
+          symbol,
+          entryPrice,
+          atrPct,
+          stopPrice: protection.stopLoss?.stopPrice,
+          takeProfitPrice: protection.takeProfit?.stopPrice,
+        },
+        'Placed protective orders'
+      );
+    }
+  }
+
+  // Without a positionSide every protected leg of the symbol is cancelled.
+  async cancelProtectiveOrders(symbol, reason, positionSide) {
+    const keys = positionSide
+      ? [positionKey(symbol, positionSide)]
+      : [symbol, positionKey(symbol, 'LONG'), positionKey(symbol, 'SHORT')];
+    for (const key of keys) {
+      const protection = this.protectiveOrders.get(key);
+      if (!protection) continue;
+      this.protectiveOrders.delete(key);
+      for (const leg of [protection.stopLoss, protection.takeProfit]) {
+        if (!leg) continue;
+        this.trackedOrders.delete(String(leg.orderId));
+        try {
+          await this.binance.cancelOrder(symbol, { orderId: leg.orderId });
+        } catch (error) {
+          logger.warn({ error, symbol, orderId: leg.orderId, reason }, 'Unable to cancel protective order');
+        }
+      }
+      logger.info({ symbol, positionSide: protection.positionSide, reason }, 'Cancelled protective orders');
+    }
+  }
+
+  async handleProtectiveOrderUpdate(update) {
+    const key = positionKey(update.symbol, update.positionSide);
+    const protection = this.protectiveOrders.get(key);
+    if (!protection || !TERMINAL_ORDER_STATUSES.has(update.status)) return;
+    const leg = ['stopLoss', 'takeProfit'].find((key) => protection[key]?.orderId === update.orderId);
+    if (!leg) return;
+
+    protection[leg] = null;
+    if (update.status === 'FILLED') {
+      logger.info({ symbol: update.symbol, orderId: update.orderId, leg }, 'Protective order triggered');
+      await this.cancelProtectiveOrders(update.symbol, `${leg} filled`, update.positionSide ?? 'BOTH');
+      this.invalidatePositionCache();
+    } else if (!protection.stopLoss && !protection.takeProfit) {
+      this.protectiveOrders.delete(key);
+    }
+  }
+
+  startReconcileTimer() {
+    this.stopReconcileTimer();
+    if (this.reconcileIntervalMs <= 0) return;
+    this.reconcileTimer = setInterval(() => {
+      void this.reconcileAccount('scheduled');
+    }, this.reconcileIntervalMs);
+  }
+
+  stopReconcileTimer() {
+    if (this.reconcileTimer) {
+      clearInterval(this.reconcileTimer);
+      this.reconcileTimer = undefined;
+    }
+  }
+
+  reconcileAccount(reason = 'manual') {
+    this.reconcileInFlight ??= this.runReconciliation(reason).finally(() => {
+      this.reconcileInFlight = null;
+    });
+    return this.reconcileInFlight;
+  }
+
+  // Compares the account's open positions and orders with what the engine
+  // trades: symbols with exposure are pinned into the active universe until
+  // they are flat, and positions the analytics history never saw are flagged.
+  async runReconciliation(reason) {
+    let positions;
+    let openOrders;
+    try {
+      [positions, openOrders] = await Promise.all([
+        this.binance.fetchPositions(),
+        this.binance.fetchOpenOrders(),
+      ]);
+    } catch (error) {
+      logger.error({ error, reason }, 'Failed to reconcile account positions and orders');
+      return this.lastReconciliation;
+    }
+
+    const now = this.clock();
+    const map = new Map();
+    const positionSymbols = new Set();
+    for (const position of positions ?? []) {
+      map.set(positionKey(position.symbol, position.positionSide), position);
+      if (Math.abs(Number(position.positionAmt) || 0) >= POSITION_EPSILON) {
+        positionSymbols.add(position.symbol);
+      }
+    }
+    this.positionCache = { timestamp: now, map };
+
+    const orderSymbols = new Set((openOrders ?? []).map((order) => order.symbol).filter(Boolean));
+    const exposed = new Set([...positionSymbols, ...orderSymbols]);
+    const adopted = [...exposed].filter((symbol) => !this.protectedSymbols.has(symbol));
+    const released = [...this.protectedSymbols].filter((symbol) => !exposed.has(symbol));
+    this.protectedSymbols = exposed;
+
+    const untracked = [...positionSymbols].filter((symbol) => !analyticsStore.symbolStats.has(symbol));
+    if (untracked.length > 0) {
+      logger.warn({ symbols: untracked, reason }, 'Found open positions without analytics history');
+    }
+    const blocked = [...exposed].filter((symbol) => this.blockedSymbols.has(symbol));
+    if (blocked.length > 0) {
+      logger.warn({ symbols: blocked, reason }, 'Blocked symbols still have exposure, keeping them active for exits only');
+    }
+
+    if (adopted.length > 0 || released.length > 0) {
+      this._updateActiveSymbols(this.activeSymbols);
+      logger.info({ adopted, released, reason }, 'Reconciled protected symbols with account exposure');
+    }
+
+    this.lastReconciliation = {
+      reason,
+      reconciledAt: new Date(now).toISOString(),
+      positions: positionSymbols.size,
+      openOrders: openOrders?.length ?? 0,
+      protectedSymbols: [...this.protectedSymbols],
+      adopted,
+      released,
+      untracked,
+    };
+    return this.lastReconciliation;
+  }
+
+  getProtectedSymbols() {
+    return [...this.protectedSymbols];
+  }
+
+  getLastReconciliation() {
+    return this.lastReconciliation;
+  }
+
+  startExitMonitor() {
+    this.stopExitMonitor();
+    const interval = Math.max(1_000, Math.min(Math.floor(this.exitOrderTimeoutMs / 2), 15_000));
+    this.exitMonitorTimer = setInterval(() => {
+      void this.managePendingExits();
+    }, interval);
+  }
+
+  stopExitMonitor() {
+    if (this.exitMonitorTimer) {
+      clearInterval(this.exitMonitorTimer);
+      this.exitMonitorTimer = undefined;
+    }
+  }
+
+  async cancelPendingExit(symbol, reason, positionSide) {
+    const key = positionKey(symbol, positionSide);
+    const pending = this.pendingExits.get(key);
+    if (!pending) return;
+    this.pendingExits.delete(key);
+    try {
+      await this.binance.cancelOrder(symbol, { orderId: pending.orderId });
+      logger.info({ symbol, orderId: pending.orderId, reason }, 'Cancelled pending exit order');
+    } catch (error) {
+      logger.warn({ error, symbol, orderId: pending.orderId, reason }, 'Unable to cancel pending exit order');
+    }
+  }
+
+  async managePendingExits() {
+    if (this.exitMonitorInFlight || this.pendingExits.size === 0) return;
+    this.exitMonitorInFlight = true;
+    try {
+      const now = this.clock();
+      for (const pending of Array.from(this.pendingExits.values())) {
+        if (now - pending.updatedAt < this.exitOrderTimeoutMs) continue;
+        try {
+          await this.reviewPendingExit(pending.symbol, pending);
+        } catch (error) {
+          logger.error({ error, symbol: pending.symbol, orderId: pending.orderId }, 'Failed to manage pending exit order');
+        }
+      }
+    } finally {
+      this.exitMonitorInFlight = false;
+    }
+  }
+
+  async reviewPendingExit(symbol, pending) {
+    const key = positionKey(symbol, pending.positionSide);
+    const order = await this.binance.fetchOrder(symbol, { orderId: pending.orderId });
+    await this.recordTrackedFill({
+      orderId: order.orderId,
+      symbol,
+      side: order.side ?? pending.side,
+      positionSide: pending.positionSide,
+      status: order.status,
+      cumulativeQty: order.executedQty,
+      fillPrice: order.avgPrice,
+    });
+    if (TERMINAL_ORDER_STATUSES.has(order.status)) {
+      this.pendingExits.delete(key);
+      return;
+    }
+
+    if (pending.reprices < this.exitOrderMaxReprices) {
+      const tick = this.latestTicks.get(symbol);
+      const marketSide = pending.side === 'SELL' ? tick?.bid : tick?.ask;
+      const price = await this.binance.normalizePrice(symbol, marketSide ?? tick?.price);
+      if (Number.isFinite(price) && price > 0) {
+        try {
+          await this.binance.modifyOrder(
+            symbol,
+            { orderId: pending.orderId },
+            { side: pending.side, quantity: pending.quantity, price }
+          );
+          logger.info(
+            { symbol, orderId: pending.orderId, previousPrice: pending.price, price, reprices: pending.reprices + 1 },
+            'Repriced stale exit order'
+          );
+          pending.reprices += 1;
+          pending.price = price;
+          pending.updatedAt = this.clock();
+          return;
+        } catch (error) {
+          logger.warn({ error, symbol, orderId: pending.orderId }, 'Unable to reprice exit order, falling back to market close');
+        }
+      }
+    }
+
+    try {
+      await this.binance.cancelOrder(symbol, { orderId: pending.orderId });
+    } catch (error) {
+      const latest = await this.binance.fetchOrder(symbol, { orderId: pending.orderId });
+      if (!TERMINAL_ORDER_STATUSES.has(latest.status)) {
+        throw error;
+      }
+    }
+    this.pendingExits.delete(key);
+
+    const position = await this.getPosition(symbol, { forceRefresh: true, side: legSide(pending.positionSide) });
+    if (!position) {
+      await this.cancelProtectiveOrders(symbol, 'position already closed', pending.positionSide);
+      return;
+    }
+    const tick = this.latestTicks.get(symbol);
+    const normalized = await this.binance.ensureTradableQuantity(symbol, position.quantity, tick?.price);
+    if (!Number.isFinite(normalized?.quantity) || normalized.quantity <= 0) {
+      logger.warn({ symbol, position, normalized }, 'Unable to normalize market close quantity for stale exit');
+      return;
+    }
+    const result = await this.binance.placeMarketOrder(
+      symbol,
+      pending.side,
+      normalized.quantityText ?? normalized.quantity,
+      { reduceOnly: true, positionSide: pending.positionSide, responseType: 'RESULT' }
+    );
+    await this.recorder.recordExecution(
+      {
+        symbol,
+        orderId: String(result.orderId),
+        status: result.status,
+        filledQty: result.executedQty,
+        avgPrice: result.avgPrice,
+      },
+      pending.decision
+    );
+    this.trackOrder(result.orderId, pending.decision, result.executedQty);
+    this.attributeFill(symbol, pending.side, result.executedQty, result.avgPrice);
+    await this.cancelProtectiveOrders(symbol, 'market exit fallback', pending.positionSide);
     this.invalidatePositionCache();
     this.invalidateBalanceCache();
-    logger.info({ decision, result, exitPrice }, 'Closed position via strategy exit');
+    logger.info({ symbol, result }, 'Closed position at market after exit order timed out');
   }
 
-  calculateOrderSize(symbol, leverage, confidence, referencePrice, availableOverride) {
-    const targetNotional = this.estimateTargetNotional(
+  calculateOrderSize(symbol, leverage, confidence, referencePrice, availableOverride, atrPct) {
+    const { allocationPct, maxNotional } = this.resolveSymbolSettings(symbol);
+    const riskTarget = this.sizingMode === 'volatility'
+      ? this.estimateRiskTargetNotional(atrPct, availableOverride)
+      : undefined;
+    let targetNotional = riskTarget ?? this.estimateTargetNotional(
       leverage,
       confidence,
-      availableOverride
+      availableOverride,
+      allocationPct
     );
+    if (maxNotional !== null && targetNotional > maxNotional) {
+      logger.debug({ symbol, targetNotional, maxNotional }, 'Capped order size at symbol max notional');
+      targetNotional = maxNotional;
+    }
     if (!Number.isFinite(referencePrice) || referencePrice <= 0) {
       const fallbackQty = Number((targetNotional / 1000).toFixed(6));
       logger.debug({ symbol, fallbackQty }, 'Calculated fallback order size without reference price');
@@ -1508,18 +3430,72 @@ export class TradingEngine extends TypedEventEmitter {
     return { allowed: true, normalized: adjusted };
   }
 
+  // Every entry passes the portfolio limits: LLM entries after the per-order
+  // margin check, scalp entries in the exchange adapter. Orders are clipped to
+  // the remaining headroom unless `clip` is false; rejections are recorded in
+  // the analytics store with the binding limit.
+  async enforcePortfolioRisk(decision, side, referencePrice, normalized, { clip = true } = {}) {
+    const symbol = decision.symbol;
+    const quantity = normalized?.quantity ?? 0;
+    if (!Number.isFinite(referencePrice) || referencePrice <= 0) {
+      return { allowed: true, normalized };
+    }
+
+    if (!Number.isFinite(this.balanceCache.balance)) {
+      await this.getAvailableMargin({ forceRefresh: true });
+    }
+    const positions = this.dryRun ? this.dryRunBook.getRawPositions() : Array.from(this.positionCache.map.values());
+    const equity = this.getCachedEquity();
+    const prices = new Map(Array.from(this.latestTicks.entries()).map(([tickSymbol, tick]) => [tickSymbol, tick?.price]));
+    const requestedNotional = quantity * referencePrice;
+    const verdict = this.portfolioRisk.evaluate({ symbol, side, notional: requestedNotional, equity, positions, prices });
+
+    const reject = async (reason) => {
+      logger.warn({ symbol, side, requestedNotional, reason, limit: verdict.limit, exposure: verdict.exposure }, 'Portfolio risk rejected entry');
+      await this.recorder.recordRiskRejection({
+        symbol,
+        side,
+        reason,
+        requestedNotional,
+        limit: verdict.limit,
+        exposure: verdict.exposure,
+      });
+      return { allowed: false, normalized, reason };
+    };
+
+    if (!verdict.allowed) {
+      return reject(verdict.reason);
+    }
+    if (verdict.notional >= requestedNotional) {
+      return { allowed: true, normalized };
+    }
+    if (!clip) {
+      return reject(verdict.reason);
+    }
+
+    const adjusted = await this.binance.ensureTradableQuantity(symbol, verdict.notional / referencePrice, referencePrice);
+    if (!Number.isFinite(adjusted?.quantity) || adjusted.quantity <= 0) {
+      return reject(verdict.reason);
+    }
+    logger.info(
+      { symbol, requestedNotional, allowedNotional: verdict.notional, reason: verdict.reason, limit: verdict.limit },
+      'Reduced order size to respect portfolio limits'
+    );
+    return { allowed: true, normalized: adjusted };
+  }
+
   getCachedAvailableMargin(ttl = 3_000) {
-    const now = Date.now();
+    const now = this.clock();
     if (now - this.balanceCache.timestamp <= ttl && Number.isFinite(this.balanceCache.available)) {
       return this.balanceCache.available;
     }
     return undefined;
   }
 
-  estimateTargetNotional(leverage, confidence, availableOverride) {
+  estimateTargetNotional(leverage, confidence, availableOverride, allocationPct = this.getAllocationPercent()) {
     const safeLeverage = Math.max(Number(leverage) || 1, 1);
     const safeConfidence = Number.isFinite(confidence) ? Math.max(confidence, 0.1) : 0.1;
-    const allocationFraction = clamp(this.getAllocationPercent() / 100, 0.01, 1);
+    const allocationFraction = clamp(allocationPct / 100, 0.01, 1);
     const available = Number.isFinite(availableOverride)
       ? availableOverride
       : this.getCachedAvailableMargin();
@@ -1530,12 +3506,49 @@ export class TradingEngine extends TypedEventEmitter {
     return capitalBase * safeLeverage * safeConfidence;
   }
 
+  // Volatility targeting: size the position so a stop `stopAtrMultiple` ATRs
+  // away loses riskPerTradePercent of equity. Margin and leverage bracket
+  // caps are still applied afterwards by enforceMarginLimit.
+  estimateRiskTargetNotional(atrPct, availableOverride) {
+    if (!Number.isFinite(atrPct) || atrPct <= 0) {
+      return undefined;
+    }
+    const equity = this.getCachedEquity() ?? availableOverride;
+    if (!Number.isFinite(equity) || equity <= 0) {
+      return undefined;
+    }
+    const stopMultiple = Number.isFinite(this.sizingStopAtrMultiple) && this.sizingStopAtrMultiple > 0
+      ? this.sizingStopAtrMultiple
+      : (PROTECTIVE_ATR_MULTIPLES[this.riskLevel] ?? PROTECTIVE_ATR_MULTIPLES[3]).stop;
+    const stopDistancePct = Math.max(atrPct * stopMultiple, MIN_PROTECTIVE_DISTANCE_PCT);
+    const riskBudget = (equity * this.riskPerTradePercent) / 100;
+    return riskBudget / (stopDistancePct / 100);
+  }
+
+  // Wallet balance from the last margin refresh plus unrealized PnL of the
+  // cached positions.
+  getCachedEquity() {
+    if (!Number.isFinite(this.balanceCache.balance)) {
+      return undefined;
+    }
+    const unrealized = Array.from(this.positionCache.map.values()).reduce(
+      (total, position) => total + (Number(position.unrealizedProfit) || 0),
+      0
+    );
+    return this.balanceCache.balance + unrealized;
+  }
+
   hasStrongConviction(decision) {
     const confidence = Number(decision?.confidence ?? 0);
     if (!Number.isFinite(confidence) || confidence < MIN_CONFIDENCE_TO_EXECUTE) {
       return false;
     }
 
+    // Strategies that opted out of the local signal gate have no local values to check.
+    if (decision?.localSignalGate === false) {
+      return true;
+    }
+
     const localEdge = Number(decision?.localEdge ?? decision?.edgeScore ?? 0);
     if (!Number.isFinite(localEdge) || localEdge < MIN_LOCAL_EDGE) {
       return false;
@@ -1554,6 +3567,12 @@ export class TradingEngine extends TypedEventEmitter {
       const baseline = analyticsStore.getBaselineEquity();
       const snapshot = await fetchEquitySnapshot(this.binance, baseline);
       await this.recorder.recordEquity(snapshot);
+      const trip = this.circuitBreaker.update(snapshot);
+      if (trip) {
+        await this.handleCircuitBreakerTrip(trip);
+      } else {
+        this.persistState();
+      }
     } catch (error) {
       logger.error({ error }, 'Failed to capture equity snapshot');
       if (options?.requireSuccess) {
@@ -1561,4 +3580,230 @@ export class TradingEngine extends TypedEventEmitter {
       }
     }
   }
+
+  async handleCircuitBreakerTrip(trip) {
+    logger.error({ trip }, 'Circuit breaker tripped, halting trading engine');
+    this.stop();
+    this.emit('circuitBreaker', this.circuitBreaker.getState());
+    if (this.circuitBreaker.flattenOnTrip) {
+      await this.flattenAll(`circuit breaker: ${trip.reason}`);
+    }
+  }
+
+  getCircuitBreakerState() {
+    return this.circuitBreaker.getState();
+  }
+
+  resetCircuitBreaker() {
+    this.circuitBreaker.reset();
+    logger.info('Circuit breaker reset manually');
+    this.emit('circuitBreaker', this.circuitBreaker.getState());
+    return this.circuitBreaker.getState();
+  }
+
+  // Emergency exit: stops the loop, cancels every open order on the account
+  // and closes each non-zero leg with reduce-only market orders (retrying
+  // failed and partially filled legs). The per-leg report is recorded to the analytics archive.
+  // In dry-run mode (a manual flatten or a breaker trip) only the virtual
+  // book is closed; the real account is never touched.
+  async flattenAll(reason = 'manual flatten') {
+    const startedAt = new Date(this.clock()).toISOString();
+    this.stop();
+    const { cancelled, positions } = this.dryRun
+      ? { cancelled: [], positions: this.flattenDryRunBook(reason) }
+      : await this.flattenAccount(reason);
+
+    const closed = positions.filter((entry) => entry.status === 'closed');
+    const partial = positions.filter((entry) => entry.status === 'partial');
+    const report = {
+      reason,
+      ...(this.dryRun ? { namespace: DRY_RUN_NAMESPACE } : {}),
+      startedAt,
+      finishedAt: new Date(this.clock()).toISOString(),
+      cancelledOrders: cancelled,
+      positions,
+      summary: {
+        closed: closed.length,
+        partial: partial.length,
+        failed: positions.length - closed.length - partial.length,
+        cancelledOrders: cancelled.reduce((total, entry) => total + (entry.status === 'cancelled' ? entry.orders : 0), 0),
+        realizedPnl: Number(
+          [...closed, ...partial].reduce((total, entry) => total + (entry.realizedPnl ?? 0), 0).toFixed(4)
+        ),
+      },
+    };
+    await this.recorder.recordFlatten(report);
+    logger.warn({ reason, summary: report.summary, dryRun: this.dryRun }, 'Flattened account');
+    return report;
+  }
+
+  async flattenAccount(reason) {
+    this.pendingExits.clear();
+    this.protectiveOrders.clear();
+
+    const cancelled = [];
+    let openOrders = [];
+    try {
+      openOrders = await this.binance.fetchOpenOrders();
+    } catch (error) {
+      logger.error({ error, reason }, 'Unable to list open orders before flattening');
+    }
+    const orderSymbols = new Set(openOrders.map((order) => order.symbol).filter(Boolean));
+    for (const symbol of orderSymbols) {
+      const count = openOrders.filter((order) => order.symbol === symbol).length;
+      try {
+        await this.binance.cancelAllOrders(symbol);
+        cancelled.push({ symbol, orders: count, status: 'cancelled' });
+      } catch (error) {
+        cancelled.push({ symbol, orders: count, status: 'failed', error: error.message });
+      }
+    }
+
+    const positions = [];
+    let legs = [];
+    try {
+      legs = (await this.binance.fetchPositions())
+        .map((raw) => this.projectPosition(raw.symbol, raw))
+        .filter(Boolean);
+    } catch (error) {
+      logger.error({ error, reason }, 'Unable to fetch positions to flatten');
+      positions.push({ symbol: null, status: 'failed', error: error.message });
+    }
+    for (const leg of legs) {
+      positions.push(await this.closeLegAtMarket(leg, reason));
+    }
+
+    this.invalidatePositionCache();
+    this.invalidateBalanceCache();
+    return { cancelled, positions };
+  }
+
+  // Closes every virtual position at the latest price, with the same per-leg
+  // entries as a live flatten.
+  flattenDryRunBook(reason) {
+    const prices = this.latestPrices();
+    return this.dryRunBook.symbols().map((symbol) => {
+      const position = this.dryRunBook.getPosition(symbol);
+      const side = position.side === 'long' ? 'SELL' : 'BUY';
+      const entry = { symbol, positionSide: 'BOTH', side, quantity: position.quantity, entryPrice: position.entryPrice, attempts: 1 };
+      const price = [prices.get(symbol), position.entryPrice]
+        .map((value) => toNumber(value))
+        .find((value) => Number.isFinite(value) && value > 0);
+      try {
+        const result = this.dryRunBook.fill({
+          symbol,
+          side,
+          quantity: position.quantity,
+          price,
+          reason: 'flatten',
+          decision: { reasoning: `Flatten: ${reason}` },
+        });
+        this.attributeFill(symbol, side, result.executedQty, result.avgPrice, null);
+        return {
+          ...entry,
+          status: 'closed',
+          orderId: result.orderId,
+          orderIds: [result.orderId],
+          filledQty: result.executedQty,
+          remainingQty: 0,
+          avgPrice: result.avgPrice,
+          realizedPnl: result.order.realized_pnl,
+        };
+      } catch (error) {
+        return { ...entry, status: 'failed', remainingQty: position.quantity, error: error.message };
+      }
+    });
+  }
+
+  // A fill short of the order quantity leaves part of the leg open, so the
+  // remainder is re-read and sent again. A leg still open after `maxAttempts`
+  // orders is reported as `partial` (or `failed` when nothing filled).
+  async closeLegAtMarket(leg, reason, maxAttempts = 3) {
+    const { symbol, positionSide } = leg;
+    const orderSide = leg.side === 'long' ? 'SELL' : 'BUY';
+    const direction = leg.side === 'long' ? 1 : -1;
+    const entry = { symbol, positionSide, side: orderSide, quantity: leg.quantity, entryPrice: leg.entryPrice, attempts: 0 };
+    const orderIds = [];
+    let filledQty = 0;
+    let filledNotional = 0;
+    let quantity = leg.quantity;
+    const settle = (status, extra = {}) => {
+      const avgPrice = filledQty > 0 && filledNotional > 0 ? filledNotional / filledQty : null;
+      return {
+        ...entry,
+        status,
+        orderId: orderIds.at(-1),
+        orderIds,
+        filledQty,
+        remainingQty: status === 'closed' ? 0 : quantity,
+        avgPrice,
+        realizedPnl:
+          avgPrice !== null && Number.isFinite(leg.entryPrice)
+            ? Number(((avgPrice - leg.entryPrice) * filledQty * direction).toFixed(4))
+            : null,
+        ...extra,
+      };
+    };
+
+    while (entry.attempts < maxAttempts) {
+      entry.attempts += 1;
+      try {
+        const tick = this.latestTicks.get(symbol);
+        const normalized = await this.binance.ensureTradableQuantity(symbol, quantity, tick?.price);
+        const orderQuantity = normalized?.quantityText ?? normalized?.quantity ?? quantity;
+        const result = await this.binance.placeMarketOrder(
+          symbol,
+          orderSide,
+          orderQuantity,
+          { reduceOnly: true, positionSide, responseType: 'RESULT' }
+        );
+        const decision = {
+          symbol,
+          bias: orderSide === 'BUY' ? 'long' : 'short',
+          action: 'exit',
+          reasoning: `Flatten: ${reason}`,
+          entryPrice: leg.entryPrice,
+          referencePrice: tick?.price ?? leg.entryPrice,
+        };
+        await this.recorder.recordExecution(
+          {
+            symbol,
+            orderId: String(result.orderId),
+            status: result.status,
+            filledQty: result.executedQty,
+            avgPrice: result.avgPrice,
+          },
+          decision
+        );
+        this.attributeFill(symbol, orderSide, result.executedQty, result.avgPrice, null);
+        orderIds.push(String(result.orderId));
+        const filled = Number(result.executedQty) || 0;
+        filledQty += filled;
+        filledNotional += filled * (Number(result.avgPrice) || 0);
+        if (filled >= Number(orderQuantity) - POSITION_EPSILON) {
+          return settle('closed');
+        }
+        logger.warn(
+          { symbol, positionSide, attempt: entry.attempts, filled, ordered: Number(orderQuantity), status: result.status },
+          'Flatten market order filled partially'
+        );
+        entry.error = `filled ${filled} of ${orderQuantity} (${result.status})`;
+      } catch (error) {
+        logger.warn({ error, symbol, positionSide, attempt: entry.attempts }, 'Flatten market order failed');
+        entry.error = error.message;
+      }
+      try {
+        const refreshed = (await this.binance.fetchPositions())
+          .map((raw) => this.projectPosition(raw.symbol, raw))
+          .find((candidate) => candidate?.symbol === symbol && candidate.positionSide === positionSide);
+        if (!refreshed) {
+          return settle('closed', filledQty > 0 ? {} : { note: 'position already closed' });
+        }
+        quantity = refreshed.quantity;
+      } catch (refreshError) {
+        logger.warn({ error: refreshError, symbol }, 'Unable to refresh position between flatten attempts');
+      }
+    }
+    return settle(filledQty > 0 ? 'partial' : 'failed');
+  }
 }
@@ -1,11 +1,10 @@
-import { promises as fs } from 'fs';
+import { createReadStream, promises as fs } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import readline from 'readline';
+import { config } from '../config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const dataDir = path.join(__dirname, '../../data');
-const archiveFile = path.join(dataDir, 'analytics-history.ndjson');
+const archiveFile = config.analytics.archiveFile;
+const dataDir = path.dirname(archiveFile);
 
 async function ensureArchiveFile() {
   await fs.mkdir(dataDir, { recursive: true });
@@ -55,4 +54,49 @@ export async function loadAnalyticsArchive(limit = 1000) {
   }
 }
 
+// `from`/`to` are epoch milliseconds, inclusive.
+export function matchesSignalQuery(signal, { id, symbol, from, to } = {}) {
+  if (id !== undefined && signal.id !== id) return false;
+  if (symbol && signal.symbol !== symbol) return false;
+  const createdAt = Date.parse(signal.created_at);
+  if (Number.isFinite(from) && !(createdAt >= from)) return false;
+  if (Number.isFinite(to) && !(createdAt <= to)) return false;
+  return true;
+}
+
+// Streams the whole archive, so decisions long gone from the in-memory ring
+// can still be found. Only the newest `limit` matches are held; they are
+// returned newest first.
+export async function searchArchivedSignals(query = {}, { file = archiveFile } = {}) {
+  const limit = Number.isFinite(query.limit) && query.limit > 0 ? Math.floor(query.limit) : 100;
+  const matches = [];
+  const input = createReadStream(file, 'utf8');
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.includes('"type":"signal"')) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (event?.type !== 'signal' || !event.data || !matchesSignalQuery(event.data, query)) continue;
+      matches.push(event.data);
+      if (matches.length > limit) {
+        matches.shift();
+      }
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+  return matches.reverse();
+}
+
 export { archiveFile as analyticsArchivePath };
@@ -1,8 +1,12 @@
-import { persistAnalyticsEvent } from './analyticsPersistence.js';
+import { matchesSignalQuery, persistAnalyticsEvent, searchArchivedSignals } from './analyticsPersistence.js';
 import { logger } from '../utils/logger.js';
 
 const round = (value, digits = 2) => Number(value.toFixed(digits));
 
+// Dry-run fills are tracked apart from the account's own executions so
+// hypothetical trades never leak into live PnL or reconciliation.
+export const DRY_RUN_NAMESPACE = 'dry_run';
+
 const serializeOpenAiUsage = (usage) => ({
   promptTokens: usage.promptTokens,
   completionTokens: usage.completionTokens,
@@ -54,10 +58,17 @@ const deserializeOpenAiUsage = (data) => {
 };
 
 export class AnalyticsStore {
-  constructor() {
+  // `searchArchive` finds signals in the NDJSON archive (injectable for tests).
+  constructor({ searchArchive = searchArchivedSignals } = {}) {
+    this.searchArchive = searchArchive;
     this.equitySnapshots = [];
     this.signals = [];
+    this.signalSequence = 0;
+    this.riskRejections = [];
+    this.flattenReports = [];
+    this.executionAlgos = [];
     this.symbolStats = new Map();
+    this.dryRun = { symbolStats: new Map(), orders: [] };
     this.maxEntries = 1000;
     this.baselineEquity = undefined;
     this.openAiUsage = {
@@ -72,15 +83,22 @@ export class AnalyticsStore {
     };
   }
 
+  // `options.journal` carries the decision journal entry (prompt context,
+  // model, cache and guard trace, sizing, orders and outcome); it is stored on
+  // the signal record so the archive holds one record per decision.
   addSignal(decision, riskLevel, options = {}) {
+    this.signalSequence += 1;
+    const createdAt = new Date().toISOString();
     const record = {
-      created_at: new Date().toISOString(),
+      id: `${decision.symbol}-${Date.parse(createdAt)}-s${this.signalSequence}`,
+      created_at: createdAt,
       symbol: decision.symbol,
       bias: decision.bias,
       confidence: decision.confidence,
       risk_level: riskLevel,
       leverage: Number.isFinite(options.leverage) ? Number(options.leverage) : undefined,
       allocation_pct: Number.isFinite(options.allocationPct) ? Number(options.allocationPct) : undefined,
+      ...options.journal,
     };
     this.signals.push(record);
     if (this.signals.length > this.maxEntries) {
@@ -93,7 +111,116 @@ export class AnalyticsStore {
     }
   }
 
+  addRiskRejection(rejection, options = {}) {
+    const record = {
+      created_at: new Date().toISOString(),
+      symbol: rejection.symbol,
+      side: rejection.side,
+      reason: rejection.reason,
+      requested_notional: Number.isFinite(rejection.requestedNotional) ? round(rejection.requestedNotional) : undefined,
+      limit: Number.isFinite(rejection.limit) ? rejection.limit : undefined,
+      exposure: rejection.exposure,
+    };
+    this.riskRejections.push(record);
+    if (this.riskRejections.length > this.maxEntries) {
+      this.riskRejections.shift();
+    }
+    if (options.persist !== false) {
+      void persistAnalyticsEvent({ type: 'risk_rejection', data: record }).catch((error) => {
+        logger.warn({ error }, 'Failed to persist risk rejection event');
+      });
+    }
+  }
+
+  addFlattenReport(report, options = {}) {
+    this.flattenReports.push(report);
+    if (this.flattenReports.length > this.maxEntries) {
+      this.flattenReports.shift();
+    }
+    if (options.persist !== false) {
+      void persistAnalyticsEvent({ type: 'flatten', data: report, timestamp: report.finishedAt }).catch((error) => {
+        logger.warn({ error }, 'Failed to persist flatten report');
+      });
+    }
+  }
+
+  addExecutionAlgo(report, options = {}) {
+    const record = {
+      id: report.id,
+      symbol: report.symbol,
+      side: report.side,
+      algo: report.algo,
+      status: report.status,
+      halt_reason: report.haltReason ?? undefined,
+      reduce_only: report.reduceOnly === true,
+      requested_qty: report.requestedQty,
+      filled_qty: report.filledQty,
+      arrival_price: Number.isFinite(report.arrivalPrice) ? report.arrivalPrice : undefined,
+      avg_price: Number.isFinite(report.avgPrice) ? round(report.avgPrice, 6) : undefined,
+      slippage_bps: Number.isFinite(report.slippageBps) ? report.slippageBps : undefined,
+      threshold_notional: Number.isFinite(report.thresholdNotional) ? round(report.thresholdNotional) : undefined,
+      children: report.children ?? [],
+      started_at: report.startedAt,
+      finished_at: report.finishedAt,
+    };
+    this.executionAlgos.push(record);
+    if (this.executionAlgos.length > this.maxEntries) {
+      this.executionAlgos.shift();
+    }
+    if (options.persist !== false) {
+      void persistAnalyticsEvent({ type: 'execution_algo', data: record, timestamp: record.finished_at }).catch(
+        (error) => {
+          logger.warn({ error }, 'Failed to persist sliced execution report');
+        }
+      );
+    }
+  }
+
+  getRecentExecutionAlgos(limit = 10) {
+    return this.executionAlgos.slice(-limit).reverse();
+  }
+
+  getRecentFlattenReports(limit = 5) {
+    return this.flattenReports.slice(-limit).reverse();
+  }
+
+  getRecentRiskRejections(limit = 20) {
+    return this.riskRejections.slice(-limit).reverse();
+  }
+
+  statsFor(namespace) {
+    return namespace === DRY_RUN_NAMESPACE ? this.dryRun.symbolStats : this.symbolStats;
+  }
+
+  getSymbolStats(symbol, namespace) {
+    return this.statsFor(namespace).get(symbol);
+  }
+
+  addVirtualOrder(order, options = {}) {
+    this.dryRun.orders.push(order);
+    if (this.dryRun.orders.length > this.maxEntries) {
+      this.dryRun.orders.shift();
+    }
+    if (options.persist !== false) {
+      void persistAnalyticsEvent({
+        type: 'virtual_order',
+        namespace: DRY_RUN_NAMESPACE,
+        data: order,
+        timestamp: order.created_at,
+      }).catch((error) => {
+        logger.warn({ error }, 'Failed to persist dry-run order');
+      });
+    }
+  }
+
+  getRecentVirtualOrders(limit = 20) {
+    return this.dryRun.orders.slice(-limit).reverse();
+  }
+
+  // `options.namespace` routes the fill into a separate ledger (see
+  // DRY_RUN_NAMESPACE); without it the fill updates the live symbol stats.
   addExecution(result, decision, options = {}) {
+    const symbolStats = this.statsFor(options.namespace);
     const direction = decision.bias === 'long' ? 1 : decision.bias === 'short' ? -1 : 0;
     const filledQty = Number(result.filledQty ?? result.executedQty ?? result.quantity ?? 0);
     if (direction === 0 || !Number.isFinite(filledQty) || filledQty <= 0) {
@@ -103,7 +230,7 @@ export class AnalyticsStore {
     const signedQty = filledQty * direction;
     const now = new Date().toISOString();
     const existing =
-      this.symbolStats.get(decision.symbol) ?? {
+      symbolStats.get(decision.symbol) ?? {
         netContracts: 0,
         avgEntryPrice: 0,
         realizedPnl: 0,
@@ -201,7 +328,7 @@ export class AnalyticsStore {
       }
     }
 
-    this.symbolStats.set(decision.symbol, existing);
+    symbolStats.set(decision.symbol, existing);
     if (options.persist !== false) {
       const payload = {
         symbol: decision.symbol,
@@ -215,7 +342,7 @@ export class AnalyticsStore {
         trades: existing.trades ?? 0,
         lastUpdated: existing.lastUpdated,
       };
-      void persistAnalyticsEvent({ type: 'execution', data: payload }).catch((error) => {
+      void persistAnalyticsEvent({ type: 'execution', namespace: options.namespace, data: payload }).catch((error) => {
         logger.warn({ error }, 'Failed to persist execution event');
       });
     }
@@ -365,9 +492,9 @@ export class AnalyticsStore {
     return this.equitySnapshots[this.equitySnapshots.length - 1];
   }
 
-  getRealizedPnl() {
+  getRealizedPnl(namespace) {
     let total = 0;
-    for (const stats of this.symbolStats.values()) {
+    for (const stats of this.statsFor(namespace).values()) {
       total += stats.realizedPnl;
     }
     return round(total);
@@ -413,8 +540,8 @@ export class AnalyticsStore {
     };
   }
 
-  getSymbolPerformance() {
-    return Array.from(this.symbolStats.entries()).map(([symbol, stats]) => ({
+  getSymbolPerformance(namespace) {
+    return Array.from(this.statsFor(namespace).entries()).map(([symbol, stats]) => ({
       symbol,
       realized_pnl: round(stats.realizedPnl),
       net_contracts: Number(stats.netContracts.toFixed(4)),
@@ -430,13 +557,13 @@ export class AnalyticsStore {
     }));
   }
 
-  getWinStats() {
+  getWinStats(namespace) {
     let wins = 0;
     let losses = 0;
     let breakeven = 0;
     let trades = 0;
 
-    for (const stats of this.symbolStats.values()) {
+    for (const stats of this.statsFor(namespace).values()) {
       wins += stats.wins ?? 0;
       losses += stats.losses ?? 0;
       breakeven += stats.breakeven ?? 0;
@@ -452,12 +579,49 @@ export class AnalyticsStore {
     return this.signals.slice(-limit).reverse();
   }
 
+  getSignal(id) {
+    return this.signals.find((signal) => signal.id === id) ?? null;
+  }
+
+  // Newest first, from the in-memory ring only. `from`/`to` are epoch
+  // milliseconds, inclusive.
+  querySignals({ symbol, from, to, limit = 100 } = {}) {
+    const matches = [];
+    for (let index = this.signals.length - 1; index >= 0 && matches.length < limit; index -= 1) {
+      const signal = this.signals[index];
+      if (matchesSignalQuery(signal, { symbol, from, to })) {
+        matches.push(signal);
+      }
+    }
+    return matches;
+  }
+
+  // The ring keeps only the latest `maxEntries` records, so lookups also scan
+  // the archive; the ring still answers for records whose append has not
+  // landed yet.
+  async findSignal(id) {
+    return this.getSignal(id) ?? (await this.searchArchive({ id, limit: 1 }))[0] ?? null;
+  }
+
+  async searchSignals(query = {}) {
+    const limit = query.limit ?? 100;
+    const merged = new Map();
+    for (const signal of [...this.querySignals({ ...query, limit }), ...(await this.searchArchive({ ...query, limit }))]) {
+      if (!merged.has(signal.id)) {
+        merged.set(signal.id, signal);
+      }
+    }
+    return Array.from(merged.values())
+      .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+      .slice(0, limit);
+  }
+
   rehydrate(events = []) {
     for (const event of events) {
       if (!event || typeof event !== 'object') {
         continue;
       }
-      const { type, data } = event;
+      const { type, namespace, data } = event;
       if (!type) continue;
       if (type === 'signal' && data) {
         this.signals.push(data);
@@ -479,7 +643,7 @@ export class AnalyticsStore {
           this.equitySnapshots = this.equitySnapshots.slice(-this.maxEntries);
         }
       } else if (type === 'execution' && data?.symbol) {
-        this.symbolStats.set(data.symbol, {
+        this.statsFor(namespace).set(data.symbol, {
           netContracts: Number(data.netContracts ?? 0),
           avgEntryPrice: Number(data.avgEntryPrice ?? 0),
           realizedPnl: Number(data.realizedPnl ?? 0),
@@ -490,6 +654,26 @@ export class AnalyticsStore {
           trades: Number(data.trades ?? 0),
           lastUpdated: data.lastUpdated ?? new Date().toISOString(),
         });
+      } else if (type === 'flatten' && data) {
+        this.flattenReports.push(data);
+        if (this.flattenReports.length > this.maxEntries) {
+          this.flattenReports = this.flattenReports.slice(-this.maxEntries);
+        }
+      } else if (type === 'execution_algo' && data) {
+        this.executionAlgos.push(data);
+        if (this.executionAlgos.length > this.maxEntries) {
+          this.executionAlgos = this.executionAlgos.slice(-this.maxEntries);
+        }
+      } else if (type === 'virtual_order' && data) {
+        this.dryRun.orders.push(data);
+        if (this.dryRun.orders.length > this.maxEntries) {
+          this.dryRun.orders = this.dryRun.orders.slice(-this.maxEntries);
+        }
+      } else if (type === 'risk_rejection' && data) {
+        this.riskRejections.push(data);
+        if (this.riskRejections.length > this.maxEntries) {
+          this.riskRejections = this.riskRejections.slice(-this.maxEntries);
+        }
       } else if (type === 'openai_usage' && data) {
         this.openAiUsage = deserializeOpenAiUsage(data);
       }
@@ -0,0 +1,88 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+export const ENGINE_STATE_VERSION = 1;
+
+// Upgrades keyed by the version they upgrade from; each returns the next
+// version's shape. Add an entry whenever ENGINE_STATE_VERSION is bumped.
+const MIGRATIONS = {};
+
+function migrate(state) {
+  let current = state;
+  let version = Number(current?.version);
+  while (Number.isInteger(version) && version < ENGINE_STATE_VERSION) {
+    const upgrade = MIGRATIONS[version];
+    if (!upgrade) {
+      return null;
+    }
+    current = { ...upgrade(current), version: version + 1 };
+    version += 1;
+  }
+  return version === ENGINE_STATE_VERSION ? current : null;
+}
+
+/**
+ * JSON snapshot of the engine's runtime controls. Writes are coalesced: the
+ * snapshot is taken when the write actually runs, so a burst of changes
+ * results in at most one write in flight and one queued behind it.
+ */
+export class EngineStateFile {
+  constructor(file) {
+    this.file = file;
+    this.writeChain = Promise.resolve();
+    this.pending = false;
+  }
+
+  async load() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, stateFile: this.file }, 'Failed to read engine state, using defaults');
+      }
+      return null;
+    }
+    try {
+      const state = migrate(JSON.parse(contents));
+      if (!state) {
+        logger.warn({ stateFile: this.file }, 'Ignoring engine state with unsupported schema version');
+      }
+      return state;
+    } catch (error) {
+      logger.warn({ error, stateFile: this.file }, 'Failed to parse engine state, using defaults');
+      return null;
+    }
+  }
+
+  save(snapshot) {
+    if (this.pending) {
+      return this.writeChain;
+    }
+    this.pending = true;
+    this.writeChain = this.writeChain
+      .then(async () => {
+        this.pending = false;
+        const payload = { ...snapshot(), version: ENGINE_STATE_VERSION, savedAt: new Date().toISOString() };
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(payload, null, 2), 'utf8');
+        await fs.rename(tempFile, this.file);
+      })
+      .catch((error) => {
+        this.pending = false;
+        logger.error({ error, stateFile: this.file }, 'Failed to persist engine state');
+      });
+    return this.writeChain;
+  }
+
+  clear() {
+    this.writeChain = this.writeChain
+      .then(() => fs.rm(this.file, { force: true }))
+      .catch((error) => {
+        logger.error({ error, stateFile: this.file }, 'Failed to remove engine state');
+      });
+    return this.writeChain;
+  }
+}
@@ -0,0 +1,44 @@
+export class DeadlineExceededError extends Error {
+  constructor(label, timeoutMs) {
+    super(`${label} exceeded ${timeoutMs}ms deadline`);
+    this.name = 'DeadlineExceededError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Rejects once the deadline passes; the underlying work is not cancelled, its
+// late result is simply ignored.
+export function withDeadline(promise, timeoutMs, label = 'Task') {
+  if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+    return promise;
+  }
+  let timer;
+  const deadline = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new DeadlineExceededError(label, timeoutMs)), timeoutMs);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+// Runs worker(item, index) over items with at most `concurrency` in flight,
+// starting them in input order. Results keep the input order and never reject:
+// each entry is { status: 'fulfilled', value } or { status: 'rejected', reason }.
+export async function runWithConcurrency(items, concurrency, worker) {
+  const limit = Math.max(1, Math.floor(Number(concurrency) || 1));
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  const runNext = async () => {
+    while (cursor < items.length) {
+      const index = cursor;
+      cursor += 1;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}